@@ -15,7 +15,7 @@ const config = {
     ['image-processing', path.join(__dirname, 'handlers/image-processing-handler.js')],
     ['data-analysis', path.join(__dirname, 'handlers/data-analysis-handler.js')]
   ]),
-  persistenceInterval: 5000,
+  snapshotInterval: 30000,
   autoCleanup: true,
   cleanupAge: 60 * 60 * 1000 // 1 hour
 };
@@ -62,7 +62,8 @@ async function main() {
     const apiServer = new APIServer(taskQueue, {
       port: 3000,
       clustered: true,
-      numWorkers: 2
+      numWorkers: 2,
+      monitor
     });
     await apiServer.start();
     console.log('API server started on port 3000');
@@ -209,6 +210,7 @@ function displayStatistics(taskQueue, monitor) {
   console.log(`  Processing: ${stats.queue.byStatus.processing}`);
   console.log(`  Completed: ${stats.queue.byStatus.completed}`);
   console.log(`  Failed: ${stats.queue.byStatus.failed}`);
+  console.log(`  Dead-lettered: ${stats.queue.deadLetters}`);
   console.log(`  Avg waiting time: ${stats.queue.avgWaitingTime}ms`);
   console.log(`  Avg execution time: ${stats.queue.avgExecutionTime}ms`);
 
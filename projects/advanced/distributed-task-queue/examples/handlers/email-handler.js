@@ -15,22 +15,22 @@ async function execute(payload, context) {
   }
 
   // Simulate email validation
-  await sleep(500);
+  await sleep(500, context.signal);
   context.progress(30);
 
   // Simulate connecting to email service
   context.log('Connecting to email service...');
-  await sleep(1000);
+  await sleep(1000, context.signal);
   context.progress(50);
 
   // Simulate sending email
   context.log('Sending email...');
-  await sleep(2000);
+  await sleep(2000, context.signal);
   context.progress(80);
 
   // Simulate verification
   context.log('Verifying delivery...');
-  await sleep(500);
+  await sleep(500, context.signal);
   context.progress(100);
 
   return {
@@ -42,8 +42,21 @@ async function execute(payload, context) {
   };
 }
 
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+// Resolves after ms, or rejects as soon as the task is cancelled
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      return reject(signal.reason);
+    }
+
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      }, { once: true });
+    }
+  });
 }
 
 module.exports = { execute };
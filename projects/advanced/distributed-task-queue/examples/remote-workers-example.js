@@ -0,0 +1,94 @@
+/**
+ * Remote Workers Example
+ * Runs the queue with several worker processes connected over TCP on localhost.
+ * One worker is killed mid-run to show its leases being revoked and retried.
+ */
+
+const path = require('path');
+const { fork } = require('child_process');
+const { TaskQueue } = require('../src');
+
+const WORKER_COUNT = 3;
+const PORT = 7070;
+
+async function main() {
+  console.log('=== Distributed Task Queue - Remote Workers Example ===\n');
+
+  const taskQueue = new TaskQueue({
+    queueDir: path.join(__dirname, '../queue-remote'),
+    poolSize: 0, // No local worker threads
+    workerServer: {
+      port: PORT,
+      heartbeatInterval: 1000,
+      leaseTimeout: 3000
+    }
+  });
+
+  taskQueue.on('worker:connected', (data) => {
+    console.log(`+ Worker connected: ${data.workerId}`);
+  });
+  taskQueue.on('worker:disconnected', (data) => {
+    console.log(`- Worker disconnected: ${data.workerId}`);
+  });
+  taskQueue.on('lease:revoked', (data) => {
+    console.log(`! Lease revoked: ${data.taskId} (${data.reason})`);
+  });
+  taskQueue.on('task:started', (task) => {
+    console.log(`▶ Task ${task.id} leased to ${task.workerId} (attempt ${task.attempts})`);
+  });
+  taskQueue.on('task:completed', (task) => {
+    console.log(`✓ Task ${task.id} completed by ${task.workerId}`);
+  });
+  taskQueue.on('error', (error) => {
+    console.error('Queue error:', error);
+  });
+
+  await taskQueue.initialize();
+  taskQueue.start();
+
+  // Start worker processes
+  const workers = [];
+  for (let i = 1; i <= WORKER_COUNT; i++) {
+    workers.push(fork(path.join(__dirname, '../worker.js'), [
+      '--port', String(PORT),
+      '--id', `worker-${i}`,
+      '--concurrency', '2',
+      '--handler', `email=${path.join(__dirname, 'handlers/email-handler.js')}`
+    ], { stdio: 'ignore' }));
+  }
+
+  for (let i = 1; i <= 12; i++) {
+    await taskQueue.addTask({
+      type: 'email',
+      payload: {
+        to: `user${i}@example.com`,
+        subject: `Test Email ${i}`,
+        body: `This is test email number ${i}`
+      },
+      maxAttempts: 3
+    });
+  }
+
+  // Kill one worker while it holds leases
+  setTimeout(() => {
+    console.log('\nKilling worker-1...\n');
+    workers[0].kill('SIGKILL');
+  }, 2000);
+
+  await taskQueue.waitForCompletion(60000);
+
+  const stats = taskQueue.getStats();
+  console.log('\n=== Remote Workers ===\n');
+  for (const worker of stats.remoteWorkers.workers) {
+    console.log(`  ${worker.id}: ${worker.tasksCompleted} completed, ${worker.tasksFailed} failed`);
+  }
+
+  // Shutting down the queue tells connected workers to exit
+  await taskQueue.shutdown({ timeout: 10000 });
+  console.log('\nShutdown complete');
+}
+
+main().catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,218 @@
+/**
+ * API Client
+ * HTTP client for the task queue API server
+ */
+
+const http = require('http');
+const https = require('https');
+
+class ApiClient {
+  constructor(options = {}) {
+    this.url = new URL(options.url || 'http://localhost:3000');
+    this.apiKey = options.apiKey || null;
+    this.timeout = options.timeout || 30000; // 30 seconds
+  }
+
+  /**
+   * Send a request and parse the JSON response. Non-2xx responses throw
+   * an error carrying the server's message and the status code.
+   */
+  request(method, requestPath, body) {
+    return new Promise((resolve, reject) => {
+      const data = body === undefined ? null : JSON.stringify(body);
+
+      const req = this.createRequest(method, requestPath, {
+        'Content-Type': 'application/json',
+        ...(data ? { 'Content-Length': Buffer.byteLength(data) } : {})
+      }, (res) => {
+        let content = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => content += chunk);
+        res.on('end', () => {
+          let parsed;
+          try {
+            parsed = content ? JSON.parse(content) : {};
+          } catch (error) {
+            parsed = { error: content.trim() };
+          }
+
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            resolve(parsed);
+          } else {
+            const error = new Error(parsed.error || `Request failed with status ${res.statusCode}`);
+            error.status = res.statusCode;
+            reject(error);
+          }
+        });
+      });
+
+      req.setTimeout(this.timeout, () => {
+        req.destroy(new Error(`Request timed out after ${this.timeout}ms`));
+      });
+      req.on('error', reject);
+      req.end(data);
+    });
+  }
+
+  /**
+   * Create a request against the server URL with the API key attached
+   */
+  createRequest(method, requestPath, headers, callback) {
+    const transport = this.url.protocol === 'https:' ? https : http;
+    const basePath = this.url.pathname.replace(/\/$/, '');
+
+    return transport.request({
+      method,
+      hostname: this.url.hostname,
+      port: this.url.port,
+      path: basePath + requestPath,
+      headers: {
+        ...headers,
+        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+      }
+    }, callback);
+  }
+
+  /**
+   * Build a query string from defined values
+   */
+  static query(params = {}) {
+    const search = new URLSearchParams();
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined && value !== null && value !== '') {
+        search.set(key, value);
+      }
+    }
+    const query = search.toString();
+    return query ? `?${query}` : '';
+  }
+
+  /**
+   * Submit a task
+   */
+  async submitTask(taskData) {
+    return (await this.request('POST', '/tasks', taskData)).task;
+  }
+
+  /**
+   * List tasks (status, type, queue, tenant, limit, offset)
+   */
+  async listTasks(filter = {}) {
+    return await this.request('GET', `/tasks${ApiClient.query(filter)}`);
+  }
+
+  /**
+   * Get a task
+   */
+  async getTask(taskId) {
+    return (await this.request('GET', `/tasks/${encodeURIComponent(taskId)}`)).task;
+  }
+
+  /**
+   * Retry a task
+   */
+  async retryTask(taskId) {
+    return (await this.request('POST', `/tasks/${encodeURIComponent(taskId)}/retry`)).task;
+  }
+
+  /**
+   * Cancel a task (reason, gracePeriod)
+   */
+  async cancelTask(taskId, options = {}) {
+    return (await this.request('POST', `/tasks/${encodeURIComponent(taskId)}/cancel`, options)).task;
+  }
+
+  /**
+   * Get queue statistics
+   */
+  async getStats() {
+    return (await this.request('GET', '/stats')).stats;
+  }
+
+  /**
+   * Get named queues with their settings and task counts, keyed by name
+   */
+  async getQueues() {
+    return (await this.request('GET', '/queues')).queues;
+  }
+
+  /**
+   * Pause a named queue
+   */
+  async pauseQueue(name) {
+    return (await this.request('POST', `/queues/${encodeURIComponent(name)}/pause`)).queue;
+  }
+
+  /**
+   * Resume a named queue
+   */
+  async resumeQueue(name) {
+    return (await this.request('POST', `/queues/${encodeURIComponent(name)}/resume`)).queue;
+  }
+
+  /**
+   * Stream task events. Calls onEvent(name, data) for each event until
+   * the returned request is destroyed or the server closes the stream.
+   */
+  streamEvents(onEvent, onError = () => {}) {
+    const req = this.createRequest('GET', '/events', { Accept: 'text/event-stream' }, (res) => {
+      if (res.statusCode !== 200) {
+        const error = new Error(`Event stream failed with status ${res.statusCode}`);
+        error.status = res.statusCode;
+        res.resume();
+        onError(error);
+        return;
+      }
+
+      let buffer = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+
+        // Events are separated by a blank line
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          const message = ApiClient.parseEvent(buffer.slice(0, end));
+          buffer = buffer.slice(end + 2);
+          if (message) {
+            onEvent(message.event, message.data);
+          }
+        }
+      });
+      res.on('end', () => onError(new Error('Event stream closed by the server')));
+    });
+
+    req.on('error', onError);
+    req.end();
+
+    return req;
+  }
+
+  /**
+   * Parse one Server-Sent Events message (comment-only messages return null)
+   */
+  static parseEvent(text) {
+    let event = 'message';
+    const data = [];
+
+    for (const line of text.split('\n')) {
+      if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        data.push(line.slice(5).trim());
+      }
+    }
+
+    if (data.length === 0) {
+      return null;
+    }
+
+    try {
+      return { event, data: JSON.parse(data.join('\n')) };
+    } catch (error) {
+      return { event, data: data.join('\n') };
+    }
+  }
+}
+
+module.exports = ApiClient;
@@ -0,0 +1,340 @@
+/**
+ * API Key Store
+ * Per-client API keys with scopes, stored hashed on disk
+ *
+ * Signed requests use a per-key signing key derived from a server secret
+ * that is kept out of the key file, so reading the key file is not enough
+ * to sign requests.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+class ApiKeyStore {
+  static SCOPES = ['submit', 'read', 'admin'];
+  static KEY_PREFIX = 'tq';
+
+  constructor(options = {}) {
+    this.file = options.file || null;
+    this.secret = options.secret || null; // Server secret for signing keys
+    this.secretFile = options.secretFile ||
+      (this.file ? path.join(path.dirname(this.file), 'api-signing.secret') : null);
+    this.maxClockSkew = options.maxClockSkew || 5 * 60 * 1000; // 5 minutes
+    this.reloadInterval = options.reloadInterval || 5000; // 5 seconds
+
+    this.keys = new Map(); // id -> { id, name, scopes, hash, createdAt, revokedAt }
+    // signature -> expiry, rejects replays within the clock skew window. The cache is per
+    // process: in clustered mode each worker accepts a signature once.
+    this.seenSignatures = new Map();
+    this.mtime = 0;
+    this.reloadTimer = null;
+  }
+
+  /**
+   * Load keys from disk and watch for changes made by other processes
+   */
+  async initialize() {
+    await this.loadSecret();
+    await this.load();
+
+    this.reloadTimer = setInterval(() => {
+      this.reloadIfChanged().catch(() => {});
+    }, this.reloadInterval);
+    this.reloadTimer.unref();
+  }
+
+  /**
+   * Read the key file (a missing file means no keys)
+   */
+  async load() {
+    if (!this.file) {
+      return;
+    }
+
+    let content;
+    try {
+      const stat = await fs.promises.stat(this.file);
+      content = await fs.promises.readFile(this.file, 'utf8');
+      this.mtime = stat.mtimeMs;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+
+    const data = JSON.parse(content);
+    this.keys = new Map(data.keys.map(record => [record.id, record]));
+  }
+
+  /**
+   * Read the server secret, creating it on first use. Every process
+   * sharing the key file must use the same secret.
+   */
+  async loadSecret() {
+    if (this.secret) {
+      return;
+    }
+
+    if (!this.secretFile) {
+      this.secret = crypto.randomBytes(32).toString('hex'); // In-memory store
+      return;
+    }
+
+    await fs.promises.mkdir(path.dirname(this.secretFile), { recursive: true });
+
+    try {
+      // 'wx' fails if another process created the secret first
+      const secret = crypto.randomBytes(32).toString('hex');
+      await fs.promises.writeFile(this.secretFile, secret, { mode: 0o600, flag: 'wx' });
+      this.secret = secret;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+      this.secret = (await fs.promises.readFile(this.secretFile, 'utf8')).trim();
+    }
+
+    if (!this.secret) {
+      throw new Error(`API signing secret file is empty: ${this.secretFile}`);
+    }
+  }
+
+  /**
+   * Get the key a client signs requests with: an HMAC of the key ID under
+   * the server secret, never written to the key file
+   */
+  getSigningKey(id) {
+    if (!this.secret) {
+      if (this.secretFile) {
+        throw new Error('API signing secret is not loaded');
+      }
+      this.secret = crypto.randomBytes(32).toString('hex');
+    }
+
+    return crypto.createHmac('sha256', this.secret).update(`signing:${id}`).digest('hex');
+  }
+
+  /**
+   * Reload the key file if it was modified since it was last read
+   */
+  async reloadIfChanged() {
+    const stat = await fs.promises.stat(this.file);
+    if (stat.mtimeMs !== this.mtime) {
+      await this.load();
+    }
+  }
+
+  /**
+   * Write the key file. Only hashes are written; the file is readable by its owner only.
+   */
+  async save() {
+    if (!this.file) {
+      return;
+    }
+
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+
+    const tmpPath = `${this.file}.tmp`;
+    const data = { keys: Array.from(this.keys.values()) };
+    await fs.promises.writeFile(tmpPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+    await fs.promises.rename(tmpPath, this.file);
+
+    this.mtime = (await fs.promises.stat(this.file)).mtimeMs;
+  }
+
+  /**
+   * Generate a key in memory. The plain key and its signing key are
+   * returned once and never stored.
+   */
+  generateKey(options = {}) {
+    const scopes = options.scopes || [];
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new Error('API key requires at least one scope');
+    }
+    for (const scope of scopes) {
+      if (!ApiKeyStore.SCOPES.includes(scope)) {
+        throw new Error(`Invalid scope: ${scope} (expected ${ApiKeyStore.SCOPES.join(', ')})`);
+      }
+    }
+
+    const id = crypto.randomBytes(8).toString('hex');
+    const secret = crypto.randomBytes(32).toString('hex');
+    const key = `${ApiKeyStore.KEY_PREFIX}_${id}_${secret}`;
+
+    const record = {
+      id,
+      name: options.name || id,
+      scopes: Array.from(new Set(scopes)),
+      hash: ApiKeyStore.hashKey(key),
+      createdAt: Date.now(),
+      revokedAt: null
+    };
+
+    this.keys.set(id, record);
+
+    return { key, signingKey: this.getSigningKey(id), record };
+  }
+
+  /**
+   * Create a key and write it to disk
+   */
+  async create(options = {}) {
+    await this.loadSecret();
+    const result = this.generateKey(options);
+    await this.save();
+    return result;
+  }
+
+  /**
+   * Revoke a key
+   */
+  async revoke(id) {
+    const record = this.keys.get(id);
+    if (!record) {
+      throw new Error(`API key ${id} not found`);
+    }
+
+    record.revokedAt = Date.now();
+    await this.save();
+
+    return record;
+  }
+
+  /**
+   * List keys without their hashes
+   */
+  list() {
+    return Array.from(this.keys.values()).map(record => ApiKeyStore.describe(record));
+  }
+
+  /**
+   * Get an active key record by ID
+   */
+  getActiveKey(id) {
+    const record = this.keys.get(id);
+    return record && !record.revokedAt ? record : null;
+  }
+
+  /**
+   * Authenticate a plain API key. Returns the key record or null.
+   */
+  authenticateKey(key) {
+    const parsed = ApiKeyStore.parseKey(key);
+    const record = parsed ? this.getActiveKey(parsed.id) : null;
+
+    if (!record || !ApiKeyStore.safeEqual(ApiKeyStore.hashKey(key), record.hash)) {
+      return null;
+    }
+
+    return record;
+  }
+
+  /**
+   * Authenticate an HMAC-signed request. Returns the key record or null.
+   * The signature covers method, path, timestamp and a hash of the body,
+   * and is keyed with the key's signing key.
+   */
+  authenticateSignature(request, now = Date.now()) {
+    const { keyId, timestamp, signature } = request;
+    const record = keyId ? this.getActiveKey(keyId) : null;
+
+    if (!record || !signature) {
+      return null;
+    }
+
+    const time = Number(timestamp);
+    if (!Number.isFinite(time) || Math.abs(now - time) > this.maxClockSkew) {
+      return null;
+    }
+
+    const expected = ApiKeyStore.sign(this.getSigningKey(record.id), request);
+    if (!ApiKeyStore.safeEqual(expected, signature)) {
+      return null;
+    }
+
+    // A signature can only be used once
+    this.pruneSignatures(now);
+    if (this.seenSignatures.has(signature)) {
+      return null;
+    }
+    this.seenSignatures.set(signature, time + this.maxClockSkew);
+
+    return record;
+  }
+
+  /**
+   * Forget signatures that can no longer pass the timestamp check
+   */
+  pruneSignatures(now) {
+    for (const [signature, expiresAt] of this.seenSignatures) {
+      if (expiresAt < now) {
+        this.seenSignatures.delete(signature);
+      }
+    }
+  }
+
+  /**
+   * Check if a key grants a scope (admin grants every scope)
+   */
+  static hasScope(record, scope) {
+    return record.scopes.includes(scope) || record.scopes.includes('admin');
+  }
+
+  /**
+   * Hash a plain key
+   */
+  static hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Split a plain key into its ID and secret
+   */
+  static parseKey(key) {
+    const match = /^([a-z]+)_([0-9a-f]{16})_([0-9a-f]{64})$/.exec(key || '');
+    if (!match || match[1] !== ApiKeyStore.KEY_PREFIX) {
+      return null;
+    }
+    return { id: match[2], secret: match[3] };
+  }
+
+  /**
+   * Compute a request signature
+   */
+  static sign(signingKey, { method, path: requestPath, timestamp, body = '' }) {
+    const bodyHash = crypto.createHash('sha256').update(body).digest('hex');
+    const payload = `${method.toUpperCase()}\n${requestPath}\n${timestamp}\n${bodyHash}`;
+    return crypto.createHmac('sha256', signingKey).update(payload).digest('hex');
+  }
+
+  /**
+   * Compare two hex strings in constant time
+   */
+  static safeEqual(a, b) {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+  }
+
+  /**
+   * Key record without its hash
+   */
+  static describe(record) {
+    const { hash, ...rest } = record;
+    return rest;
+  }
+
+  /**
+   * Stop watching the key file
+   */
+  close() {
+    if (this.reloadTimer) {
+      clearInterval(this.reloadTimer);
+      this.reloadTimer = null;
+    }
+  }
+}
+
+module.exports = ApiKeyStore;
@@ -5,21 +5,70 @@
 
 const http = require('http');
 const cluster = require('cluster');
+const fs = require('fs');
+const path = require('path');
 const { EventEmitter } = require('events');
 const url = require('url');
+const Task = require('./task');
+const Batch = require('./batch');
+const ApiKeyStore = require('./api-key-store');
+
+// Task queue events forwarded to the dashboard's live feed
+const STREAM_EVENTS = [
+  'task:added',
+  'task:deduplicated',
+  'task:started',
+  'task:progress',
+  'task:completed',
+  'task:failed',
+  'task:retry',
+  'task:rerun',
+  'task:timeout',
+  'task:stalled',
+  'task:cancelled',
+  'task:aborted',
+  'task:due',
+  'task:unblocked',
+  'task:scheduled-run',
+  'task:dead-lettered',
+  'task:removed',
+  'task:result-expired',
+  'batch:progress',
+  'batch:completed',
+  'webhook:failed'
+];
 
 class APIServer extends EventEmitter {
   constructor(taskQueue, options = {}) {
     super();
 
     this.taskQueue = taskQueue;
-    this.port = options.port || 3000;
+    this.port = options.port !== undefined ? options.port : 3000; // 0 picks a free port
     this.host = options.host || '0.0.0.0';
     this.clustered = options.clustered !== false;
     this.numWorkers = options.numWorkers || require('os').cpus().length;
+    this.monitor = options.monitor || null; // Serves GET /metrics
+
+    // Authentication is enabled by passing auth options
+    this.keyStore = null;
+    this.auditLog = null;
+    if (options.auth) {
+      const queueDir = taskQueue.queueManager.queueDir;
+      this.keyStore = options.auth.keyStore || new ApiKeyStore({
+        file: options.auth.keysFile || path.join(queueDir, 'api-keys.json'),
+        secret: options.auth.signingSecret,
+        secretFile: options.auth.signingSecretFile,
+        maxClockSkew: options.auth.maxClockSkew
+      });
+      this.auditLog = options.auth.auditLog || path.join(queueDir, 'audit.log');
+    }
 
     this.server = null;
     this.connections = new Set();
+    this.sseClients = new Set();
+    this.sseKeepAliveInterval = options.sseKeepAliveInterval || 15000; // 15 seconds
+    this.sseKeepAliveTimer = null;
+    this.streamListeners = new Map(); // event -> listener on the task queue
   }
 
   /**
@@ -69,6 +118,12 @@ class APIServer extends EventEmitter {
    * Start single server instance
    */
   async startServer() {
+    if (this.keyStore) {
+      await this.keyStore.initialize();
+    }
+
+    this.setupEventStream();
+
     this.server = http.createServer((req, res) => {
       this.handleRequest(req, res).catch(error => {
         console.error('Request handling error:', error);
@@ -90,13 +145,14 @@ class APIServer extends EventEmitter {
           reject(error);
         } else {
           const workerId = cluster.worker ? cluster.worker.id : 'single';
-          console.log(`Worker ${process.pid} listening on ${this.host}:${this.port}`);
+          const { port } = this.server.address();
+          console.log(`Worker ${process.pid} listening on ${this.host}:${port}`);
 
           this.emit('server:started', {
             pid: process.pid,
             workerId,
             host: this.host,
-            port: this.port
+            port
           });
 
           resolve();
@@ -116,7 +172,7 @@ class APIServer extends EventEmitter {
     // CORS headers
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Idempotency-Key, Authorization, X-API-Key, X-Key-Id, X-Timestamp, X-Signature');
 
     if (method === 'OPTIONS') {
       res.writeHead(200);
@@ -124,17 +180,105 @@ class APIServer extends EventEmitter {
       return;
     }
 
+    if (this.keyStore) {
+      const scope = this.getRequiredScope(method, pathname);
+
+      if (scope === 'admin') {
+        res.on('finish', () => this.audit(req, res));
+      }
+
+      if (scope) {
+        req.apiKey = await this.authenticate(req);
+
+        if (!req.apiKey) {
+          res.setHeader('WWW-Authenticate', 'Bearer');
+          return this.sendError(res, 401, 'Authentication required');
+        }
+        if (!ApiKeyStore.hasScope(req.apiKey, scope)) {
+          return this.sendError(res, 403, `API key lacks the ${scope} scope`);
+        }
+      }
+    }
+
     // Route requests
-    if (method === 'POST' && pathname === '/tasks') {
+    if (method === 'GET' && (pathname === '/' || pathname === '/dashboard')) {
+      await this.serveDashboard(res);
+    } else if (method === 'GET' && pathname === '/events') {
+      this.handleEvents(req, res);
+    } else if (method === 'POST' && pathname === '/tasks') {
       await this.handleAddTask(req, res);
+    } else if (method === 'POST' && /^\/tasks\/[^/]+\/cancel$/.test(pathname)) {
+      await this.handleCancelTask(req, res, pathname);
+    } else if (method === 'POST' && /^\/tasks\/[^/]+\/retry$/.test(pathname)) {
+      await this.handleRetryTask(req, res, pathname);
+    } else if (method === 'GET' && /^\/tasks\/[^/]+\/result$/.test(pathname)) {
+      await this.handleGetTaskResult(req, res, pathname);
     } else if (method === 'GET' && pathname.startsWith('/tasks/')) {
       await this.handleGetTask(req, res, pathname);
     } else if (method === 'GET' && pathname === '/tasks') {
       await this.handleListTasks(req, res, parsedUrl.query);
     } else if (method === 'DELETE' && pathname.startsWith('/tasks/')) {
       await this.handleDeleteTask(req, res, pathname);
+    } else if (method === 'POST' && pathname === '/workflows') {
+      await this.handleAddWorkflow(req, res);
+    } else if (method === 'GET' && pathname.startsWith('/workflows/')) {
+      await this.handleGetWorkflow(req, res, pathname);
+    } else if (method === 'POST' && pathname === '/batches') {
+      await this.handleCreateBatch(req, res);
+    } else if (method === 'GET' && pathname === '/batches') {
+      await this.handleListBatches(req, res, parsedUrl.query);
+    } else if (method === 'POST' && /^\/batches\/[^/]+\/tasks$/.test(pathname)) {
+      await this.handleAddBatchTasks(req, res, pathname);
+    } else if (method === 'POST' && /^\/batches\/[^/]+\/close$/.test(pathname)) {
+      await this.handleCloseBatch(req, res, pathname);
+    } else if (method === 'GET' && pathname.startsWith('/batches/')) {
+      await this.handleGetBatch(req, res, pathname);
+    } else if (method === 'GET' && pathname === '/queues') {
+      await this.handleListQueues(req, res);
+    } else if (method === 'POST' && /^\/queues\/[^/]+\/(pause|resume)$/.test(pathname)) {
+      await this.handleQueueAction(req, res, pathname);
+    } else if (method === 'POST' && /^\/queues\/[^/]+$/.test(pathname)) {
+      await this.handleConfigureQueue(req, res, pathname);
+    } else if (method === 'GET' && pathname === '/webhooks') {
+      await this.handleListWebhooks(req, res, parsedUrl.query);
+    } else if (method === 'POST' && pathname === '/webhooks') {
+      await this.handleRegisterWebhook(req, res);
+    } else if (method === 'GET' && pathname === '/webhooks/deliveries') {
+      await this.handleListWebhookDeliveries(req, res, parsedUrl.query);
+    } else if (method === 'GET' && /^\/webhooks\/deliveries\/[^/]+$/.test(pathname)) {
+      await this.handleGetWebhookDelivery(req, res, pathname);
+    } else if (method === 'DELETE' && /^\/webhooks\/[^/]+$/.test(pathname)) {
+      await this.handleUnregisterWebhook(req, res, pathname);
+    } else if (method === 'GET' && pathname === '/handlers') {
+      await this.handleListHandlers(req, res);
+    } else if (method === 'POST' && pathname === '/handlers/reload') {
+      await this.handleReloadHandlers(req, res);
+    } else if (method === 'POST' && /^\/handlers\/[^/]+$/.test(pathname)) {
+      await this.handleRegisterHandler(req, res, pathname);
+    } else if (method === 'DELETE' && /^\/handlers\/[^/]+\/[^/]+$/.test(pathname)) {
+      await this.handleUnregisterHandler(req, res, pathname);
+    } else if (method === 'GET' && pathname === '/dead-letters') {
+      await this.handleListDeadLetters(req, res, parsedUrl.query);
+    } else if (method === 'DELETE' && pathname === '/dead-letters') {
+      await this.handlePurgeDeadLetters(req, res, parsedUrl.query);
+    } else if (method === 'POST' && pathname === '/dead-letters/requeue') {
+      await this.handleRequeueDeadLetters(req, res);
+    } else if (method === 'POST' && /^\/dead-letters\/[^/]+\/requeue$/.test(pathname)) {
+      await this.handleRequeueDeadLetter(req, res, pathname);
+    } else if (method === 'GET' && pathname.startsWith('/dead-letters/')) {
+      await this.handleGetDeadLetter(req, res, pathname);
+    } else if (method === 'DELETE' && pathname.startsWith('/dead-letters/')) {
+      await this.handleDeleteDeadLetter(req, res, pathname);
+    } else if (method === 'GET' && pathname === '/keys') {
+      await this.handleListKeys(req, res);
+    } else if (method === 'POST' && pathname === '/keys') {
+      await this.handleCreateKey(req, res);
+    } else if (method === 'DELETE' && pathname.startsWith('/keys/')) {
+      await this.handleRevokeKey(req, res, pathname);
     } else if (method === 'GET' && pathname === '/stats') {
       await this.handleGetStats(req, res);
+    } else if (method === 'GET' && pathname === '/metrics') {
+      await this.handleGetMetrics(req, res);
     } else if (method === 'GET' && pathname === '/health') {
       await this.handleHealthCheck(req, res);
     } else if (method === 'POST' && pathname === '/shutdown') {
@@ -149,20 +293,29 @@ class APIServer extends EventEmitter {
    */
   async handleAddTask(req, res) {
     try {
-      const body = await this.parseBody(req);
+      // Tasks join a workflow only through POST /workflows
+      const { workflowId, workflowNode, ...body } = await this.parseBody(req);
 
       if (!body.type) {
         return this.sendError(res, 400, 'Task type is required');
       }
 
-      const task = await this.taskQueue.addTask(body);
+      // Idempotency-Key header is an alternative to the body field
+      if (!body.idempotencyKey && req.headers['idempotency-key']) {
+        body.idempotencyKey = req.headers['idempotency-key'];
+      }
+
+      // A retried request returns the task created by the first one
+      const duplicate = this.taskQueue.findDuplicate(body);
+      const task = duplicate || await this.taskQueue.addTask(body);
 
-      this.sendJSON(res, 201, {
+      this.sendJSON(res, duplicate ? 200 : 201, {
         success: true,
+        deduplicated: Boolean(duplicate),
         task: task.toJSON()
       });
     } catch (error) {
-      this.sendError(res, 400, error.message);
+      this.sendError(res, error.code === 'TENANT_QUOTA_EXCEEDED' ? 429 : 400, error.message);
     }
   }
 
@@ -187,6 +340,57 @@ class APIServer extends EventEmitter {
     }
   }
 
+  /**
+   * Handle get task result. Results kept in the result store are streamed
+   * from disk instead of being loaded into memory.
+   */
+  async handleGetTaskResult(req, res, pathname) {
+    try {
+      const taskId = pathname.split('/')[2];
+      const task = this.taskQueue.getTask(taskId);
+
+      if (!task) {
+        return this.sendError(res, 404, 'Task not found');
+      }
+      if (task.status !== 'completed') {
+        return this.sendError(res, 400, `Task is ${task.status}`);
+      }
+      if (task.resultExpired) {
+        return this.sendError(res, 410, 'Result has expired');
+      }
+
+      if (!task.resultRef) {
+        res.writeHead(200, { 'Content-Type': 'application/json', 'X-Result-Storage': 'inline' });
+        res.end(JSON.stringify({ success: true, taskId, result: task.result }, null, 2));
+        return;
+      }
+
+      // Wrap the stored JSON in the usual response envelope
+      const head = `{"success":true,"taskId":${JSON.stringify(taskId)},"result":`;
+      const stream = this.taskQueue.createResultStream(taskId);
+
+      await new Promise((resolve, reject) => {
+        stream.once('open', resolve);
+        stream.once('error', reject);
+      });
+
+      res.writeHead(200, {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(head) + task.resultRef.size + 1,
+        'X-Result-Storage': 'external'
+      });
+      res.write(head);
+      stream.on('error', () => res.destroy());
+      stream.on('end', () => res.end('}'));
+      stream.pipe(res, { end: false });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return this.sendError(res, 410, 'Result is no longer stored');
+      }
+      this.sendError(res, 400, error.message);
+    }
+  }
+
   /**
    * Handle list tasks
    */
@@ -198,10 +402,12 @@ class APIServer extends EventEmitter {
 
       const allTasks = Array.from(this.taskQueue.queueManager.tasks.values());
 
-      let filteredTasks = allTasks;
-      if (status) {
-        filteredTasks = allTasks.filter(task => task.status === status);
-      }
+      const filteredTasks = allTasks.filter(task =>
+        (!status || task.status === status) &&
+        (!query.type || task.type === query.type) &&
+        (!query.queue || task.queue === query.queue) &&
+        (!query.tenant || task.tenant === query.tenant)
+      );
 
       // Sort by creation time (newest first)
       filteredTasks.sort((a, b) => b.createdAt - a.createdAt);
@@ -233,13 +439,12 @@ class APIServer extends EventEmitter {
         return this.sendError(res, 404, 'Task not found');
       }
 
-      // Only allow deletion of completed/failed tasks
-      if (task.status !== 'completed' && task.status !== 'failed') {
-        return this.sendError(res, 400, 'Can only delete completed or failed tasks');
+      // Only allow deletion of finished tasks, or unscheduling
+      if (!task.isFinished() && task.status !== 'scheduled') {
+        return this.sendError(res, 400, 'Can only delete completed, failed, cancelled or scheduled tasks');
       }
 
-      this.taskQueue.queueManager.tasks.delete(taskId);
-      this.taskQueue.queueManager.tasksByStatus[task.status].delete(taskId);
+      await this.taskQueue.removeTask(taskId);
 
       this.sendJSON(res, 200, {
         success: true,
@@ -251,125 +456,987 @@ class APIServer extends EventEmitter {
   }
 
   /**
-   * Handle get stats
+   * Handle cancel task
    */
-  async handleGetStats(req, res) {
+  async handleCancelTask(req, res, pathname) {
     try {
-      const stats = this.taskQueue.getStats();
+      const taskId = pathname.split('/')[2];
+      const body = await this.parseBody(req);
+
+      if (!this.taskQueue.getTask(taskId)) {
+        return this.sendError(res, 404, 'Task not found');
+      }
+
+      const task = await this.taskQueue.cancelTask(taskId, {
+        reason: body.reason,
+        gracePeriod: body.gracePeriod
+      });
 
       this.sendJSON(res, 200, {
         success: true,
-        stats: {
-          ...stats,
-          server: {
-            pid: process.pid,
-            workerId: cluster.worker ? cluster.worker.id : null,
-            uptime: process.uptime(),
-            memory: process.memoryUsage()
-          }
-        }
+        task: task.toJSON()
       });
     } catch (error) {
-      this.sendError(res, 500, error.message);
+      this.sendError(res, 400, error.message);
     }
   }
 
   /**
-   * Handle health check
+   * Handle retry task
    */
-  async handleHealthCheck(req, res) {
-    const stats = this.taskQueue.getStats();
+  async handleRetryTask(req, res, pathname) {
+    try {
+      const taskId = pathname.split('/')[2];
 
-    const health = {
-      status: 'healthy',
-      timestamp: Date.now(),
-      uptime: process.uptime(),
-      pid: process.pid,
-      queue: {
-        running: stats.running,
-        totalTasks: stats.queue.total,
-        pendingTasks: stats.queue.byStatus.pending
-      },
-      workers: {
-        total: stats.workers.poolSize,
-        available: stats.workers.availableWorkers,
-        busy: stats.workers.busyWorkers
+      if (!this.taskQueue.getTask(taskId)) {
+        return this.sendError(res, 404, 'Task not found');
       }
-    };
 
-    this.sendJSON(res, 200, health);
+      const task = await this.taskQueue.retryTask(taskId);
+
+      this.sendJSON(res, 200, {
+        success: true,
+        task: task.toJSON()
+      });
+    } catch (error) {
+      this.sendError(res, 400, error.message);
+    }
   }
 
   /**
-   * Handle shutdown
+   * Handle add workflow
    */
-  async handleShutdown(req, res) {
-    this.sendJSON(res, 200, {
-      success: true,
-      message: 'Shutdown initiated'
-    });
+  async handleAddWorkflow(req, res) {
+    try {
+      const body = await this.parseBody(req);
+      const workflow = await this.taskQueue.addWorkflow(body);
 
-    // Delay shutdown to allow response to be sent
-    setTimeout(() => {
-      this.shutdown();
-    }, 100);
+      this.sendJSON(res, 201, {
+        success: true,
+        workflow: this.taskQueue.getWorkflow(workflow.id)
+      });
+    } catch (error) {
+      this.sendError(res, 400, error.message);
+    }
   }
 
   /**
-   * Parse request body
+   * Handle get workflow
    */
-  async parseBody(req) {
-    return new Promise((resolve, reject) => {
-      let body = '';
+  async handleGetWorkflow(req, res, pathname) {
+    try {
+      const workflowId = pathname.split('/')[2];
+      const workflow = this.taskQueue.getWorkflow(workflowId);
 
-      req.on('data', chunk => {
-        body += chunk.toString();
+      if (!workflow) {
+        return this.sendError(res, 404, 'Workflow not found');
+      }
+
+      this.sendJSON(res, 200, {
+        success: true,
+        workflow
+      });
+    } catch (error) {
+      this.sendError(res, 400, error.message);
+    }
+  }
+
+  /**
+   * Handle create batch
+   */
+  async handleCreateBatch(req, res) {
+    try {
+      const body = await this.parseBody(req);
+      const batch = await this.taskQueue.createBatch(body);
+
+      this.sendJSON(res, 201, {
+        success: true,
+        batch: this.taskQueue.getBatch(batch.id)
       });
+    } catch (error) {
+      this.sendError(res, 400, error.message);
+    }
+  }
 
-      req.on('end', () => {
-        try {
-          const parsed = body ? JSON.parse(body) : {};
-          resolve(parsed);
-        } catch (error) {
-          reject(new Error('Invalid JSON'));
-        }
+  /**
+   * Handle list batches
+   */
+  async handleListBatches(req, res, query) {
+    try {
+      const limit = parseInt(query.limit) || 100;
+      const offset = parseInt(query.offset) || 0;
+
+      const batches = this.taskQueue.getBatches({ status: query.status });
+
+      this.sendJSON(res, 200, {
+        success: true,
+        batches: batches.slice(offset, offset + limit),
+        total: batches.length,
+        limit,
+        offset
       });
+    } catch (error) {
+      this.sendError(res, 400, error.message);
+    }
+  }
 
-      req.on('error', reject);
-    });
+  /**
+   * Handle get batch
+   */
+  async handleGetBatch(req, res, pathname) {
+    try {
+      const batchId = pathname.split('/')[2];
+      const batch = this.taskQueue.getBatch(batchId);
+
+      if (!batch) {
+        return this.sendError(res, 404, 'Batch not found');
+      }
+
+      this.sendJSON(res, 200, {
+        success: true,
+        batch
+      });
+    } catch (error) {
+      this.sendError(res, 400, error.message);
+    }
   }
 
   /**
-   * Send JSON response
+   * Handle add tasks to an open batch
    */
-  sendJSON(res, statusCode, data) {
-    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify(data, null, 2));
+  async handleAddBatchTasks(req, res, pathname) {
+    try {
+      const batchId = pathname.split('/')[2];
+
+      if (!this.taskQueue.getBatch(batchId)) {
+        return this.sendError(res, 404, 'Batch not found');
+      }
+
+      const body = await this.parseBody(req);
+      if (!Array.isArray(body.tasks) || body.tasks.length === 0) {
+        return this.sendError(res, 400, 'tasks must be a non-empty array');
+      }
+      if (body.tasks.some(taskData => !taskData || !taskData.type)) {
+        return this.sendError(res, 400, 'Task type is required');
+      }
+
+      const tasks = [];
+      for (const taskData of body.tasks) {
+        tasks.push(await this.taskQueue.addTask({ ...taskData, batchId }));
+      }
+
+      this.sendJSON(res, 201, {
+        success: true,
+        tasks: tasks.map(task => task.toJSON()),
+        batch: this.taskQueue.getBatch(batchId)
+      });
+    } catch (error) {
+      this.sendError(res, 400, error.message);
+    }
   }
 
   /**
-   * Send error response
+   * Handle close batch
    */
-  sendError(res, statusCode, message) {
-    this.sendJSON(res, statusCode, {
-      success: false,
-      error: message
+  async handleCloseBatch(req, res, pathname) {
+    try {
+      const batchId = pathname.split('/')[2];
+
+      if (!this.taskQueue.getBatch(batchId)) {
+        return this.sendError(res, 404, 'Batch not found');
+      }
+
+      await this.taskQueue.closeBatch(batchId);
+
+      this.sendJSON(res, 200, {
+        success: true,
+        batch: this.taskQueue.getBatch(batchId)
+      });
+    } catch (error) {
+      this.sendError(res, 400, error.message);
+    }
+  }
+
+  /**
+   * Handle list queues
+   */
+  async handleListQueues(req, res) {
+    try {
+      this.sendJSON(res, 200, {
+        success: true,
+        queues: this.taskQueue.getQueues()
+      });
+    } catch (error) {
+      this.sendError(res, 500, error.message);
+    }
+  }
+
+  /**
+   * Handle configure queue
+   */
+  async handleConfigureQueue(req, res, pathname) {
+    try {
+      const name = pathname.split('/')[2];
+      const body = await this.parseBody(req);
+
+      const queue = await this.taskQueue.configureQueue(name, {
+        concurrency: body.concurrency,
+        rateLimit: body.rateLimit
+      });
+
+      this.sendJSON(res, 200, {
+        success: true,
+        queue: queue.getStats()
+      });
+    } catch (error) {
+      this.sendError(res, 400, error.message);
+    }
+  }
+
+  /**
+   * Handle list task handlers
+   */
+  async handleListHandlers(req, res) {
+    this.sendJSON(res, 200, {
+      success: true,
+      handlers: this.taskQueue.getHandlers()
     });
   }
 
   /**
-   * Graceful shutdown
+   * Handle register handler version (path is a file on the queue host)
    */
-  async shutdown() {
-    console.log('Shutting down API server...');
+  async handleRegisterHandler(req, res, pathname) {
+    try {
+      const type = pathname.split('/')[2];
+      const body = await this.parseBody(req);
+
+      const reload = await this.taskQueue.registerHandler(type, body.path, body.version);
+
+      this.sendJSON(res, 200, {
+        success: true,
+        reload,
+        handlers: this.taskQueue.getHandlers()
+      });
+    } catch (error) {
+      this.sendError(res, 400, error.message);
+    }
+  }
+
+  /**
+   * Handle unregister handler version
+   */
+  async handleUnregisterHandler(req, res, pathname) {
+    try {
+      const [, , type, version] = pathname.split('/');
+
+      if (!this.taskQueue.getHandlers().some(handler => handler.type === type && Object.hasOwn(handler.versions, version))) {
+        return this.sendError(res, 404, 'Handler version not found');
+      }
+
+      const reload = await this.taskQueue.unregisterHandler(type, version);
+
+      this.sendJSON(res, 200, {
+        success: true,
+        reload
+      });
+    } catch (error) {
+      this.sendError(res, 400, error.message);
+    }
+  }
+
+  /**
+   * Handle list task type webhooks
+   */
+  async handleListWebhooks(req, res, query) {
+    this.sendJSON(res, 200, {
+      success: true,
+      webhooks: this.taskQueue.getWebhooks(query.type)
+    });
+  }
+
+  /**
+   * Handle register task type webhook
+   */
+  async handleRegisterWebhook(req, res) {
+    try {
+      const body = await this.parseBody(req);
+      const { type, ...webhook } = body;
+
+      const registration = this.taskQueue.registerWebhook(type, webhook);
+
+      this.sendJSON(res, 201, {
+        success: true,
+        webhook: registration
+      });
+    } catch (error) {
+      this.sendError(res, 400, error.message);
+    }
+  }
+
+  /**
+   * Handle unregister task type webhook
+   */
+  async handleUnregisterWebhook(req, res, pathname) {
+    const webhookId = pathname.split('/')[2];
+
+    if (!this.taskQueue.unregisterWebhook(webhookId)) {
+      return this.sendError(res, 404, 'Webhook not found');
+    }
+
+    this.sendJSON(res, 200, {
+      success: true,
+      message: 'Webhook removed'
+    });
+  }
+
+  /**
+   * Handle list webhook deliveries
+   */
+  async handleListWebhookDeliveries(req, res, query) {
+    try {
+      const limit = parseInt(query.limit) || 100;
+      const offset = parseInt(query.offset) || 0;
+
+      const deliveries = this.taskQueue.getWebhookDeliveries({
+        taskId: query.taskId,
+        webhookId: query.webhookId,
+        event: query.event,
+        status: query.status
+      });
+
+      this.sendJSON(res, 200, {
+        success: true,
+        deliveries: deliveries.slice(offset, offset + limit),
+        total: deliveries.length,
+        limit,
+        offset
+      });
+    } catch (error) {
+      this.sendError(res, 400, error.message);
+    }
+  }
+
+  /**
+   * Handle get webhook delivery
+   */
+  async handleGetWebhookDelivery(req, res, pathname) {
+    const delivery = this.taskQueue.getWebhookDelivery(pathname.split('/')[3]);
+
+    if (!delivery) {
+      return this.sendError(res, 404, 'Delivery not found');
+    }
+
+    this.sendJSON(res, 200, {
+      success: true,
+      delivery
+    });
+  }
+
+  /**
+   * Handle reload handlers
+   */
+  async handleReloadHandlers(req, res) {
+    try {
+      const reload = await this.taskQueue.reloadHandlers();
+
+      this.sendJSON(res, 200, {
+        success: true,
+        reload
+      });
+    } catch (error) {
+      this.sendError(res, 400, error.message);
+    }
+  }
+
+  /**
+   * Handle pause/resume queue
+   */
+  async handleQueueAction(req, res, pathname) {
+    try {
+      const [, , name, action] = pathname.split('/');
+
+      const queue = action === 'pause'
+        ? await this.taskQueue.pauseQueue(name)
+        : await this.taskQueue.resumeQueue(name);
+
+      this.sendJSON(res, 200, {
+        success: true,
+        queue: queue.getStats()
+      });
+    } catch (error) {
+      this.sendError(res, 400, error.message);
+    }
+  }
+
+  /**
+   * Handle list dead letters
+   */
+  async handleListDeadLetters(req, res, query) {
+    try {
+      const limit = parseInt(query.limit) || 100;
+      const offset = parseInt(query.offset) || 0;
+
+      const entries = this.taskQueue.getDeadLetters({
+        type: query.type,
+        queue: query.queue
+      });
+
+      this.sendJSON(res, 200, {
+        success: true,
+        deadLetters: entries.slice(offset, offset + limit).map(entry => this.serializeDeadLetter(entry)),
+        total: entries.length,
+        limit,
+        offset
+      });
+    } catch (error) {
+      this.sendError(res, 400, error.message);
+    }
+  }
+
+  /**
+   * Handle get dead letter (includes the error of every attempt)
+   */
+  async handleGetDeadLetter(req, res, pathname) {
+    try {
+      const taskId = pathname.split('/')[2];
+      const entry = this.taskQueue.getDeadLetter(taskId);
+
+      if (!entry) {
+        return this.sendError(res, 404, 'Dead letter not found');
+      }
+
+      this.sendJSON(res, 200, {
+        success: true,
+        deadLetter: this.serializeDeadLetter(entry)
+      });
+    } catch (error) {
+      this.sendError(res, 400, error.message);
+    }
+  }
+
+  /**
+   * Handle requeue dead letter
+   */
+  async handleRequeueDeadLetter(req, res, pathname) {
+    try {
+      const taskId = pathname.split('/')[2];
+
+      if (!this.taskQueue.getDeadLetter(taskId)) {
+        return this.sendError(res, 404, 'Dead letter not found');
+      }
+
+      const task = await this.taskQueue.requeueDeadLetter(taskId);
+
+      this.sendJSON(res, 200, {
+        success: true,
+        task: task.toJSON()
+      });
+    } catch (error) {
+      this.sendError(res, 400, error.message);
+    }
+  }
+
+  /**
+   * Handle bulk requeue of dead letters matching ids, type or queue
+   */
+  async handleRequeueDeadLetters(req, res) {
+    try {
+      const body = await this.parseBody(req);
+
+      const tasks = await this.taskQueue.requeueDeadLetters({
+        ids: body.ids,
+        type: body.type,
+        queue: body.queue
+      });
+
+      this.sendJSON(res, 200, {
+        success: true,
+        requeued: tasks.length,
+        taskIds: tasks.map(task => task.id)
+      });
+    } catch (error) {
+      this.sendError(res, 400, error.message);
+    }
+  }
+
+  /**
+   * Handle delete dead letter
+   */
+  async handleDeleteDeadLetter(req, res, pathname) {
+    try {
+      const taskId = pathname.split('/')[2];
+
+      if (!this.taskQueue.getDeadLetter(taskId)) {
+        return this.sendError(res, 404, 'Dead letter not found');
+      }
+
+      await this.taskQueue.purgeDeadLetters({ ids: [taskId] });
+
+      this.sendJSON(res, 200, {
+        success: true,
+        message: 'Dead letter deleted'
+      });
+    } catch (error) {
+      this.sendError(res, 400, error.message);
+    }
+  }
+
+  /**
+   * Handle purge dead letters matching type or queue
+   */
+  async handlePurgeDeadLetters(req, res, query) {
+    try {
+      const purged = await this.taskQueue.purgeDeadLetters({
+        type: query.type,
+        queue: query.queue
+      });
+
+      this.sendJSON(res, 200, {
+        success: true,
+        purged
+      });
+    } catch (error) {
+      this.sendError(res, 400, error.message);
+    }
+  }
+
+  /**
+   * Serialize dead-letter entry for responses
+   */
+  serializeDeadLetter(entry) {
+    return {
+      task: entry.task.toJSON(),
+      reason: entry.reason,
+      deadLetteredAt: entry.deadLetteredAt
+    };
+  }
+
+  /**
+   * Get the scope a route requires, or null for public routes.
+   * Reads need read, submitting tasks, workflows and batches needs submit,
+   * everything else (cancel, delete, queue settings, shutdown, keys) needs admin.
+   */
+  getRequiredScope(method, pathname) {
+    if (pathname === '/health' || (method === 'GET' && (pathname === '/' || pathname === '/dashboard'))) {
+      return null;
+    }
+    if (method === 'POST' && (pathname === '/tasks' || pathname === '/workflows' || pathname.startsWith('/batches'))) {
+      return 'submit';
+    }
+    if (method === 'GET' && pathname !== '/keys') {
+      return 'read';
+    }
+    return 'admin';
+  }
+
+  /**
+   * Authenticate a request by API key (Authorization: Bearer or X-API-Key)
+   * or by HMAC signature (X-Key-Id, X-Timestamp, X-Signature)
+   */
+  async authenticate(req) {
+    const bearer = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    const key = bearer ? bearer[1] : req.headers['x-api-key'];
+
+    if (key) {
+      return this.keyStore.authenticateKey(key);
+    }
+
+    if (req.headers['x-signature']) {
+      // The signature covers the body, so read it before routing
+      req.rawBody = await this.readBody(req);
+
+      return this.keyStore.authenticateSignature({
+        keyId: req.headers['x-key-id'],
+        timestamp: req.headers['x-timestamp'],
+        signature: req.headers['x-signature'],
+        method: req.method,
+        path: req.url,
+        body: req.rawBody
+      });
+    }
+
+    return null;
+  }
+
+  /**
+   * Append an administrative call to the audit log
+   */
+  audit(req, res) {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      keyId: req.apiKey ? req.apiKey.id : null,
+      keyName: req.apiKey ? req.apiKey.name : null,
+      method: req.method,
+      path: req.url,
+      status: res.statusCode,
+      ip: req.socket.remoteAddress
+    };
+
+    this.emit('audit', entry);
+
+    fs.promises.appendFile(this.auditLog, JSON.stringify(entry) + '\n').catch(error => {
+      console.error('Failed to write audit log:', error);
+    });
+  }
+
+  /**
+   * Handle list API keys
+   */
+  async handleListKeys(req, res) {
+    if (!this.keyStore) {
+      return this.sendError(res, 404, 'Authentication is not enabled');
+    }
+
+    this.sendJSON(res, 200, {
+      success: true,
+      keys: this.keyStore.list()
+    });
+  }
+
+  /**
+   * Handle create API key. The key and its signing key are only returned in this response.
+   */
+  async handleCreateKey(req, res) {
+    if (!this.keyStore) {
+      return this.sendError(res, 404, 'Authentication is not enabled');
+    }
+
+    try {
+      const body = await this.parseBody(req);
+      const { key, signingKey, record } = await this.keyStore.create({
+        name: body.name,
+        scopes: body.scopes
+      });
+
+      this.sendJSON(res, 201, {
+        success: true,
+        key,
+        signingKey,
+        apiKey: ApiKeyStore.describe(record)
+      });
+    } catch (error) {
+      this.sendError(res, 400, error.message);
+    }
+  }
+
+  /**
+   * Handle revoke API key
+   */
+  async handleRevokeKey(req, res, pathname) {
+    if (!this.keyStore) {
+      return this.sendError(res, 404, 'Authentication is not enabled');
+    }
+
+    try {
+      const id = pathname.split('/')[2];
+
+      if (!this.keyStore.keys.has(id)) {
+        return this.sendError(res, 404, 'API key not found');
+      }
+
+      const record = await this.keyStore.revoke(id);
+
+      this.sendJSON(res, 200, {
+        success: true,
+        apiKey: ApiKeyStore.describe(record)
+      });
+    } catch (error) {
+      this.sendError(res, 400, error.message);
+    }
+  }
+
+  /**
+   * Handle get stats
+   */
+  async handleGetStats(req, res) {
+    try {
+      const stats = this.taskQueue.getStats();
+
+      this.sendJSON(res, 200, {
+        success: true,
+        stats: {
+          ...stats,
+          server: {
+            pid: process.pid,
+            workerId: cluster.worker ? cluster.worker.id : null,
+            uptime: process.uptime(),
+            memory: process.memoryUsage()
+          }
+        }
+      });
+    } catch (error) {
+      this.sendError(res, 500, error.message);
+    }
+  }
+
+  /**
+   * Handle Prometheus metrics scrape
+   */
+  async handleGetMetrics(req, res) {
+    if (!this.monitor) {
+      return this.sendError(res, 404, 'Metrics are not enabled (pass a monitor to the API server)');
+    }
+
+    try {
+      const body = this.monitor.getPrometheusMetrics();
+
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+      res.end(body);
+    } catch (error) {
+      this.sendError(res, 500, error.message);
+    }
+  }
+
+  /**
+   * Serve dashboard
+   */
+  async serveDashboard(res) {
+    try {
+      const content = await fs.promises.readFile(path.join(__dirname, '../public/index.html'), 'utf8');
+
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(content);
+    } catch (error) {
+      this.sendError(res, 500, 'Failed to load dashboard');
+    }
+  }
+
+  /**
+   * Handle Server-Sent Events stream of task events
+   */
+  handleEvents(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+
+    this.sseClients.add(res);
+    this.sendSSEEvent(res, 'connected', { timestamp: Date.now() });
+
+    req.on('close', () => {
+      this.sseClients.delete(res);
+    });
+  }
+
+  /**
+   * Forward task queue events to SSE clients.
+   * Listeners are shared by all clients and removed on shutdown.
+   */
+  setupEventStream() {
+    if (this.streamListeners.size > 0) {
+      return;
+    }
+
+    for (const event of STREAM_EVENTS) {
+      const listener = (data) => {
+        if (this.sseClients.size === 0) {
+          return;
+        }
+
+        const payload = { event, timestamp: Date.now(), ...this.serializeEventData(data) };
+        for (const client of this.sseClients) {
+          this.sendSSEEvent(client, event, payload);
+        }
+      };
+
+      this.streamListeners.set(event, listener);
+      this.taskQueue.on(event, listener);
+    }
+
+    // Comment lines keep idle connections open through proxies
+    this.sseKeepAliveTimer = setInterval(() => {
+      for (const client of this.sseClients) {
+        client.write(': keep-alive\n\n');
+      }
+    }, this.sseKeepAliveInterval);
+  }
+
+  /**
+   * Stop forwarding events and close SSE connections
+   */
+  closeEventStream() {
+    for (const [event, listener] of this.streamListeners) {
+      this.taskQueue.off(event, listener);
+    }
+    this.streamListeners.clear();
+
+    if (this.sseKeepAliveTimer) {
+      clearInterval(this.sseKeepAliveTimer);
+      this.sseKeepAliveTimer = null;
+    }
+
+    for (const client of this.sseClients) {
+      client.end();
+    }
+    this.sseClients.clear();
+  }
+
+  /**
+   * Reduce event data to a small JSON-safe summary
+   */
+  serializeEventData(data) {
+    if (data instanceof Task) {
+      return { task: this.summarizeTask(data) };
+    }
+    if (data instanceof Batch) {
+      return { batch: data.toJSON() };
+    }
+
+    const result = {};
+    for (const [key, value] of Object.entries(data || {})) {
+      if (value instanceof Task) {
+        result[key] = this.summarizeTask(value);
+      } else if (value instanceof Error) {
+        result[key] = value.message;
+      } else {
+        result[key] = value;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Summarize a task for the event stream (payload and result are left out)
+   */
+  summarizeTask(task) {
+    return {
+      id: task.id,
+      type: task.type,
+      queue: task.queue,
+      status: task.status,
+      priority: task.priority,
+      attempts: task.attempts,
+      maxAttempts: task.maxAttempts,
+      progress: task.progress,
+      workerId: task.workerId,
+      error: task.error ? task.error.message : null,
+      createdAt: task.createdAt,
+      updatedAt: task.updatedAt
+    };
+  }
+
+  /**
+   * Send SSE event
+   */
+  sendSSEEvent(res, event, data) {
+    try {
+      res.write(`event: ${event}\n`);
+      res.write(`data: ${JSON.stringify(data)}\n\n`);
+    } catch (error) {
+      // Client disconnected
+    }
+  }
+
+  /**
+   * Handle health check
+   */
+  async handleHealthCheck(req, res) {
+    const stats = this.taskQueue.getStats();
+
+    const health = {
+      status: 'healthy',
+      timestamp: Date.now(),
+      uptime: process.uptime(),
+      pid: process.pid,
+      queue: {
+        running: stats.running,
+        totalTasks: stats.queue.total,
+        pendingTasks: stats.queue.byStatus.pending,
+        scheduledTasks: stats.queue.byStatus.scheduled
+      },
+      workers: {
+        total: stats.workers.poolSize,
+        available: stats.workers.availableWorkers,
+        busy: stats.workers.busyWorkers
+      }
+    };
+
+    this.sendJSON(res, 200, health);
+  }
+
+  /**
+   * Handle shutdown
+   */
+  async handleShutdown(req, res) {
+    this.sendJSON(res, 200, {
+      success: true,
+      message: 'Shutdown initiated'
+    });
+
+    // Delay shutdown to allow response to be sent
+    setTimeout(() => {
+      this.shutdown();
+    }, 100);
+  }
+
+  /**
+   * Parse request body
+   */
+  async parseBody(req) {
+    // Signed requests have their body read during authentication
+    const body = req.rawBody !== undefined ? req.rawBody : await this.readBody(req);
+
+    try {
+      return body ? JSON.parse(body) : {};
+    } catch (error) {
+      throw new Error('Invalid JSON');
+    }
+  }
+
+  /**
+   * Read the raw request body
+   */
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      let body = '';
+
+      req.on('data', chunk => {
+        body += chunk.toString();
+      });
+
+      req.on('end', () => resolve(body));
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Send JSON response
+   */
+  sendJSON(res, statusCode, data) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data, null, 2));
+  }
+
+  /**
+   * Send error response
+   */
+  sendError(res, statusCode, message) {
+    this.sendJSON(res, statusCode, {
+      success: false,
+      error: message
+    });
+  }
+
+  /**
+   * Graceful shutdown
+   */
+  async shutdown() {
+    console.log('Shutting down API server...');
+
+    if (cluster.isPrimary && this.clustered) {
+      // Shutdown all workers
+      for (const id in cluster.workers) {
+        cluster.workers[id].kill();
+      }
+      process.exit(0);
+    } else {
+      this.closeEventStream();
+      if (this.keyStore) {
+        this.keyStore.close();
+      }
 
-    if (cluster.isPrimary && this.clustered) {
-      // Shutdown all workers
-      for (const id in cluster.workers) {
-        cluster.workers[id].kill();
-      }
-      process.exit(0);
-    } else {
       // Close server
       if (this.server) {
         // Stop accepting new connections
@@ -0,0 +1,172 @@
+/**
+ * Batch Model
+ * A group of independent tasks tracked together, with an optional task enqueued once all finish
+ */
+
+const crypto = require('crypto');
+
+class Batch {
+  static STATUS = {
+    OPEN: 'open', // Accepting tasks
+    RUNNING: 'running', // Closed, waiting for tasks to finish
+    COMPLETED: 'completed'
+  };
+
+  constructor(data = {}, options = {}) {
+    if (data.onComplete && !data.onComplete.type) {
+      throw new Error('Batch onComplete task is missing a type');
+    }
+
+    this.id = options.id || crypto.randomUUID();
+    this.name = data.name || null;
+    this.onComplete = data.onComplete || null; // Task data enqueued when the batch completes
+    this.onCompleteTaskId = null;
+    this.status = Batch.STATUS.OPEN;
+    this.total = 0;
+    this.counts = {
+      completed: 0,
+      failed: 0,
+      cancelled: 0
+    };
+    this.createdAt = options.createdAt || Date.now();
+    this.updatedAt = Date.now();
+    this.closedAt = null;
+    this.completedAt = null;
+  }
+
+  /**
+   * Count a new member task
+   */
+  add() {
+    if (this.status !== Batch.STATUS.OPEN) {
+      throw new Error(`Batch ${this.id} is closed`);
+    }
+
+    this.total++;
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * Stop accepting tasks. The batch completes once every member has finished.
+   */
+  close() {
+    if (this.status !== Batch.STATUS.OPEN) {
+      throw new Error(`Batch ${this.id} is already closed`);
+    }
+
+    this.status = Batch.STATUS.RUNNING;
+    this.closedAt = Date.now();
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * Record a member that finished with the given status (completed, failed or cancelled)
+   */
+  recordFinished(status) {
+    if (!(status in this.counts)) {
+      throw new Error(`Invalid batch task status: ${status}`);
+    }
+
+    this.counts[status]++;
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * Undo recordFinished for a member that runs again (retried or requeued)
+   */
+  recordReopened(status) {
+    if (this.counts[status] > 0) {
+      this.counts[status]--;
+      this.updatedAt = Date.now();
+    }
+  }
+
+  /**
+   * Get the number of members that have finished
+   */
+  getFinishedCount() {
+    return this.counts.completed + this.counts.failed + this.counts.cancelled;
+  }
+
+  /**
+   * Check if the batch is closed and every member has finished
+   */
+  isDone() {
+    return this.status === Batch.STATUS.RUNNING && this.getFinishedCount() >= this.total;
+  }
+
+  /**
+   * Mark batch as completed
+   */
+  complete() {
+    this.status = Batch.STATUS.COMPLETED;
+    this.completedAt = Date.now();
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * Check if batch has completed
+   */
+  isFinished() {
+    return this.status === Batch.STATUS.COMPLETED;
+  }
+
+  /**
+   * Summary passed to the onComplete task
+   */
+  getSummary() {
+    return {
+      id: this.id,
+      name: this.name,
+      total: this.total,
+      ...this.counts
+    };
+  }
+
+  /**
+   * Serialize batch for storage
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      onComplete: this.onComplete,
+      onCompleteTaskId: this.onCompleteTaskId,
+      status: this.status,
+      total: this.total,
+      counts: this.counts,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+      closedAt: this.closedAt,
+      completedAt: this.completedAt
+    };
+  }
+
+  /**
+   * Create batch from stored JSON
+   */
+  static fromJSON(json) {
+    const batch = new Batch(
+      {
+        name: json.name,
+        onComplete: json.onComplete
+      },
+      {
+        id: json.id,
+        createdAt: json.createdAt
+      }
+    );
+
+    batch.onCompleteTaskId = json.onCompleteTaskId;
+    batch.status = json.status;
+    batch.total = json.total;
+    batch.counts = { ...json.counts };
+    batch.updatedAt = json.updatedAt;
+    batch.closedAt = json.closedAt;
+    batch.completedAt = json.completedAt;
+
+    return batch;
+  }
+}
+
+module.exports = Batch;
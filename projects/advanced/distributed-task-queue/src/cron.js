@@ -0,0 +1,207 @@
+/**
+ * Cron Expression
+ * Parses standard 5-field cron expressions and computes next run times
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+// Give up searching after this many years (e.g. "0 0 30 2 *" never matches)
+const MAX_SEARCH_YEARS = 5;
+
+class CronExpression {
+  constructor(expression) {
+    this.expression = expression;
+
+    const source = MACROS[expression.trim().toLowerCase()] || expression.trim();
+    const parts = source.split(/\s+/);
+
+    if (parts.length !== FIELDS.length) {
+      throw new Error(`Invalid cron expression "${expression}": expected ${FIELDS.length} fields`);
+    }
+
+    this.fields = {};
+    FIELDS.forEach((field, index) => {
+      this.fields[field.name] = CronExpression.parseField(parts[index], field, expression);
+    });
+
+    // Sunday may be written as 0 or 7
+    if (this.fields.dayOfWeek.has(7)) {
+      this.fields.dayOfWeek.delete(7);
+      this.fields.dayOfWeek.add(0);
+    }
+
+    // When both day fields are restricted, a day matches if either does.
+    // As in cron, a field starting with * (such as */2) is not restricted.
+    this.dayOfMonthRestricted = !parts[2].startsWith('*') && parts[2] !== '?';
+    this.dayOfWeekRestricted = !parts[4].startsWith('*') && parts[4] !== '?';
+  }
+
+  /**
+   * Parse a single field into the set of allowed values
+   */
+  static parseField(source, field, expression) {
+    const values = new Set();
+
+    for (const part of source.split(',')) {
+      const [rangePart, stepPart] = part.split('/');
+      const step = stepPart === undefined ? 1 : Number(stepPart);
+
+      if (!Number.isInteger(step) || step < 1) {
+        throw new Error(`Invalid step "${stepPart}" in ${field.name} field of "${expression}"`);
+      }
+
+      let start;
+      let end;
+
+      if (rangePart === '*' || rangePart === '?') {
+        start = field.min;
+        end = field.max;
+      } else if (rangePart.includes('-')) {
+        const [from, to] = rangePart.split('-');
+        start = CronExpression.parseValue(from, field, expression);
+        end = CronExpression.parseValue(to, field, expression);
+      } else {
+        start = CronExpression.parseValue(rangePart, field, expression);
+        end = stepPart === undefined ? start : field.max;
+      }
+
+      if (start > end) {
+        throw new Error(`Invalid range "${rangePart}" in ${field.name} field of "${expression}"`);
+      }
+
+      for (let value = start; value <= end; value += step) {
+        values.add(value);
+      }
+    }
+
+    return values;
+  }
+
+  /**
+   * Parse a single numeric or named value
+   */
+  static parseValue(source, field, expression) {
+    let value;
+
+    if (field.names && /^[a-z]+$/i.test(source)) {
+      const index = field.names.indexOf(source.toUpperCase());
+      value = field.name === 'month' ? index + 1 : index;
+      if (index === -1) {
+        throw new Error(`Invalid name "${source}" in ${field.name} field of "${expression}"`);
+      }
+    } else {
+      value = Number(source);
+    }
+
+    if (!Number.isInteger(value) || value < field.min || value > field.max) {
+      throw new Error(`Value "${source}" out of range in ${field.name} field of "${expression}"`);
+    }
+
+    return value;
+  }
+
+  /**
+   * Check if a day matches the day-of-month and day-of-week fields
+   */
+  matchesDay(date) {
+    const domMatch = this.fields.dayOfMonth.has(date.getDate());
+    const dowMatch = this.fields.dayOfWeek.has(date.getDay());
+
+    if (this.dayOfMonthRestricted && this.dayOfWeekRestricted) {
+      return domMatch || dowMatch;
+    }
+    return domMatch && dowMatch;
+  }
+
+  /**
+   * Check if a date matches the expression (minute resolution)
+   */
+  matches(date) {
+    return (
+      this.fields.minute.has(date.getMinutes()) &&
+      this.fields.hour.has(date.getHours()) &&
+      this.fields.month.has(date.getMonth() + 1) &&
+      this.matchesDay(date)
+    );
+  }
+
+  /**
+   * Get the next matching time strictly after the given time
+   */
+  next(from = Date.now()) {
+    const date = new Date(from);
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    const limit = new Date(date);
+    limit.setFullYear(limit.getFullYear() + MAX_SEARCH_YEARS);
+
+    while (date < limit) {
+      if (!this.fields.month.has(date.getMonth() + 1)) {
+        date.setMonth(date.getMonth() + 1, 1);
+        date.setHours(0, 0, 0, 0);
+        continue;
+      }
+
+      if (!this.matchesDay(date)) {
+        date.setDate(date.getDate() + 1);
+        date.setHours(0, 0, 0, 0);
+        continue;
+      }
+
+      if (!this.fields.hour.has(date.getHours())) {
+        date.setHours(date.getHours() + 1, 0, 0, 0);
+        continue;
+      }
+
+      if (!this.fields.minute.has(date.getMinutes())) {
+        date.setMinutes(date.getMinutes() + 1, 0, 0);
+        continue;
+      }
+
+      return date;
+    }
+
+    throw new Error(`Cron expression "${this.expression}" has no run time within ${MAX_SEARCH_YEARS} years`);
+  }
+
+  /**
+   * Parse expression (throws on invalid input)
+   */
+  static parse(expression) {
+    if (typeof expression !== 'string' || expression.trim() === '') {
+      throw new Error('Cron expression must be a non-empty string');
+    }
+    return new CronExpression(expression);
+  }
+
+  /**
+   * Check if expression is valid
+   */
+  static isValid(expression) {
+    try {
+      CronExpression.parse(expression);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
+
+module.exports = CronExpression;
@@ -0,0 +1,70 @@
+/**
+ * Fair Scheduler
+ * Start-time fair queuing across tenants: each started task advances its tenant's
+ * virtual time by 1 / weight, and the tenant with the earliest virtual start goes next
+ */
+
+class FairScheduler {
+  constructor() {
+    this.virtualTime = 0; // Start tag of the last started task
+  }
+
+  /**
+   * Pick the next task. Within a tenant, tasks run by priority, then oldest first.
+   * getTenant maps a task to its Tenant.
+   */
+  select(tasks, getTenant) {
+    const heads = new Map(); // Tenant -> its next task
+
+    for (const task of tasks) {
+      const tenant = getTenant(task);
+      const head = heads.get(tenant);
+      if (!head || FairScheduler.compareTasks(task, head) < 0) {
+        heads.set(tenant, task);
+      }
+    }
+
+    let next = null;
+    let nextStart = Infinity;
+
+    for (const [tenant, task] of heads) {
+      const start = this.getStartTime(tenant);
+      if (start < nextStart || (start === nextStart && FairScheduler.compareTasks(task, next) < 0)) {
+        next = task;
+        nextStart = start;
+      }
+    }
+
+    return next;
+  }
+
+  /**
+   * Account for a task of the tenant starting
+   */
+  charge(tenant) {
+    const start = this.getStartTime(tenant);
+
+    this.virtualTime = start;
+    tenant.virtualTime = start + 1 / tenant.weight;
+  }
+
+  /**
+   * Virtual start time of the tenant's next task. A tenant that sat idle
+   * resumes at the current virtual time instead of catching up in a burst.
+   */
+  getStartTime(tenant) {
+    return Math.max(tenant.virtualTime, this.virtualTime);
+  }
+
+  /**
+   * Order tasks by priority (descending), then creation time (ascending)
+   */
+  static compareTasks(a, b) {
+    if (a.priority !== b.priority) {
+      return b.priority - a.priority;
+    }
+    return a.createdAt - b.createdAt;
+  }
+}
+
+module.exports = FairScheduler;
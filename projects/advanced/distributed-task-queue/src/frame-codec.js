@@ -0,0 +1,64 @@
+/**
+ * Frame Codec
+ * Length-prefixed JSON framing for the remote worker protocol
+ *
+ * Each frame is a 4-byte unsigned big-endian length followed by that many
+ * bytes of UTF-8 JSON.
+ */
+
+const HEADER_SIZE = 4;
+
+class FrameCodec {
+  static MAX_FRAME_SIZE = 16 * 1024 * 1024; // 16MB
+
+  constructor(options = {}) {
+    this.maxFrameSize = options.maxFrameSize || FrameCodec.MAX_FRAME_SIZE;
+    this.buffer = Buffer.alloc(0);
+  }
+
+  /**
+   * Encode a message as a single frame
+   */
+  static encode(message) {
+    const body = Buffer.from(JSON.stringify(message), 'utf8');
+    const header = Buffer.alloc(HEADER_SIZE);
+    header.writeUInt32BE(body.length, 0);
+
+    return Buffer.concat([header, body]);
+  }
+
+  /**
+   * Add received bytes and return every complete message.
+   * Partial frames are kept until the rest arrives.
+   */
+  push(chunk) {
+    this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+    const messages = [];
+
+    while (this.buffer.length >= HEADER_SIZE) {
+      const length = this.buffer.readUInt32BE(0);
+
+      if (length > this.maxFrameSize) {
+        throw new Error(`Frame of ${length} bytes exceeds limit of ${this.maxFrameSize} bytes`);
+      }
+
+      if (this.buffer.length < HEADER_SIZE + length) {
+        break;
+      }
+
+      const body = this.buffer.subarray(HEADER_SIZE, HEADER_SIZE + length);
+      this.buffer = this.buffer.subarray(HEADER_SIZE + length);
+
+      try {
+        messages.push(JSON.parse(body.toString('utf8')));
+      } catch (error) {
+        throw new Error(`Invalid frame: ${error.message}`);
+      }
+    }
+
+    return messages;
+  }
+}
+
+module.exports = FrameCodec;
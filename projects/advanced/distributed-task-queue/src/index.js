@@ -4,17 +4,49 @@
  */
 
 const Task = require('./task');
+const Workflow = require('./workflow');
+const Batch = require('./batch');
+const NamedQueue = require('./named-queue');
+const Tenant = require('./tenant');
+const FairScheduler = require('./fair-scheduler');
 const TaskQueue = require('./task-queue');
 const QueueManager = require('./queue-manager');
 const WorkerPool = require('./worker-pool');
+const WorkerServer = require('./worker-server');
+const RemoteWorker = require('./remote-worker');
+const FrameCodec = require('./frame-codec');
 const APIServer = require('./api-server');
+const ApiClient = require('./api-client');
+const ApiKeyStore = require('./api-key-store');
+const WebhookDispatcher = require('./webhook-dispatcher');
 const Monitor = require('./monitor');
+const MetricsRegistry = require('./metrics-registry');
+const CronExpression = require('./cron');
+const Journal = require('./journal');
+const ResultStore = require('./result-store');
+const RetryPolicy = require('./retry-policy');
 
 module.exports = {
   Task,
+  Workflow,
+  Batch,
+  NamedQueue,
+  Tenant,
+  FairScheduler,
   TaskQueue,
   QueueManager,
   WorkerPool,
+  WorkerServer,
+  RemoteWorker,
+  FrameCodec,
   APIServer,
-  Monitor
+  ApiClient,
+  ApiKeyStore,
+  WebhookDispatcher,
+  Monitor,
+  MetricsRegistry,
+  CronExpression,
+  Journal,
+  ResultStore,
+  RetryPolicy
 };
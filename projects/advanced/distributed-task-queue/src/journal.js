@@ -0,0 +1,345 @@
+/**
+ * Journal
+ * Append-only write-ahead log with snapshot compaction
+ *
+ * Every state change is appended as one JSON line to `journal.log`.
+ * Compaction writes the full current state to `snapshot.jsonl` and
+ * truncates the journal. Replay reads the snapshot, then the journal;
+ * the last record for a key wins.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { EventEmitter } = require('events');
+
+class Journal extends EventEmitter {
+  static FSYNC = {
+    ALWAYS: 'always',     // fsync after every write (durable per transition)
+    INTERVAL: 'interval', // fsync every syncInterval ms
+    NEVER: 'never'        // leave flushing to the operating system
+  };
+
+  constructor(options = {}) {
+    super();
+
+    this.dir = options.dir;
+    this.journalPath = path.join(this.dir, 'journal.log');
+    this.snapshotPath = path.join(this.dir, 'snapshot.jsonl');
+
+    this.fsync = options.fsync || Journal.FSYNC.ALWAYS;
+    this.syncInterval = options.syncInterval || 1000; // 1 second
+    this.compactThreshold = options.compactThreshold || 10000; // journal entries
+
+    if (!Object.values(Journal.FSYNC).includes(this.fsync)) {
+      throw new Error(`Invalid fsync policy: ${this.fsync}`);
+    }
+
+    this.handle = null;
+    this.writeChain = Promise.resolve();
+    this.batch = null; // Lines waiting for the next write
+    this.dirty = false;
+    this.syncTimer = null;
+    this.compacting = false;
+
+    this.entries = 0; // Entries in journal since last snapshot
+    this.bytes = 0;
+    this.lastSnapshotAt = null;
+  }
+
+  /**
+   * Open journal for appending
+   */
+  async open() {
+    if (this.handle) {
+      return;
+    }
+
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await this.repairTail();
+    this.handle = await fs.promises.open(this.journalPath, 'a');
+
+    const { size } = await this.handle.stat();
+    this.bytes = size;
+
+    if (this.fsync === Journal.FSYNC.INTERVAL) {
+      this.syncTimer = setInterval(() => {
+        this.sync().catch(error => this.emit('error', error));
+      }, this.syncInterval);
+    }
+  }
+
+  /**
+   * Make the journal end on a complete line before appending to it.
+   * A torn last line left by a crash is cut off; otherwise the next
+   * record would be written onto its end and lost on the next replay.
+   * A last record missing only its newline is kept and terminated.
+   */
+  async repairTail() {
+    let handle;
+    try {
+      handle = await fs.promises.open(this.journalPath, 'r+');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+
+    try {
+      const { size } = await handle.stat();
+      const chunkSize = 64 * 1024;
+      let end = 0; // Offset just past the last newline
+      let position = size;
+
+      while (position > 0) {
+        const length = Math.min(chunkSize, position);
+        position -= length;
+
+        const { buffer } = await handle.read(Buffer.alloc(length), 0, length, position);
+        const index = buffer.lastIndexOf(0x0a);
+        if (index !== -1) {
+          end = position + index + 1;
+          break;
+        }
+      }
+
+      if (end === size) {
+        return;
+      }
+
+      const tail = Buffer.alloc(size - end);
+      await handle.read(tail, 0, tail.length, end);
+
+      let complete = true;
+      try {
+        JSON.parse(tail.toString('utf8'));
+      } catch (error) {
+        complete = false;
+      }
+
+      if (complete) {
+        await handle.write('\n', size);
+      } else {
+        await handle.truncate(end);
+        this.emit('warning', {
+          message: `Truncated torn record (${size - end} bytes) at the end of ${path.basename(this.journalPath)}`
+        });
+      }
+      await handle.datasync();
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Replay snapshot and journal, calling apply for each record in order
+   */
+  async replay(apply) {
+    let count = 0;
+
+    for (const file of [this.snapshotPath, this.journalPath]) {
+      count += await this.replayFile(file, apply);
+    }
+
+    return count;
+  }
+
+  /**
+   * Replay a single file of JSON lines
+   */
+  async replayFile(file, apply) {
+    let stream;
+    try {
+      await fs.promises.access(file);
+      stream = fs.createReadStream(file, { encoding: 'utf8' });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return 0;
+      }
+      throw error;
+    }
+
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    let count = 0;
+    let lineNumber = 0;
+
+    for await (const line of lines) {
+      lineNumber++;
+      if (!line) {
+        continue;
+      }
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        // A crash mid-write can leave a torn last line
+        this.emit('warning', {
+          message: `Skipping corrupt record in ${path.basename(file)} at line ${lineNumber}`
+        });
+        continue;
+      }
+
+      apply(record);
+      count++;
+    }
+
+    if (file === this.journalPath) {
+      this.entries = count;
+    }
+
+    return count;
+  }
+
+  /**
+   * Append a record. Records appended while a write is in flight are
+   * grouped into the next write (group commit).
+   */
+  append(record) {
+    if (!this.handle) {
+      return Promise.reject(new Error('Journal is not open'));
+    }
+
+    if (!this.batch) {
+      const batch = { lines: [] };
+      batch.promise = this.enqueue(() => this.writeBatch(batch));
+      this.batch = batch;
+    }
+
+    this.batch.lines.push(JSON.stringify(record) + '\n');
+    return this.batch.promise;
+  }
+
+  /**
+   * Run an operation after all previously queued writes
+   */
+  enqueue(operation) {
+    this.writeChain = this.writeChain.catch(() => {}).then(operation);
+    return this.writeChain;
+  }
+
+  /**
+   * Write a batch of lines
+   */
+  async writeBatch(batch) {
+    if (this.batch === batch) {
+      this.batch = null;
+    }
+
+    const data = batch.lines.join('');
+    await this.handle.write(data);
+
+    this.entries += batch.lines.length;
+    this.bytes += Buffer.byteLength(data);
+
+    if (this.fsync === Journal.FSYNC.ALWAYS) {
+      await this.handle.datasync();
+    } else {
+      this.dirty = true;
+    }
+  }
+
+  /**
+   * Flush journal to disk
+   */
+  async sync() {
+    if (this.handle && this.dirty) {
+      this.dirty = false;
+      await this.handle.datasync();
+    }
+  }
+
+  /**
+   * Check if journal has grown past the compaction threshold
+   */
+  needsCompaction() {
+    return !this.compacting && this.entries >= this.compactThreshold;
+  }
+
+  /**
+   * Write a snapshot of the current state and truncate the journal.
+   * getRecords is called once all earlier appends are written, so the
+   * snapshot covers everything the journal held.
+   */
+  async compact(getRecords) {
+    if (this.compacting) {
+      return false;
+    }
+
+    this.compacting = true;
+
+    try {
+      await this.enqueue(async () => {
+        const tmpPath = `${this.snapshotPath}.tmp`;
+        const snapshot = await fs.promises.open(tmpPath, 'w');
+
+        try {
+          let chunk = [];
+          for (const record of getRecords()) {
+            chunk.push(JSON.stringify(record) + '\n');
+            if (chunk.length >= 1000) {
+              await snapshot.write(chunk.join(''));
+              chunk = [];
+            }
+          }
+          if (chunk.length > 0) {
+            await snapshot.write(chunk.join(''));
+          }
+          await snapshot.sync();
+        } finally {
+          await snapshot.close();
+        }
+
+        // Replace snapshot atomically, then drop the journal it covers
+        await fs.promises.rename(tmpPath, this.snapshotPath);
+        await this.handle.truncate(0);
+        await this.handle.datasync();
+
+        this.entries = 0;
+        this.bytes = 0;
+        this.dirty = false;
+        this.lastSnapshotAt = Date.now();
+      });
+
+      this.emit('compacted', { snapshotAt: this.lastSnapshotAt });
+      return true;
+    } finally {
+      this.compacting = false;
+    }
+  }
+
+  /**
+   * Get journal statistics
+   */
+  getStats() {
+    return {
+      fsync: this.fsync,
+      entries: this.entries,
+      bytes: this.bytes,
+      lastSnapshotAt: this.lastSnapshotAt
+    };
+  }
+
+  /**
+   * Flush pending writes and close journal
+   */
+  async close() {
+    if (this.syncTimer) {
+      clearInterval(this.syncTimer);
+      this.syncTimer = null;
+    }
+
+    if (!this.handle) {
+      return;
+    }
+
+    await this.enqueue(async () => {
+      await this.handle.datasync();
+      await this.handle.close();
+      this.handle = null;
+    });
+  }
+}
+
+module.exports = Journal;
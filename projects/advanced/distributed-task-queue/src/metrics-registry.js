@@ -0,0 +1,189 @@
+/**
+ * Metrics Registry
+ * Counters, gauges and histograms rendered in the Prometheus text exposition format
+ */
+
+class MetricsRegistry {
+  static DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 300];
+
+  constructor() {
+    this.metrics = new Map(); // name -> { name, type, help, buckets, series }
+  }
+
+  /**
+   * Define a metric. type is 'counter', 'gauge' or 'histogram'.
+   */
+  define(name, type, help, options = {}) {
+    if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(name)) {
+      throw new Error(`Invalid metric name: ${name}`);
+    }
+    if (!['counter', 'gauge', 'histogram'].includes(type)) {
+      throw new Error(`Invalid metric type: ${type}`);
+    }
+    if (this.metrics.has(name)) {
+      throw new Error(`Metric ${name} is already defined`);
+    }
+
+    const metric = {
+      name,
+      type,
+      help,
+      buckets: type === 'histogram'
+        ? (options.buckets || MetricsRegistry.DEFAULT_BUCKETS).slice().sort((a, b) => a - b)
+        : null,
+      series: new Map() // label key -> { labels, value } or { labels, counts, sum, count }
+    };
+
+    this.metrics.set(name, metric);
+    return metric;
+  }
+
+  /**
+   * Get a defined metric of the given type
+   */
+  getMetric(name, type) {
+    const metric = this.metrics.get(name);
+    if (!metric) {
+      throw new Error(`Metric ${name} is not defined`);
+    }
+    if (metric.type !== type) {
+      throw new Error(`Metric ${name} is a ${metric.type}, not a ${type}`);
+    }
+    return metric;
+  }
+
+  /**
+   * Get or create the series for a label set
+   */
+  getSeries(metric, labels) {
+    const key = MetricsRegistry.labelKey(labels);
+    let series = metric.series.get(key);
+
+    if (!series) {
+      series = metric.type === 'histogram'
+        ? { labels, counts: metric.buckets.map(() => 0), sum: 0, count: 0 }
+        : { labels, value: 0 };
+      metric.series.set(key, series);
+    }
+
+    return series;
+  }
+
+  /**
+   * Increment a counter
+   */
+  inc(name, labels = {}, value = 1) {
+    if (value < 0) {
+      throw new Error('Counters can only increase');
+    }
+    this.getSeries(this.getMetric(name, 'counter'), labels).value += value;
+  }
+
+  /**
+   * Set a gauge
+   */
+  set(name, labels = {}, value) {
+    this.getSeries(this.getMetric(name, 'gauge'), labels).value = value;
+  }
+
+  /**
+   * Record a histogram observation
+   */
+  observe(name, labels = {}, value) {
+    const metric = this.getMetric(name, 'histogram');
+    const series = this.getSeries(metric, labels);
+
+    for (let i = 0; i < metric.buckets.length; i++) {
+      if (value <= metric.buckets[i]) {
+        series.counts[i]++;
+      }
+    }
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Remove all series of a metric (used to rebuild gauges before a scrape)
+   */
+  reset(name) {
+    const metric = this.metrics.get(name);
+    if (metric) {
+      metric.series.clear();
+    }
+  }
+
+  /**
+   * Render all metrics in the Prometheus text exposition format
+   */
+  render() {
+    const lines = [];
+
+    for (const metric of this.metrics.values()) {
+      lines.push(`# HELP ${metric.name} ${MetricsRegistry.escapeHelp(metric.help)}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+      for (const series of metric.series.values()) {
+        if (metric.type !== 'histogram') {
+          lines.push(`${metric.name}${MetricsRegistry.formatLabels(series.labels)} ${MetricsRegistry.formatValue(series.value)}`);
+          continue;
+        }
+
+        metric.buckets.forEach((bucket, i) => {
+          const labels = { ...series.labels, le: MetricsRegistry.formatValue(bucket) };
+          lines.push(`${metric.name}_bucket${MetricsRegistry.formatLabels(labels)} ${series.counts[i]}`);
+        });
+        lines.push(`${metric.name}_bucket${MetricsRegistry.formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+        lines.push(`${metric.name}_sum${MetricsRegistry.formatLabels(series.labels)} ${MetricsRegistry.formatValue(series.sum)}`);
+        lines.push(`${metric.name}_count${MetricsRegistry.formatLabels(series.labels)} ${series.count}`);
+      }
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Build a stable key for a label set
+   */
+  static labelKey(labels) {
+    return JSON.stringify(Object.keys(labels).sort().map(name => [name, String(labels[name])]));
+  }
+
+  /**
+   * Format a label set as {name="value",...}
+   */
+  static formatLabels(labels) {
+    const names = Object.keys(labels);
+    if (names.length === 0) {
+      return '';
+    }
+
+    const pairs = names.map(name => {
+      const value = String(labels[name])
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n');
+      return `${name}="${value}"`;
+    });
+
+    return `{${pairs.join(',')}}`;
+  }
+
+  /**
+   * Format a sample value
+   */
+  static formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    if (Number.isNaN(value)) return 'NaN';
+    return String(value);
+  }
+
+  /**
+   * Escape HELP text
+   */
+  static escapeHelp(help) {
+    return String(help).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+  }
+}
+
+module.exports = MetricsRegistry;
@@ -7,6 +7,7 @@ const { EventEmitter } = require('events');
 const fs = require('fs');
 const path = require('path');
 const { createWriteStream } = require('fs');
+const MetricsRegistry = require('./metrics-registry');
 
 class Monitor extends EventEmitter {
   constructor(taskQueue, options = {}) {
@@ -30,12 +31,14 @@ class Monitor extends EventEmitter {
       completedTasks: [],
       failedTasks: [],
       workerUtilization: [],
+      poolSize: [],
       avgExecutionTime: [],
       avgWaitingTime: [],
       throughput: [] // Tasks completed per minute
     };
 
     this.alerts = [];
+    this.scalingEvents = [];
     this.metricsTimer = null;
     this.logStream = null;
     this.metricsStream = null;
@@ -44,6 +47,36 @@ class Monitor extends EventEmitter {
       completedTasks: 0,
       timestamp: Date.now()
     };
+
+    // Prometheus metrics
+    this.registry = new MetricsRegistry();
+    this.defineMetrics(options.histogramBuckets);
+  }
+
+  /**
+   * Define Prometheus metrics
+   */
+  defineMetrics(buckets) {
+    const registry = this.registry;
+
+    registry.define('task_queue_tasks_added_total', 'counter', 'Tasks added to the queue');
+    registry.define('task_queue_tasks_started_total', 'counter', 'Task attempts started');
+    registry.define('task_queue_tasks_completed_total', 'counter', 'Tasks completed');
+    registry.define('task_queue_tasks_failed_total', 'counter', 'Task attempts failed');
+    registry.define('task_queue_tasks_retried_total', 'counter', 'Task retries scheduled');
+    registry.define('task_queue_tasks_timed_out_total', 'counter', 'Task attempts timed out');
+    registry.define('task_queue_tasks_cancelled_total', 'counter', 'Tasks cancelled');
+    registry.define('task_queue_tasks_dead_lettered_total', 'counter', 'Tasks moved to the dead-letter queue');
+    registry.define('task_queue_task_wait_seconds', 'histogram', 'Time tasks waited before starting', { buckets });
+    registry.define('task_queue_task_execution_seconds', 'histogram', 'Time spent executing task attempts', { buckets });
+    registry.define('task_queue_tasks', 'gauge', 'Tasks by status');
+    registry.define('task_queue_queue_tasks', 'gauge', 'Tasks by named queue and status');
+    registry.define('task_queue_tenant_tasks', 'gauge', 'Pending and processing tasks by tenant');
+    registry.define('task_queue_dead_letters', 'gauge', 'Tasks in the dead-letter queue');
+    registry.define('task_queue_workers', 'gauge', 'Workers by pool and state');
+    registry.define('task_queue_worker_utilization', 'gauge', 'Share of worker capacity in use (0-1)');
+    registry.define('task_queue_pool_scaling_events_total', 'counter', 'Worker pool resizes by direction');
+    registry.define('task_queue_webhook_deliveries_total', 'counter', 'Finished webhook deliveries by event and outcome');
   }
 
   /**
@@ -66,6 +99,7 @@ class Monitor extends EventEmitter {
 
     // Setup event listeners
     this.setupEventListeners();
+    this.setupMetricListeners();
 
     // Start metrics collection
     this.startMetricsCollection();
@@ -82,6 +116,14 @@ class Monitor extends EventEmitter {
       this.log('info', `Task added: ${task.id} (${task.type})`);
     });
 
+    this.taskQueue.on('task:deduplicated', (task) => {
+      this.log('info', `Duplicate submission returned existing task: ${task.id} (${task.status})`);
+    });
+
+    this.taskQueue.on('task:cancelled', (data) => {
+      this.log('warn', `Task cancelled: ${data.task.id}${data.task.cancelReason ? ` (${data.task.cancelReason})` : ''}`);
+    });
+
     this.taskQueue.on('task:started', (task) => {
       this.log('info', `Task started: ${task.id} (worker: ${task.workerId})`);
     });
@@ -90,10 +132,15 @@ class Monitor extends EventEmitter {
       this.log('info', `Task completed: ${task.id} (${task.getExecutionTime()}ms)`);
     });
 
+    this.taskQueue.on('task:result-expired', (task) => {
+      this.log('info', `Task result expired: ${task.id}`);
+    });
+
     this.taskQueue.on('task:failed', (data) => {
       this.log('error', `Task failed: ${data.task.id} (attempts: ${data.task.attempts}/${data.task.maxAttempts})`, {
         error: data.task.error,
-        willRetry: data.willRetry
+        willRetry: data.willRetry,
+        retryAt: data.willRetry ? data.task.retryAt : null
       });
 
       if (!data.willRetry) {
@@ -105,29 +152,229 @@ class Monitor extends EventEmitter {
       this.log('warn', `Task retry: ${task.id} (attempt ${task.attempts}/${task.maxAttempts})`);
     });
 
+    this.taskQueue.on('task:rerun', (task) => {
+      this.log('info', `Task rerun: ${task.id}`);
+    });
+
+    this.taskQueue.on('task:dead-lettered', (entry) => {
+      this.log('warn', `Task dead-lettered: ${entry.task.id} (${entry.task.errors.length} failed attempts)`);
+    });
+
+    this.taskQueue.on('dead-letter:requeued', (task) => {
+      this.log('info', `Dead letter requeued: ${task.id}`);
+    });
+
+    this.taskQueue.on('task:scheduled-run', (data) => {
+      this.log('info', `Scheduled run: ${data.run.id} from ${data.task.id} (${data.task.cron}, next at ${new Date(data.task.runAt).toISOString()})`);
+    });
+
+    this.taskQueue.on('workflow:completed', (workflow) => {
+      this.log('info', `Workflow completed: ${workflow.id}${workflow.name ? ` (${workflow.name})` : ''}`);
+    });
+
+    this.taskQueue.on('workflow:failed', (workflow) => {
+      this.log('error', `Workflow failed: ${workflow.id}`, { error: workflow.error });
+      this.createAlert('workflow_failed', `Workflow ${workflow.id} failed`, workflow.toJSON());
+    });
+
+    this.taskQueue.on('batch:completed', (batch) => {
+      const { completed, failed, cancelled } = batch.counts;
+      this.log('info', `Batch completed: ${batch.id}${batch.name ? ` (${batch.name})` : ''} - ${completed} completed, ${failed} failed, ${cancelled} cancelled`);
+    });
+
+    this.taskQueue.on('queue:paused', (queue) => {
+      this.log('warn', `Queue paused: ${queue.name}`);
+    });
+
+    this.taskQueue.on('queue:resumed', (queue) => {
+      this.log('info', `Queue resumed: ${queue.name}`);
+    });
+
     this.taskQueue.on('task:timeout', (task) => {
       this.log('error', `Task timeout: ${task.id}`);
       this.createAlert('task_timeout', `Task ${task.id} timed out`, task);
     });
 
+    this.taskQueue.on('task:stalled', (data) => {
+      this.log('warn', `Stalled task recovered: ${data.task.id} (worker: ${data.workerId}, attempt ${data.task.attempts}/${data.task.maxAttempts})`);
+    });
+
     this.taskQueue.on('worker:error', (data) => {
       this.log('error', `Worker error: ${data.workerId}`, { error: data.error });
       this.createAlert('worker_error', `Worker ${data.workerId} encountered an error`, data);
     });
 
     this.taskQueue.on('worker:exit', (data) => {
-      if (data.code !== 0) {
+      if (data.aborted) {
+        this.log('warn', `Worker terminated: ${data.workerId} (task did not stop after abort)`);
+      } else if (data.code !== 0) {
         this.log('error', `Worker exited: ${data.workerId} (code: ${data.code})`);
         this.createAlert('worker_exit', `Worker ${data.workerId} exited unexpectedly`, data);
       }
     });
 
+    this.taskQueue.on('pool:scaled', (data) => {
+      const detail = data.direction === 'up'
+        ? `${data.reason.waitingTasks} tasks waiting up to ${data.reason.maxWaitTime}ms`
+        : `${data.reason.idleWorkers} idle workers`;
+      this.log('info', `Worker pool scaled ${data.direction}: ${data.from} -> ${data.to} (${detail})`);
+
+      this.scalingEvents.push({ ...data, timestamp: Date.now() });
+
+      // Keep only last 100 scaling events
+      if (this.scalingEvents.length > 100) {
+        this.scalingEvents = this.scalingEvents.slice(-100);
+      }
+    });
+
+    this.taskQueue.on('handler:registered', (data) => {
+      this.log('info', `Handler registered: ${data.type}@${data.version} (${data.path})`);
+    });
+
+    this.taskQueue.on('handlers:reloading', (data) => {
+      this.log('info', `Reloading handlers (generation ${data.generation}): ${data.replaced} workers replaced, ${data.draining} draining`);
+    });
+
+    this.taskQueue.on('handlers:reloaded', (data) => {
+      this.log('info', `Handlers reloaded: all workers on generation ${data.generation}`);
+    });
+
+    this.taskQueue.on('webhook:failed', (data) => {
+      const { delivery } = data;
+      this.log(data.willRetry ? 'warn' : 'error',
+        `Webhook delivery ${delivery.id} failed: ${delivery.event} for task ${delivery.taskId} to ${delivery.url} ` +
+        `(attempt ${delivery.attempts}/${delivery.maxAttempts}): ${delivery.error}`);
+    });
+
+    this.taskQueue.on('worker:connected', (data) => {
+      this.log('info', `Remote worker connected: ${data.workerId} (concurrency: ${data.concurrency})`);
+    });
+
+    this.taskQueue.on('worker:disconnected', (data) => {
+      this.log('warn', `Remote worker disconnected: ${data.workerId}`);
+    });
+
+    this.taskQueue.on('lease:revoked', (data) => {
+      this.log('warn', `Lease revoked: task ${data.taskId} on ${data.workerId} (${data.reason})`);
+      this.createAlert('lease_revoked', `Lease on task ${data.taskId} revoked: ${data.reason}`, data);
+    });
+
     this.taskQueue.on('error', (error) => {
       this.log('error', 'Task queue error', { error });
       this.createAlert('queue_error', 'Task queue error', { error: error.message });
     });
   }
 
+  /**
+   * Count task events for Prometheus metrics
+   */
+  setupMetricListeners() {
+    const registry = this.registry;
+
+    this.taskQueue.on('task:added', (task) => {
+      registry.inc('task_queue_tasks_added_total', { type: task.type, queue: task.queue });
+    });
+
+    this.taskQueue.on('task:started', (task) => {
+      registry.inc('task_queue_tasks_started_total', { type: task.type });
+      registry.observe('task_queue_task_wait_seconds', { type: task.type }, task.getWaitingTime() / 1000);
+    });
+
+    this.taskQueue.on('task:completed', (task) => {
+      registry.inc('task_queue_tasks_completed_total', { type: task.type });
+      registry.observe('task_queue_task_execution_seconds', { type: task.type, status: 'completed' }, task.getExecutionTime() / 1000);
+    });
+
+    this.taskQueue.on('task:failed', (data) => {
+      registry.inc('task_queue_tasks_failed_total', { type: data.task.type });
+      registry.observe('task_queue_task_execution_seconds', { type: data.task.type, status: 'failed' }, data.task.getExecutionTime() / 1000);
+    });
+
+    this.taskQueue.on('task:retry', (task) => {
+      registry.inc('task_queue_tasks_retried_total', { type: task.type });
+    });
+
+    this.taskQueue.on('task:timeout', (task) => {
+      registry.inc('task_queue_tasks_timed_out_total', { type: task.type });
+    });
+
+    this.taskQueue.on('task:cancelled', (data) => {
+      registry.inc('task_queue_tasks_cancelled_total', { type: data.task.type });
+    });
+
+    this.taskQueue.on('task:dead-lettered', (entry) => {
+      registry.inc('task_queue_tasks_dead_lettered_total', { type: entry.task.type });
+    });
+
+    this.taskQueue.on('pool:scaled', (data) => {
+      registry.inc('task_queue_pool_scaling_events_total', { direction: data.direction });
+    });
+
+    this.taskQueue.on('webhook:delivered', (data) => {
+      registry.inc('task_queue_webhook_deliveries_total', { event: data.delivery.event, status: 'delivered' });
+    });
+
+    this.taskQueue.on('webhook:failed', (data) => {
+      if (!data.willRetry) {
+        registry.inc('task_queue_webhook_deliveries_total', { event: data.delivery.event, status: 'failed' });
+      }
+    });
+  }
+
+  /**
+   * Update gauges from current queue state
+   */
+  updateGauges() {
+    const registry = this.registry;
+    const stats = this.taskQueue.getStats();
+
+    for (const name of ['task_queue_tasks', 'task_queue_queue_tasks', 'task_queue_workers', 'task_queue_worker_utilization']) {
+      registry.reset(name);
+    }
+
+    for (const [status, count] of Object.entries(stats.queue.byStatus)) {
+      registry.set('task_queue_tasks', { status }, count);
+    }
+
+    for (const [queue, queueStats] of Object.entries(stats.queue.queues)) {
+      for (const status of Object.keys(stats.queue.byStatus)) {
+        registry.set('task_queue_queue_tasks', { queue, status }, queueStats.byStatus[status] || 0);
+      }
+    }
+
+    for (const [tenant, tenantStats] of Object.entries(stats.queue.tenants)) {
+      registry.set('task_queue_tenant_tasks', { tenant, state: 'pending' }, tenantStats.pending);
+      registry.set('task_queue_tenant_tasks', { tenant, state: 'active' }, tenantStats.active);
+    }
+
+    registry.set('task_queue_dead_letters', {}, stats.queue.deadLetters);
+
+    registry.set('task_queue_workers', { pool: 'local', state: 'busy' }, stats.workers.busyWorkers);
+    registry.set('task_queue_workers', { pool: 'local', state: 'available' }, stats.workers.availableWorkers);
+    registry.set('task_queue_worker_utilization', { pool: 'local' },
+      stats.workers.poolSize > 0 ? stats.workers.busyWorkers / stats.workers.poolSize : 0);
+
+    if (stats.remoteWorkers) {
+      const states = { busy: 0, available: 0, draining: 0 };
+      for (const worker of stats.remoteWorkers.workers) {
+        states[worker.status]++;
+      }
+      for (const [state, count] of Object.entries(states)) {
+        registry.set('task_queue_workers', { pool: 'remote', state }, count);
+      }
+      registry.set('task_queue_worker_utilization', { pool: 'remote' },
+        stats.remoteWorkers.capacity > 0 ? stats.remoteWorkers.activeLeases / stats.remoteWorkers.capacity : 0);
+    }
+  }
+
+  /**
+   * Get metrics in the Prometheus text exposition format
+   */
+  getPrometheusMetrics() {
+    this.updateGauges();
+    return this.registry.render();
+  }
+
   /**
    * Start metrics collection
    */
@@ -163,6 +410,7 @@ class Monitor extends EventEmitter {
     this.metrics.completedTasks.push(stats.queue.byStatus.completed);
     this.metrics.failedTasks.push(stats.queue.byStatus.failed);
     this.metrics.workerUtilization.push(workerUtilization);
+    this.metrics.poolSize.push(stats.workers.poolSize);
     this.metrics.avgExecutionTime.push(stats.queue.avgExecutionTime);
     this.metrics.avgWaitingTime.push(stats.queue.avgWaitingTime);
     this.metrics.throughput.push(throughput);
@@ -218,15 +466,16 @@ class Monitor extends EventEmitter {
       );
     }
 
-    // Check failure rate
-    const totalProcessed = stats.queue.byStatus.completed + stats.queue.byStatus.failed;
+    // Check failure rate (permanently failed tasks live in the dead-letter queue)
+    const failed = stats.queue.byStatus.failed + stats.queue.deadLetters;
+    const totalProcessed = stats.queue.byStatus.completed + failed;
     if (totalProcessed > 0) {
-      const failureRate = stats.queue.byStatus.failed / totalProcessed;
+      const failureRate = failed / totalProcessed;
       if (failureRate > this.alertThresholds.failureRate) {
         this.createAlert(
           'high_failure_rate',
           `Failure rate (${(failureRate * 100).toFixed(2)}%) exceeds threshold (${(this.alertThresholds.failureRate * 100).toFixed(2)}%)`,
-          { failureRate, failed: stats.queue.byStatus.failed, total: totalProcessed }
+          { failureRate, failed, total: totalProcessed }
         );
       }
     }
@@ -328,6 +577,13 @@ class Monitor extends EventEmitter {
     return this.alerts.slice(-limit);
   }
 
+  /**
+   * Get recent worker pool scaling events
+   */
+  getScalingEvents(limit = 50) {
+    return this.scalingEvents.slice(-limit);
+  }
+
   /**
    * Calculate average
    */
@@ -353,7 +609,8 @@ class Monitor extends EventEmitter {
       alerts: {
         total: alerts.length,
         recent: alerts.slice(-10)
-      }
+      },
+      scaling: this.getScalingEvents(10)
     };
   }
 
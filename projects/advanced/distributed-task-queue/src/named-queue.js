@@ -0,0 +1,149 @@
+/**
+ * Named Queue
+ * Per-queue concurrency limit, token bucket rate limit and pause switch
+ */
+
+class NamedQueue {
+  static DEFAULT = 'default';
+
+  constructor(name, options = {}) {
+    NamedQueue.validateName(name);
+
+    this.name = name;
+    this.paused = options.paused || false;
+    this.active = 0; // Tasks currently processing
+
+    this.configure(options);
+  }
+
+  /**
+   * Validate queue name (used in URLs)
+   */
+  static validateName(name) {
+    if (typeof name !== 'string' || !/^[a-zA-Z0-9_-]+$/.test(name)) {
+      throw new Error(`Invalid queue name: ${name}. Use alphanumeric characters, hyphens and underscores`);
+    }
+    return true;
+  }
+
+  /**
+   * Update concurrency and rate limit settings
+   */
+  configure(options = {}) {
+    if (options.concurrency !== undefined) {
+      if (!Number.isInteger(options.concurrency) || options.concurrency < 0) {
+        throw new Error('Queue concurrency must be a non-negative integer (0 = unlimited)');
+      }
+      this.concurrency = options.concurrency;
+    } else if (this.concurrency === undefined) {
+      this.concurrency = 0;
+    }
+
+    if (options.rateLimit !== undefined) {
+      const rateLimit = options.rateLimit;
+      if (rateLimit !== null) {
+        if (!(rateLimit.tokens > 0) || !(rateLimit.interval > 0)) {
+          throw new Error('Queue rateLimit requires positive tokens and interval');
+        }
+      }
+      this.rateLimit = rateLimit ? { tokens: rateLimit.tokens, interval: rateLimit.interval } : null;
+      this.tokens = this.rateLimit ? this.rateLimit.tokens : Infinity;
+      this.lastRefill = Date.now();
+    } else if (this.rateLimit === undefined) {
+      this.rateLimit = null;
+      this.tokens = Infinity;
+      this.lastRefill = Date.now();
+    }
+  }
+
+  /**
+   * Refill rate limit tokens for elapsed time
+   */
+  refill(now = Date.now()) {
+    if (!this.rateLimit) {
+      return;
+    }
+
+    const elapsed = now - this.lastRefill;
+    const refilled = (elapsed / this.rateLimit.interval) * this.rateLimit.tokens;
+
+    this.tokens = Math.min(this.rateLimit.tokens, this.tokens + refilled);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Check if a task from this queue may start now
+   */
+  canStart(now = Date.now()) {
+    if (this.paused) {
+      return false;
+    }
+
+    if (this.concurrency > 0 && this.active >= this.concurrency) {
+      return false;
+    }
+
+    this.refill(now);
+    return this.tokens >= 1;
+  }
+
+  /**
+   * Consume a rate limit token for a started task
+   */
+  consumeToken(now = Date.now()) {
+    if (!this.rateLimit) {
+      return;
+    }
+
+    this.refill(now);
+    this.tokens = Math.max(0, this.tokens - 1);
+  }
+
+  /**
+   * Pause queue (running tasks finish, no new tasks start)
+   */
+  pause() {
+    this.paused = true;
+  }
+
+  /**
+   * Resume queue
+   */
+  resume() {
+    this.paused = false;
+  }
+
+  /**
+   * Get queue statistics
+   */
+  getStats() {
+    this.refill();
+
+    return {
+      ...this.toJSON(),
+      active: this.active,
+      tokens: this.rateLimit ? Math.floor(this.tokens) : null
+    };
+  }
+
+  /**
+   * Serialize queue configuration for storage
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      concurrency: this.concurrency,
+      rateLimit: this.rateLimit,
+      paused: this.paused
+    };
+  }
+
+  /**
+   * Create queue from stored JSON
+   */
+  static fromJSON(json) {
+    return new NamedQueue(json.name, json);
+  }
+}
+
+module.exports = NamedQueue;
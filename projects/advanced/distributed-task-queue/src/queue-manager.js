@@ -1,6 +1,6 @@
 /**
  * Queue Manager
- * Manages task queue with file-based persistence
+ * Manages task queue with write-ahead log persistence
  */
 
 const fs = require('fs');
@@ -9,6 +9,14 @@ const { EventEmitter } = require('events');
 const { createReadStream, createWriteStream } = require('fs');
 const { pipeline } = require('stream/promises');
 const Task = require('./task');
+const Workflow = require('./workflow');
+const Batch = require('./batch');
+const Journal = require('./journal');
+const NamedQueue = require('./named-queue');
+const Tenant = require('./tenant');
+const FairScheduler = require('./fair-scheduler');
+const ResultStore = require('./result-store');
+const RetryPolicy = require('./retry-policy');
 
 class QueueManager extends EventEmitter {
   constructor(options = {}) {
@@ -21,14 +29,61 @@ class QueueManager extends EventEmitter {
       [Task.STATUS.PROCESSING]: new Set(),
       [Task.STATUS.COMPLETED]: new Set(),
       [Task.STATUS.FAILED]: new Set(),
-      [Task.STATUS.RETRYING]: new Set()
+      [Task.STATUS.RETRYING]: new Set(),
+      [Task.STATUS.SCHEDULED]: new Set(),
+      [Task.STATUS.BLOCKED]: new Set(),
+      [Task.STATUS.CANCELLED]: new Set()
     };
+    this.dependents = new Map(); // taskId -> Set of task IDs waiting on it
+
+    this.workflows = new Map();
+    this.batches = new Map();
+    this.batchMembers = new Map(); // batchId -> Set of task IDs
+    this.queues = new Map(); // Queue name -> NamedQueue
+    this.tenants = new Map(); // Tenant name -> Tenant
+    this.deadLetters = new Map(); // taskId -> { task, reason, deadLetteredAt }
+    this.idempotencyKeys = new Map(); // idempotencyKey -> taskId
+    this.uniqueKeys = new Map(); // type + payload hash -> taskId
+
+    this.journal = new Journal({
+      dir: this.queueDir,
+      fsync: options.fsync,
+      syncInterval: options.syncInterval,
+      compactThreshold: options.compactThreshold
+    });
+    this.journal.on('warning', (data) => this.emit('warning', data));
+    this.journal.on('error', (error) => this.emit('error', error));
+
+    // Large results are kept out of the journal
+    this.resultStore = new ResultStore({
+      dir: path.join(this.queueDir, 'results'),
+      threshold: options.resultThreshold
+    });
+    this.resultTTL = options.resultTTL || null; // Default result TTL (ms), independent of cleanupAge
+    this.resultCheckInterval = options.resultCheckInterval || 60000; // 1 minute
 
-    this.persistenceInterval = options.persistenceInterval || 5000; // 5 seconds
+    this.snapshotInterval = options.snapshotInterval || 60000; // 1 minute
     this.autoCleanup = options.autoCleanup !== false;
     this.cleanupAge = options.cleanupAge || 24 * 60 * 60 * 1000; // 24 hours
+    this.dedupWindow = options.dedupWindow || 24 * 60 * 60 * 1000; // 24 hours
+
+    // 'priority' runs the highest priority task first; 'fair' shares workers between tenants by weight
+    this.scheduler = options.scheduler || 'priority';
+    if (!['priority', 'fair'].includes(this.scheduler)) {
+      throw new Error(`Invalid scheduler: ${this.scheduler}`);
+    }
+    this.fairScheduler = new FairScheduler();
+    this.tenantSettings = options.tenants || {}; // Tenant name ('*' = any other) -> weight and quotas
+
+    // Retry policies by task type ('*' applies to types without their own)
+    this.defaultRetryPolicy = new RetryPolicy();
+    this.retryPolicies = new Map();
+    for (const [type, policy] of Object.entries(options.retryPolicies || {})) {
+      this.setRetryPolicy(type, policy);
+    }
     this.persistenceTimer = null;
     this.cleanupTimer = null;
+    this.resultTimer = null;
 
     this.initialized = false;
   }
@@ -44,10 +99,29 @@ class QueueManager extends EventEmitter {
     // Create queue directory
     await fs.promises.mkdir(this.queueDir, { recursive: true });
 
-    // Load existing tasks
+    // Replay journal, then import files written by older versions
     await this.loadTasks();
+    await this.journal.open();
+    await this.migrateLegacyFiles();
 
-    // Start periodic persistence
+    // Drop result files left behind by tasks removed before a crash
+    await this.resultStore.initialize();
+    await this.resultStore.prune((taskId) => {
+      const task = this.tasks.get(taskId);
+      return Boolean(task && task.resultRef);
+    });
+
+    // Nothing runs tasks left processing by a crash or an unclean shutdown
+    await this.recoverStalledTasks(() => false, {
+      reason: 'Task interrupted: the queue stopped while it was processing'
+    });
+
+    // Release blocked tasks whose dependencies finished before a restart
+    for (const taskId of Array.from(this.tasksByStatus[Task.STATUS.BLOCKED])) {
+      await this.checkDependencies(this.tasks.get(taskId));
+    }
+
+    // Start periodic snapshots
     this.startPersistence();
 
     // Start auto cleanup if enabled
@@ -55,160 +129,1159 @@ class QueueManager extends EventEmitter {
       this.startCleanup();
     }
 
-    this.initialized = true;
-    this.emit('initialized');
+    this.startResultExpiry();
+
+    this.initialized = true;
+    this.emit('initialized');
+  }
+
+  /**
+   * Add task to queue.
+   * options.quota false skips the tenant pending quota (for tasks the queue creates itself).
+   * options.workflowId and options.workflowNode are only set by addWorkflow().
+   */
+  async addTask(taskData, options = {}) {
+    const duplicate = this.findDuplicate(taskData);
+    if (duplicate) {
+      this.emit('task:deduplicated', duplicate);
+      return duplicate;
+    }
+
+    const task = new Task(taskData, options);
+    const queue = this.getQueue(task.queue);
+    const tenant = this.getTenant(task.tenant);
+
+    if (options.quota !== false) {
+      this.checkTenantQuota([task]);
+    }
+
+    for (const parentId of task.dependsOn) {
+      if (!this.tasks.has(parentId)) {
+        throw new Error(`Dependency ${parentId} not found`);
+      }
+    }
+
+    const batch = task.batchId ? this.batches.get(task.batchId) : null;
+    if (task.batchId) {
+      if (!batch) {
+        throw new Error(`Batch ${task.batchId} not found`);
+      }
+      if (task.cron) {
+        throw new Error('Recurring tasks cannot belong to a batch');
+      }
+      batch.add();
+    }
+
+    this.tasks.set(task.id, task);
+    this.tasksByStatus[task.status].add(task.id);
+    tenant.track(null, task.status);
+    this.indexDependencies(task);
+    this.indexKeys(task);
+    this.indexBatch(task);
+
+    if (batch) {
+      await this.persistBatch(batch);
+    }
+
+    if (!this.queues.has(queue.name)) {
+      this.queues.set(queue.name, queue);
+      await this.persistQueue(queue);
+    }
+
+    await this.persistTask(task);
+
+    this.emit('task:added', task);
+
+    // Dependencies may already have finished
+    await this.checkDependencies(task);
+
+    return task;
+  }
+
+  /**
+   * Find an existing task that a new submission duplicates: one with the same
+   * idempotency key created within the dedup window, or (for unique tasks)
+   * one with the same type and payload that is still waiting to run
+   */
+  findDuplicate(taskData) {
+    if (taskData.idempotencyKey) {
+      const taskId = this.idempotencyKeys.get(taskData.idempotencyKey);
+      const task = this.findTask(taskId);
+
+      if (task && Date.now() - task.createdAt < this.dedupWindow) {
+        return task;
+      }
+    }
+
+    if (taskData.unique) {
+      const taskId = this.uniqueKeys.get(Task.getUniqueKey(taskData.type, taskData.payload));
+      const task = this.tasks.get(taskId);
+
+      if (task && task.isWaiting()) {
+        return task;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get task by ID from the queue or the dead-letter queue
+   */
+  findTask(taskId) {
+    const entry = this.deadLetters.get(taskId);
+    return this.tasks.get(taskId) || (entry && entry.task);
+  }
+
+  /**
+   * Index deduplication keys of a task
+   */
+  indexKeys(task) {
+    if (task.idempotencyKey) {
+      this.idempotencyKeys.set(task.idempotencyKey, task.id);
+    }
+    if (task.uniqueKey && task.isWaiting()) {
+      this.uniqueKeys.set(task.uniqueKey, task.id);
+    }
+  }
+
+  /**
+   * Remove deduplication keys that point to a task
+   */
+  unindexKeys(task) {
+    if (task.idempotencyKey && this.idempotencyKeys.get(task.idempotencyKey) === task.id) {
+      this.idempotencyKeys.delete(task.idempotencyKey);
+    }
+    if (task.uniqueKey && this.uniqueKeys.get(task.uniqueKey) === task.id) {
+      this.uniqueKeys.delete(task.uniqueKey);
+    }
+  }
+
+  /**
+   * Add a workflow (DAG of tasks)
+   */
+  async addWorkflow(definition) {
+    const { workflow, tasks } = Workflow.plan(definition, {
+      hasTask: (taskId) => this.tasks.has(taskId)
+    });
+
+    // Refuse the whole workflow rather than add part of it
+    this.checkTenantQuota(tasks.map(({ data }) => data));
+
+    this.workflows.set(workflow.id, workflow);
+    await this.persistWorkflow(workflow);
+
+    // Tasks are ordered so that dependencies are added first
+    for (const { id, name, data } of tasks) {
+      await this.addTask(data, { id, workflowId: workflow.id, workflowNode: name, quota: false });
+    }
+
+    this.emit('workflow:added', workflow);
+
+    return workflow;
+  }
+
+  /**
+   * Create a batch. Tasks listed in the definition are added and the batch
+   * is closed; otherwise tasks are added with `batchId` until closeBatch().
+   */
+  async createBatch(definition = {}) {
+    const batch = new Batch({ name: definition.name, onComplete: definition.onComplete });
+
+    if (definition.tasks !== undefined && (!Array.isArray(definition.tasks) || definition.tasks.length === 0)) {
+      throw new Error('Batch tasks must be a non-empty array');
+    }
+    if (definition.tasks) {
+      this.checkTenantQuota(definition.tasks);
+    }
+
+    this.batches.set(batch.id, batch);
+    await this.persistBatch(batch);
+
+    this.emit('batch:added', batch);
+
+    if (definition.tasks) {
+      for (const taskData of definition.tasks) {
+        await this.addTask({ ...taskData, batchId: batch.id }, { quota: false });
+      }
+      await this.closeBatch(batch.id);
+    }
+
+    return batch;
+  }
+
+  /**
+   * Get batch by ID
+   */
+  getBatch(batchId) {
+    return this.batches.get(batchId);
+  }
+
+  /**
+   * Stop adding tasks to a batch
+   */
+  async closeBatch(batchId) {
+    const batch = this.batches.get(batchId);
+    if (!batch) {
+      throw new Error(`Batch ${batchId} not found`);
+    }
+
+    batch.close();
+    await this.persistBatch(batch);
+
+    this.emit('batch:closed', batch);
+
+    await this.checkBatch(batch);
+
+    return batch;
+  }
+
+  /**
+   * Get batch status with counts and aggregated progress
+   */
+  getBatchStatus(batchId) {
+    const batch = this.batches.get(batchId);
+    if (!batch) {
+      return null;
+    }
+
+    return {
+      ...batch.toJSON(),
+      ...batch.counts,
+      pending: batch.total - batch.getFinishedCount(),
+      progress: this.getBatchProgress(batch)
+    };
+  }
+
+  /**
+   * List batch statuses, optionally filtered by batch status
+   */
+  getBatches(filter = {}) {
+    return Array.from(this.batches.values())
+      .filter(batch => !filter.status || batch.status === filter.status)
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(batch => this.getBatchStatus(batch.id));
+  }
+
+  /**
+   * Aggregate member progress: finished tasks count as 100%,
+   * unfinished tasks contribute their reported progress
+   */
+  getBatchProgress(batch) {
+    if (batch.total === 0) {
+      return batch.isFinished() ? 100 : 0;
+    }
+
+    let sum = batch.getFinishedCount() * 100;
+
+    for (const taskId of this.batchMembers.get(batch.id) || []) {
+      const task = this.tasks.get(taskId);
+      if (task && !task.isFinished()) {
+        sum += task.progress;
+      }
+    }
+
+    return Math.min(100, Math.round(sum / batch.total));
+  }
+
+  /**
+   * Index a task under its batch
+   */
+  indexBatch(task) {
+    if (!task.batchId) {
+      return;
+    }
+    if (!this.batchMembers.has(task.batchId)) {
+      this.batchMembers.set(task.batchId, new Set());
+    }
+    this.batchMembers.get(task.batchId).add(task.id);
+  }
+
+  /**
+   * Count a finished member task and complete the batch once all are done
+   */
+  async updateBatch(task, status = task.status) {
+    const batch = task.batchId ? this.batches.get(task.batchId) : null;
+    if (!batch) {
+      return;
+    }
+
+    batch.recordFinished(status);
+    await this.persistBatch(batch);
+
+    this.emit('batch:progress', { batch, progress: this.getBatchProgress(batch) });
+
+    await this.checkBatch(batch);
+  }
+
+  /**
+   * Uncount a member task that runs again after finishing
+   */
+  async reopenBatchTask(task, previousStatus) {
+    const batch = task.batchId ? this.batches.get(task.batchId) : null;
+    if (!batch) {
+      return;
+    }
+
+    batch.recordReopened(previousStatus);
+    await this.persistBatch(batch);
+  }
+
+  /**
+   * Complete a batch once it is closed and all members have finished,
+   * enqueueing its onComplete task with the batch summary
+   */
+  async checkBatch(batch) {
+    if (!batch.isDone()) {
+      return;
+    }
+
+    batch.complete();
+
+    if (batch.onComplete) {
+      const { batchId, ...onComplete } = batch.onComplete;
+      const task = await this.addTask({
+        ...onComplete,
+        payload: { ...(onComplete.payload || {}), batch: batch.getSummary() }
+      }, { quota: false });
+      batch.onCompleteTaskId = task.id;
+    }
+
+    await this.persistBatch(batch);
+
+    this.emit('batch:completed', batch);
+  }
+
+  /**
+   * Get workflow by ID
+   */
+  getWorkflow(workflowId) {
+    return this.workflows.get(workflowId);
+  }
+
+  /**
+   * Get workflow with per-node status
+   */
+  getWorkflowStatus(workflowId) {
+    const workflow = this.workflows.get(workflowId);
+    if (!workflow) {
+      return null;
+    }
+
+    const namesById = {};
+    for (const [name, taskId] of Object.entries(workflow.nodes)) {
+      namesById[taskId] = name;
+    }
+
+    const summary = {};
+    const nodes = Object.entries(workflow.nodes).map(([name, taskId]) => {
+      const deadLetter = this.deadLetters.get(taskId);
+      const task = this.tasks.get(taskId) || (deadLetter && deadLetter.task);
+      const status = deadLetter ? 'dead-lettered' : task ? task.status : 'removed';
+      summary[status] = (summary[status] || 0) + 1;
+
+      return {
+        name,
+        taskId,
+        status,
+        type: task ? task.type : null,
+        dependsOn: task ? task.dependsOn.map(id => namesById[id] || id) : [],
+        attempts: task ? task.attempts : 0,
+        progress: task ? task.progress : 0,
+        error: task ? task.error : null
+      };
+    });
+
+    return {
+      ...workflow.toJSON(),
+      summary,
+      nodes
+    };
+  }
+
+  /**
+   * Register a task as dependent on each of its parents
+   */
+  indexDependencies(task) {
+    for (const parentId of task.dependsOn) {
+      if (!this.dependents.has(parentId)) {
+        this.dependents.set(parentId, new Set());
+      }
+      this.dependents.get(parentId).add(task.id);
+    }
+  }
+
+  /**
+   * Unblock a task once all parents completed, or fail it if one failed
+   */
+  async checkDependencies(task) {
+    if (!task || task.status !== Task.STATUS.BLOCKED) {
+      return;
+    }
+
+    for (const parentId of task.dependsOn) {
+      const parent = this.tasks.get(parentId);
+      if (!parent || parent.status === Task.STATUS.FAILED || parent.status === Task.STATUS.CANCELLED) {
+        const outcome = parent && parent.status === Task.STATUS.CANCELLED ? 'was cancelled' : 'failed';
+        await this.failTask(task.id, new Error(`Dependency ${parentId} ${outcome}`), {
+          permanent: true,
+          deadLetter: false
+        });
+        return;
+      }
+    }
+
+    const ready = task.dependsOn.every(parentId =>
+      this.tasks.get(parentId).status === Task.STATUS.COMPLETED
+    );
+
+    if (ready) {
+      task.unblock();
+      await this.updateTaskStatus(task.id, task.status);
+      this.emit('task:unblocked', task);
+    }
+  }
+
+  /**
+   * Re-check tasks that depend on a finished task
+   */
+  async checkDependents(task) {
+    const dependents = this.dependents.get(task.id);
+    if (!dependents) {
+      return;
+    }
+
+    for (const childId of dependents) {
+      await this.checkDependencies(this.tasks.get(childId));
+    }
+  }
+
+  /**
+   * Update workflow status after one of its tasks finished.
+   * A permanently failed task fails the workflow and cancels its
+   * remaining tasks that have not started yet.
+   */
+  async updateWorkflow(task) {
+    const workflow = task.workflowId ? this.workflows.get(task.workflowId) : null;
+    if (!workflow || workflow.isFinished()) {
+      return;
+    }
+
+    if (task.status === Task.STATUS.FAILED || task.status === Task.STATUS.CANCELLED) {
+      workflow.fail(new Error(task.status === Task.STATUS.CANCELLED
+        ? `Task "${task.workflowNode}" was cancelled`
+        : `Task "${task.workflowNode}" failed: ${task.error.message}`));
+      await this.persistWorkflow(workflow);
+
+      const unstarted = [
+        Task.STATUS.BLOCKED,
+        Task.STATUS.PENDING,
+        Task.STATUS.SCHEDULED,
+        Task.STATUS.RETRYING
+      ];
+
+      for (const taskId of workflow.getTaskIds()) {
+        const node = this.tasks.get(taskId);
+        if (node && unstarted.includes(node.status)) {
+          await this.failTask(taskId, new Error(`Workflow ${workflow.id} failed`), {
+            permanent: true,
+            deadLetter: false
+          });
+        }
+      }
+
+      this.emit('workflow:failed', workflow);
+      return;
+    }
+
+    const allCompleted = workflow.getTaskIds().every(taskId => {
+      const node = this.tasks.get(taskId);
+      return node && node.status === Task.STATUS.COMPLETED;
+    });
+
+    if (allCompleted) {
+      workflow.complete();
+      await this.persistWorkflow(workflow);
+      this.emit('workflow:completed', workflow);
+    }
+  }
+
+  /**
+   * Get task by ID
+   */
+  getTask(taskId) {
+    return this.tasks.get(taskId);
+  }
+
+  /**
+   * Remove task from memory and disk
+   */
+  async removeTask(taskId) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      throw new Error(`Task ${taskId} not found`);
+    }
+
+    this.tasks.delete(taskId);
+    this.tasksByStatus[task.status].delete(taskId);
+    this.getTenant(task.tenant).track(task.status, null);
+    this.dependents.delete(taskId);
+    this.unindexKeys(task);
+
+    if (task.batchId) {
+      const members = this.batchMembers.get(task.batchId);
+      if (members) {
+        members.delete(taskId);
+      }
+
+      // A member removed before it finished would keep its batch open forever
+      if (!task.isFinished()) {
+        await this.updateBatch(task, Task.STATUS.CANCELLED);
+      }
+    }
+
+    if (task.resultRef) {
+      await this.resultStore.remove(taskId);
+    }
+
+    await this.journal.append({ type: 'task', op: 'delete', id: taskId });
+
+    this.emit('task:removed', task);
+
+    return task;
+  }
+
+  /**
+   * Get named queue (existing or a new queue with default settings)
+   */
+  getQueue(name = NamedQueue.DEFAULT) {
+    return this.queues.get(name) || new NamedQueue(name);
+  }
+
+  /**
+   * Create or update a named queue
+   */
+  async configureQueue(name, options = {}) {
+    const queue = this.queues.get(name) || new NamedQueue(name);
+    queue.configure(options);
+
+    this.queues.set(name, queue);
+    await this.persistQueue(queue);
+
+    this.emit('queue:configured', queue);
+
+    return queue;
+  }
+
+  /**
+   * Pause named queue
+   */
+  async pauseQueue(name) {
+    const queue = this.queues.get(name) || new NamedQueue(name);
+    queue.pause();
+
+    this.queues.set(name, queue);
+    await this.persistQueue(queue);
+
+    this.emit('queue:paused', queue);
+
+    return queue;
+  }
+
+  /**
+   * Resume named queue
+   */
+  async resumeQueue(name) {
+    const queue = this.queues.get(name) || new NamedQueue(name);
+    queue.resume();
+
+    this.queues.set(name, queue);
+    await this.persistQueue(queue);
+
+    this.emit('queue:resumed', queue);
+
+    return queue;
+  }
+
+  /**
+   * Get statistics for each named queue
+   */
+  getQueueStats() {
+    const stats = {};
+
+    for (const queue of this.queues.values()) {
+      stats[queue.name] = {
+        ...queue.getStats(),
+        byStatus: {}
+      };
+    }
+
+    for (const task of this.tasks.values()) {
+      const queueStats = stats[task.queue];
+      if (queueStats) {
+        queueStats.byStatus[task.status] = (queueStats.byStatus[task.status] || 0) + 1;
+      }
+    }
+
+    return stats;
+  }
+
+  /**
+   * Get next pending task (highest priority, oldest first) from a queue
+   * that is not paused, below its concurrency limit and within its rate limit.
+   * The fair scheduler first picks the tenant, then its highest priority task.
+   * An optional filter restricts the tasks a worker can take.
+   */
+  getNextTask(filter) {
+    const pendingTasks = this.getStartableTasks(filter);
+
+    if (pendingTasks.length === 0) {
+      return null;
+    }
+
+    if (this.scheduler === 'fair') {
+      return this.fairScheduler.select(pendingTasks, task => this.getTenant(task.tenant));
+    }
+
+    // Sort by priority (descending) then by creation time (ascending)
+    pendingTasks.sort((a, b) => {
+      if (a.priority !== b.priority) {
+        return b.priority - a.priority;
+      }
+      return a.createdAt - b.createdAt;
+    });
+
+    return pendingTasks[0];
+  }
+
+  /**
+   * Get pending tasks whose named queue lets them start now (not paused,
+   * under its concurrency and rate limits) and whose tenant is under its
+   * concurrency quota
+   */
+  getStartableTasks(filter, now = Date.now()) {
+    const available = new Map();
+    const tenantAvailable = new Map();
+
+    return Array.from(this.tasksByStatus[Task.STATUS.PENDING])
+      .map(id => this.tasks.get(id))
+      .filter(task => {
+        if (!task) return false;
+        if (filter && !filter(task)) return false;
+        if (!available.has(task.queue)) {
+          available.set(task.queue, this.getQueue(task.queue).canStart(now));
+        }
+        if (!tenantAvailable.has(task.tenant)) {
+          tenantAvailable.set(task.tenant, this.getTenant(task.tenant).canStart());
+        }
+        return available.get(task.queue) && tenantAvailable.get(task.tenant);
+      });
+  }
+
+  /**
+   * Get tenant (created on first use with its settings over the '*' settings)
+   */
+  getTenant(name = Tenant.DEFAULT) {
+    let tenant = this.tenants.get(name);
+    if (!tenant) {
+      tenant = new Tenant(name, { ...this.tenantSettings['*'], ...this.tenantSettings[name] });
+      this.tenants.set(name, tenant);
+    }
+    return tenant;
+  }
+
+  /**
+   * Update a tenant's weight and quotas
+   */
+  configureTenant(name, options = {}) {
+    const tenant = this.getTenant(name);
+    tenant.configure(options);
+
+    this.emit('tenant:configured', tenant);
+
+    return tenant;
+  }
+
+  /**
+   * Throw if adding the tasks would take a tenant over its pending quota
+   */
+  checkTenantQuota(tasks) {
+    const counts = new Map();
+    for (const task of tasks) {
+      const name = task.tenant || Tenant.DEFAULT;
+      counts.set(name, (counts.get(name) || 0) + 1);
+    }
+
+    for (const [name, count] of counts) {
+      const tenant = this.getTenant(name);
+      if (!tenant.canSubmit(count)) {
+        const error = new Error(`Tenant ${name} has reached its pending task quota (${tenant.maxPending})`);
+        error.code = 'TENANT_QUOTA_EXCEEDED';
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Get statistics for each tenant
+   */
+  getTenantStats() {
+    const stats = {};
+    for (const tenant of this.tenants.values()) {
+      stats[tenant.name] = tenant.getStats();
+    }
+    return stats;
+  }
+
+  /**
+   * Set the retry policy for a task type ('*' for every type without one)
+   */
+  setRetryPolicy(type, policy) {
+    const retryPolicy = policy instanceof RetryPolicy ? policy : new RetryPolicy(policy);
+    this.retryPolicies.set(type, retryPolicy);
+    return retryPolicy;
+  }
+
+  /**
+   * Get the retry policy that applies to a task type
+   */
+  getRetryPolicy(type) {
+    return this.retryPolicies.get(type) || this.retryPolicies.get('*') || this.defaultRetryPolicy;
+  }
+
+  /**
+   * Get tasks ready for retry
+   */
+  getRetryableTasks() {
+    const now = Date.now();
+    const retryingTasks = Array.from(this.tasksByStatus[Task.STATUS.RETRYING])
+      .map(id => this.tasks.get(id))
+      .filter(task => {
+        if (!task) return false;
+        // Tasks journaled before retryAt existed wait out the plain backoff delay
+        const retryAt = task.retryAt !== null ? task.retryAt : task.updatedAt + task.getRetryDelay();
+        return now >= retryAt;
+      });
+
+    return retryingTasks;
+  }
+
+  /**
+   * Get scheduled tasks whose run time has arrived
+   */
+  getDueTasks(now = Date.now()) {
+    return Array.from(this.tasksByStatus[Task.STATUS.SCHEDULED])
+      .map(id => this.tasks.get(id))
+      .filter(task => task && task.isDue(now));
+  }
+
+  /**
+   * Move due scheduled tasks into the pending queue.
+   * One-off tasks become pending themselves; recurring tasks enqueue a new
+   * run and stay scheduled for their next occurrence.
+   */
+  async promoteDueTasks(now = Date.now()) {
+    const dueTasks = this.getDueTasks(now);
+
+    for (const task of dueTasks) {
+      if (task.isRecurring()) {
+        const run = await this.addTask({
+          type: task.type,
+          payload: task.payload,
+          priority: task.priority,
+          queue: task.queue,
+          maxAttempts: task.maxAttempts,
+          timeout: task.timeout,
+          handlerVersion: task.handlerVersion,
+          retryDelay: task.retryDelay,
+          retryBackoff: task.retryBackoff,
+          tenant: task.tenant,
+          webhooks: task.webhooks,
+          scheduledBy: task.id
+        }, { quota: false });
+
+        task.scheduleNext(now);
+        await this.persistTask(task);
+
+        this.emit('task:scheduled-run', { task, run });
+      } else {
+        await this.updateTaskStatus(task.id, Task.STATUS.PENDING);
+        this.emit('task:due', task);
+      }
+    }
+
+    return dueTasks.length;
+  }
+
+  /**
+   * Update task status
+   */
+  async updateTaskStatus(taskId, newStatus) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      throw new Error(`Task ${taskId} not found`);
+    }
+
+    // The task model may already have moved to the new status,
+    // so look up the set that still holds the task
+    const oldStatus = Object.keys(this.tasksByStatus)
+      .find(status => this.tasksByStatus[status].has(taskId)) || task.status;
+
+    // Remove from old status set
+    this.tasksByStatus[oldStatus].delete(taskId);
+
+    // Track running tasks per named queue
+    const queue = this.queues.get(task.queue);
+    if (queue && oldStatus !== newStatus) {
+      if (oldStatus === Task.STATUS.PROCESSING) queue.active--;
+      if (newStatus === Task.STATUS.PROCESSING) queue.active++;
+    }
+    this.getTenant(task.tenant).track(oldStatus, newStatus);
+
+    // Update status
+    task.status = newStatus;
+    task.updatedAt = Date.now();
+
+    // Add to new status set
+    this.tasksByStatus[newStatus].add(taskId);
+
+    await this.persistTask(task);
+
+    this.emit('task:status-changed', { task, oldStatus, newStatus });
+  }
+
+  /**
+   * Update task progress
+   */
+  async updateTaskProgress(taskId, progress) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      throw new Error(`Task ${taskId} not found`);
+    }
+
+    task.updateProgress(progress);
+
+    this.emit('task:progress', { task, progress });
+
+    const batch = task.batchId ? this.batches.get(task.batchId) : null;
+    if (batch) {
+      this.emit('batch:progress', { batch, progress: this.getBatchProgress(batch) });
+    }
+  }
+
+  /**
+   * Mark task as started
+   */
+  async startTask(taskId, workerId) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      throw new Error(`Task ${taskId} not found`);
+    }
+
+    task.start(workerId);
+    this.getQueue(task.queue).consumeToken();
+
+    const tenant = this.getTenant(task.tenant);
+    tenant.started++;
+    this.fairScheduler.charge(tenant);
+
+    await this.updateTaskStatus(taskId, Task.STATUS.PROCESSING);
+
+    this.emit('task:started', task);
+
+    return task;
+  }
+
+  /**
+   * Mark task as completed
+   */
+  async completeTask(taskId, result) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      throw new Error(`Task ${taskId} not found`);
+    }
+
+    // A cancelled task may still report back from its worker
+    if (task.status === Task.STATUS.CANCELLED) {
+      return;
+    }
+
+    if (!task.resultTTL && this.resultTTL) {
+      task.resultTTL = this.resultTTL;
+    }
+
+    task.complete(result);
+    await this.storeResult(task);
+    await this.updateTaskStatus(taskId, Task.STATUS.COMPLETED);
+
+    this.emit('task:completed', task);
+
+    await this.checkDependents(task);
+    await this.updateWorkflow(task);
+    await this.updateBatch(task);
+  }
+
+  /**
+   * Move a large result into the result store, leaving a reference on the task
+   */
+  async storeResult(task) {
+    const ref = await this.resultStore.save(task.id, task.result);
+    if (ref) {
+      task.result = null;
+      task.resultRef = ref;
+    }
+  }
+
+  /**
+   * Get the result of a completed task, loading it from the result store if needed
+   */
+  async getTaskResult(taskId) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      throw new Error(`Task ${taskId} not found`);
+    }
+    if (task.status !== Task.STATUS.COMPLETED) {
+      throw new Error(`Task ${taskId} is ${task.status}`);
+    }
+    if (task.resultExpired) {
+      throw new Error(`Result of task ${taskId} has expired`);
+    }
+
+    return task.resultRef ? this.resultStore.load(taskId) : task.result;
   }
 
   /**
-   * Add task to queue
+   * Open a read stream over a result kept in the result store
    */
-  async addTask(taskData) {
-    const task = new Task(taskData);
+  createResultStream(taskId) {
+    return this.resultStore.createReadStream(taskId);
+  }
 
-    this.tasks.set(task.id, task);
-    this.tasksByStatus[task.status].add(task.id);
+  /**
+   * Drop results whose TTL has passed. The task itself is kept until cleanup.
+   */
+  async expireResults(now = Date.now()) {
+    let count = 0;
 
-    await this.persistTask(task);
+    for (const taskId of this.tasksByStatus[Task.STATUS.COMPLETED]) {
+      const task = this.tasks.get(taskId);
+      if (!task.isResultDue(now)) {
+        continue;
+      }
 
-    this.emit('task:added', task);
+      if (task.resultRef) {
+        await this.resultStore.remove(taskId);
+      }
+      task.expireResult();
+      await this.persistTask(task);
+      count++;
 
-    return task;
-  }
+      this.emit('task:result-expired', task);
+    }
 
-  /**
-   * Get task by ID
-   */
-  getTask(taskId) {
-    return this.tasks.get(taskId);
+    return count;
   }
 
   /**
-   * Get next pending task (highest priority, oldest first)
+   * Mark task as failed.
+   * Tasks that fail permanently are moved to the dead-letter queue unless
+   * options.deadLetter is false (used for tasks cancelled by a failed dependency).
    */
-  getNextTask() {
-    const pendingTasks = Array.from(this.tasksByStatus[Task.STATUS.PENDING])
-      .map(id => this.tasks.get(id))
-      .filter(task => task !== undefined);
+  async failTask(taskId, error, options = {}) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      throw new Error(`Task ${taskId} not found`);
+    }
 
-    if (pendingTasks.length === 0) {
-      return null;
+    if (task.status === Task.STATUS.CANCELLED) {
+      return;
     }
 
-    // Sort by priority (descending) then by creation time (ascending)
-    pendingTasks.sort((a, b) => {
-      if (a.priority !== b.priority) {
-        return b.priority - a.priority;
-      }
-      return a.createdAt - b.createdAt;
-    });
+    const policy = this.getRetryPolicy(task.type);
+    const nonRetryable = options.permanent ? null : policy.getNonRetryableReason(error, task);
 
-    return pendingTasks[0];
+    task.fail(error, { ...options, nonRetryable });
+
+    const willRetry = task.status === Task.STATUS.RETRYING;
+    if (willRetry) {
+      task.scheduleRetry(policy.getDelay(task));
+    }
+    await this.updateTaskStatus(taskId, task.status);
+
+    this.emit('task:failed', { task, willRetry });
+
+    if (!willRetry) {
+      await this.updateWorkflow(task);
+      await this.checkDependents(task);
+      await this.updateBatch(task);
+
+      if (options.deadLetter !== false) {
+        await this.moveToDeadLetter(task, error.message);
+      }
+    }
   }
 
   /**
-   * Get tasks ready for retry
+   * Fail processing tasks that no worker is running: tasks left over from a crash,
+   * or whose worker went away without reporting back. The interrupted attempt counts,
+   * so each task is retried or dead-lettered according to maxAttempts.
    */
-  getRetryableTasks() {
-    const now = Date.now();
-    const retryingTasks = Array.from(this.tasksByStatus[Task.STATUS.RETRYING])
+  async recoverStalledTasks(isRunning, options = {}) {
+    const { minAge = 0, now = Date.now() } = options;
+
+    const stalledTasks = Array.from(this.tasksByStatus[Task.STATUS.PROCESSING])
       .map(id => this.tasks.get(id))
-      .filter(task => {
-        if (!task) return false;
-        const retryDelay = task.getRetryDelay();
-        const timeSinceUpdate = now - task.updatedAt;
-        return timeSinceUpdate >= retryDelay;
-      });
+      .filter(task => task && now - (task.startedAt || 0) >= minAge && !isRunning(task));
 
-    return retryingTasks;
+    for (const task of stalledTasks) {
+      const reason = options.reason || `Task interrupted: worker ${task.workerId} is no longer running it`;
+
+      this.emit('task:stalled', { task, workerId: task.workerId });
+      await this.failTask(task.id, new Error(reason));
+    }
+
+    return stalledTasks.length;
   }
 
   /**
-   * Update task status
+   * Cancel a task that has not finished. Processing tasks are marked cancelled
+   * here; stopping the handler is up to the worker that runs it.
    */
-  async updateTaskStatus(taskId, newStatus) {
+  async cancelTask(taskId, reason) {
     const task = this.tasks.get(taskId);
     if (!task) {
       throw new Error(`Task ${taskId} not found`);
     }
 
-    const oldStatus = task.status;
+    const wasProcessing = task.status === Task.STATUS.PROCESSING;
 
-    // Remove from old status set
-    this.tasksByStatus[oldStatus].delete(taskId);
+    task.cancel(reason);
+    await this.updateTaskStatus(taskId, Task.STATUS.CANCELLED);
 
-    // Update status
-    task.status = newStatus;
-    task.updatedAt = Date.now();
+    this.emit('task:cancelled', { task, wasProcessing });
 
-    // Add to new status set
-    this.tasksByStatus[newStatus].add(taskId);
+    await this.updateWorkflow(task);
+    await this.checkDependents(task);
+    await this.updateBatch(task);
 
-    await this.persistTask(task);
+    return task;
+  }
 
-    this.emit('task:status-changed', { task, oldStatus, newStatus });
+  /**
+   * Move a permanently failed task to the dead-letter queue
+   */
+  async moveToDeadLetter(task, reason) {
+    const entry = {
+      task,
+      reason,
+      deadLetteredAt: Date.now()
+    };
+
+    this.tasks.delete(task.id);
+    this.tasksByStatus[task.status].delete(task.id);
+    this.getTenant(task.tenant).track(task.status, null);
+    this.deadLetters.set(task.id, entry);
+
+    await this.journal.append({ type: 'task', op: 'delete', id: task.id });
+    await this.persistDeadLetter(entry);
+
+    this.emit('task:dead-lettered', entry);
+
+    return entry;
   }
 
   /**
-   * Update task progress
+   * Get dead-lettered tasks (newest first), optionally filtered by type or queue
    */
-  async updateTaskProgress(taskId, progress) {
-    const task = this.tasks.get(taskId);
-    if (!task) {
-      throw new Error(`Task ${taskId} not found`);
-    }
+  getDeadLetters(filter = {}) {
+    return Array.from(this.deadLetters.values())
+      .filter(entry => this.matchesDeadLetter(entry, filter))
+      .sort((a, b) => b.deadLetteredAt - a.deadLetteredAt);
+  }
 
-    task.updateProgress(progress);
+  /**
+   * Get dead-lettered task by ID
+   */
+  getDeadLetter(taskId) {
+    return this.deadLetters.get(taskId);
+  }
 
-    this.emit('task:progress', { task, progress });
+  /**
+   * Check if a dead-letter entry matches a filter
+   */
+  matchesDeadLetter(entry, filter) {
+    if (filter.ids && !filter.ids.includes(entry.task.id)) return false;
+    if (filter.type && entry.task.type !== filter.type) return false;
+    if (filter.queue && entry.task.queue !== filter.queue) return false;
+    return true;
   }
 
   /**
-   * Mark task as started
+   * Move a dead-lettered task back to the pending queue with fresh attempts.
+   * Like rerunTask(), a task with dependencies waits for them again.
    */
-  async startTask(taskId, workerId) {
-    const task = this.tasks.get(taskId);
-    if (!task) {
-      throw new Error(`Task ${taskId} not found`);
+  async requeueDeadLetter(taskId) {
+    const entry = this.deadLetters.get(taskId);
+    if (!entry) {
+      throw new Error(`Dead letter ${taskId} not found`);
     }
 
-    task.start(workerId);
-    await this.updateTaskStatus(taskId, Task.STATUS.PROCESSING);
+    const task = entry.task;
+    if (task.workflowId) {
+      throw new Error(`Task ${taskId} belongs to workflow ${task.workflowId} and cannot be requeued`);
+    }
 
-    this.emit('task:started', task);
+    await this.reopenBatchTask(task, task.status);
+    task.requeue();
+    if (task.dependsOn.length > 0) {
+      task.status = Task.STATUS.BLOCKED;
+    }
+
+    this.deadLetters.delete(taskId);
+    this.tasks.set(task.id, task);
+    this.tasksByStatus[task.status].add(task.id);
+    this.getTenant(task.tenant).track(null, task.status);
+    this.indexDependencies(task);
+
+    await this.journal.append({ type: 'dead-letter', op: 'delete', id: taskId });
+    await this.persistTask(task);
+
+    this.emit('dead-letter:requeued', task);
+
+    await this.checkDependencies(task);
 
     return task;
   }
 
   /**
-   * Mark task as completed
+   * Requeue all dead-lettered tasks matching a filter.
+   * Tasks of workflows are left in the dead-letter queue.
    */
-  async completeTask(taskId, result) {
-    const task = this.tasks.get(taskId);
-    if (!task) {
-      throw new Error(`Task ${taskId} not found`);
-    }
+  async requeueDeadLetters(filter = {}) {
+    const entries = this.getDeadLetters(filter).filter(entry => !entry.task.workflowId);
 
-    task.complete(result);
-    await this.updateTaskStatus(taskId, Task.STATUS.COMPLETED);
+    for (const entry of entries) {
+      await this.requeueDeadLetter(entry.task.id);
+    }
 
-    this.emit('task:completed', task);
+    return entries.map(entry => entry.task);
   }
 
   /**
-   * Mark task as failed
+   * Permanently delete dead-lettered tasks matching a filter
    */
-  async failTask(taskId, error) {
-    const task = this.tasks.get(taskId);
-    if (!task) {
-      throw new Error(`Task ${taskId} not found`);
-    }
+  async purgeDeadLetters(filter = {}) {
+    const entries = this.getDeadLetters(filter);
 
-    task.fail(error);
+    for (const entry of entries) {
+      this.deadLetters.delete(entry.task.id);
+      this.unindexKeys(entry.task);
+      await this.journal.append({ type: 'dead-letter', op: 'delete', id: entry.task.id });
+    }
 
-    const newStatus = task.canRetry() ? Task.STATUS.RETRYING : Task.STATUS.FAILED;
-    await this.updateTaskStatus(taskId, newStatus);
+    this.emit('dead-letter:purged', { count: entries.length });
 
-    this.emit('task:failed', { task, willRetry: task.canRetry() });
+    return entries.length;
   }
 
   /**
@@ -229,6 +1302,41 @@ class QueueManager extends EventEmitter {
     this.emit('task:retry', task);
   }
 
+  /**
+   * Run a retrying task now, or run a failed or cancelled task again with fresh attempts
+   */
+  async rerunTask(taskId) {
+    const task = this.tasks.get(taskId);
+    if (!task) {
+      throw new Error(`Task ${taskId} not found`);
+    }
+
+    if (task.status === Task.STATUS.RETRYING) {
+      await this.retryTask(taskId);
+      return task;
+    }
+
+    if (task.status !== Task.STATUS.FAILED && task.status !== Task.STATUS.CANCELLED) {
+      throw new Error(`Task ${taskId} is ${task.status}`);
+    }
+    if (task.workflowId) {
+      throw new Error(`Task ${taskId} belongs to workflow ${task.workflowId} and cannot be rerun`);
+    }
+
+    await this.reopenBatchTask(task, task.status);
+    task.requeue();
+    if (task.dependsOn.length > 0) {
+      task.status = Task.STATUS.BLOCKED;
+    }
+    await this.updateTaskStatus(taskId, task.status);
+
+    this.emit('task:rerun', task);
+
+    await this.checkDependencies(task);
+
+    return task;
+  }
+
   /**
    * Check for timed out tasks
    */
@@ -253,7 +1361,13 @@ class QueueManager extends EventEmitter {
       total: this.tasks.size,
       byStatus: {},
       avgWaitingTime: 0,
-      avgExecutionTime: 0
+      avgExecutionTime: 0,
+      queues: this.getQueueStats(),
+      scheduler: this.scheduler,
+      tenants: this.getTenantStats(),
+      deadLetters: this.deadLetters.size,
+      batches: this.batches.size,
+      persistence: this.journal.getStats()
     };
 
     // Count by status
@@ -278,64 +1392,253 @@ class QueueManager extends EventEmitter {
   }
 
   /**
-   * Persist task to disk
+   * Append task state to the journal
    */
   async persistTask(task) {
-    const taskFile = path.join(this.queueDir, `${task.id}.json`);
-    const data = JSON.stringify(task.toJSON(), null, 2);
-    await fs.promises.writeFile(taskFile, data, 'utf8');
+    await this.journal.append({ type: 'task', op: 'put', data: task.toJSON() });
+
+    if (this.journal.needsCompaction()) {
+      this.persistAll().catch(error => this.emit('error', error));
+    }
+  }
+
+  /**
+   * Append workflow state to the journal
+   */
+  async persistWorkflow(workflow) {
+    await this.journal.append({ type: 'workflow', op: 'put', data: workflow.toJSON() });
+  }
+
+  /**
+   * Append batch state to the journal
+   */
+  async persistBatch(batch) {
+    await this.journal.append({ type: 'batch', op: 'put', data: batch.toJSON() });
+  }
+
+  /**
+   * Remove batch from memory and journal
+   */
+  async removeBatch(batchId) {
+    this.batches.delete(batchId);
+    this.batchMembers.delete(batchId);
+    await this.journal.append({ type: 'batch', op: 'delete', id: batchId });
+  }
+
+  /**
+   * Append named queue settings to the journal
+   */
+  async persistQueue(queue) {
+    await this.journal.append({ type: 'queue', op: 'put', data: queue.toJSON() });
+  }
+
+  /**
+   * Append dead-letter entry to the journal
+   */
+  async persistDeadLetter(entry) {
+    await this.journal.append({
+      type: 'dead-letter',
+      op: 'put',
+      data: {
+        task: entry.task.toJSON(),
+        reason: entry.reason,
+        deadLetteredAt: entry.deadLetteredAt
+      }
+    });
+  }
+
+  /**
+   * Remove workflow from memory and journal
+   */
+  async removeWorkflow(workflowId) {
+    this.workflows.delete(workflowId);
+    await this.journal.append({ type: 'workflow', op: 'delete', id: workflowId });
   }
 
   /**
-   * Load all tasks from disk
+   * Load tasks and workflows by replaying snapshot and journal
    */
   async loadTasks() {
-    try {
-      const files = await fs.promises.readdir(this.queueDir);
-      const taskFiles = files.filter(f => f.endsWith('.json'));
-
-      for (const file of taskFiles) {
-        try {
-          const taskPath = path.join(this.queueDir, file);
-          const data = await fs.promises.readFile(taskPath, 'utf8');
-          const taskData = JSON.parse(data);
-          const task = Task.fromJSON(taskData);
-
-          this.tasks.set(task.id, task);
-          this.tasksByStatus[task.status].add(task.id);
-        } catch (error) {
-          console.error(`Failed to load task from ${file}:`, error);
+    const state = {
+      task: new Map(),
+      workflow: new Map(),
+      batch: new Map(),
+      queue: new Map(),
+      'dead-letter': new Map()
+    };
+    const keyFor = {
+      task: (data) => data.id,
+      workflow: (data) => data.id,
+      batch: (data) => data.id,
+      queue: (data) => data.name,
+      'dead-letter': (data) => data.task.id
+    };
+
+    await this.journal.replay((record) => {
+      const target = state[record.type];
+      if (!target) {
+        return;
+      }
+
+      if (record.op === 'put') {
+        target.set(keyFor[record.type](record.data), record.data);
+      } else if (record.op === 'delete') {
+        target.delete(record.id);
+      }
+    });
+
+    for (const data of state.queue.values()) {
+      this.queues.set(data.name, NamedQueue.fromJSON(data));
+    }
+
+    // Build tasks once from their latest state
+    for (const data of state.task.values()) {
+      try {
+        this.loadTask(Task.fromJSON(data));
+      } catch (error) {
+        console.error(`Failed to load task ${data.id}:`, error);
+      }
+    }
+
+    for (const data of state['dead-letter'].values()) {
+      const task = Task.fromJSON(data.task);
+      this.deadLetters.set(task.id, {
+        task,
+        reason: data.reason,
+        deadLetteredAt: data.deadLetteredAt
+      });
+      this.indexKeys(task);
+    }
+
+    for (const data of state.workflow.values()) {
+      const workflow = Workflow.fromJSON(data);
+      this.workflows.set(workflow.id, workflow);
+    }
+
+    for (const data of state.batch.values()) {
+      const batch = Batch.fromJSON(data);
+      this.batches.set(batch.id, batch);
+    }
+
+    this.emit('tasks:loaded', { count: this.tasks.size });
+  }
+
+  /**
+   * Add a restored task to the in-memory indexes
+   */
+  loadTask(task) {
+    this.tasks.set(task.id, task);
+    this.tasksByStatus[task.status].add(task.id);
+    this.indexDependencies(task);
+    this.indexKeys(task);
+    this.indexBatch(task);
+
+    if (!this.queues.has(task.queue)) {
+      this.queues.set(task.queue, new NamedQueue(task.queue));
+    }
+    if (task.status === Task.STATUS.PROCESSING) {
+      this.queues.get(task.queue).active++;
+    }
+    this.getTenant(task.tenant).track(null, task.status);
+  }
+
+  /**
+   * Import per-task JSON files written by older versions into the journal
+   */
+  async migrateLegacyFiles() {
+    const legacyFiles = [];
+
+    for (const dir of [this.queueDir, path.join(this.queueDir, 'workflows')]) {
+      try {
+        const files = await fs.promises.readdir(dir);
+        for (const file of files.filter(f => f.endsWith('.json'))) {
+          legacyFiles.push({ dir, file });
+        }
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
         }
       }
+    }
 
-      this.emit('tasks:loaded', { count: this.tasks.size });
-    } catch (error) {
-      if (error.code !== 'ENOENT') {
-        throw error;
+    if (legacyFiles.length === 0) {
+      return;
+    }
+
+    for (const { dir, file } of legacyFiles) {
+      try {
+        const data = JSON.parse(await fs.promises.readFile(path.join(dir, file), 'utf8'));
+
+        if (dir === this.queueDir && !this.tasks.has(data.id)) {
+          this.loadTask(Task.fromJSON(data));
+        } else if (dir !== this.queueDir && !this.workflows.has(data.id)) {
+          this.workflows.set(data.id, Workflow.fromJSON(data));
+        }
+      } catch (error) {
+        console.error(`Failed to migrate ${file}:`, error);
       }
     }
+
+    // Write everything to a snapshot before removing the old files
+    await this.persistAll();
+
+    for (const { dir, file } of legacyFiles) {
+      await fs.promises.unlink(path.join(dir, file));
+    }
+    await fs.promises.rmdir(path.join(this.queueDir, 'workflows')).catch(() => {});
+
+    this.emit('tasks:migrated', { count: legacyFiles.length });
   }
 
   /**
-   * Start periodic persistence
+   * Start periodic snapshots
    */
   startPersistence() {
     this.persistenceTimer = setInterval(async () => {
       try {
-        await this.persistAll();
+        if (this.journal.entries > 0) {
+          await this.persistAll();
+        }
       } catch (error) {
         this.emit('error', error);
       }
-    }, this.persistenceInterval);
+    }, this.snapshotInterval);
   }
 
   /**
-   * Persist all tasks
+   * Write a snapshot of all tasks and workflows and compact the journal
    */
   async persistAll() {
-    const tasks = Array.from(this.tasks.values());
-    await Promise.all(tasks.map(task => this.persistTask(task)));
-    this.emit('tasks:persisted', { count: tasks.length });
+    const compacted = await this.journal.compact(() => this.getSnapshotRecords());
+
+    if (compacted) {
+      this.emit('tasks:persisted', { count: this.tasks.size });
+    }
+  }
+
+  /**
+   * Get records describing the full current state
+   */
+  *getSnapshotRecords() {
+    for (const task of this.tasks.values()) {
+      yield { type: 'task', op: 'put', data: task.toJSON() };
+    }
+    for (const workflow of this.workflows.values()) {
+      yield { type: 'workflow', op: 'put', data: workflow.toJSON() };
+    }
+    for (const batch of this.batches.values()) {
+      yield { type: 'batch', op: 'put', data: batch.toJSON() };
+    }
+    for (const queue of this.queues.values()) {
+      yield { type: 'queue', op: 'put', data: queue.toJSON() };
+    }
+    for (const entry of this.deadLetters.values()) {
+      yield {
+        type: 'dead-letter',
+        op: 'put',
+        data: { task: entry.task.toJSON(), reason: entry.reason, deadLetteredAt: entry.deadLetteredAt }
+      };
+    }
   }
 
   /**
@@ -351,6 +1654,19 @@ class QueueManager extends EventEmitter {
     }, 60 * 60 * 1000); // Run every hour
   }
 
+  /**
+   * Start periodic result expiry
+   */
+  startResultExpiry() {
+    this.resultTimer = setInterval(async () => {
+      try {
+        await this.expireResults();
+      } catch (error) {
+        this.emit('error', error);
+      }
+    }, this.resultCheckInterval);
+  }
+
   /**
    * Clean up old completed/failed tasks
    */
@@ -360,7 +1676,7 @@ class QueueManager extends EventEmitter {
 
     for (const [taskId, task] of this.tasks) {
       if (
-        (task.status === Task.STATUS.COMPLETED || task.status === Task.STATUS.FAILED) &&
+        task.isFinished() &&
         task.completedAt &&
         now - task.completedAt > this.cleanupAge
       ) {
@@ -369,16 +1685,26 @@ class QueueManager extends EventEmitter {
     }
 
     for (const taskId of toRemove) {
-      const task = this.tasks.get(taskId);
-      this.tasks.delete(taskId);
-      this.tasksByStatus[task.status].delete(taskId);
+      await this.removeTask(taskId);
+    }
 
-      // Remove file
-      const taskFile = path.join(this.queueDir, `${taskId}.json`);
-      try {
-        await fs.promises.unlink(taskFile);
-      } catch (error) {
-        // Ignore if file doesn't exist
+    // Forget idempotency keys outside the dedup window
+    for (const [key, taskId] of this.idempotencyKeys) {
+      const task = this.findTask(taskId);
+      if (!task || now - task.createdAt >= this.dedupWindow) {
+        this.idempotencyKeys.delete(key);
+      }
+    }
+
+    // Remove finished workflows and batches of the same age
+    for (const [workflowId, workflow] of this.workflows) {
+      if (workflow.isFinished() && now - workflow.completedAt > this.cleanupAge) {
+        await this.removeWorkflow(workflowId);
+      }
+    }
+    for (const [batchId, batch] of this.batches) {
+      if (batch.isFinished() && now - batch.completedAt > this.cleanupAge) {
+        await this.removeBatch(batchId);
       }
     }
 
@@ -396,9 +1722,13 @@ class QueueManager extends EventEmitter {
     if (this.cleanupTimer) {
       clearInterval(this.cleanupTimer);
     }
+    if (this.resultTimer) {
+      clearInterval(this.resultTimer);
+    }
 
-    // Final persistence
+    // Final snapshot
     await this.persistAll();
+    await this.journal.close();
 
     this.emit('shutdown');
   }
@@ -0,0 +1,358 @@
+/**
+ * Remote Worker
+ * Worker process that connects to a WorkerServer and executes leased tasks
+ */
+
+const net = require('net');
+const os = require('os');
+const { EventEmitter } = require('events');
+const FrameCodec = require('./frame-codec');
+const RetryPolicy = require('./retry-policy');
+const WorkerServer = require('./worker-server');
+
+class RemoteWorker extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port || 7070;
+    this.path = options.path || null; // Unix socket path
+    this.authToken = options.authToken || null; // Sent in hello when the server requires one
+    this.workerId = options.workerId || `${os.hostname()}-${process.pid}`;
+    this.concurrency = options.concurrency || 1;
+    this.taskHandlers = options.taskHandlers || new Map(); // type -> handler path
+    this.reconnect = options.reconnect !== false;
+    this.reconnectDelay = options.reconnectDelay || 1000; // 1 second
+    this.maxReconnectDelay = options.maxReconnectDelay || 30000; // 30 seconds
+
+    this.handlers = new Map(); // type -> loaded handler
+    this.socket = null;
+    this.codec = null;
+    this.connected = false;
+    this.closing = false;
+    this.heartbeatTimer = null;
+    this.reconnectTimer = null;
+    this.reconnectAttempts = 0;
+
+    this.active = new Map(); // taskId -> { leaseId, revoked, controller }
+    this.stats = {
+      tasksCompleted: 0,
+      tasksFailed: 0,
+      tasksRevoked: 0
+    };
+
+    this.loadHandlers();
+  }
+
+  /**
+   * Load task handlers
+   */
+  loadHandlers() {
+    for (const [type, handlerPath] of this.taskHandlers) {
+      this.handlers.set(type, require(handlerPath));
+    }
+  }
+
+  /**
+   * Connect to the worker server. Resolves once the server has accepted the worker.
+   */
+  connect() {
+    this.closing = false;
+
+    return new Promise((resolve, reject) => {
+      const socket = this.path
+        ? net.createConnection(this.path)
+        : net.createConnection(this.port, this.host);
+
+      this.socket = socket;
+      this.codec = new FrameCodec();
+      socket.setNoDelay(true);
+
+      let welcomed = false;
+
+      socket.on('connect', () => {
+        this.send({
+          type: 'hello',
+          protocol: WorkerServer.PROTOCOL_VERSION,
+          workerId: this.workerId,
+          concurrency: this.concurrency,
+          types: Array.from(this.handlers.keys()),
+          ...(this.authToken ? { token: this.authToken } : {})
+        });
+      });
+
+      socket.on('data', (chunk) => {
+        let messages;
+        try {
+          messages = this.codec.push(chunk);
+        } catch (error) {
+          this.emit('error', error);
+          socket.destroy();
+          return;
+        }
+
+        for (const message of messages) {
+          if (message.type === 'welcome' && !welcomed) {
+            welcomed = true;
+            this.handleWelcome(message);
+            resolve();
+          } else if (message.type === 'error' && !welcomed) {
+            reject(new Error(message.message));
+          } else {
+            this.handleMessage(message);
+          }
+        }
+      });
+
+      socket.on('error', (error) => {
+        if (!welcomed) {
+          reject(error);
+        }
+      });
+
+      socket.on('close', () => {
+        this.handleClose();
+        if (!welcomed) {
+          reject(new Error('Connection closed before worker was accepted'));
+        }
+      });
+    });
+  }
+
+  /**
+   * Handle server welcome
+   */
+  handleWelcome(message) {
+    this.workerId = message.workerId;
+    this.connected = true;
+    this.reconnectAttempts = 0;
+
+    this.heartbeatTimer = setInterval(() => {
+      this.send({ type: 'heartbeat' });
+    }, message.heartbeatInterval);
+
+    this.emit('connected', {
+      workerId: this.workerId,
+      heartbeatInterval: message.heartbeatInterval,
+      leaseTimeout: message.leaseTimeout
+    });
+  }
+
+  /**
+   * Handle message from server
+   */
+  handleMessage(message) {
+    switch (message.type) {
+      case 'lease':
+        this.executeTask(message);
+        break;
+
+      case 'revoke': {
+        const execution = this.active.get(message.taskId);
+        if (execution && execution.leaseId === message.leaseId) {
+          execution.revoked = true;
+          execution.controller.abort(new Error(message.reason));
+          this.stats.tasksRevoked++;
+          this.emit('task:revoked', { taskId: message.taskId, reason: message.reason });
+        }
+        break;
+      }
+
+      case 'shutdown':
+        this.emit('shutdown');
+        this.close().catch(error => this.emit('error', error));
+        break;
+
+      case 'error':
+        this.emit('error', new Error(message.message));
+        break;
+
+      default:
+        this.emit('error', new Error(`Unknown message type from server: ${message.type}`));
+    }
+  }
+
+  /**
+   * Execute a leased task
+   */
+  async executeTask(lease) {
+    const task = lease.task;
+    const execution = { leaseId: lease.leaseId, revoked: false, controller: new AbortController() };
+    const startTime = Date.now();
+
+    this.active.set(task.id, execution);
+    this.emit('task:started', task);
+
+    // Messages for a revoked lease are dropped; the server has moved on
+    const reply = (type, data) => {
+      if (!execution.revoked) {
+        this.send({ type, taskId: task.id, leaseId: lease.leaseId, ...data });
+      }
+    };
+
+    try {
+      const handler = this.handlers.get(task.type);
+
+      if (!handler) {
+        throw new Error(`No handler found for task type: ${task.type}`);
+      }
+
+      const context = {
+        taskId: task.id,
+        workerId: this.workerId,
+        attempt: task.attempts,
+        signal: execution.controller.signal, // Aborted when the lease is revoked or the task cancelled
+        progress: (progress) => reply('progress', { progress }),
+        log: (message) => {
+          this.emit('log', { taskId: task.id, level: 'info', message });
+          this.send({ type: 'log', taskId: task.id, level: 'info', message });
+        }
+      };
+
+      let result;
+      if (typeof handler === 'function') {
+        result = await handler(task.payload, context);
+      } else if (handler.execute && typeof handler.execute === 'function') {
+        result = await handler.execute(task.payload, context);
+      } else {
+        throw new Error(`Invalid handler for task type: ${task.type}`);
+      }
+
+      reply('complete', { result, executionTime: Date.now() - startTime });
+      this.stats.tasksCompleted++;
+      this.emit('task:completed', { taskId: task.id, result, revoked: execution.revoked });
+    } catch (error) {
+      reply('fail', {
+        error: error.message,
+        stack: error.stack,
+        code: error.code,
+        name: RetryPolicy.getErrorName(error),
+        executionTime: Date.now() - startTime
+      });
+      this.stats.tasksFailed++;
+      this.emit('task:failed', { taskId: task.id, error, revoked: execution.revoked });
+    } finally {
+      this.active.delete(task.id);
+      this.emit('task:finished', { taskId: task.id });
+    }
+  }
+
+  /**
+   * Send a message to the server
+   */
+  send(message) {
+    if (this.socket && !this.socket.destroyed && this.socket.writable) {
+      this.socket.write(FrameCodec.encode(message));
+    }
+  }
+
+  /**
+   * Handle connection loss
+   */
+  handleClose() {
+    const wasConnected = this.connected;
+
+    this.connected = false;
+    this.socket = null;
+
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+
+    // The server revokes leases of disconnected workers
+    for (const execution of this.active.values()) {
+      execution.revoked = true;
+      execution.controller.abort(new Error('Disconnected from queue'));
+    }
+
+    if (wasConnected) {
+      this.emit('disconnected');
+    }
+
+    if (!this.closing && this.reconnect) {
+      this.scheduleReconnect();
+    }
+  }
+
+  /**
+   * Reconnect with exponential backoff
+   */
+  scheduleReconnect() {
+    if (this.reconnectTimer) {
+      return;
+    }
+
+    const delay = Math.min(
+      this.reconnectDelay * Math.pow(2, this.reconnectAttempts),
+      this.maxReconnectDelay
+    );
+    this.reconnectAttempts++;
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.emit('reconnecting', { attempt: this.reconnectAttempts });
+
+      this.connect().catch(error => {
+        this.emit('connect:failed', { error, attempt: this.reconnectAttempts });
+      });
+    }, delay);
+  }
+
+  /**
+   * Stop taking new tasks, wait for running tasks and disconnect
+   */
+  async close(options = {}) {
+    const { timeout = 30000 } = options;
+
+    this.closing = true;
+
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+
+    if (this.active.size > 0 && this.connected) {
+      this.send({ type: 'drain' });
+      this.emit('draining', { activeTasks: this.active.size });
+
+      await new Promise((resolve) => {
+        const timer = setTimeout(resolve, timeout);
+        const onFinished = () => {
+          if (this.active.size === 0) {
+            clearTimeout(timer);
+            this.off('task:finished', onFinished);
+            resolve();
+          }
+        };
+        this.on('task:finished', onFinished);
+        onFinished();
+      });
+    }
+
+    if (this.socket) {
+      const socket = this.socket;
+      await new Promise(resolve => {
+        socket.once('close', resolve);
+        socket.end();
+      });
+    }
+
+    this.emit('closed');
+  }
+
+  /**
+   * Get worker statistics
+   */
+  getStats() {
+    return {
+      workerId: this.workerId,
+      connected: this.connected,
+      concurrency: this.concurrency,
+      activeTasks: this.active.size,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = RemoteWorker;
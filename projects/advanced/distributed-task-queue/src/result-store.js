@@ -0,0 +1,115 @@
+/**
+ * Result Store
+ * Keeps large task results out of the journal, one file per task
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class ResultStore {
+  constructor(options = {}) {
+    this.dir = options.dir;
+    this.threshold = options.threshold !== undefined ? options.threshold : 64 * 1024; // 64KB
+  }
+
+  /**
+   * Create the results directory
+   */
+  async initialize() {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+  }
+
+  /**
+   * Get the file path for a task result
+   */
+  getPath(taskId) {
+    if (!/^[a-zA-Z0-9_-]+$/.test(taskId)) {
+      throw new Error(`Invalid task ID: ${taskId}`);
+    }
+    return path.join(this.dir, `${taskId}.json`);
+  }
+
+  /**
+   * Write a result to the store if its JSON is larger than the threshold.
+   * Returns a reference to the stored result, or null if it should stay inline.
+   */
+  async save(taskId, result) {
+    if (result === undefined || result === null) {
+      return null;
+    }
+
+    const data = JSON.stringify(result);
+    const size = Buffer.byteLength(data);
+
+    if (size <= this.threshold) {
+      return null;
+    }
+
+    // Write to a temporary file first so readers never see a partial result
+    const filePath = this.getPath(taskId);
+    const tmpPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(tmpPath, data);
+    await fs.promises.rename(tmpPath, filePath);
+
+    return { size, storedAt: Date.now() };
+  }
+
+  /**
+   * Read and parse a stored result
+   */
+  async load(taskId) {
+    const data = await fs.promises.readFile(this.getPath(taskId), 'utf8');
+    return JSON.parse(data);
+  }
+
+  /**
+   * Open a read stream over a stored result's JSON
+   */
+  createReadStream(taskId) {
+    return fs.createReadStream(this.getPath(taskId));
+  }
+
+  /**
+   * Delete a stored result
+   */
+  async remove(taskId) {
+    try {
+      await fs.promises.unlink(this.getPath(taskId));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete stored results whose task is no longer referenced
+   */
+  async prune(isReferenced) {
+    let files;
+    try {
+      files = await fs.promises.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return 0;
+      }
+      throw error;
+    }
+
+    let removed = 0;
+
+    for (const file of files) {
+      const taskId = file.replace(/\.json(\.tmp)?$/, '');
+      if (file.endsWith('.tmp') || !isReferenced(taskId)) {
+        await fs.promises.unlink(path.join(this.dir, file)).catch(() => {});
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+}
+
+module.exports = ResultStore;
@@ -0,0 +1,109 @@
+/**
+ * Retry Policy
+ * Decides whether a failed task is retried and how long it waits before the next attempt
+ */
+
+class RetryPolicy {
+  static BACKOFF = ['exponential', 'linear', 'fixed'];
+  static JITTER = ['none', 'full', 'decorrelated'];
+
+  constructor(options = {}) {
+    if (options.backoff && !RetryPolicy.BACKOFF.includes(options.backoff)) {
+      throw new Error(`Invalid retry backoff: ${options.backoff}`);
+    }
+    if (options.jitter && !RetryPolicy.JITTER.includes(options.jitter)) {
+      throw new Error(`Invalid retry jitter: ${options.jitter}`);
+    }
+    if (options.retryOn && typeof options.retryOn !== 'function') {
+      throw new Error('retryOn must be a function');
+    }
+
+    this.delay = options.delay || null; // Base delay (ms, null = the task's retryDelay)
+    this.backoff = options.backoff || null; // null = the task's retryBackoff
+    this.maxDelay = options.maxDelay || null; // Cap on any single delay (ms)
+    this.jitter = options.jitter || 'none';
+    this.nonRetryableCodes = options.nonRetryableCodes || []; // error.code values, e.g. 'EACCES'
+    this.nonRetryableErrors = (options.nonRetryableErrors || []) // Error class names or classes
+      .map(error => typeof error === 'function' ? error.name : error);
+    this.retryOn = options.retryOn || null; // (error, task) => boolean, false = do not retry
+  }
+
+  /**
+   * Get the reason an error must not be retried, or null if it may be
+   */
+  getNonRetryableReason(error, task) {
+    if (error.code && this.nonRetryableCodes.includes(error.code)) {
+      return `Error code ${error.code} is not retryable`;
+    }
+
+    const name = RetryPolicy.getErrorName(error);
+    if (this.nonRetryableErrors.includes(name)) {
+      return `${name} is not retryable`;
+    }
+
+    if (this.retryOn) {
+      try {
+        if (!this.retryOn(error, task)) {
+          return 'Rejected by retryOn';
+        }
+      } catch (predicateError) {
+        return `retryOn threw: ${predicateError.message}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the delay before the next attempt of a task that just failed.
+   * Full jitter picks a random delay up to the backoff delay; decorrelated
+   * jitter picks one between the base delay and three times the previous delay.
+   */
+  getDelay(task, random = Math.random) {
+    const base = this.delay || task.retryDelay;
+    let delay;
+
+    if (this.jitter === 'decorrelated') {
+      const previous = task.lastRetryDelay || base;
+      delay = base + random() * Math.max(previous * 3 - base, 0);
+    } else {
+      delay = RetryPolicy.getBackoffDelay(this.backoff || task.retryBackoff, base, task.attempts);
+    }
+
+    if (this.maxDelay !== null) {
+      delay = Math.min(delay, this.maxDelay);
+    }
+
+    if (this.jitter === 'full') {
+      delay = random() * delay;
+    }
+
+    return Math.round(delay);
+  }
+
+  /**
+   * Get the delay after the given attempt without jitter
+   */
+  static getBackoffDelay(backoff, base, attempt) {
+    if (backoff === 'exponential') {
+      return base * Math.pow(2, Math.max(attempt - 1, 0));
+    }
+    if (backoff === 'fixed') {
+      return base;
+    }
+    return base * Math.max(attempt, 1);
+  }
+
+  /**
+   * Get an error's class name. Instances of subclasses that don't set
+   * name report "Error", so fall back to the constructor's name.
+   */
+  static getErrorName(error) {
+    if (error.name && error.name !== 'Error') {
+      return error.name;
+    }
+    return (error.constructor && error.constructor.name) || 'Error';
+  }
+}
+
+module.exports = RetryPolicy;
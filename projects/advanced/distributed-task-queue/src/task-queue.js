@@ -6,6 +6,8 @@
 const { EventEmitter } = require('events');
 const QueueManager = require('./queue-manager');
 const WorkerPool = require('./worker-pool');
+const WorkerServer = require('./worker-server');
+const WebhookDispatcher = require('./webhook-dispatcher');
 const Task = require('./task');
 
 class TaskQueue extends EventEmitter {
@@ -14,15 +16,48 @@ class TaskQueue extends EventEmitter {
 
     this.queueManager = new QueueManager({
       queueDir: options.queueDir,
-      persistenceInterval: options.persistenceInterval,
+      snapshotInterval: options.snapshotInterval,
+      fsync: options.fsync,
+      syncInterval: options.syncInterval,
+      compactThreshold: options.compactThreshold,
       autoCleanup: options.autoCleanup,
-      cleanupAge: options.cleanupAge
+      cleanupAge: options.cleanupAge,
+      dedupWindow: options.dedupWindow,
+      resultThreshold: options.resultThreshold,
+      resultTTL: options.resultTTL,
+      resultCheckInterval: options.resultCheckInterval,
+      retryPolicies: options.retryPolicies,
+      scheduler: options.scheduler,
+      tenants: options.tenants
     });
 
+    // Named queue settings, e.g. { email: { concurrency: 2, rateLimit: { tokens: 10, interval: 1000 } } }
+    this.queueSettings = options.queues || {};
+
     this.workerPool = new WorkerPool({
       workerScript: options.workerScript,
       poolSize: options.poolSize,
-      taskHandlers: options.taskHandlers || new Map()
+      minPoolSize: options.minPoolSize,
+      maxPoolSize: options.maxPoolSize,
+      scaleUpWaitTime: options.scaleUpWaitTime,
+      scaleDownIdleTime: options.scaleDownIdleTime,
+      taskHandlers: options.taskHandlers || new Map(),
+      cancelGracePeriod: options.cancelGracePeriod
+    });
+
+    // Remote worker processes, e.g. { port: 7070 } or { path: '/tmp/task-queue.sock' }
+    this.workerServer = options.workerServer ? new WorkerServer(options.workerServer) : null;
+
+    // Task event webhooks; task type webhooks, e.g. { email: [{ url, events: ['failed'] }] }
+    this.webhooks = new WebhookDispatcher({
+      webhooks: options.webhooks,
+      secret: options.webhookSecret,
+      maxAttempts: options.webhookMaxAttempts,
+      retryDelay: options.webhookRetryDelay,
+      maxRetryDelay: options.webhookMaxRetryDelay,
+      timeout: options.webhookTimeout,
+      maxLogSize: options.webhookLogSize,
+      allowedHosts: options.webhookAllowedHosts
     });
 
     this.processingInterval = options.processingInterval || 100; // 100ms
@@ -31,6 +66,11 @@ class TaskQueue extends EventEmitter {
     this.retryTimer = null;
     this.timeoutCheckInterval = options.timeoutCheckInterval || 10000; // 10 seconds
     this.timeoutTimer = null;
+    this.stalledTaskGracePeriod = options.stalledTaskGracePeriod || 5000; // Processing tasks younger than this are never stalled
+    this.scheduleCheckInterval = options.scheduleCheckInterval || 1000; // 1 second
+    this.scheduleTimer = null;
+    this.scaleCheckInterval = options.scaleCheckInterval || 5000; // 5 seconds
+    this.scaleTimer = null;
 
     this.running = false;
     this.shutdownRequested = false;
@@ -45,20 +85,83 @@ class TaskQueue extends EventEmitter {
   setupEventForwarding() {
     // Forward queue manager events
     this.queueManager.on('task:added', (task) => this.emit('task:added', task));
+    this.queueManager.on('task:deduplicated', (task) => this.emit('task:deduplicated', task));
     this.queueManager.on('task:started', (task) => this.emit('task:started', task));
     this.queueManager.on('task:completed', (task) => this.emit('task:completed', task));
     this.queueManager.on('task:failed', (data) => this.emit('task:failed', data));
     this.queueManager.on('task:retry', (task) => this.emit('task:retry', task));
+    this.queueManager.on('task:rerun', (task) => this.emit('task:rerun', task));
     this.queueManager.on('task:timeout', (task) => this.emit('task:timeout', task));
+    this.queueManager.on('task:stalled', (data) => this.emit('task:stalled', data));
     this.queueManager.on('task:progress', (data) => this.emit('task:progress', data));
+    this.queueManager.on('task:due', (task) => this.emit('task:due', task));
+    this.queueManager.on('task:scheduled-run', (data) => this.emit('task:scheduled-run', data));
+    this.queueManager.on('task:removed', (task) => this.emit('task:removed', task));
+    this.queueManager.on('task:result-expired', (task) => this.emit('task:result-expired', task));
+    this.queueManager.on('task:cancelled', (data) => this.emit('task:cancelled', data));
+    this.queueManager.on('task:unblocked', (task) => this.emit('task:unblocked', task));
+    this.queueManager.on('task:dead-lettered', (entry) => this.emit('task:dead-lettered', entry));
+    this.queueManager.on('dead-letter:requeued', (task) => this.emit('dead-letter:requeued', task));
+    this.queueManager.on('dead-letter:purged', (data) => this.emit('dead-letter:purged', data));
+    this.queueManager.on('workflow:added', (workflow) => this.emit('workflow:added', workflow));
+    this.queueManager.on('batch:added', (batch) => this.emit('batch:added', batch));
+    this.queueManager.on('batch:closed', (batch) => this.emit('batch:closed', batch));
+    this.queueManager.on('batch:progress', (data) => this.emit('batch:progress', data));
+    this.queueManager.on('batch:completed', (batch) => this.emit('batch:completed', batch));
+    this.queueManager.on('workflow:completed', (workflow) => this.emit('workflow:completed', workflow));
+    this.queueManager.on('workflow:failed', (workflow) => this.emit('workflow:failed', workflow));
+    this.queueManager.on('queue:configured', (queue) => this.emit('queue:configured', queue));
+    this.queueManager.on('queue:paused', (queue) => this.emit('queue:paused', queue));
+    this.queueManager.on('queue:resumed', (queue) => this.emit('queue:resumed', queue));
+    this.queueManager.on('tenant:configured', (tenant) => this.emit('tenant:configured', tenant));
 
     // Forward worker pool events
     this.workerPool.on('worker:created', (data) => this.emit('worker:created', data));
     this.workerPool.on('worker:error', (data) => this.emit('worker:error', data));
     this.workerPool.on('worker:exit', (data) => this.emit('worker:exit', data));
+    this.workerPool.on('task:aborted', (data) => this.emit('task:aborted', data));
+    this.workerPool.on('pool:scaled', (data) => this.emit('pool:scaled', data));
+    this.workerPool.on('handler:registered', (data) => this.emit('handler:registered', data));
+    this.workerPool.on('handler:unregistered', (data) => this.emit('handler:unregistered', data));
+    this.workerPool.on('handlers:reloading', (data) => this.emit('handlers:reloading', data));
+    this.workerPool.on('handlers:reloaded', (data) => this.emit('handlers:reloaded', data));
+
+    this.handleWorkerResults(this.workerPool);
+
+    // Deliver task events to webhooks (failed only once no retry is left)
+    this.queueManager.on('task:completed', (task) => this.webhooks.notify('completed', task));
+    this.queueManager.on('task:failed', (data) => {
+      if (!data.willRetry) {
+        this.webhooks.notify('failed', data.task);
+      }
+    });
+    this.queueManager.on('task:progress', (data) => this.webhooks.notify('progress', data.task, { progress: data.progress }));
+    this.webhooks.on('webhook:delivered', (data) => this.emit('webhook:delivered', data));
+    this.webhooks.on('webhook:failed', (data) => this.emit('webhook:failed', data));
+    this.webhooks.on('error', (error) => this.emit('error', error));
+
+    if (this.workerServer) {
+      // Forward remote worker events
+      this.workerServer.on('worker:connected', (data) => this.emit('worker:connected', data));
+      this.workerServer.on('worker:disconnected', (data) => this.emit('worker:disconnected', data));
+      this.workerServer.on('lease:revoked', (data) => this.emit('lease:revoked', data));
+      this.workerServer.on('error', (error) => this.emit('error', error));
+
+      this.handleWorkerResults(this.workerServer);
+
+      // The queue fails timed out tasks itself; take them back from the worker
+      this.queueManager.on('task:timeout', (task) => {
+        this.workerServer.releaseTask(task.id, 'Task timeout');
+      });
+    }
+  }
 
-    // Handle task completion from worker pool
-    this.workerPool.on('task:completed', async (data) => {
+  /**
+   * Apply task results reported by local or remote workers
+   */
+  handleWorkerResults(source) {
+    // Handle task completion
+    source.on('task:completed', async (data) => {
       try {
         await this.queueManager.completeTask(data.taskId, data.result);
       } catch (error) {
@@ -66,18 +169,27 @@ class TaskQueue extends EventEmitter {
       }
     });
 
-    // Handle task failure from worker pool
-    this.workerPool.on('task:failed', async (data) => {
+    // Handle task failure
+    source.on('task:failed', async (data) => {
       try {
         const error = new Error(data.error);
+        if (data.stack) {
+          error.stack = data.stack;
+        }
+        if (data.code) {
+          error.code = data.code;
+        }
+        if (data.name) {
+          error.name = data.name;
+        }
         await this.queueManager.failTask(data.taskId, error);
       } catch (error) {
         this.emit('error', error);
       }
     });
 
-    // Handle task progress from worker pool
-    this.workerPool.on('task:progress', async (data) => {
+    // Handle task progress
+    source.on('task:progress', async (data) => {
       try {
         await this.queueManager.updateTaskProgress(data.taskId, data.progress);
       } catch (error) {
@@ -91,8 +203,18 @@ class TaskQueue extends EventEmitter {
    */
   async initialize() {
     await this.queueManager.initialize();
+
+    // Apply configured limits (pause state persists across restarts)
+    for (const [name, settings] of Object.entries(this.queueSettings)) {
+      await this.queueManager.configureQueue(name, settings);
+    }
+
     await this.workerPool.initialize();
 
+    if (this.workerServer) {
+      await this.workerServer.listen();
+    }
+
     this.emit('initialized');
   }
 
@@ -100,9 +222,28 @@ class TaskQueue extends EventEmitter {
    * Add task to queue
    */
   async addTask(taskData) {
+    this.checkWebhooks([taskData]);
     return await this.queueManager.addTask(taskData);
   }
 
+  /**
+   * Refuse task webhooks whose host is not allowed, before anything is added
+   */
+  checkWebhooks(tasks) {
+    for (const taskData of tasks || []) {
+      if (taskData && taskData.webhooks) {
+        this.webhooks.checkWebhooks(taskData.webhooks);
+      }
+    }
+  }
+
+  /**
+   * Find an existing task that the given task data duplicates
+   */
+  findDuplicate(taskData) {
+    return this.queueManager.findDuplicate(taskData);
+  }
+
   /**
    * Get task by ID
    */
@@ -110,6 +251,254 @@ class TaskQueue extends EventEmitter {
     return this.queueManager.getTask(taskId);
   }
 
+  /**
+   * Get the result of a completed task
+   */
+  async getTaskResult(taskId) {
+    return await this.queueManager.getTaskResult(taskId);
+  }
+
+  /**
+   * Open a read stream over a result kept in the result store
+   */
+  createResultStream(taskId) {
+    return this.queueManager.createResultStream(taskId);
+  }
+
+  /**
+   * Add workflow (DAG of dependent tasks)
+   */
+  async addWorkflow(definition) {
+    this.checkWebhooks(definition && definition.tasks);
+    return await this.queueManager.addWorkflow(definition);
+  }
+
+  /**
+   * Get workflow with per-node status
+   */
+  getWorkflow(workflowId) {
+    return this.queueManager.getWorkflowStatus(workflowId);
+  }
+
+  /**
+   * Create a batch (closed immediately if it lists its tasks)
+   */
+  async createBatch(definition) {
+    this.checkWebhooks(definition && definition.tasks);
+    return await this.queueManager.createBatch(definition);
+  }
+
+  /**
+   * Stop adding tasks to a batch
+   */
+  async closeBatch(batchId) {
+    return await this.queueManager.closeBatch(batchId);
+  }
+
+  /**
+   * Get batch with counts and aggregated progress
+   */
+  getBatch(batchId) {
+    return this.queueManager.getBatchStatus(batchId);
+  }
+
+  /**
+   * List batches, optionally filtered by status
+   */
+  getBatches(filter) {
+    return this.queueManager.getBatches(filter);
+  }
+
+  /**
+   * Register a task handler version and make it current. Workers are replaced
+   * as they become idle; tasks already running finish on the old version.
+   */
+  async registerHandler(type, handlerPath, version) {
+    return await this.workerPool.registerHandler(type, handlerPath, version);
+  }
+
+  /**
+   * Remove a handler version that is no longer current
+   */
+  async unregisterHandler(type, version) {
+    return await this.workerPool.unregisterHandler(type, version);
+  }
+
+  /**
+   * Replace workers so they load handler files from disk again
+   */
+  async reloadHandlers() {
+    return await this.workerPool.reloadHandlers();
+  }
+
+  /**
+   * Get registered handlers with their versions
+   */
+  getHandlers() {
+    return this.workerPool.getHandlers();
+  }
+
+  /**
+   * Set the retry policy for a task type ('*' for every type without one)
+   */
+  setRetryPolicy(type, policy) {
+    return this.queueManager.setRetryPolicy(type, policy);
+  }
+
+  /**
+   * Create or update a named queue
+   */
+  async configureQueue(name, settings) {
+    return await this.queueManager.configureQueue(name, settings);
+  }
+
+  /**
+   * Register a webhook for every task of a type ('*' for all types)
+   */
+  registerWebhook(type, webhook) {
+    return this.webhooks.register(type, webhook);
+  }
+
+  /**
+   * Remove a task type webhook
+   */
+  unregisterWebhook(webhookId) {
+    return this.webhooks.unregister(webhookId);
+  }
+
+  /**
+   * Get task type webhooks
+   */
+  getWebhooks(type) {
+    return this.webhooks.getWebhooks(type);
+  }
+
+  /**
+   * Get webhook deliveries, newest first
+   */
+  getWebhookDeliveries(filter) {
+    return this.webhooks.getDeliveries(filter);
+  }
+
+  /**
+   * Get webhook delivery by ID
+   */
+  getWebhookDelivery(deliveryId) {
+    return this.webhooks.getDelivery(deliveryId);
+  }
+
+  /**
+   * Update a tenant's weight and quotas
+   */
+  configureTenant(name, settings) {
+    return this.queueManager.configureTenant(name, settings);
+  }
+
+  /**
+   * Pause a named queue
+   */
+  async pauseQueue(name) {
+    return await this.queueManager.pauseQueue(name);
+  }
+
+  /**
+   * Resume a named queue
+   */
+  async resumeQueue(name) {
+    return await this.queueManager.resumeQueue(name);
+  }
+
+  /**
+   * Get named queue statistics
+   */
+  getQueues() {
+    return this.queueManager.getQueueStats();
+  }
+
+  /**
+   * Remove task (also used to unschedule recurring tasks)
+   */
+  async removeTask(taskId) {
+    return await this.queueManager.removeTask(taskId);
+  }
+
+  /**
+   * Cancel a task. A processing task's handler is signalled to stop and its
+   * worker is terminated if it does not stop within the grace period.
+   */
+  async cancelTask(taskId, options = {}) {
+    const task = this.queueManager.getTask(taskId);
+    if (!task) {
+      throw new Error(`Task ${taskId} not found`);
+    }
+
+    const reason = options.reason || 'Task cancelled';
+    const wasProcessing = task.status === Task.STATUS.PROCESSING;
+
+    await this.queueManager.cancelTask(taskId, options.reason);
+
+    if (wasProcessing) {
+      const aborted = this.workerPool.abortTask(taskId, {
+        reason,
+        gracePeriod: options.gracePeriod
+      });
+
+      if (!aborted && this.workerServer) {
+        this.workerServer.releaseTask(taskId, reason);
+      }
+    }
+
+    return task;
+  }
+
+  /**
+   * Retry a task now: a retrying task skips its backoff, a failed or
+   * cancelled task runs again with fresh attempts
+   */
+  async retryTask(taskId) {
+    // A late result from the cancelled run would otherwise complete the new one
+    if (this.workerPool.isRunning(taskId)) {
+      throw new Error(`Task ${taskId} is still stopping`);
+    }
+
+    return await this.queueManager.rerunTask(taskId);
+  }
+
+  /**
+   * Get dead-lettered tasks, optionally filtered by type or queue
+   */
+  getDeadLetters(filter) {
+    return this.queueManager.getDeadLetters(filter);
+  }
+
+  /**
+   * Get dead-lettered task by ID
+   */
+  getDeadLetter(taskId) {
+    return this.queueManager.getDeadLetter(taskId);
+  }
+
+  /**
+   * Requeue a dead-lettered task
+   */
+  async requeueDeadLetter(taskId) {
+    return await this.queueManager.requeueDeadLetter(taskId);
+  }
+
+  /**
+   * Requeue all dead-lettered tasks matching a filter
+   */
+  async requeueDeadLetters(filter) {
+    return await this.queueManager.requeueDeadLetters(filter);
+  }
+
+  /**
+   * Permanently delete dead-lettered tasks matching a filter
+   */
+  async purgeDeadLetters(filter) {
+    return await this.queueManager.purgeDeadLetters(filter);
+  }
+
   /**
    * Start processing tasks
    */
@@ -134,8 +523,21 @@ class TaskQueue extends EventEmitter {
     // Start timeout check loop
     this.timeoutTimer = setInterval(() => {
       this.checkTimeouts().catch(error => this.emit('error', error));
+      this.checkStalled().catch(error => this.emit('error', error));
     }, this.timeoutCheckInterval);
 
+    // Start scheduled task check loop
+    this.scheduleTimer = setInterval(() => {
+      this.checkScheduled().catch(error => this.emit('error', error));
+    }, this.scheduleCheckInterval);
+
+    // Start worker autoscaling loop
+    if (this.workerPool.isAutoscaling()) {
+      this.scaleTimer = setInterval(() => {
+        this.autoscale().catch(error => this.emit('error', error));
+      }, this.scaleCheckInterval);
+    }
+
     this.emit('started');
   }
 
@@ -164,6 +566,16 @@ class TaskQueue extends EventEmitter {
       this.timeoutTimer = null;
     }
 
+    if (this.scheduleTimer) {
+      clearInterval(this.scheduleTimer);
+      this.scheduleTimer = null;
+    }
+
+    if (this.scaleTimer) {
+      clearInterval(this.scaleTimer);
+      this.scaleTimer = null;
+    }
+
     this.emit('stopped');
   }
 
@@ -175,9 +587,11 @@ class TaskQueue extends EventEmitter {
       return;
     }
 
+    const localFilter = this.getLocalFilter();
+
     // Process tasks while workers are available
     while (this.workerPool.hasAvailableWorkers()) {
-      const task = this.queueManager.getNextTask();
+      const task = this.queueManager.getNextTask(localFilter);
 
       if (!task) {
         break; // No more pending tasks
@@ -195,6 +609,64 @@ class TaskQueue extends EventEmitter {
         this.emit('error', error);
       }
     }
+
+    if (this.workerServer) {
+      await this.leaseRemoteTasks();
+    }
+  }
+
+  /**
+   * With remote workers connected, local workers only take types (and pinned versions)
+   * they have handlers for
+   */
+  getLocalFilter() {
+    return this.workerServer
+      ? (task) => this.workerPool.hasHandler(task.type, task.handlerVersion)
+      : undefined;
+  }
+
+  /**
+   * Resize the local worker pool from how long startable tasks have been waiting
+   */
+  async autoscale() {
+    if (!this.running || this.shutdownRequested) {
+      return;
+    }
+
+    const waitingTimes = this.queueManager.getStartableTasks(this.getLocalFilter())
+      .map(task => task.getWaitingTime());
+
+    await this.workerPool.autoscale(waitingTimes);
+  }
+
+  /**
+   * Lease pending tasks to remote workers with free slots
+   */
+  async leaseRemoteTasks() {
+    for (const worker of this.workerServer.getAvailableWorkers()) {
+      while (worker.leases.size < worker.concurrency && this.workerServer.workers.has(worker.id)) {
+        const task = this.queueManager.getNextTask(task => this.workerServer.accepts(worker, task));
+
+        if (!task) {
+          break;
+        }
+
+        try {
+          await this.queueManager.startTask(task.id, worker.id);
+        } catch (error) {
+          this.emit('error', error);
+          break;
+        }
+
+        try {
+          this.workerServer.leaseTask(worker.id, task);
+        } catch (error) {
+          // Worker went away while the task was being started
+          await this.queueManager.failTask(task.id, error).catch(err => this.emit('error', err));
+          break;
+        }
+      }
+    }
   }
 
   /**
@@ -216,6 +688,25 @@ class TaskQueue extends EventEmitter {
     }
   }
 
+  /**
+   * Fail processing tasks that neither a local worker nor a remote lease is running
+   */
+  async checkStalled() {
+    if (!this.running || this.shutdownRequested) {
+      return;
+    }
+
+    const isRunning = (task) => this.workerPool.isRunning(task.id) ||
+      Boolean(this.workerServer && this.workerServer.hasLease(task.id));
+
+    const count = await this.queueManager.recoverStalledTasks(isRunning, {
+      minAge: this.stalledTaskGracePeriod
+    });
+    if (count > 0) {
+      this.emit('stalled:checked', { count });
+    }
+  }
+
   /**
    * Check for timed out tasks
    */
@@ -234,6 +725,24 @@ class TaskQueue extends EventEmitter {
     }
   }
 
+  /**
+   * Promote scheduled tasks that are due
+   */
+  async checkScheduled() {
+    if (!this.running || this.shutdownRequested) {
+      return;
+    }
+
+    try {
+      const dueCount = await this.queueManager.promoteDueTasks();
+      if (dueCount > 0) {
+        this.emit('schedule:checked', { count: dueCount });
+      }
+    } catch (error) {
+      this.emit('error', error);
+    }
+  }
+
   /**
    * Get queue statistics
    */
@@ -244,6 +753,7 @@ class TaskQueue extends EventEmitter {
     return {
       queue: queueStats,
       workers: workerStats,
+      remoteWorkers: this.workerServer ? this.workerServer.getStats() : null,
       running: this.running
     };
   }
@@ -260,7 +770,8 @@ class TaskQueue extends EventEmitter {
         const hasActiveTasks =
           stats.byStatus[Task.STATUS.PENDING] > 0 ||
           stats.byStatus[Task.STATUS.PROCESSING] > 0 ||
-          stats.byStatus[Task.STATUS.RETRYING] > 0;
+          stats.byStatus[Task.STATUS.RETRYING] > 0 ||
+          stats.byStatus[Task.STATUS.BLOCKED] > 0;
 
         if (!hasActiveTasks) {
           resolve();
@@ -303,6 +814,13 @@ class TaskQueue extends EventEmitter {
     // Shutdown worker pool
     await this.workerPool.shutdown();
 
+    if (this.workerServer) {
+      await this.workerServer.close();
+    }
+
+    // Finish webhook attempts in flight (retries still waiting are dropped)
+    await this.webhooks.close();
+
     // Shutdown queue manager
     await this.queueManager.shutdown();
 
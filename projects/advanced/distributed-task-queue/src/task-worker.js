@@ -4,18 +4,27 @@
  */
 
 const { parentPort, workerData } = require('worker_threads');
+const RetryPolicy = require('./retry-policy');
 
 // Worker state
 const workerId = workerData.workerId;
-const taskHandlers = new Map();
-
-// Load task handlers
-for (const [type, handlerPath] of Object.entries(workerData.taskHandlers)) {
-  try {
-    const handler = require(handlerPath);
-    taskHandlers.set(type, handler);
-  } catch (error) {
-    console.error(`Failed to load handler for ${type}:`, error);
+const taskHandlers = new Map(); // type@version -> handler
+const abortControllers = new Map(); // taskId -> AbortController of the running task
+const loadErrors = []; // Handlers that failed to load, reported with 'ready'
+
+// Load every registered version of each task handler
+for (const [type, versions] of Object.entries(workerData.taskHandlers)) {
+  for (const [version, handlerPath] of Object.entries(versions)) {
+    try {
+      const handler = require(handlerPath);
+      if (typeof handler !== 'function' && typeof handler?.execute !== 'function') {
+        throw new Error('Handler must export a function or an object with an execute() method');
+      }
+      taskHandlers.set(`${type}@${version}`, handler);
+    } catch (error) {
+      console.error(`Failed to load handler for ${type}@${version}:`, error);
+      loadErrors.push({ type, version, error: error.message });
+    }
   }
 }
 
@@ -49,21 +58,27 @@ function updateProgress(taskId, progress) {
  */
 async function executeTask(task) {
   const startTime = Date.now();
+  const controller = new AbortController();
+  abortControllers.set(task.id, controller);
 
   try {
     log('info', `Executing task ${task.id} of type ${task.type}`);
 
-    // Get handler for task type
-    const handler = taskHandlers.get(task.type);
+    // Get handler for task type and version
+    const handler = taskHandlers.get(`${task.type}@${task.handlerVersion}`);
 
     if (!handler) {
-      throw new Error(`No handler found for task type: ${task.type}`);
+      throw new Error(task.handlerVersion
+        ? `No handler found for task type: ${task.type} (version ${task.handlerVersion})`
+        : `No handler found for task type: ${task.type}`);
     }
 
     // Create task context
     const context = {
       taskId: task.id,
       workerId,
+      handlerVersion: task.handlerVersion,
+      signal: controller.signal, // Aborted when the task is cancelled
       progress: (progress) => updateProgress(task.id, progress),
       log: (message) => log('info', message)
     };
@@ -94,8 +109,23 @@ async function executeTask(task) {
       taskId: task.id,
       error: error.message,
       stack: error.stack,
+      code: error.code,
+      name: RetryPolicy.getErrorName(error),
       executionTime
     });
+  } finally {
+    abortControllers.delete(task.id);
+  }
+}
+
+/**
+ * Signal a running task to stop
+ */
+function abortTask(taskId, reason) {
+  const controller = abortControllers.get(taskId);
+  if (controller) {
+    log('warn', `Aborting task ${taskId}: ${reason}`);
+    controller.abort(new Error(reason));
   }
 }
 
@@ -106,10 +136,14 @@ parentPort.on('message', async (message) => {
       await executeTask(message.task);
       break;
 
+    case 'abort':
+      abortTask(message.taskId, message.reason);
+      break;
+
     default:
       log('warn', `Unknown message type: ${message.type}`);
   }
 });
 
 // Signal ready
-sendMessage('ready', {});
+sendMessage('ready', { loadErrors });
@@ -4,6 +4,8 @@
  */
 
 const crypto = require('crypto');
+const CronExpression = require('./cron');
+const RetryPolicy = require('./retry-policy');
 
 class Task {
   static STATUS = {
@@ -11,14 +13,22 @@ class Task {
     PROCESSING: 'processing',
     COMPLETED: 'completed',
     FAILED: 'failed',
-    RETRYING: 'retrying'
+    RETRYING: 'retrying',
+    SCHEDULED: 'scheduled',
+    BLOCKED: 'blocked',
+    CANCELLED: 'cancelled'
   };
 
+  // Events a webhook can subscribe to
+  static WEBHOOK_EVENTS = ['completed', 'failed', 'progress'];
+
   constructor(data, options = {}) {
     this.id = options.id || crypto.randomUUID();
     this.type = data.type;
     this.payload = data.payload || {};
     this.priority = data.priority || 0; // Higher number = higher priority
+    this.queue = data.queue || 'default'; // Named queue
+    this.tenant = data.tenant || 'default'; // Owner, for fair scheduling and quotas
     this.status = Task.STATUS.PENDING;
     this.attempts = 0;
     this.maxAttempts = data.maxAttempts || 3;
@@ -28,13 +38,112 @@ class Task {
     this.startedAt = null;
     this.completedAt = null;
     this.error = null;
+    this.errors = []; // Error of every failed attempt
+    this.cancelReason = null;
     this.result = null;
+    this.resultRef = null; // { size, storedAt } when the result lives in the result store
+    this.resultTTL = data.resultTTL || null; // Keep result this long after completion (ms)
+    this.resultExpiresAt = null;
+    this.resultExpired = false;
     this.progress = 0;
     this.workerId = null;
+    this.handlerVersion = data.handlerVersion || null; // Pinned handler version (null = current)
+    this.webhooks = Task.normalizeWebhooks(data.webhooks); // [{ url, events }] notified by the queue
 
     // Retry configuration
     this.retryDelay = data.retryDelay || 1000; // 1 second base delay
-    this.retryBackoff = data.retryBackoff || 'exponential'; // exponential or linear
+    this.retryBackoff = data.retryBackoff || 'exponential'; // exponential, linear or fixed
+    this.retryAt = null; // When a retrying task runs again
+    this.lastRetryDelay = null; // Previous delay, for decorrelated jitter
+
+    // Scheduling configuration
+    this.runAt = Task.toTimestamp(data.runAt); // Earliest time the task may run
+    this.cron = data.cron || null; // Recurring schedule (5-field cron expression)
+    this.lastRunAt = null;
+    this.scheduledBy = data.scheduledBy || null; // ID of the recurring task that spawned this one
+
+    // Dependency configuration
+    this.dependsOn = data.dependsOn || []; // IDs of tasks that must complete first
+    // Set by the queue when it adds a workflow, never from task data
+    this.workflowId = options.workflowId || null;
+    this.workflowNode = options.workflowNode || null; // Task name within its workflow
+    this.batchId = data.batchId || null;
+
+    // Deduplication
+    this.idempotencyKey = data.idempotencyKey || null; // Producer-supplied key
+    this.uniqueKey = data.unique ? Task.getUniqueKey(this.type, this.payload) : null; // type + payload hash
+
+    if (this.idempotencyKey !== null && typeof this.idempotencyKey !== 'string') {
+      throw new Error('idempotencyKey must be a string');
+    }
+
+    if (this.cron && this.dependsOn.length > 0) {
+      throw new Error('Recurring tasks cannot have dependencies');
+    }
+
+    if (this.dependsOn.length > 0) {
+      this.status = Task.STATUS.BLOCKED;
+    } else if (this.cron) {
+      const expression = CronExpression.parse(this.cron);
+      if (!this.runAt) {
+        this.runAt = expression.next().getTime();
+      }
+      this.status = Task.STATUS.SCHEDULED;
+    } else if (this.runAt && this.runAt > Date.now()) {
+      this.status = Task.STATUS.SCHEDULED;
+    }
+  }
+
+  /**
+   * Validate webhooks given as URLs or { url, events } (events default to all)
+   */
+  static normalizeWebhooks(webhooks) {
+    if (webhooks === undefined || webhooks === null) {
+      return [];
+    }
+    if (!Array.isArray(webhooks)) {
+      throw new Error('webhooks must be an array');
+    }
+
+    return webhooks.map((webhook) => {
+      const { url, events = Task.WEBHOOK_EVENTS } = typeof webhook === 'string' ? { url: webhook } : webhook || {};
+
+      let parsed;
+      try {
+        parsed = new URL(url);
+      } catch (error) {
+        throw new Error(`Invalid webhook URL: ${url}`);
+      }
+      if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw new Error(`Invalid webhook URL: ${url}. Use http or https`);
+      }
+
+      if (!Array.isArray(events) || events.length === 0) {
+        throw new Error('Webhook events must be a non-empty array');
+      }
+      for (const event of events) {
+        if (!Task.WEBHOOK_EVENTS.includes(event)) {
+          throw new Error(`Invalid webhook event: ${event}. Use ${Task.WEBHOOK_EVENTS.join(', ')}`);
+        }
+      }
+
+      return { url, events: [...events] };
+    });
+  }
+
+  /**
+   * Normalize a Date, ISO string or epoch milliseconds to a timestamp
+   */
+  static toTimestamp(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    const timestamp = value instanceof Date ? value.getTime() : new Date(value).getTime();
+    if (Number.isNaN(timestamp)) {
+      throw new Error(`Invalid runAt value: ${value}`);
+    }
+    return timestamp;
   }
 
   /**
@@ -69,20 +178,89 @@ class Task {
     this.updatedAt = Date.now();
     this.result = result;
     this.progress = 100;
+
+    if (this.resultTTL) {
+      this.resultExpiresAt = this.completedAt + this.resultTTL;
+    }
+  }
+
+  /**
+   * Check if the result is past its TTL and not yet expired
+   */
+  isResultDue(now = Date.now()) {
+    return !this.resultExpired && this.resultExpiresAt !== null && this.resultExpiresAt <= now;
+  }
+
+  /**
+   * Drop the result once its TTL has passed
+   */
+  expireResult() {
+    this.result = null;
+    this.resultRef = null;
+    this.resultExpired = true;
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * Mark task as cancelled
+   */
+  cancel(reason) {
+    if (this.isFinished()) {
+      throw new Error(`Task ${this.id} is already ${this.status}`);
+    }
+
+    this.status = Task.STATUS.CANCELLED;
+    this.cancelReason = reason || null;
+    this.completedAt = Date.now();
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * Check if task has reached a final status
+   */
+  isFinished() {
+    return [
+      Task.STATUS.COMPLETED,
+      Task.STATUS.FAILED,
+      Task.STATUS.CANCELLED
+    ].includes(this.status);
   }
 
   /**
-   * Mark task as failed
+   * Release a blocked task once its dependencies have completed
    */
-  fail(error) {
+  unblock() {
+    if (this.status !== Task.STATUS.BLOCKED) {
+      throw new Error(`Task ${this.id} is not blocked`);
+    }
+
+    this.status = this.runAt && this.runAt > Date.now()
+      ? Task.STATUS.SCHEDULED
+      : Task.STATUS.PENDING;
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * Mark task as failed (permanent failures skip remaining retries).
+   * options.nonRetryable is the reason a retry policy refused the error.
+   */
+  fail(error, options = {}) {
     this.error = {
       message: error.message,
       stack: error.stack,
+      code: error.code || null,
+      name: RetryPolicy.getErrorName(error),
+      ...(options.nonRetryable ? { nonRetryable: options.nonRetryable } : {}),
       timestamp: Date.now()
     };
+    this.errors.push({
+      attempt: this.attempts,
+      workerId: this.workerId,
+      ...this.error
+    });
     this.updatedAt = Date.now();
 
-    if (this.canRetry()) {
+    if (!options.permanent && !options.nonRetryable && this.canRetry()) {
       this.status = Task.STATUS.RETRYING;
     } else {
       this.status = Task.STATUS.FAILED;
@@ -90,6 +268,56 @@ class Task {
     }
   }
 
+  /**
+   * Set when a retrying task runs again
+   */
+  scheduleRetry(delay, now = Date.now()) {
+    this.lastRetryDelay = delay;
+    this.retryAt = now + delay;
+  }
+
+  /**
+   * Reset a failed task so it runs again with fresh attempts.
+   * The error history is kept.
+   */
+  requeue() {
+    this.status = Task.STATUS.PENDING;
+    this.attempts = 0;
+    this.error = null;
+    this.cancelReason = null;
+    this.result = null;
+    this.resultRef = null;
+    this.resultExpiresAt = null;
+    this.resultExpired = false;
+    this.progress = 0;
+    this.startedAt = null;
+    this.completedAt = null;
+    this.workerId = null;
+    this.retryAt = null;
+    this.lastRetryDelay = null;
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * Get the key used by "unique while pending" deduplication
+   */
+  static getUniqueKey(type, payload = {}) {
+    const hash = crypto.createHash('sha256').update(canonicalJSON(payload)).digest('hex');
+    return `${type}:${hash}`;
+  }
+
+  /**
+   * Check if task is waiting to run (not started yet, or waiting for a retry)
+   */
+  isWaiting() {
+    return [
+      Task.STATUS.PENDING,
+      Task.STATUS.SCHEDULED,
+      Task.STATUS.BLOCKED,
+      Task.STATUS.RETRYING
+    ].includes(this.status);
+  }
+
   /**
    * Check if task can be retried
    */
@@ -98,14 +326,39 @@ class Task {
   }
 
   /**
-   * Calculate next retry delay with backoff
+   * Calculate next retry delay with backoff (no cap or jitter, see RetryPolicy)
    */
   getRetryDelay() {
-    if (this.retryBackoff === 'exponential') {
-      return this.retryDelay * Math.pow(2, this.attempts - 1);
-    } else {
-      return this.retryDelay * this.attempts;
+    return RetryPolicy.getBackoffDelay(this.retryBackoff, this.retryDelay, this.attempts);
+  }
+
+  /**
+   * Check if task is a recurring (cron) task
+   */
+  isRecurring() {
+    return this.cron !== null;
+  }
+
+  /**
+   * Check if a scheduled task is due to run
+   */
+  isDue(now = Date.now()) {
+    return this.status === Task.STATUS.SCHEDULED && this.runAt !== null && this.runAt <= now;
+  }
+
+  /**
+   * Advance a recurring task to its next run time
+   */
+  scheduleNext(now = Date.now()) {
+    if (!this.isRecurring()) {
+      throw new Error(`Task ${this.id} is not a recurring task`);
     }
+
+    this.lastRunAt = now;
+    this.runAt = CronExpression.parse(this.cron).next(now).getTime();
+    this.updatedAt = now;
+
+    return this.runAt;
   }
 
   /**
@@ -132,7 +385,7 @@ class Task {
    */
   getWaitingTime() {
     const startTime = this.startedAt || Date.now();
-    return startTime - this.createdAt;
+    return startTime - Math.max(this.createdAt, this.runAt || 0);
   }
 
   /**
@@ -144,6 +397,8 @@ class Task {
       type: this.type,
       payload: this.payload,
       priority: this.priority,
+      queue: this.queue,
+      tenant: this.tenant,
       status: this.status,
       attempts: this.attempts,
       maxAttempts: this.maxAttempts,
@@ -153,11 +408,31 @@ class Task {
       startedAt: this.startedAt,
       completedAt: this.completedAt,
       error: this.error,
+      errors: this.errors,
+      cancelReason: this.cancelReason,
       result: this.result,
+      resultRef: this.resultRef,
+      resultTTL: this.resultTTL,
+      resultExpiresAt: this.resultExpiresAt,
+      resultExpired: this.resultExpired,
       progress: this.progress,
       workerId: this.workerId,
+      handlerVersion: this.handlerVersion,
+      webhooks: this.webhooks,
       retryDelay: this.retryDelay,
-      retryBackoff: this.retryBackoff
+      retryBackoff: this.retryBackoff,
+      retryAt: this.retryAt,
+      lastRetryDelay: this.lastRetryDelay,
+      runAt: this.runAt,
+      cron: this.cron,
+      lastRunAt: this.lastRunAt,
+      scheduledBy: this.scheduledBy,
+      dependsOn: this.dependsOn,
+      workflowId: this.workflowId,
+      workflowNode: this.workflowNode,
+      batchId: this.batchId,
+      idempotencyKey: this.idempotencyKey,
+      uniqueKey: this.uniqueKey
     };
   }
 
@@ -170,14 +445,27 @@ class Task {
         type: json.type,
         payload: json.payload,
         priority: json.priority,
+        queue: json.queue,
+        tenant: json.tenant,
         maxAttempts: json.maxAttempts,
         timeout: json.timeout,
+        handlerVersion: json.handlerVersion,
+        webhooks: json.webhooks,
         retryDelay: json.retryDelay,
-        retryBackoff: json.retryBackoff
+        retryBackoff: json.retryBackoff,
+        runAt: json.runAt,
+        cron: json.cron,
+        scheduledBy: json.scheduledBy,
+        dependsOn: json.dependsOn,
+        batchId: json.batchId,
+        idempotencyKey: json.idempotencyKey,
+        resultTTL: json.resultTTL
       },
       {
         id: json.id,
-        createdAt: json.createdAt
+        createdAt: json.createdAt,
+        workflowId: json.workflowId,
+        workflowNode: json.workflowNode
       }
     );
 
@@ -187,12 +475,40 @@ class Task {
     task.startedAt = json.startedAt;
     task.completedAt = json.completedAt;
     task.error = json.error;
+    task.errors = json.errors || [];
+    task.cancelReason = json.cancelReason || null;
     task.result = json.result;
+    task.resultRef = json.resultRef || null;
+    task.resultExpiresAt = json.resultExpiresAt || null;
+    task.resultExpired = json.resultExpired || false;
     task.progress = json.progress;
     task.workerId = json.workerId;
+    task.lastRunAt = json.lastRunAt || null;
+    task.uniqueKey = json.uniqueKey || null;
+    task.retryAt = json.retryAt || null;
+    task.lastRetryDelay = json.lastRetryDelay || null;
 
     return task;
   }
 }
 
+/**
+ * Serialize a value as JSON with object keys sorted, so equal payloads hash equally
+ */
+function canonicalJSON(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalJSON(item === undefined ? null : item)).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object' && typeof value.toJSON !== 'function') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
 module.exports = Task;
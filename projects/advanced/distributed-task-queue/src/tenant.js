@@ -0,0 +1,110 @@
+/**
+ * Tenant
+ * Per-tenant scheduling weight, pending and concurrency quotas, and task counts
+ */
+
+const Task = require('./task');
+
+// Statuses that count against the pending quota
+const WAITING_STATUSES = new Set([
+  Task.STATUS.PENDING,
+  Task.STATUS.SCHEDULED,
+  Task.STATUS.BLOCKED,
+  Task.STATUS.RETRYING
+]);
+
+class Tenant {
+  static DEFAULT = 'default';
+
+  constructor(name, options = {}) {
+    Tenant.validateName(name);
+
+    this.name = name;
+    this.pending = 0; // Tasks waiting to run
+    this.active = 0; // Tasks currently processing
+    this.started = 0; // Tasks started since the queue was initialized
+    this.virtualTime = 0; // Fair scheduler finish tag of the last started task
+
+    this.configure(options);
+  }
+
+  /**
+   * Validate tenant name
+   */
+  static validateName(name) {
+    if (typeof name !== 'string' || !/^[a-zA-Z0-9_.-]+$/.test(name)) {
+      throw new Error(`Invalid tenant name: ${name}. Use alphanumeric characters, dots, hyphens and underscores`);
+    }
+    return true;
+  }
+
+  /**
+   * Update weight and quota settings
+   */
+  configure(options = {}) {
+    if (options.weight !== undefined) {
+      if (!(typeof options.weight === 'number' && options.weight > 0)) {
+        throw new Error('Tenant weight must be a positive number');
+      }
+      this.weight = options.weight;
+    } else if (this.weight === undefined) {
+      this.weight = 1;
+    }
+
+    for (const quota of ['maxPending', 'maxConcurrent']) {
+      if (options[quota] !== undefined) {
+        if (!Number.isInteger(options[quota]) || options[quota] < 0) {
+          throw new Error(`Tenant ${quota} must be a non-negative integer (0 = unlimited)`);
+        }
+        this[quota] = options[quota];
+      } else if (this[quota] === undefined) {
+        this[quota] = 0;
+      }
+    }
+  }
+
+  /**
+   * Update counts for a task moving between statuses (null = added or removed)
+   */
+  track(oldStatus, newStatus) {
+    if (oldStatus === newStatus) {
+      return;
+    }
+
+    if (WAITING_STATUSES.has(oldStatus)) this.pending--;
+    if (WAITING_STATUSES.has(newStatus)) this.pending++;
+    if (oldStatus === Task.STATUS.PROCESSING) this.active--;
+    if (newStatus === Task.STATUS.PROCESSING) this.active++;
+  }
+
+  /**
+   * Check if the tenant may submit more tasks
+   */
+  canSubmit(count = 1) {
+    return this.maxPending === 0 || this.pending + count <= this.maxPending;
+  }
+
+  /**
+   * Check if a task of this tenant may start now
+   */
+  canStart() {
+    return this.maxConcurrent === 0 || this.active < this.maxConcurrent;
+  }
+
+  /**
+   * Get tenant statistics
+   */
+  getStats() {
+    return {
+      name: this.name,
+      weight: this.weight,
+      maxPending: this.maxPending,
+      maxConcurrent: this.maxConcurrent,
+      pending: this.pending,
+      active: this.active,
+      started: this.started
+    };
+  }
+}
+
+module.exports = Tenant;
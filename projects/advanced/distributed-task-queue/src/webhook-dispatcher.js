@@ -0,0 +1,481 @@
+/**
+ * Webhook Dispatcher
+ * Delivers task events to webhook URLs registered on tasks and task types
+ *
+ * Each delivery is a POST with a JSON body, signed with HMAC-SHA256 over
+ * "<timestamp>.<body>" when a secret is set. Failed deliveries (network
+ * errors and non-2xx responses) are retried with exponential backoff.
+ * Deliveries are kept in an in-memory log for inspection.
+ *
+ * Webhook URLs can come from API clients, so allowedHosts limits the hosts
+ * the queue will send requests to. Without it, deliveries to loopback,
+ * private and link-local addresses are refused, checked again on the
+ * addresses a host name resolves to.
+ */
+
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { EventEmitter } = require('events');
+const Task = require('./task');
+const RetryPolicy = require('./retry-policy');
+
+class WebhookDispatcher extends EventEmitter {
+  static STATUS = {
+    PENDING: 'pending', // Waiting for its first or next attempt
+    DELIVERED: 'delivered',
+    FAILED: 'failed' // Out of attempts
+  };
+
+  // Addresses that are not on the public internet (IPv4-mapped IPv6 addresses match the IPv4 ranges)
+  static PRIVATE_ADDRESSES = (() => {
+    const list = new net.BlockList();
+    for (const [address, prefix] of [
+      ['0.0.0.0', 8], // "This" network
+      ['10.0.0.0', 8],
+      ['100.64.0.0', 10], // Carrier-grade NAT
+      ['127.0.0.0', 8], // Loopback
+      ['169.254.0.0', 16], // Link-local, including cloud metadata services
+      ['172.16.0.0', 12],
+      ['192.0.0.0', 24],
+      ['192.168.0.0', 16],
+      ['198.18.0.0', 15], // Benchmarking
+      ['224.0.0.0', 4], // Multicast
+      ['240.0.0.0', 4] // Reserved and broadcast
+    ]) {
+      list.addSubnet(address, prefix, 'ipv4');
+    }
+    for (const [address, prefix] of [
+      ['::', 128], // Unspecified
+      ['::1', 128], // Loopback
+      ['64:ff9b::', 96], // NAT64
+      ['fc00::', 7], // Unique local
+      ['fe80::', 10], // Link-local
+      ['ff00::', 8] // Multicast
+    ]) {
+      list.addSubnet(address, prefix, 'ipv6');
+    }
+    return list;
+  })();
+
+  constructor(options = {}) {
+    super();
+
+    this.secret = options.secret || null; // Signs deliveries (null = unsigned)
+    this.maxAttempts = options.maxAttempts || 5;
+    this.retryDelay = options.retryDelay || 1000; // 1 second base delay, doubled per attempt
+    this.maxRetryDelay = options.maxRetryDelay || 60000; // 1 minute
+    this.timeout = options.timeout || 10000; // 10 seconds per attempt
+    this.maxLogSize = options.maxLogSize || 1000; // Deliveries kept in the log
+    // Hosts deliveries may be sent to ('*.example.com' covers subdomains); null allows any
+    // host except loopback, private and link-local ones
+    this.allowedHosts = options.allowedHosts ? options.allowedHosts.map(host => host.toLowerCase()) : null;
+
+    this.webhooks = new Map(); // id -> task type webhook
+    this.deliveries = new Map(); // id -> delivery, oldest first
+    this.bodies = new Map(); // id -> body of unfinished deliveries
+    this.retryTimers = new Map(); // id -> timer
+    this.inFlight = new Set(); // Promises of running attempts
+    this.closed = false;
+
+    for (const [type, webhooks] of Object.entries(options.webhooks || {})) {
+      for (const webhook of webhooks) {
+        this.register(type, webhook);
+      }
+    }
+  }
+
+  /**
+   * Register a webhook for every task of a type ('*' for all types).
+   * A webhook secret overrides the dispatcher secret.
+   */
+  register(type, webhook) {
+    if (!type || typeof type !== 'string') {
+      throw new Error('Webhook task type is required');
+    }
+
+    const [{ url, events }] = this.checkWebhooks([webhook]);
+    const registration = {
+      id: crypto.randomUUID(),
+      type,
+      url,
+      events,
+      secret: webhook.secret || null,
+      createdAt: Date.now()
+    };
+
+    this.webhooks.set(registration.id, registration);
+    this.emit('webhook:registered', WebhookDispatcher.describe(registration));
+
+    return WebhookDispatcher.describe(registration);
+  }
+
+  /**
+   * Check if deliveries may be sent to a URL's host. Without allowedHosts, host
+   * names are checked again against the addresses they resolve to when sent.
+   */
+  isAllowed(url) {
+    const { hostname } = new URL(url);
+
+    if (!this.allowedHosts) {
+      const host = hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '');
+      if (host === 'localhost' || host.endsWith('.localhost')) {
+        return false;
+      }
+      return !net.isIP(host) || !WebhookDispatcher.isPrivateAddress(host);
+    }
+
+    return this.allowedHosts.some(host =>
+      host.startsWith('*.') ? hostname.endsWith(host.slice(1)) : hostname === host
+    );
+  }
+
+  /**
+   * Check if an IP address is loopback, private, link-local or otherwise not public
+   */
+  static isPrivateAddress(address) {
+    const family = net.isIP(address);
+    return family !== 0 && WebhookDispatcher.PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+  }
+
+  /**
+   * DNS lookup for deliveries that refuses host names resolving to a private address
+   */
+  static lookupPublic(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+      if (error) {
+        return callback(error);
+      }
+
+      const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+      const denied = addresses.find(entry => WebhookDispatcher.isPrivateAddress(entry));
+      if (denied) {
+        const deniedError = new Error(`Webhook host is not allowed: ${hostname} resolves to ${denied}`);
+        deniedError.code = 'WEBHOOK_HOST_NOT_ALLOWED';
+        return callback(deniedError);
+      }
+
+      callback(null, address, family);
+    });
+  }
+
+  /**
+   * Normalize webhooks and check their hosts (throws on the first one not allowed)
+   */
+  checkWebhooks(webhooks) {
+    const normalized = Task.normalizeWebhooks(webhooks);
+
+    for (const { url } of normalized) {
+      if (!this.isAllowed(url)) {
+        throw new Error(`Webhook host is not allowed: ${new URL(url).hostname}`);
+      }
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Remove a task type webhook. Returns false if it does not exist.
+   */
+  unregister(webhookId) {
+    const registration = this.webhooks.get(webhookId);
+    if (!registration) {
+      return false;
+    }
+
+    this.webhooks.delete(webhookId);
+    this.emit('webhook:unregistered', WebhookDispatcher.describe(registration));
+
+    return true;
+  }
+
+  /**
+   * Get task type webhooks (secrets are left out)
+   */
+  getWebhooks(type) {
+    return Array.from(this.webhooks.values())
+      .filter(registration => !type || registration.type === type)
+      .map(registration => WebhookDispatcher.describe(registration));
+  }
+
+  /**
+   * Describe a registration without its secret (hasSecret: signed with its
+   * own secret rather than the dispatcher's)
+   */
+  static describe(registration) {
+    const { secret, ...rest } = registration;
+    return { ...rest, hasSecret: Boolean(secret) };
+  }
+
+  /**
+   * Get the webhooks of a task and its type that subscribe to an event
+   */
+  getWebhooksFor(task, event) {
+    const typeWebhooks = Array.from(this.webhooks.values())
+      .filter(registration => registration.type === task.type || registration.type === '*');
+
+    return [...task.webhooks.map(webhook => ({ ...webhook, id: null, secret: null })), ...typeWebhooks]
+      .filter(webhook => webhook.events.includes(event));
+  }
+
+  /**
+   * Queue deliveries of a task event to every subscribed webhook
+   */
+  notify(event, task, data = {}) {
+    const webhooks = this.getWebhooksFor(task, event);
+
+    return webhooks.map((webhook) => {
+      const delivery = {
+        id: crypto.randomUUID(),
+        webhookId: webhook.id, // null for webhooks set on the task
+        taskId: task.id,
+        taskType: task.type,
+        event,
+        url: webhook.url,
+        status: WebhookDispatcher.STATUS.PENDING,
+        attempts: 0,
+        maxAttempts: this.maxAttempts,
+        responseStatus: null,
+        error: null,
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+        nextAttemptAt: Date.now(),
+        deliveredAt: null,
+        history: [] // { attempt, timestamp, responseStatus, error, duration }
+      };
+
+      this.bodies.set(delivery.id, {
+        secret: webhook.secret || this.secret,
+        body: JSON.stringify({
+          id: delivery.id,
+          event,
+          timestamp: delivery.createdAt,
+          task: WebhookDispatcher.summarizeTask(task),
+          ...data
+        })
+      });
+
+      this.deliveries.set(delivery.id, delivery);
+      this.trimLog();
+      this.attempt(delivery);
+
+      return delivery;
+    });
+  }
+
+  /**
+   * Summarize a task for a delivery body. Inline results are included;
+   * results in the result store are fetched with GET /tasks/:id/result.
+   */
+  static summarizeTask(task) {
+    return {
+      id: task.id,
+      type: task.type,
+      queue: task.queue,
+      tenant: task.tenant,
+      status: task.status,
+      attempts: task.attempts,
+      maxAttempts: task.maxAttempts,
+      progress: task.progress,
+      result: task.status === Task.STATUS.COMPLETED ? task.result : null,
+      resultRef: task.resultRef,
+      error: task.error ? { message: task.error.message, code: task.error.code, name: task.error.name } : null,
+      createdAt: task.createdAt,
+      completedAt: task.completedAt
+    };
+  }
+
+  /**
+   * Run one delivery attempt, keeping track of it until it settles
+   */
+  attempt(delivery) {
+    const promise = this.deliver(delivery)
+      .catch(error => this.emit('error', error))
+      .finally(() => this.inFlight.delete(promise));
+
+    this.inFlight.add(promise);
+    return promise;
+  }
+
+  /**
+   * Send a delivery and record the outcome, scheduling a retry on failure
+   */
+  async deliver(delivery) {
+    const { secret, body } = this.bodies.get(delivery.id);
+    const timestamp = Date.now();
+    const headers = {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body),
+      'User-Agent': 'distributed-task-queue-webhooks',
+      'X-Webhook-Id': delivery.id,
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Timestamp': String(timestamp)
+    };
+    if (secret) {
+      headers['X-Webhook-Signature'] = `sha256=${WebhookDispatcher.sign(secret, timestamp, body)}`;
+    }
+
+    delivery.attempts++;
+
+    // Checked on every attempt, as tasks restored from the journal were never checked
+    let allowed = this.isAllowed(delivery.url);
+
+    let responseStatus = null;
+    let error = null;
+    if (!allowed) {
+      error = `Webhook host is not allowed: ${new URL(delivery.url).hostname}`;
+    } else {
+      try {
+        responseStatus = await this.send(delivery.url, headers, body);
+        if (responseStatus < 200 || responseStatus >= 300) {
+          error = `Unexpected response status ${responseStatus}`;
+        }
+      } catch (sendError) {
+        error = sendError.message;
+        allowed = sendError.code !== 'WEBHOOK_HOST_NOT_ALLOWED';
+      }
+    }
+
+    delivery.history.push({
+      attempt: delivery.attempts,
+      timestamp,
+      responseStatus,
+      error,
+      duration: Date.now() - timestamp
+    });
+    delivery.responseStatus = responseStatus;
+    delivery.error = error;
+    delivery.updatedAt = Date.now();
+
+    if (!error) {
+      delivery.status = WebhookDispatcher.STATUS.DELIVERED;
+      delivery.deliveredAt = Date.now();
+      delivery.nextAttemptAt = null;
+      this.bodies.delete(delivery.id);
+      this.emit('webhook:delivered', { delivery });
+      return;
+    }
+
+    const willRetry = allowed && delivery.attempts < delivery.maxAttempts;
+    if (willRetry && this.closed) {
+      delivery.nextAttemptAt = null;
+    } else if (willRetry) {
+      const delay = Math.min(
+        RetryPolicy.getBackoffDelay('exponential', this.retryDelay, delivery.attempts),
+        this.maxRetryDelay
+      );
+      delivery.nextAttemptAt = Date.now() + delay;
+
+      const timer = setTimeout(() => {
+        this.retryTimers.delete(delivery.id);
+        this.attempt(delivery);
+      }, delay);
+      timer.unref();
+      this.retryTimers.set(delivery.id, timer);
+    } else {
+      delivery.status = WebhookDispatcher.STATUS.FAILED;
+      delivery.nextAttemptAt = null;
+      this.bodies.delete(delivery.id);
+    }
+
+    this.emit('webhook:failed', { delivery, willRetry });
+  }
+
+  /**
+   * POST a body and resolve with the response status code
+   */
+  send(url, headers, body) {
+    return new Promise((resolve, reject) => {
+      const transport = new URL(url).protocol === 'https:' ? https : http;
+
+      const lookup = this.allowedHosts ? undefined : WebhookDispatcher.lookupPublic;
+
+      const req = transport.request(url, { method: 'POST', headers, lookup }, (res) => {
+        res.resume();
+        res.on('end', () => resolve(res.statusCode));
+      });
+
+      req.setTimeout(this.timeout, () => {
+        req.destroy(new Error(`Timed out after ${this.timeout}ms`));
+      });
+      req.on('error', reject);
+      req.end(body);
+    });
+  }
+
+  /**
+   * Drop the oldest finished deliveries beyond the log size
+   */
+  trimLog() {
+    for (const [id, delivery] of this.deliveries) {
+      if (this.deliveries.size <= this.maxLogSize) {
+        break;
+      }
+      if (delivery.status !== WebhookDispatcher.STATUS.PENDING) {
+        this.deliveries.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Get deliveries, newest first (filter by taskId, webhookId, event, status)
+   */
+  getDeliveries(filter = {}) {
+    return Array.from(this.deliveries.values())
+      .filter(delivery =>
+        (!filter.taskId || delivery.taskId === filter.taskId) &&
+        (!filter.webhookId || delivery.webhookId === filter.webhookId) &&
+        (!filter.event || delivery.event === filter.event) &&
+        (!filter.status || delivery.status === filter.status)
+      )
+      .reverse();
+  }
+
+  /**
+   * Get delivery by ID
+   */
+  getDelivery(deliveryId) {
+    return this.deliveries.get(deliveryId);
+  }
+
+  /**
+   * Compute a delivery signature (hex HMAC-SHA256 of "<timestamp>.<body>")
+   */
+  static sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Check a delivery's X-Webhook-Signature and X-Webhook-Timestamp headers
+   * (for receivers). Deliveries older than the tolerance are rejected.
+   */
+  static verify(secret, { signature, timestamp, body }, now = Date.now(), tolerance = 5 * 60 * 1000) {
+    const time = Number(timestamp);
+    if (!signature || !Number.isFinite(time) || Math.abs(now - time) > tolerance) {
+      return false;
+    }
+
+    const expected = Buffer.from(`sha256=${WebhookDispatcher.sign(secret, time, body)}`);
+    const actual = Buffer.from(String(signature));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Stop retrying and wait for running attempts. Deliveries waiting
+   * for a retry stay pending in the log.
+   */
+  async close() {
+    this.closed = true;
+
+    for (const timer of this.retryTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.retryTimers.clear();
+
+    await Promise.allSettled(Array.from(this.inFlight));
+  }
+}
+
+module.exports = WebhookDispatcher;
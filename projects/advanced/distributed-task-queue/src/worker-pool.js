@@ -9,17 +9,46 @@ const path = require('path');
 const os = require('os');
 
 class WorkerPool extends EventEmitter {
+  static DEFAULT_HANDLER_VERSION = '1'; // Version of handlers passed as plain paths
+  static HANDLER_CHECK_TIMEOUT = 10000; // Time a new handler module gets to load (ms)
+
   constructor(options = {}) {
     super();
 
     this.workerScript = options.workerScript || path.join(__dirname, 'task-worker.js');
-    this.poolSize = options.poolSize || os.cpus().length;
-    this.taskHandlers = options.taskHandlers || new Map();
+    const poolSize = options.poolSize !== undefined ? options.poolSize : os.cpus().length; // 0 = remote workers only
+
+    // Autoscaling is enabled when maxPoolSize is above minPoolSize
+    this.minPoolSize = options.minPoolSize !== undefined ? options.minPoolSize : poolSize;
+    this.maxPoolSize = options.maxPoolSize !== undefined ? options.maxPoolSize : Math.max(poolSize, this.minPoolSize);
+    if (this.minPoolSize > this.maxPoolSize) {
+      throw new Error('minPoolSize cannot be greater than maxPoolSize');
+    }
+    this.scaleUpWaitTime = options.scaleUpWaitTime || 5000; // Add workers when tasks wait this long (ms)
+    this.scaleDownIdleTime = options.scaleDownIdleTime || 60000; // Remove workers idle this long (ms)
+
+    // Target number of workers; starts at minPoolSize unless poolSize is given
+    this.poolSize = options.poolSize !== undefined
+      ? Math.min(Math.max(poolSize, this.minPoolSize), this.maxPoolSize)
+      : this.minPoolSize;
+    this.taskHandlers = new Map(); // type -> path of the current version
+    this.handlerVersions = new Map(); // type -> Map of version -> path
+    this.currentVersions = new Map(); // type -> current version
+    this.handlerGeneration = 0; // Bumped on every handler change; workers from older generations are replaced
+    this.reloading = false;
+
+    for (const [type, handlerPath] of options.taskHandlers || new Map()) {
+      this.addHandlerVersion(type, handlerPath, WorkerPool.DEFAULT_HANDLER_VERSION);
+    }
+    this.cancelGracePeriod = options.cancelGracePeriod || 5000; // 5 seconds
 
     this.workers = new Map();
     this.availableWorkers = new Set();
     this.busyWorkers = new Map(); // workerId -> taskId
     this.workerStats = new Map(); // workerId -> stats
+    this.abortTimers = new Map(); // workerId -> hard-terminate timer for an aborted task
+    this.abortedWorkers = new Set(); // Workers terminated because a task ignored its abort
+    this.retiredWorkers = new Set(); // Workers removed by scale-down, not restarted on exit
 
     this.initialized = false;
   }
@@ -60,6 +89,8 @@ class WorkerPool extends EventEmitter {
       tasksFailed: 0,
       totalExecutionTime: 0,
       createdAt: Date.now(),
+      idleSince: Date.now(),
+      handlerGeneration: this.handlerGeneration,
       restarts: 0
     });
 
@@ -88,16 +119,224 @@ class WorkerPool extends EventEmitter {
   }
 
   /**
-   * Get handler file paths for worker
+   * Get handler file paths for worker, by type and version
    */
   getHandlerPaths() {
     const paths = {};
-    for (const [type, handlerPath] of this.taskHandlers) {
-      paths[type] = handlerPath;
+    for (const [type, versions] of this.handlerVersions) {
+      paths[type] = Object.fromEntries(versions);
     }
     return paths;
   }
 
+  /**
+   * Record a handler version and make it current
+   */
+  addHandlerVersion(type, handlerPath, version) {
+    if (!this.handlerVersions.has(type)) {
+      this.handlerVersions.set(type, new Map());
+    }
+    this.handlerVersions.get(type).set(version, handlerPath);
+    this.currentVersions.set(type, version);
+    this.taskHandlers.set(type, handlerPath);
+  }
+
+  /**
+   * Register a handler version and make it current for new tasks.
+   * Registering an existing version with its path rolls back to it.
+   * The module is loaded in a separate worker first, so a bad module is
+   * rejected and the current version stays in place.
+   * Workers are replaced so they load it (see reloadHandlers).
+   */
+  async registerHandler(type, handlerPath, version) {
+    if (!type || !handlerPath || !version) {
+      throw new Error('Handler type, path and version are required');
+    }
+
+    const versions = this.handlerVersions.get(type);
+    if (versions && versions.has(version) && versions.get(version) !== handlerPath) {
+      throw new Error(`Handler ${type}@${version} is already registered with a different path`);
+    }
+
+    await this.checkHandler(type, handlerPath, version);
+
+    this.addHandlerVersion(type, handlerPath, version);
+    this.emit('handler:registered', { type, version, path: handlerPath });
+
+    return await this.reloadHandlers();
+  }
+
+  /**
+   * Load a handler module in a worker thread that runs no tasks, the same way
+   * pool workers load it. Rejects if it throws, or does not export a handler.
+   */
+  checkHandler(type, handlerPath, version) {
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(this.workerScript, {
+        workerData: {
+          workerId: `check-${type}@${version}`,
+          taskHandlers: { [type]: { [version]: handlerPath } }
+        }
+      });
+
+      let settled = false;
+      const finish = (error) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        clearTimeout(timer);
+        worker.terminate().catch(() => {});
+        if (error) {
+          reject(new Error(`Handler ${type}@${version} cannot be loaded: ${error}`));
+        } else {
+          resolve();
+        }
+      };
+
+      const timer = setTimeout(() => {
+        finish(`it did not load within ${WorkerPool.HANDLER_CHECK_TIMEOUT}ms`);
+      }, WorkerPool.HANDLER_CHECK_TIMEOUT);
+
+      worker.on('message', (message) => {
+        if (message.type === 'ready') {
+          const [failure] = message.loadErrors || [];
+          finish(failure ? failure.error : null);
+        }
+      });
+      worker.on('error', error => finish(error.message));
+      worker.on('exit', code => finish(`the worker exited with code ${code}`));
+    });
+  }
+
+  /**
+   * Remove a handler version that is no longer current.
+   * Tasks pinned to it fail once workers have been replaced.
+   */
+  async unregisterHandler(type, version) {
+    const versions = this.handlerVersions.get(type);
+    if (!versions || !versions.has(version)) {
+      throw new Error(`Handler ${type}@${version} not found`);
+    }
+    if (this.currentVersions.get(type) === version) {
+      throw new Error(`Handler ${type}@${version} is the current version`);
+    }
+
+    versions.delete(version);
+    this.emit('handler:unregistered', { type, version });
+
+    return await this.reloadHandlers();
+  }
+
+  /**
+   * Check if a handler (optionally a specific version) is registered
+   */
+  hasHandler(type, version = null) {
+    const versions = this.handlerVersions.get(type);
+    return Boolean(versions) && (!version || versions.has(version));
+  }
+
+  /**
+   * Get registered handlers with their current version
+   */
+  getHandlers() {
+    return Array.from(this.handlerVersions, ([type, versions]) => ({
+      type,
+      current: this.currentVersions.get(type),
+      versions: Object.fromEntries(versions)
+    }));
+  }
+
+  /**
+   * Replace workers so they load the registered handlers from disk (also picks up
+   * handler files changed in place). Idle workers are replaced now; busy workers
+   * finish their task first, so in-flight tasks are never dropped.
+   */
+  async reloadHandlers() {
+    this.handlerGeneration++;
+
+    if (!this.initialized) {
+      return { generation: this.handlerGeneration, replaced: 0, draining: 0 };
+    }
+
+    const stale = this.getStaleWorkers();
+    const idle = stale.filter(workerId => this.availableWorkers.has(workerId));
+
+    this.reloading = true;
+    this.emit('handlers:reloading', {
+      generation: this.handlerGeneration,
+      replaced: idle.length,
+      draining: stale.length - idle.length
+    });
+
+    // Take idle workers out of rotation before replacing any of them
+    for (const workerId of idle) {
+      this.availableWorkers.delete(workerId);
+    }
+    await Promise.all(idle.map(workerId => this.replaceWorker(workerId)));
+
+    this.checkReloaded();
+
+    return {
+      generation: this.handlerGeneration,
+      replaced: idle.length,
+      draining: stale.length - idle.length
+    };
+  }
+
+  /**
+   * Get workers started before the last handler change
+   */
+  getStaleWorkers() {
+    return Array.from(this.workers.keys()).filter(workerId => this.isStale(workerId));
+  }
+
+  /**
+   * Check if a worker runs an older handler generation
+   */
+  isStale(workerId) {
+    const stats = this.workerStats.get(workerId);
+    return !this.retiredWorkers.has(workerId) && Boolean(stats) && stats.handlerGeneration < this.handlerGeneration;
+  }
+
+  /**
+   * Start a worker with the current handlers in place of an old one
+   */
+  async replaceWorker(workerId) {
+    this.retiredWorkers.add(workerId);
+    this.availableWorkers.delete(workerId);
+    this.workerStats.delete(workerId);
+
+    const newWorkerId = await this.createWorker();
+    await this.removeWorker(workerId);
+
+    this.emit('worker:replaced', { workerId, newWorkerId, generation: this.handlerGeneration });
+  }
+
+  /**
+   * Emit handlers:reloaded once no worker runs an older generation
+   */
+  checkReloaded() {
+    if (this.reloading && this.getStaleWorkers().length === 0) {
+      this.reloading = false;
+      this.emit('handlers:reloaded', { generation: this.handlerGeneration });
+    }
+  }
+
+  /**
+   * Return a worker to rotation after its task, replacing it if its handlers are out of date
+   */
+  releaseWorker(workerId) {
+    if (!this.isStale(workerId)) {
+      this.availableWorkers.add(workerId);
+      return;
+    }
+
+    this.replaceWorker(workerId)
+      .then(() => this.checkReloaded())
+      .catch(error => this.emit('worker:error', { workerId, error }));
+  }
+
   /**
    * Execute task on available worker
    */
@@ -116,6 +355,10 @@ class WorkerPool extends EventEmitter {
     // Mark worker as busy
     this.availableWorkers.delete(workerId);
     this.busyWorkers.set(workerId, task.id);
+    this.workerStats.get(workerId).idleSince = null;
+
+    // Pinned tasks run their version, others the current one
+    const handlerVersion = task.handlerVersion || this.currentVersions.get(task.type) || null;
 
     // Send task to worker
     return new Promise((resolve, reject) => {
@@ -141,12 +384,80 @@ class WorkerPool extends EventEmitter {
           id: task.id,
           type: task.type,
           payload: task.payload,
-          timeout: task.timeout
+          timeout: task.timeout,
+          handlerVersion
         }
       });
     });
   }
 
+  /**
+   * Check if a worker is still running a task (including an aborted one that has not stopped yet)
+   */
+  isRunning(taskId) {
+    for (const busyTaskId of this.busyWorkers.values()) {
+      if (busyTaskId === taskId) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Abort a running task. The handler is signalled through its AbortSignal;
+   * if it has not returned after the grace period, the worker is terminated.
+   */
+  abortTask(taskId, options = {}) {
+    const { reason = 'Task cancelled', gracePeriod = this.cancelGracePeriod } = options;
+
+    const entry = Array.from(this.busyWorkers).find(([, busyTaskId]) => busyTaskId === taskId);
+    if (!entry) {
+      return false;
+    }
+
+    const [workerId] = entry;
+    const worker = this.workers.get(workerId);
+
+    worker.postMessage({ type: 'abort', taskId, reason });
+    this.emit('task:aborting', { workerId, taskId, reason });
+
+    const timer = setTimeout(() => {
+      this.abortTimers.delete(workerId);
+
+      if (this.busyWorkers.get(workerId) !== taskId) {
+        return;
+      }
+
+      this.emit('task:aborted', { workerId, taskId, terminated: true });
+
+      if (worker._taskReject) {
+        worker._taskReject(new Error(reason));
+        delete worker._taskResolve;
+        delete worker._taskReject;
+      }
+
+      // Exit handler frees the slot and starts a replacement worker
+      this.abortedWorkers.add(workerId);
+      worker.terminate().catch(error => this.emit('worker:error', { workerId, error }));
+    }, gracePeriod);
+
+    this.abortTimers.set(workerId, timer);
+
+    return true;
+  }
+
+  /**
+   * Clear a pending hard-terminate once the aborted task has returned
+   */
+  clearAbortTimer(workerId, taskId) {
+    const timer = this.abortTimers.get(workerId);
+    if (timer) {
+      clearTimeout(timer);
+      this.abortTimers.delete(workerId);
+      this.emit('task:aborted', { workerId, taskId, terminated: false });
+    }
+  }
+
   /**
    * Get next available worker (round-robin)
    */
@@ -206,10 +517,13 @@ class WorkerPool extends EventEmitter {
     const stats = this.workerStats.get(workerId);
     stats.tasksCompleted++;
     stats.totalExecutionTime += message.executionTime || 0;
+    stats.idleSince = Date.now();
+
+    this.clearAbortTimer(workerId, taskId);
 
     // Mark worker as available
     this.busyWorkers.delete(workerId);
-    this.availableWorkers.add(workerId);
+    this.releaseWorker(workerId);
 
     // Resolve promise
     if (worker._taskResolve) {
@@ -236,15 +550,20 @@ class WorkerPool extends EventEmitter {
     // Update stats
     const stats = this.workerStats.get(workerId);
     stats.tasksFailed++;
+    stats.idleSince = Date.now();
+
+    this.clearAbortTimer(workerId, taskId);
 
     // Mark worker as available
     this.busyWorkers.delete(workerId);
-    this.availableWorkers.add(workerId);
+    this.releaseWorker(workerId);
 
     // Reject promise
     if (worker._taskReject) {
       const error = new Error(message.error || 'Task execution failed');
       error.stack = message.stack;
+      error.code = message.code;
+      error.name = message.name || error.name;
       worker._taskReject(error);
       delete worker._taskResolve;
       delete worker._taskReject;
@@ -254,7 +573,9 @@ class WorkerPool extends EventEmitter {
       workerId,
       taskId,
       error: message.error,
-      stack: message.stack
+      stack: message.stack,
+      code: message.code,
+      name: message.name
     });
   }
 
@@ -283,15 +604,22 @@ class WorkerPool extends EventEmitter {
    * Handle worker exit
    */
   async handleWorkerExit(workerId, code) {
-    if (code !== 0) {
+    if (this.retiredWorkers.delete(workerId)) {
+      return;
+    }
+
+    const aborted = this.abortedWorkers.delete(workerId);
+
+    if (code !== 0 && !aborted && this.initialized) {
       console.error(`Worker ${workerId} exited with code ${code}`);
     }
 
-    this.emit('worker:exit', { workerId, code });
+    this.emit('worker:exit', { workerId, code, aborted });
 
-    // If worker was processing a task, fail it
+    // If worker was processing a task, fail it. Tasks still running when the
+    // pool shuts down are recovered as interrupted when the queue starts again.
     const taskId = this.busyWorkers.get(workerId);
-    if (taskId) {
+    if (taskId && this.initialized) {
       this.emit('task:failed', {
         workerId,
         taskId,
@@ -310,13 +638,86 @@ class WorkerPool extends EventEmitter {
       }
 
       setTimeout(async () => {
-        if (this.initialized) {
+        if (this.initialized && this.workers.size < this.poolSize) {
           await this.createWorker();
         }
       }, 1000);
     }
   }
 
+  /**
+   * Check if the pool size can change
+   */
+  isAutoscaling() {
+    return this.maxPoolSize > this.minPoolSize;
+  }
+
+  /**
+   * Resize the pool from the waiting times (ms) of tasks that could start now.
+   * Adds a worker for each task waiting longer than scaleUpWaitTime that no idle
+   * worker can take, or removes workers idle longer than scaleDownIdleTime.
+   */
+  async autoscale(waitingTimes = [], now = Date.now()) {
+    if (!this.initialized || !this.isAutoscaling()) {
+      return 0;
+    }
+
+    const waiting = waitingTimes.filter(time => time >= this.scaleUpWaitTime);
+    const needed = Math.min(waiting.length - this.availableWorkers.size, this.maxPoolSize - this.poolSize);
+
+    if (needed > 0) {
+      await this.scaleTo(this.poolSize + needed, {
+        waitingTasks: waiting.length,
+        maxWaitTime: Math.max(...waiting)
+      });
+      return needed;
+    }
+
+    if (waiting.length > 0) {
+      return 0;
+    }
+
+    const idleWorkers = Array.from(this.availableWorkers).filter(workerId => {
+      const { idleSince } = this.workerStats.get(workerId);
+      return idleSince !== null && now - idleSince >= this.scaleDownIdleTime;
+    });
+    const surplus = Math.min(idleWorkers.length, this.poolSize - this.minPoolSize);
+
+    if (surplus > 0) {
+      await this.scaleTo(this.poolSize - surplus, { idleWorkers: idleWorkers.length }, idleWorkers.slice(0, surplus));
+      return -surplus;
+    }
+
+    return 0;
+  }
+
+  /**
+   * Change the target pool size, creating workers or retiring the given idle ones
+   */
+  async scaleTo(size, reason, retire = []) {
+    const from = this.poolSize;
+    this.poolSize = size;
+
+    for (let i = from; i < size; i++) {
+      await this.createWorker();
+    }
+
+    // Take retiring workers out of rotation before terminating any of them
+    for (const workerId of retire) {
+      this.retiredWorkers.add(workerId);
+      this.availableWorkers.delete(workerId);
+      this.workerStats.delete(workerId);
+    }
+    await Promise.all(retire.map(workerId => this.removeWorker(workerId)));
+
+    this.emit('pool:scaled', {
+      direction: size > from ? 'up' : 'down',
+      from,
+      to: size,
+      reason
+    });
+  }
+
   /**
    * Remove worker from pool
    */
@@ -344,6 +745,10 @@ class WorkerPool extends EventEmitter {
   getStats() {
     const stats = {
       poolSize: this.poolSize,
+      minPoolSize: this.minPoolSize,
+      maxPoolSize: this.maxPoolSize,
+      handlerGeneration: this.handlerGeneration,
+      handlers: this.getHandlers(),
       activeWorkers: this.workers.size,
       availableWorkers: this.availableWorkers.size,
       busyWorkers: this.busyWorkers.size,
@@ -356,7 +761,8 @@ class WorkerPool extends EventEmitter {
 
       stats.workers.push({
         id: workerId,
-        status: isAvailable ? 'available' : 'busy',
+        status: isAvailable ? 'available' : (this.isStale(workerId) ? 'draining' : 'busy'),
+        handlerGeneration: workerStats.handlerGeneration,
         currentTask: currentTask || null,
         tasksCompleted: workerStats.tasksCompleted,
         tasksFailed: workerStats.tasksFailed,
@@ -392,6 +798,11 @@ class WorkerPool extends EventEmitter {
   async shutdown() {
     this.initialized = false;
 
+    for (const timer of this.abortTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.abortTimers.clear();
+
     // Terminate all workers
     const terminatePromises = Array.from(this.workers.keys()).map(workerId =>
       this.removeWorker(workerId)
@@ -0,0 +1,581 @@
+/**
+ * Worker Server
+ * Accepts remote worker processes over TCP or a Unix socket and leases tasks to them
+ *
+ * Protocol (length-prefixed JSON frames, see frame-codec.js):
+ *   worker -> server: hello, heartbeat, progress, complete, fail, log, drain
+ *   server -> worker: welcome, lease, revoke, shutdown, error
+ *
+ * A lease stays valid while the worker keeps sending heartbeats. If a worker
+ * is silent for longer than leaseTimeout, or disconnects, its leases are
+ * revoked and the tasks are failed so they retry elsewhere.
+ *
+ * With authToken set, a worker's hello must carry the same token. Anyone who
+ * can connect can otherwise take leases and read task payloads, so set it
+ * whenever host is not a loopback address.
+ */
+
+const net = require('net');
+const fs = require('fs');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const FrameCodec = require('./frame-codec');
+
+const PROTOCOL_VERSION = 1;
+
+class WorkerServer extends EventEmitter {
+  static PROTOCOL_VERSION = PROTOCOL_VERSION;
+
+  constructor(options = {}) {
+    super();
+
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port !== undefined ? options.port : 7070;
+    this.path = options.path || null; // Unix socket path (takes precedence over host/port)
+    this.heartbeatInterval = options.heartbeatInterval || 5000; // 5 seconds
+    this.leaseTimeout = options.leaseTimeout || 15000; // 15 seconds
+    this.leaseCheckInterval = options.leaseCheckInterval || 1000; // 1 second
+    this.maxFrameSize = options.maxFrameSize || FrameCodec.MAX_FRAME_SIZE;
+    this.authToken = options.authToken || null; // Shared secret workers send in hello
+
+    this.server = null;
+    this.connections = new Set();
+    this.workers = new Map(); // workerId -> worker state
+    this.leases = new Map(); // taskId -> lease
+    this.leaseTimer = null;
+  }
+
+  /**
+   * Start accepting worker connections
+   */
+  async listen() {
+    if (this.path) {
+      // Remove a socket file left behind by a previous run
+      try {
+        await fs.promises.unlink(this.path);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+
+    this.server = net.createServer((socket) => this.handleConnection(socket));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      const onListening = () => {
+        this.server.off('error', reject);
+        resolve();
+      };
+
+      if (this.path) {
+        this.server.listen(this.path, onListening);
+      } else {
+        this.server.listen(this.port, this.host, onListening);
+      }
+    });
+
+    this.server.on('error', (error) => this.emit('error', error));
+
+    this.leaseTimer = setInterval(() => this.checkLeases(), this.leaseCheckInterval);
+
+    this.emit('listening', this.getAddress());
+  }
+
+  /**
+   * Get the address workers should connect to
+   */
+  getAddress() {
+    if (this.path) {
+      return { path: this.path };
+    }
+
+    const address = this.server ? this.server.address() : null;
+    return { host: this.host, port: address ? address.port : this.port };
+  }
+
+  /**
+   * Handle a new socket connection
+   */
+  handleConnection(socket) {
+    const connection = {
+      socket,
+      codec: new FrameCodec({ maxFrameSize: this.maxFrameSize }),
+      worker: null
+    };
+
+    this.connections.add(connection);
+    socket.setNoDelay(true);
+
+    socket.on('data', (chunk) => {
+      let messages;
+      try {
+        messages = connection.codec.push(chunk);
+      } catch (error) {
+        this.sendFrame(socket, { type: 'error', message: error.message });
+        socket.end();
+        return;
+      }
+
+      for (const message of messages) {
+        this.handleMessage(connection, message);
+      }
+    });
+
+    socket.on('error', () => {
+      // A close event always follows
+    });
+
+    socket.on('close', () => {
+      this.connections.delete(connection);
+      if (connection.worker) {
+        this.handleDisconnect(connection.worker);
+      }
+    });
+  }
+
+  /**
+   * Handle a message from a worker
+   */
+  handleMessage(connection, message) {
+    if (!connection.worker) {
+      if (message.type !== 'hello') {
+        this.sendFrame(connection.socket, { type: 'error', message: 'Expected hello' });
+        connection.socket.end();
+        return;
+      }
+
+      this.registerWorker(connection, message);
+      return;
+    }
+
+    const worker = connection.worker;
+    worker.lastSeen = Date.now();
+
+    switch (message.type) {
+      case 'heartbeat':
+        this.renewLeases(worker);
+        break;
+
+      case 'progress':
+        if (this.isCurrentLease(worker, message)) {
+          this.renewLeases(worker);
+          this.emit('task:progress', {
+            workerId: worker.id,
+            taskId: message.taskId,
+            progress: message.progress
+          });
+        }
+        break;
+
+      case 'complete':
+        if (this.isCurrentLease(worker, message)) {
+          this.releaseLease(message.taskId);
+          worker.tasksCompleted++;
+          worker.totalExecutionTime += message.executionTime || 0;
+
+          this.emit('task:completed', {
+            workerId: worker.id,
+            taskId: message.taskId,
+            result: message.result,
+            executionTime: message.executionTime
+          });
+        }
+        break;
+
+      case 'fail':
+        if (this.isCurrentLease(worker, message)) {
+          this.releaseLease(message.taskId);
+          worker.tasksFailed++;
+
+          this.emit('task:failed', {
+            workerId: worker.id,
+            taskId: message.taskId,
+            error: message.error,
+            stack: message.stack,
+            code: message.code,
+            name: message.name
+          });
+        }
+        break;
+
+      case 'log':
+        this.emit('worker:log', {
+          workerId: worker.id,
+          taskId: message.taskId,
+          level: message.level,
+          message: message.message
+        });
+        break;
+
+      case 'drain':
+        worker.draining = true;
+        this.emit('worker:draining', { workerId: worker.id });
+        break;
+
+      default:
+        this.sendFrame(worker.socket, { type: 'error', message: `Unknown message type: ${message.type}` });
+    }
+  }
+
+  /**
+   * Register a worker from its hello message
+   */
+  registerWorker(connection, message) {
+    const { socket } = connection;
+
+    if (message.protocol !== PROTOCOL_VERSION) {
+      this.sendFrame(socket, {
+        type: 'error',
+        message: `Unsupported protocol version ${message.protocol} (server speaks ${PROTOCOL_VERSION})`
+      });
+      socket.end();
+      return;
+    }
+
+    if (this.authToken && !WorkerServer.tokensMatch(message.token, this.authToken)) {
+      this.sendFrame(socket, { type: 'error', message: 'Invalid worker token' });
+      socket.end();
+      return;
+    }
+
+    const workerId = message.workerId || `remote-${crypto.randomUUID()}`;
+
+    if (this.workers.has(workerId)) {
+      this.sendFrame(socket, { type: 'error', message: `Worker ${workerId} is already connected` });
+      socket.end();
+      return;
+    }
+
+    const concurrency = Number.isInteger(message.concurrency) && message.concurrency > 0
+      ? message.concurrency
+      : 1;
+
+    const worker = {
+      id: workerId,
+      socket,
+      concurrency,
+      types: Array.isArray(message.types) ? message.types : [],
+      leases: new Set(), // Task IDs
+      draining: false,
+      remoteAddress: socket.remoteAddress || this.path,
+      connectedAt: Date.now(),
+      lastSeen: Date.now(),
+      tasksCompleted: 0,
+      tasksFailed: 0,
+      totalExecutionTime: 0
+    };
+
+    connection.worker = worker;
+    this.workers.set(workerId, worker);
+
+    this.sendFrame(socket, {
+      type: 'welcome',
+      workerId,
+      heartbeatInterval: this.heartbeatInterval,
+      leaseTimeout: this.leaseTimeout
+    });
+
+    this.emit('worker:connected', {
+      workerId,
+      concurrency,
+      types: worker.types,
+      remoteAddress: worker.remoteAddress
+    });
+  }
+
+  /**
+   * Check if a worker message refers to a lease it still holds
+   */
+  isCurrentLease(worker, message) {
+    const lease = this.leases.get(message.taskId);
+
+    if (lease && lease.workerId === worker.id && lease.id === message.leaseId) {
+      return true;
+    }
+
+    // Result of a revoked lease; the task has been failed or reassigned
+    this.emit('lease:stale', {
+      workerId: worker.id,
+      taskId: message.taskId,
+      leaseId: message.leaseId,
+      type: message.type
+    });
+    return false;
+  }
+
+  /**
+   * Get workers with free slots
+   */
+  getAvailableWorkers() {
+    return Array.from(this.workers.values())
+      .filter(worker => !worker.draining && worker.leases.size < worker.concurrency);
+  }
+
+  /**
+   * Check if a worker handles a task type (workers without types accept all).
+   * Remote workers do not report handler versions, so pinned tasks stay on the local pool.
+   */
+  accepts(worker, task) {
+    if (task.handlerVersion) {
+      return false;
+    }
+    return worker.types.length === 0 || worker.types.includes(task.type);
+  }
+
+  /**
+   * Check if any connected worker has a free slot
+   */
+  hasAvailableWorkers() {
+    return this.getAvailableWorkers().length > 0;
+  }
+
+  /**
+   * Lease a task to a worker
+   */
+  leaseTask(workerId, task) {
+    const worker = this.workers.get(workerId);
+    if (!worker) {
+      throw new Error(`Worker ${workerId} not connected`);
+    }
+    if (worker.leases.size >= worker.concurrency) {
+      throw new Error(`Worker ${workerId} has no free slots`);
+    }
+
+    const now = Date.now();
+    const lease = {
+      id: crypto.randomUUID(),
+      taskId: task.id,
+      workerId,
+      grantedAt: now,
+      expiresAt: now + this.leaseTimeout
+    };
+
+    this.leases.set(task.id, lease);
+    worker.leases.add(task.id);
+
+    this.sendFrame(worker.socket, {
+      type: 'lease',
+      leaseId: lease.id,
+      expiresAt: lease.expiresAt,
+      task: {
+        id: task.id,
+        type: task.type,
+        payload: task.payload,
+        timeout: task.timeout,
+        attempts: task.attempts
+      }
+    });
+
+    this.emit('lease:granted', lease);
+
+    return lease;
+  }
+
+  /**
+   * Extend all leases of a worker
+   */
+  renewLeases(worker) {
+    const expiresAt = Date.now() + this.leaseTimeout;
+
+    for (const taskId of worker.leases) {
+      const lease = this.leases.get(taskId);
+      if (lease) {
+        lease.expiresAt = expiresAt;
+      }
+    }
+  }
+
+  /**
+   * Check if a task is leased to a connected worker
+   */
+  hasLease(taskId) {
+    return this.leases.has(taskId);
+  }
+
+  /**
+   * Drop a lease after the task finished
+   */
+  releaseLease(taskId) {
+    const lease = this.leases.get(taskId);
+    if (!lease) {
+      return null;
+    }
+
+    this.leases.delete(taskId);
+
+    const worker = this.workers.get(lease.workerId);
+    if (worker) {
+      worker.leases.delete(taskId);
+    }
+
+    return lease;
+  }
+
+  /**
+   * Take a task back from its worker without failing it
+   * (e.g. the queue already failed it on timeout)
+   */
+  releaseTask(taskId, reason) {
+    const lease = this.releaseLease(taskId);
+    if (!lease) {
+      return false;
+    }
+
+    const worker = this.workers.get(lease.workerId);
+    if (worker) {
+      this.sendFrame(worker.socket, { type: 'revoke', taskId, leaseId: lease.id, reason });
+    }
+
+    return true;
+  }
+
+  /**
+   * Revoke all leases of a worker and fail their tasks
+   */
+  revokeLeases(worker, reason) {
+    for (const taskId of Array.from(worker.leases)) {
+      const lease = this.releaseLease(taskId);
+
+      this.sendFrame(worker.socket, { type: 'revoke', taskId, leaseId: lease.id, reason });
+      this.emit('lease:revoked', { workerId: worker.id, taskId, leaseId: lease.id, reason });
+
+      this.emit('task:failed', {
+        workerId: worker.id,
+        taskId,
+        error: `Lease revoked: ${reason}`
+      });
+    }
+  }
+
+  /**
+   * Revoke leases of workers that stopped sending heartbeats
+   */
+  checkLeases(now = Date.now()) {
+    for (const worker of Array.from(this.workers.values())) {
+      if (now - worker.lastSeen > this.leaseTimeout) {
+        this.revokeLeases(worker, 'heartbeat timeout');
+        this.removeWorker(worker);
+        worker.socket.destroy();
+        continue;
+      }
+
+      for (const taskId of Array.from(worker.leases)) {
+        const lease = this.leases.get(taskId);
+        if (lease && lease.expiresAt < now) {
+          this.revokeLeases(worker, 'lease expired');
+          break;
+        }
+      }
+    }
+  }
+
+  /**
+   * Handle worker disconnect
+   */
+  handleDisconnect(worker) {
+    if (this.workers.get(worker.id) !== worker) {
+      return; // Already removed
+    }
+
+    this.revokeLeases(worker, 'worker disconnected');
+    this.removeWorker(worker);
+  }
+
+  /**
+   * Remove worker from the registry
+   */
+  removeWorker(worker) {
+    if (this.workers.get(worker.id) !== worker) {
+      return;
+    }
+
+    this.workers.delete(worker.id);
+    this.emit('worker:disconnected', { workerId: worker.id });
+  }
+
+  /**
+   * Send a frame, ignoring sockets that are already closed
+   */
+  sendFrame(socket, message) {
+    if (!socket.destroyed && socket.writable) {
+      socket.write(FrameCodec.encode(message));
+    }
+  }
+
+  /**
+   * Get remote worker statistics
+   */
+  getStats() {
+    const workers = Array.from(this.workers.values()).map(worker => ({
+      id: worker.id,
+      status: worker.draining ? 'draining' : worker.leases.size > 0 ? 'busy' : 'available',
+      remoteAddress: worker.remoteAddress,
+      concurrency: worker.concurrency,
+      types: worker.types,
+      currentTasks: Array.from(worker.leases),
+      tasksCompleted: worker.tasksCompleted,
+      tasksFailed: worker.tasksFailed,
+      avgExecutionTime: worker.tasksCompleted > 0
+        ? Math.round(worker.totalExecutionTime / worker.tasksCompleted)
+        : 0,
+      uptime: Date.now() - worker.connectedAt,
+      lastSeen: worker.lastSeen
+    }));
+
+    return {
+      address: this.getAddress(),
+      connectedWorkers: workers.length,
+      capacity: workers.reduce((sum, worker) => sum + worker.concurrency, 0),
+      activeLeases: this.leases.size,
+      workers
+    };
+  }
+
+  /**
+   * Stop accepting workers and disconnect connected ones.
+   * Outstanding leases are left in place so the tasks can be recovered on restart.
+   */
+  async close() {
+    if (this.leaseTimer) {
+      clearInterval(this.leaseTimer);
+      this.leaseTimer = null;
+    }
+
+    if (!this.server) {
+      return;
+    }
+
+    for (const worker of this.workers.values()) {
+      this.sendFrame(worker.socket, { type: 'shutdown' });
+    }
+
+    // Forget workers first so closing their sockets does not revoke leases
+    this.workers.clear();
+
+    for (const connection of this.connections) {
+      connection.socket.end();
+      connection.socket.setTimeout(1000, () => connection.socket.destroy());
+    }
+
+    await new Promise(resolve => this.server.close(() => resolve()));
+    this.server = null;
+
+    this.emit('closed');
+  }
+
+  /**
+   * Compare a worker's token with the expected one in constant time
+   */
+  static tokensMatch(token, expected) {
+    if (typeof token !== 'string') {
+      return false;
+    }
+
+    // Hash both so the comparison does not leak the token length
+    const actualHash = crypto.createHash('sha256').update(token).digest();
+    const expectedHash = crypto.createHash('sha256').update(expected).digest();
+    return crypto.timingSafeEqual(actualHash, expectedHash);
+  }
+}
+
+module.exports = WorkerServer;
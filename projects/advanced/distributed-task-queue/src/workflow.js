@@ -0,0 +1,197 @@
+/**
+ * Workflow Model
+ * A DAG of tasks submitted together, where each task runs after its dependencies complete
+ */
+
+const crypto = require('crypto');
+
+class Workflow {
+  static STATUS = {
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    FAILED: 'failed'
+  };
+
+  constructor(data, options = {}) {
+    this.id = options.id || crypto.randomUUID();
+    this.name = data.name || null;
+    this.nodes = data.nodes || {}; // Task name -> task ID
+    this.status = Workflow.STATUS.RUNNING;
+    this.createdAt = options.createdAt || Date.now();
+    this.updatedAt = Date.now();
+    this.completedAt = null;
+    this.error = null;
+  }
+
+  /**
+   * Validate a workflow definition and expand it into task data.
+   * `dependsOn` entries may name another task in the workflow or be the
+   * ID of an existing task. Tasks are returned in dependency order, each
+   * with its ID, its node name and its task data.
+   */
+  static plan(definition, options = {}) {
+    const hasTask = options.hasTask || (() => false);
+
+    if (!definition || !Array.isArray(definition.tasks) || definition.tasks.length === 0) {
+      throw new Error('Workflow must contain at least one task');
+    }
+
+    const workflow = new Workflow({ name: definition.name });
+    const nodes = new Map(); // name -> node definition
+
+    definition.tasks.forEach((node, index) => {
+      const name = node.name || `task-${index + 1}`;
+
+      if (!node.type) {
+        throw new Error(`Task "${name}" is missing a type`);
+      }
+      if (nodes.has(name)) {
+        throw new Error(`Duplicate task name in workflow: ${name}`);
+      }
+      if (node.cron) {
+        throw new Error(`Task "${name}" cannot be recurring inside a workflow`);
+      }
+      if (node.idempotencyKey || node.unique) {
+        throw new Error(`Task "${name}" cannot be deduplicated inside a workflow`);
+      }
+
+      nodes.set(name, node);
+      workflow.nodes[name] = crypto.randomUUID();
+    });
+
+    // Resolve references and check for unknown dependencies
+    for (const [name, node] of nodes) {
+      for (const ref of node.dependsOn || []) {
+        if (!nodes.has(ref) && !hasTask(ref)) {
+          throw new Error(`Unknown dependency "${ref}" for task "${name}"`);
+        }
+      }
+    }
+
+    // Topological sort over dependencies inside the workflow
+    const sorted = [];
+    const visited = new Set();
+    const visiting = [];
+
+    const visit = (name) => {
+      if (visited.has(name)) {
+        return;
+      }
+
+      if (visiting.includes(name)) {
+        const cycle = visiting.slice(visiting.indexOf(name)).concat(name);
+        throw new Error(`Circular dependency detected: ${cycle.join(' -> ')}`);
+      }
+
+      visiting.push(name);
+      for (const ref of nodes.get(name).dependsOn || []) {
+        if (nodes.has(ref)) {
+          visit(ref);
+        }
+      }
+      visiting.pop();
+
+      visited.add(name);
+      sorted.push(name);
+    };
+
+    for (const name of nodes.keys()) {
+      visit(name);
+    }
+
+    const tasks = sorted.map(name => {
+      const node = { ...nodes.get(name) };
+      delete node.name;
+
+      return {
+        id: workflow.nodes[name],
+        name,
+        data: {
+          ...node,
+          dependsOn: (node.dependsOn || []).map(ref =>
+            nodes.has(ref) ? workflow.nodes[ref] : ref
+          )
+        }
+      };
+    });
+
+    return { workflow, tasks };
+  }
+
+  /**
+   * Get task IDs of all workflow nodes
+   */
+  getTaskIds() {
+    return Object.values(this.nodes);
+  }
+
+  /**
+   * Mark workflow as completed
+   */
+  complete() {
+    this.status = Workflow.STATUS.COMPLETED;
+    this.completedAt = Date.now();
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * Mark workflow as failed
+   */
+  fail(error) {
+    this.status = Workflow.STATUS.FAILED;
+    this.error = {
+      message: error.message,
+      timestamp: Date.now()
+    };
+    this.completedAt = Date.now();
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * Check if workflow has finished
+   */
+  isFinished() {
+    return this.status !== Workflow.STATUS.RUNNING;
+  }
+
+  /**
+   * Serialize workflow for storage
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      nodes: this.nodes,
+      status: this.status,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+      completedAt: this.completedAt,
+      error: this.error
+    };
+  }
+
+  /**
+   * Create workflow from stored JSON
+   */
+  static fromJSON(json) {
+    const workflow = new Workflow(
+      {
+        name: json.name,
+        nodes: json.nodes
+      },
+      {
+        id: json.id,
+        createdAt: json.createdAt
+      }
+    );
+
+    workflow.status = json.status;
+    workflow.updatedAt = json.updatedAt;
+    workflow.completedAt = json.completedAt;
+    workflow.error = json.error;
+
+    return workflow;
+  }
+}
+
+module.exports = Workflow;
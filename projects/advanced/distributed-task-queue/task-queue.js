@@ -0,0 +1,434 @@
+#!/usr/bin/env node
+
+/**
+ * Task Queue CLI
+ *
+ * Usage:
+ *   node task-queue.js submit email ./payload.json
+ *   echo '{"to":"a@example.com"}' | node task-queue.js submit email
+ *   node task-queue.js list --status failed --type email
+ *   node task-queue.js watch --type email
+ *   node task-queue.js --help
+ */
+
+const fs = require('fs');
+const ApiClient = require('./src/api-client');
+
+// Options that take no value
+const FLAGS = new Set(['help', 'json']);
+
+// Task fields that can be set on submit
+const TASK_OPTIONS = {
+  priority: Number,
+  queue: String,
+  tenant: String,
+  maxAttempts: Number,
+  timeout: Number,
+  runAt: String,
+  cron: String,
+  idempotencyKey: String,
+  handlerVersion: String,
+  batch: String
+};
+
+/**
+ * Display help message
+ */
+function showHelp() {
+  console.log(`
+Task Queue CLI - Submit, inspect and manage tasks through the API server
+
+Usage:
+  node task-queue.js <command> [arguments] [options]
+
+Commands:
+  submit <type> [file]     Submit a task; the JSON payload is read from the file,
+                           or from stdin when the file is "-" or omitted
+  list                     List tasks
+  get <id>                 Show a task
+  watch                    Print task events as they happen (Ctrl+C to stop)
+  retry <id>               Retry a task now
+  cancel <id>              Cancel a task
+  stats                    Show queue statistics
+  drain                    Pause every named queue and wait for running tasks to finish
+  resume                   Resume every named queue
+
+Options:
+  --url <url>              API server URL (default: TASK_QUEUE_URL or http://localhost:3000)
+  --api-key <key>          API key (default: TASK_QUEUE_API_KEY)
+  --json                   Print JSON instead of tables
+  --help                   Show this help message
+
+  submit: --priority <n> --queue <name> --tenant <name> --max-attempts <n>
+          --timeout <ms> --run-at <time> --cron <expr> --idempotency-key <key>
+          --handler-version <version> --batch <batch-id>
+  list:   --status <status> --type <type> --queue <name> --tenant <name>
+          --limit <n> --offset <n>
+  watch:  --type <type> --task <id> --event <name>[,<name>...]
+  cancel: --reason <text> --grace-period <ms>
+  drain:  --timeout <ms> (default: wait until done)
+
+Examples:
+  node task-queue.js submit email ./payload.json --priority 5
+  node task-queue.js list --status failed --json
+  node task-queue.js watch --event task:completed,task:failed
+  `);
+}
+
+/**
+ * Parse command line arguments into a command, positional arguments and options
+ */
+function parseArgs(argv) {
+  const result = {
+    command: null,
+    args: [],
+    options: {}
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '-h') {
+      result.options.help = true;
+    } else if (arg.startsWith('--')) {
+      const name = arg.slice(2).replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+
+      if (FLAGS.has(name)) {
+        result.options[name] = true;
+      } else {
+        if (i + 1 >= argv.length) {
+          throw new Error(`Missing value for ${arg}`);
+        }
+        result.options[name] = argv[++i];
+      }
+    } else if (!result.command) {
+      result.command = arg;
+    } else {
+      result.args.push(arg);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Build task data for submit from the type, payload and options
+ */
+function buildTask(type, payload, options) {
+  const task = { type, payload };
+
+  for (const [name, convert] of Object.entries(TASK_OPTIONS)) {
+    if (options[name] === undefined) {
+      continue;
+    }
+
+    const value = convert(options[name]);
+    if (convert === Number && !Number.isFinite(value)) {
+      throw new Error(`Invalid number for --${name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}: ${options[name]}`);
+    }
+    task[name === 'batch' ? 'batchId' : name] = value;
+  }
+
+  return task;
+}
+
+/**
+ * Read the payload from a file, or from stdin for "-" or when no file is given
+ */
+async function readPayload(file) {
+  let content;
+
+  if (file && file !== '-') {
+    content = await fs.promises.readFile(file, 'utf8');
+  } else if (!file && process.stdin.isTTY) {
+    return {};
+  } else {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+      chunks.push(chunk);
+    }
+    content = Buffer.concat(chunks).toString('utf8');
+  }
+
+  if (!content.trim()) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Payload is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Format rows as a text table with the given columns ({ key, label } or key strings)
+ */
+function formatTable(rows, columns) {
+  const cols = columns.map(column => typeof column === 'string' ? { key: column, label: column.toUpperCase() } : column);
+  const cells = rows.map(row => cols.map(column => formatCell(row[column.key])));
+  const widths = cols.map((column, i) => Math.max(column.label.length, ...cells.map(cell => cell[i].length)));
+
+  const line = (values) => values.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd();
+
+  return [line(cols.map(column => column.label)), ...cells.map(line)].join('\n');
+}
+
+/**
+ * Format a table cell value
+ */
+function formatCell(value) {
+  if (value === null || value === undefined) {
+    return '-';
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+/**
+ * Format a timestamp as a local time
+ */
+function formatTime(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString().replace('T', ' ').slice(0, 19) : null;
+}
+
+/**
+ * Print a value as JSON or with the given table formatter
+ */
+function print(value, options, toTable) {
+  console.log(options.json ? JSON.stringify(value, null, 2) : toTable(value));
+}
+
+/**
+ * Summarize tasks for table output
+ */
+function taskRows(tasks) {
+  return tasks.map(task => ({
+    id: task.id,
+    type: task.type,
+    queue: task.queue,
+    tenant: task.tenant,
+    status: task.status,
+    attempts: `${task.attempts}/${task.maxAttempts}`,
+    progress: `${task.progress}%`,
+    created: formatTime(task.createdAt),
+    error: task.error ? (task.error.message || task.error) : null
+  }));
+}
+
+const TASK_COLUMNS = ['id', 'type', 'queue', 'tenant', 'status', 'attempts', 'progress', 'created', 'error'];
+
+/**
+ * Command implementations
+ */
+const commands = {
+  async submit(client, args, options) {
+    const [type, file] = args;
+    if (!type) {
+      throw new Error('Usage: submit <type> [file]');
+    }
+
+    // Check options before waiting on stdin
+    const taskData = buildTask(type, {}, options);
+    taskData.payload = await readPayload(file);
+
+    const task = await client.submitTask(taskData);
+
+    print(task, options, () => `Submitted task ${task.id} (${task.type}, ${task.status})`);
+  },
+
+  async list(client, args, options) {
+    const result = await client.listTasks({
+      status: options.status,
+      type: options.type,
+      queue: options.queue,
+      tenant: options.tenant,
+      limit: options.limit,
+      offset: options.offset
+    });
+
+    print(result, options, () => {
+      const table = formatTable(taskRows(result.tasks), TASK_COLUMNS);
+      return `${table}\n\n${result.tasks.length} of ${result.total} tasks`;
+    });
+  },
+
+  async get(client, args, options) {
+    if (!args[0]) {
+      throw new Error('Usage: get <id>');
+    }
+
+    const task = await client.getTask(args[0]);
+
+    print(task, options, () => formatTable(
+      Object.entries(task).map(([field, value]) => ({ field, value })),
+      ['field', 'value']
+    ));
+  },
+
+  async watch(client, args, options) {
+    const events = options.event ? options.event.split(',') : null;
+
+    return new Promise((resolve, reject) => {
+      const request = client.streamEvents((event, data) => {
+        const task = data.task || {};
+
+        if (event === 'connected') {
+          if (!options.json) {
+            console.error(`Watching ${client.url.origin} (Ctrl+C to stop)`);
+          }
+          return;
+        }
+        if (events && !events.includes(event)) return;
+        if (options.type && task.type !== options.type) return;
+        if (options.task && task.id !== options.task) return;
+
+        if (options.json) {
+          console.log(JSON.stringify(data));
+          return;
+        }
+
+        const detail = [
+          task.type,
+          task.status,
+          data.progress !== undefined ? `${data.progress}%` : null,
+          task.error
+        ].filter(Boolean).join(' ');
+        console.log(`${formatTime(data.timestamp)}  ${event.padEnd(20)} ${task.id || (data.batch && data.batch.id) || ''}  ${detail}`);
+      }, reject);
+
+      process.once('SIGINT', () => {
+        request.destroy();
+        resolve();
+      });
+    });
+  },
+
+  async retry(client, args, options) {
+    if (!args[0]) {
+      throw new Error('Usage: retry <id>');
+    }
+
+    const task = await client.retryTask(args[0]);
+
+    print(task, options, () => `Task ${task.id} is ${task.status}`);
+  },
+
+  async cancel(client, args, options) {
+    if (!args[0]) {
+      throw new Error('Usage: cancel <id>');
+    }
+
+    const task = await client.cancelTask(args[0], {
+      reason: options.reason,
+      gracePeriod: options.gracePeriod !== undefined ? Number(options.gracePeriod) : undefined
+    });
+
+    print(task, options, () => `Task ${task.id} is ${task.status}`);
+  },
+
+  async stats(client, args, options) {
+    const stats = await client.getStats();
+
+    print(stats, options, () => {
+      const rows = [
+        { metric: 'total tasks', value: stats.queue.total },
+        ...Object.entries(stats.queue.byStatus).map(([status, count]) => ({ metric: status, value: count })),
+        { metric: 'dead letters', value: stats.queue.deadLetters },
+        { metric: 'avg waiting time (ms)', value: stats.queue.avgWaitingTime },
+        { metric: 'avg execution time (ms)', value: stats.queue.avgExecutionTime },
+        { metric: 'workers', value: `${stats.workers.busyWorkers} busy / ${stats.workers.poolSize}` }
+      ];
+
+      if (stats.remoteWorkers) {
+        rows.push({ metric: 'remote workers', value: stats.remoteWorkers.workers.length });
+      }
+
+      const queues = Object.values(stats.queue.queues || {}).map(queue => ({
+        queue: queue.name,
+        paused: queue.paused,
+        active: queue.active,
+        pending: queue.byStatus ? queue.byStatus.pending || 0 : 0
+      }));
+
+      const tenants = Object.values(stats.queue.tenants || {});
+
+      return [
+        formatTable(rows, ['metric', 'value']),
+        formatTable(queues, ['queue', 'paused', 'active', 'pending']),
+        formatTable(tenants, [{ key: 'name', label: 'TENANT' }, 'weight', 'active', 'pending', 'started'])
+      ].join('\n\n');
+    });
+  },
+
+  async drain(client, args, options) {
+    const timeout = options.timeout !== undefined ? Number(options.timeout) : 0;
+    const queues = Object.values(await client.getQueues());
+
+    for (const queue of queues) {
+      await client.pauseQueue(queue.name);
+    }
+    if (!options.json) {
+      console.error(`Paused ${queues.length} queues, waiting for running tasks...`);
+    }
+
+    const startTime = Date.now();
+    let stats = await client.getStats();
+
+    while (stats.queue.byStatus.processing > 0) {
+      if (timeout > 0 && Date.now() - startTime >= timeout) {
+        throw new Error(`Timed out with ${stats.queue.byStatus.processing} tasks still running`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 1000));
+      stats = await client.getStats();
+    }
+
+    const result = { paused: queues.map(queue => queue.name), pending: stats.queue.byStatus.pending };
+    print(result, options, () => `Drained: no tasks running, ${result.pending} pending in ${result.paused.length} paused queues`);
+  },
+
+  async resume(client, args, options) {
+    const queues = Object.values(await client.getQueues());
+
+    for (const queue of queues) {
+      await client.resumeQueue(queue.name);
+    }
+
+    const result = { resumed: queues.map(queue => queue.name) };
+    print(result, options, () => `Resumed ${result.resumed.length} queues`);
+  }
+};
+
+/**
+ * Main application
+ */
+async function main() {
+  const { command, args, options } = parseArgs(process.argv.slice(2));
+
+  if (options.help || !command) {
+    showHelp();
+    return;
+  }
+
+  if (!commands[command]) {
+    throw new Error(`Unknown command: ${command} (see --help)`);
+  }
+
+  const client = new ApiClient({
+    url: options.url || process.env.TASK_QUEUE_URL,
+    apiKey: options.apiKey || process.env.TASK_QUEUE_API_KEY
+  });
+
+  await commands[command](client, args, options);
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { parseArgs, buildTask, formatTable };
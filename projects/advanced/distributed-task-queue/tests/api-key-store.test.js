@@ -0,0 +1,117 @@
+/**
+ * API Key Store Tests
+ */
+
+const assert = require('assert');
+const ApiKeyStore = require('../src/api-key-store');
+
+function describe(name, fn) {
+  console.log(`\n${name}`);
+  fn();
+}
+
+function it(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.error(`    ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+describe('ApiKeyStore', () => {
+  it('should generate keys and keep only their hash', () => {
+    const store = new ApiKeyStore();
+    const { key, record } = store.generateKey({ name: 'producer', scopes: ['submit'] });
+
+    assert.ok(ApiKeyStore.parseKey(key));
+    assert.strictEqual(record.hash, ApiKeyStore.hashKey(key));
+    assert.ok(!JSON.stringify(store.keys.get(record.id)).includes(key));
+    assert.strictEqual(store.list()[0].hash, undefined);
+  });
+
+  it('should validate scopes', () => {
+    const store = new ApiKeyStore();
+
+    assert.throws(() => store.generateKey({ scopes: [] }), /at least one scope/);
+    assert.throws(() => store.generateKey({ scopes: ['write'] }), /Invalid scope: write/);
+  });
+
+  it('should authenticate plain keys', () => {
+    const store = new ApiKeyStore();
+    const { key, record } = store.generateKey({ scopes: ['read'] });
+
+    assert.strictEqual(store.authenticateKey(key), record);
+    assert.strictEqual(store.authenticateKey(key.slice(0, -1) + (key.endsWith('0') ? '1' : '0')), null);
+    assert.strictEqual(store.authenticateKey('not-a-key'), null);
+    assert.strictEqual(store.authenticateKey(undefined), null);
+  });
+
+  it('should reject revoked keys', () => {
+    const store = new ApiKeyStore();
+    const { key, record } = store.generateKey({ scopes: ['read'] });
+    record.revokedAt = Date.now();
+
+    assert.strictEqual(store.authenticateKey(key), null);
+  });
+
+  it('should let admin grant every scope', () => {
+    assert.ok(ApiKeyStore.hasScope({ scopes: ['admin'] }, 'submit'));
+    assert.ok(ApiKeyStore.hasScope({ scopes: ['submit', 'read'] }, 'read'));
+    assert.ok(!ApiKeyStore.hasScope({ scopes: ['submit'] }, 'read'));
+  });
+
+  it('should authenticate signed requests', () => {
+    const store = new ApiKeyStore();
+    const { signingKey, record } = store.generateKey({ scopes: ['submit'] });
+    const now = Date.now();
+    const request = { method: 'POST', path: '/tasks', timestamp: String(now), body: '{"type":"email"}' };
+    const signature = ApiKeyStore.sign(signingKey, request);
+
+    assert.strictEqual(store.authenticateSignature({ ...request, keyId: record.id, signature }, now), record);
+  });
+
+  it('should not accept signatures keyed with the stored hash', () => {
+    const store = new ApiKeyStore();
+    const { record } = store.generateKey({ scopes: ['submit'] });
+    const now = Date.now();
+    const request = { method: 'POST', path: '/tasks', timestamp: String(now), body: '{}' };
+    const signature = ApiKeyStore.sign(record.hash, request);
+
+    assert.strictEqual(store.authenticateSignature({ ...request, keyId: record.id, signature }, now), null);
+    assert.ok(!JSON.stringify(record).includes(store.getSigningKey(record.id)));
+  });
+
+  it('should derive signing keys from the server secret', () => {
+    const a = new ApiKeyStore({ secret: 'server-secret' });
+    const b = new ApiKeyStore({ secret: 'server-secret' });
+    const other = new ApiKeyStore({ secret: 'another-secret' });
+
+    assert.strictEqual(a.getSigningKey('0123456789abcdef'), b.getSigningKey('0123456789abcdef'));
+    assert.notStrictEqual(a.getSigningKey('0123456789abcdef'), other.getSigningKey('0123456789abcdef'));
+    assert.throws(() => new ApiKeyStore({ file: '/tmp/keys.json' }).getSigningKey('x'), /signing secret is not loaded/);
+  });
+
+  it('should reject tampered, stale and replayed signatures', () => {
+    const store = new ApiKeyStore({ maxClockSkew: 1000 });
+    const { signingKey, record } = store.generateKey({ scopes: ['submit'] });
+    const now = Date.now();
+    const request = { method: 'POST', path: '/tasks', timestamp: String(now), body: '{}' };
+    const signature = ApiKeyStore.sign(signingKey, request);
+
+    assert.strictEqual(
+      store.authenticateSignature({ ...request, body: '{"x":1}', keyId: record.id, signature }, now),
+      null
+    );
+    assert.strictEqual(
+      store.authenticateSignature({ ...request, keyId: record.id, signature }, now + 2000),
+      null
+    );
+    assert.strictEqual(store.authenticateSignature({ ...request, keyId: record.id, signature }, now), record);
+    assert.strictEqual(store.authenticateSignature({ ...request, keyId: record.id, signature }, now), null);
+  });
+});
+
+console.log('\n=== API Key Store Tests Complete ===');
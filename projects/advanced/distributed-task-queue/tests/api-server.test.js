@@ -0,0 +1,361 @@
+/**
+ * API Server Tests
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const TaskQueue = require('../src/task-queue');
+const APIServer = require('../src/api-server');
+const ApiKeyStore = require('../src/api-key-store');
+const Task = require('../src/task');
+const Workflow = require('../src/workflow');
+
+// Server tests open sockets and start worker threads, so they run one after another
+const asyncTests = [];
+
+function itAsync(name, fn) {
+  asyncTests.push({ name, fn });
+}
+
+async function runAsyncTests() {
+  console.log('\nAPIServer requests');
+
+  for (const { name, fn } of asyncTests) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-server-'));
+    try {
+      await fn(dir);
+      console.log(`  ✓ ${name}`);
+    } catch (error) {
+      console.log(`  ✗ ${name}`);
+      console.error(`    ${error.message}`);
+      process.exitCode = 1;
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+}
+
+/**
+ * Start an unclustered API server on a free loopback port, over a queue that is not processing
+ */
+async function startServer(dir, options = {}) {
+  const queue = new TaskQueue({ queueDir: path.join(dir, 'queue'), poolSize: 1 });
+  await queue.initialize();
+
+  const server = new APIServer(queue, { clustered: false, host: '127.0.0.1', port: 0, ...options });
+  await server.startServer();
+  return server;
+}
+
+/**
+ * Stop the server and its queue without the process exit of shutdown()
+ */
+async function stopServer(server) {
+  server.closeEventStream();
+  if (server.keyStore) {
+    server.keyStore.close();
+  }
+  for (const conn of server.connections) {
+    conn.destroy();
+  }
+  await new Promise(resolve => server.server.close(resolve));
+  await server.taskQueue.shutdown({ force: true });
+}
+
+/**
+ * Send a request and resolve with its status, headers and parsed JSON body
+ */
+function request(server, method, pathname, options = {}) {
+  const body = options.body === undefined ? '' : JSON.stringify(options.body);
+
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      host: '127.0.0.1',
+      port: server.server.address().port,
+      method,
+      path: pathname,
+      headers: { 'Content-Type': 'application/json', ...options.headers }
+    }, (res) => {
+      let data = '';
+      res.on('data', chunk => {
+        data += chunk;
+      });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: data ? JSON.parse(data) : null }));
+    });
+
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/**
+ * Start a server with auth and create one key per scope list, e.g. { reader: ['read'] }.
+ * Resolves with the server and the created keys by name.
+ */
+async function startAuthServer(dir, scopesByName) {
+  const server = await startServer(dir, { auth: { signingSecret: 'test-secret' } });
+  const keys = {};
+  for (const [name, scopes] of Object.entries(scopesByName)) {
+    keys[name] = await server.keyStore.create({ name, scopes });
+  }
+  return { server, keys };
+}
+
+/**
+ * Headers that sign a request with a created key's signing key
+ */
+function signedHeaders({ record, signingKey }, method, pathname, body, timestamp = Date.now()) {
+  const signature = ApiKeyStore.sign(signingKey, {
+    method,
+    path: pathname,
+    timestamp: String(timestamp),
+    body: JSON.stringify(body)
+  });
+  return { 'X-Key-Id': record.id, 'X-Timestamp': String(timestamp), 'X-Signature': signature };
+}
+
+/**
+ * Open the /events stream. Resolves with the response and the frames received so far
+ * ({ event, data } objects, keep-alive comments left out).
+ */
+function openStream(server, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.get({
+      host: '127.0.0.1',
+      port: server.server.address().port,
+      path: '/events',
+      headers
+    }, (res) => {
+      const frames = [];
+      let buffer = '';
+
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          const lines = buffer.slice(0, end).split('\n');
+          buffer = buffer.slice(end + 2);
+
+          const event = lines.find(line => line.startsWith('event: '));
+          const data = lines.find(line => line.startsWith('data: '));
+          if (event && data) {
+            frames.push({ event: event.slice(7), data: JSON.parse(data.slice(6)) });
+          }
+        }
+      });
+
+      resolve({ req, res, frames });
+    });
+
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Poll until the condition holds
+ */
+async function waitUntil(condition, timeout = 5000) {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+itAsync('should not let a submitted task join a workflow', async (dir) => {
+  const server = await startServer(dir);
+  const queueManager = server.taskQueue.queueManager;
+
+  try {
+    const added = await request(server, 'POST', '/workflows', {
+      body: { name: 'etl', tasks: [{ name: 'extract', type: 'job' }] }
+    });
+    assert.strictEqual(added.status, 201);
+    const workflowId = added.body.workflow.id;
+    const [nodeId] = queueManager.getWorkflow(workflowId).getTaskIds();
+
+    const submitted = await request(server, 'POST', '/tasks', {
+      body: { type: 'job', maxAttempts: 1, workflowId, workflowNode: 'extract' }
+    });
+    assert.strictEqual(submitted.status, 201);
+    assert.strictEqual(submitted.body.task.workflowId, null);
+    assert.strictEqual(submitted.body.task.workflowNode, null);
+
+    // Its permanent failure leaves the workflow and its tasks alone
+    await queueManager.failTask(submitted.body.task.id, new Error('boom'), { permanent: true });
+
+    assert.strictEqual(queueManager.getWorkflow(workflowId).status, Workflow.STATUS.RUNNING);
+    assert.strictEqual(queueManager.getTask(nodeId).status, Task.STATUS.PENDING);
+    assert.strictEqual(queueManager.getTask(nodeId).workflowNode, 'extract');
+  } finally {
+    await stopServer(server);
+  }
+});
+
+itAsync('should stream task events to /events clients until they disconnect', async (dir) => {
+  const server = await startServer(dir);
+  const queue = server.taskQueue;
+
+  try {
+    const stream = await openStream(server);
+    assert.strictEqual(stream.res.statusCode, 200);
+    assert.strictEqual(stream.res.headers['content-type'], 'text/event-stream');
+    await waitUntil(() => stream.frames.length === 1);
+    assert.strictEqual(stream.frames[0].event, 'connected');
+    assert.strictEqual(server.sseClients.size, 1);
+
+    const task = await queue.addTask({ type: 'job', payload: { secret: 'left out' } });
+    await waitUntil(() => stream.frames.length === 2);
+
+    const { event, data } = stream.frames[1];
+    assert.strictEqual(event, 'task:added');
+    assert.strictEqual(data.event, 'task:added');
+    assert.strictEqual(data.task.id, task.id);
+    assert.strictEqual(data.task.payload, undefined);
+
+    // A closed connection is dropped from the clients, so later events skip it
+    stream.req.destroy();
+    await waitUntil(() => server.sseClients.size === 0);
+    await queue.addTask({ type: 'job' });
+
+    // Closing the stream removes the shared listeners from the queue
+    const listeners = queue.listenerCount('task:added');
+    server.closeEventStream();
+    assert.strictEqual(queue.listenerCount('task:added'), listeners - 1);
+    assert.strictEqual(server.streamListeners.size, 0);
+  } finally {
+    await stopServer(server);
+  }
+});
+
+itAsync('should require a read key for the /events stream when auth is enabled', async (dir) => {
+  const { server, keys } = await startAuthServer(dir, { reader: ['read'], submitter: ['submit'] });
+
+  try {
+    const anonymous = await openStream(server);
+    assert.strictEqual(anonymous.res.statusCode, 401);
+    assert.strictEqual(anonymous.res.headers['www-authenticate'], 'Bearer');
+
+    const submitter = await openStream(server, { 'X-API-Key': keys.submitter.key });
+    assert.strictEqual(submitter.res.statusCode, 403);
+    assert.strictEqual(server.sseClients.size, 0);
+
+    const reader = await openStream(server, { Authorization: `Bearer ${keys.reader.key}` });
+    assert.strictEqual(reader.res.statusCode, 200);
+    await waitUntil(() => reader.frames.length === 1);
+    assert.strictEqual(reader.frames[0].event, 'connected');
+    assert.strictEqual(server.sseClients.size, 1);
+  } finally {
+    await stopServer(server);
+  }
+});
+
+itAsync('should answer 401 without a valid key and 403 without the scope', async (dir) => {
+  const { server, keys } = await startAuthServer(dir, { reader: ['read'], admin: ['admin'] });
+  const { key } = keys.reader;
+  const wrongSecret = key.slice(0, -1) + (key.endsWith('0') ? '1' : '0');
+
+  try {
+    const anonymous = await request(server, 'GET', '/tasks');
+    assert.strictEqual(anonymous.status, 401);
+    assert.strictEqual(anonymous.body.error, 'Authentication required');
+    assert.strictEqual(anonymous.headers['www-authenticate'], 'Bearer');
+
+    assert.strictEqual((await request(server, 'GET', '/tasks', { headers: { 'X-API-Key': wrongSecret } })).status, 401);
+    assert.strictEqual((await request(server, 'GET', '/tasks', { headers: { 'X-API-Key': 'tq_unknown' } })).status, 401);
+    assert.strictEqual((await request(server, 'GET', '/health')).status, 200);
+
+    const reader = { Authorization: `Bearer ${key}` };
+    assert.strictEqual((await request(server, 'GET', '/tasks', { headers: reader })).status, 200);
+
+    const submit = await request(server, 'POST', '/tasks', { headers: reader, body: { type: 'job' } });
+    assert.strictEqual(submit.status, 403);
+    assert.strictEqual(submit.body.error, 'API key lacks the submit scope');
+    assert.strictEqual(server.taskQueue.getStats().queue.total, 0);
+
+    // An admin key has every scope
+    const admin = { Authorization: `Bearer ${keys.admin.key}` };
+    assert.strictEqual((await request(server, 'POST', '/tasks', { headers: admin, body: { type: 'job' } })).status, 201);
+
+    // A revoked key is refused
+    await server.keyStore.revoke(keys.reader.record.id);
+    assert.strictEqual((await request(server, 'GET', '/tasks', { headers: reader })).status, 401);
+  } finally {
+    await stopServer(server);
+  }
+});
+
+itAsync('should accept a signed request once and only for the body it signs', async (dir) => {
+  const { server, keys } = await startAuthServer(dir, { client: ['submit'] });
+  const body = { type: 'job', payload: { amount: 10 } };
+
+  try {
+    const headers = signedHeaders(keys.client, 'POST', '/tasks', body);
+    const signed = await request(server, 'POST', '/tasks', { headers, body });
+    assert.strictEqual(signed.status, 201);
+    assert.deepStrictEqual(signed.body.task.payload, { amount: 10 });
+
+    // The same signature is refused the second time
+    const replayed = await request(server, 'POST', '/tasks', { headers, body });
+    assert.strictEqual(replayed.status, 401);
+
+    // A signature for one body does not cover another
+    const tampered = await request(server, 'POST', '/tasks', {
+      headers: signedHeaders(keys.client, 'POST', '/tasks', body),
+      body: { type: 'job', payload: { amount: 1000 } }
+    });
+    assert.strictEqual(tampered.status, 401);
+
+    // Timestamps outside the allowed clock skew are refused
+    const stale = await request(server, 'POST', '/tasks', {
+      headers: signedHeaders(keys.client, 'POST', '/tasks', body, Date.now() - 10 * 60 * 1000),
+      body
+    });
+    assert.strictEqual(stale.status, 401);
+
+    assert.strictEqual(server.taskQueue.getStats().queue.total, 1);
+  } finally {
+    await stopServer(server);
+  }
+});
+
+itAsync('should write admin calls to the audit log, including refused ones', async (dir) => {
+  const { server, keys } = await startAuthServer(dir, { admin: ['admin'], reader: ['read'] });
+  const audited = [];
+  server.on('audit', entry => audited.push(entry));
+
+  try {
+    const admin = { Authorization: `Bearer ${keys.admin.key}` };
+    assert.strictEqual((await request(server, 'POST', '/keys', { body: { name: 'ci', scopes: ['read'] } })).status, 401);
+    assert.strictEqual((await request(server, 'POST', '/keys', {
+      headers: { Authorization: `Bearer ${keys.reader.key}` },
+      body: { name: 'ci', scopes: ['read'] }
+    })).status, 403);
+    assert.strictEqual((await request(server, 'POST', '/keys', { headers: admin, body: { name: 'ci', scopes: ['read'] } })).status, 201);
+
+    // Reads are not audited
+    assert.strictEqual((await request(server, 'GET', '/tasks', { headers: admin })).status, 200);
+
+    const summary = ({ keyName, method, path: pathname, status }) => `${keyName} ${method} ${pathname} ${status}`;
+    await waitUntil(() => audited.length === 3);
+    assert.deepStrictEqual(audited.map(summary), ['null POST /keys 401', 'reader POST /keys 403', 'admin POST /keys 201']);
+    assert.strictEqual(audited[2].keyId, keys.admin.record.id);
+
+    const auditLog = path.join(dir, 'queue', 'audit.log');
+    await waitUntil(() => fs.existsSync(auditLog) && fs.readFileSync(auditLog, 'utf8').split('\n').length === 4);
+    const lines = fs.readFileSync(auditLog, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepStrictEqual(lines.map(summary), audited.map(summary));
+  } finally {
+    await stopServer(server);
+  }
+});
+
+runAsyncTests().then(() => {
+  console.log('\n=== API Server Tests Complete ===');
+});
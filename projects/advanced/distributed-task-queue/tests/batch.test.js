@@ -0,0 +1,127 @@
+/**
+ * Batch Tests
+ */
+
+const assert = require('assert');
+const Batch = require('../src/batch');
+
+function describe(name, fn) {
+  console.log(`\n${name}`);
+  fn();
+}
+
+function it(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.error(`    ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+describe('Batch', () => {
+  it('should count tasks while open', () => {
+    const batch = new Batch({ name: 'import' });
+    batch.add();
+    batch.add();
+
+    assert.strictEqual(batch.name, 'import');
+    assert.strictEqual(batch.status, Batch.STATUS.OPEN);
+    assert.strictEqual(batch.total, 2);
+  });
+
+  it('should reject tasks after closing', () => {
+    const batch = new Batch();
+    batch.close();
+
+    assert.strictEqual(batch.status, Batch.STATUS.RUNNING);
+    assert.ok(batch.closedAt);
+    assert.throws(() => batch.add(), /is closed/);
+    assert.throws(() => batch.close(), /already closed/);
+  });
+
+  it('should only be done once closed and every task has finished', () => {
+    const batch = new Batch();
+    batch.add();
+    batch.add();
+    batch.recordFinished('completed');
+    batch.recordFinished('failed');
+
+    assert.strictEqual(batch.isDone(), false);
+
+    batch.close();
+
+    assert.strictEqual(batch.getFinishedCount(), 2);
+    assert.strictEqual(batch.isDone(), true);
+  });
+
+  it('should be done when closed empty', () => {
+    const batch = new Batch();
+    batch.close();
+
+    assert.strictEqual(batch.isDone(), true);
+  });
+
+  it('should undo counts for reopened tasks', () => {
+    const batch = new Batch();
+    batch.add();
+    batch.recordFinished('failed');
+    batch.recordReopened('failed');
+    batch.recordReopened('failed');
+    batch.close();
+
+    assert.strictEqual(batch.counts.failed, 0);
+    assert.strictEqual(batch.isDone(), false);
+  });
+
+  it('should reject invalid finished statuses', () => {
+    const batch = new Batch();
+
+    assert.throws(() => batch.recordFinished('pending'), /Invalid batch task status/);
+  });
+
+  it('should require a type for the onComplete task', () => {
+    assert.throws(() => new Batch({ onComplete: { payload: {} } }), /missing a type/);
+  });
+
+  it('should summarize counts', () => {
+    const batch = new Batch({ name: 'emails' });
+    batch.add();
+    batch.add();
+    batch.add();
+    batch.recordFinished('completed');
+    batch.recordFinished('completed');
+    batch.recordFinished('cancelled');
+
+    assert.deepStrictEqual(batch.getSummary(), {
+      id: batch.id,
+      name: 'emails',
+      total: 3,
+      completed: 2,
+      failed: 0,
+      cancelled: 1
+    });
+  });
+
+  it('should round-trip through JSON', () => {
+    const batch = new Batch({ name: 'b', onComplete: { type: 'notify' } });
+    batch.add();
+    batch.close();
+    batch.recordFinished('completed');
+    batch.complete();
+    batch.onCompleteTaskId = 'task-1';
+
+    const restored = Batch.fromJSON(JSON.parse(JSON.stringify(batch.toJSON())));
+
+    assert.strictEqual(restored.id, batch.id);
+    assert.strictEqual(restored.status, Batch.STATUS.COMPLETED);
+    assert.deepStrictEqual(restored.onComplete, { type: 'notify' });
+    assert.strictEqual(restored.onCompleteTaskId, 'task-1');
+    assert.deepStrictEqual(restored.counts, batch.counts);
+    assert.ok(restored.isFinished());
+  });
+});
+
+console.log('\n=== Batch Tests Complete ===');
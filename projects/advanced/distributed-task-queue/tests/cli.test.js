@@ -0,0 +1,84 @@
+/**
+ * CLI Tests
+ */
+
+const assert = require('assert');
+const { parseArgs, buildTask, formatTable } = require('../task-queue');
+const ApiClient = require('../src/api-client');
+
+function describe(name, fn) {
+  console.log(`\n${name}`);
+  fn();
+}
+
+function it(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.error(`    ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+describe('CLI', () => {
+  it('should parse the command, arguments and options', () => {
+    const parsed = parseArgs(['submit', 'email', 'payload.json', '--max-attempts', '5', '--json']);
+
+    assert.strictEqual(parsed.command, 'submit');
+    assert.deepStrictEqual(parsed.args, ['email', 'payload.json']);
+    assert.deepStrictEqual(parsed.options, { maxAttempts: '5', json: true });
+  });
+
+  it('should reject options without a value', () => {
+    assert.throws(() => parseArgs(['list', '--status']), /Missing value for --status/);
+  });
+
+  it('should build task data from options', () => {
+    const task = buildTask('email', { to: 'a@example.com' }, {
+      priority: '5',
+      queue: 'mail',
+      batch: 'batch-1',
+      status: 'ignored'
+    });
+
+    assert.deepStrictEqual(task, {
+      type: 'email',
+      payload: { to: 'a@example.com' },
+      priority: 5,
+      queue: 'mail',
+      batchId: 'batch-1'
+    });
+  });
+
+  it('should reject invalid numbers', () => {
+    assert.throws(() => buildTask('email', {}, { maxAttempts: 'many' }), /Invalid number for --max-attempts: many/);
+  });
+
+  it('should format a table with padded columns', () => {
+    const table = formatTable(
+      [{ id: 'a', status: 'completed' }, { id: 'bbbb', status: null }],
+      ['id', 'status']
+    );
+
+    assert.strictEqual(table, 'ID    STATUS\na     completed\nbbbb  -');
+  });
+});
+
+describe('ApiClient', () => {
+  it('should build query strings from defined values', () => {
+    assert.strictEqual(ApiClient.query({ status: 'failed', type: undefined, limit: 10 }), '?status=failed&limit=10');
+    assert.strictEqual(ApiClient.query({}), '');
+  });
+
+  it('should parse Server-Sent Events messages', () => {
+    const message = ApiClient.parseEvent('event: task:added\ndata: {"task":{"id":"t1"}}');
+
+    assert.strictEqual(message.event, 'task:added');
+    assert.deepStrictEqual(message.data, { task: { id: 't1' } });
+    assert.strictEqual(ApiClient.parseEvent(': keep-alive'), null);
+  });
+});
+
+console.log('\n=== CLI Tests Complete ===');
@@ -0,0 +1,112 @@
+/**
+ * Cron Expression Tests
+ */
+
+const assert = require('assert');
+const CronExpression = require('../src/cron');
+
+function describe(name, fn) {
+  console.log(`\n${name}`);
+  fn();
+}
+
+function it(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.error(`    ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+describe('CronExpression', () => {
+  it('should compute next minute for wildcard expression', () => {
+    const cron = CronExpression.parse('* * * * *');
+    const next = cron.next(new Date(2024, 0, 1, 10, 15, 30));
+
+    assert.strictEqual(next.getTime(), new Date(2024, 0, 1, 10, 16, 0).getTime());
+  });
+
+  it('should compute next run for fixed time', () => {
+    const cron = CronExpression.parse('30 2 * * *');
+
+    assert.strictEqual(
+      cron.next(new Date(2024, 0, 1, 1, 0)).getTime(),
+      new Date(2024, 0, 1, 2, 30).getTime()
+    );
+    assert.strictEqual(
+      cron.next(new Date(2024, 0, 1, 2, 30)).getTime(),
+      new Date(2024, 0, 2, 2, 30).getTime()
+    );
+  });
+
+  it('should support steps, ranges and lists', () => {
+    const cron = CronExpression.parse('*/15 9-17 * * 1,3,5');
+
+    assert.ok(cron.fields.minute.has(45));
+    assert.ok(!cron.fields.minute.has(20));
+    assert.ok(cron.fields.hour.has(17));
+    assert.ok(!cron.fields.hour.has(18));
+
+    // Saturday 2024-01-06 -> Monday 2024-01-08 09:00
+    const next = cron.next(new Date(2024, 0, 6, 12, 0));
+    assert.strictEqual(next.getTime(), new Date(2024, 0, 8, 9, 0).getTime());
+  });
+
+  it('should support month and day names', () => {
+    const cron = CronExpression.parse('0 0 * JAN-MAR mon');
+
+    assert.deepStrictEqual(Array.from(cron.fields.month), [1, 2, 3]);
+    assert.deepStrictEqual(Array.from(cron.fields.dayOfWeek), [1]);
+  });
+
+  it('should treat 7 as Sunday', () => {
+    const cron = CronExpression.parse('0 12 * * 7');
+
+    // Monday 2024-01-01 -> Sunday 2024-01-07
+    const next = cron.next(new Date(2024, 0, 1));
+    assert.strictEqual(next.getTime(), new Date(2024, 0, 7, 12, 0).getTime());
+  });
+
+  it('should match either day field when both are restricted', () => {
+    const cron = CronExpression.parse('0 0 15 * 1');
+
+    // Tuesday 2024-01-02 -> Monday 2024-01-08 comes before the 15th
+    const next = cron.next(new Date(2024, 0, 2));
+    assert.strictEqual(next.getTime(), new Date(2024, 0, 8).getTime());
+  });
+
+  it('should match both day fields when one of them is a * step', () => {
+    const cron = CronExpression.parse('0 0 */2 * 1');
+
+    // Tuesday 2024-01-02 -> Monday 2024-01-15, the first Monday on an odd day
+    const next = cron.next(new Date(2024, 0, 2));
+    assert.strictEqual(next.getTime(), new Date(2024, 0, 15).getTime());
+  });
+
+  it('should expand macros', () => {
+    const cron = CronExpression.parse('@monthly');
+    const next = cron.next(new Date(2024, 0, 15));
+
+    assert.strictEqual(next.getTime(), new Date(2024, 1, 1).getTime());
+  });
+
+  it('should reject invalid expressions', () => {
+    assert.throws(() => CronExpression.parse('* * * *'), /expected 5 fields/);
+    assert.throws(() => CronExpression.parse('60 * * * *'), /out of range/);
+    assert.throws(() => CronExpression.parse('*/0 * * * *'), /Invalid step/);
+    assert.throws(() => CronExpression.parse('0 0 * FOO *'), /Invalid name/);
+    assert.ok(!CronExpression.isValid(''));
+    assert.ok(CronExpression.isValid('@hourly'));
+  });
+
+  it('should fail for expressions that never match', () => {
+    const cron = CronExpression.parse('0 0 30 2 *');
+
+    assert.throws(() => cron.next(new Date(2024, 0, 1)), /no run time/);
+  });
+});
+
+console.log('\n=== Cron Expression Tests Complete ===');
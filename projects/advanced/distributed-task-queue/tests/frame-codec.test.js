@@ -0,0 +1,89 @@
+/**
+ * Frame Codec Tests
+ */
+
+const assert = require('assert');
+const FrameCodec = require('../src/frame-codec');
+
+function describe(name, fn) {
+  console.log(`\n${name}`);
+  fn();
+}
+
+function it(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.error(`    ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+describe('FrameCodec', () => {
+  it('should prefix frames with the body length', () => {
+    const frame = FrameCodec.encode({ type: 'heartbeat' });
+    const body = JSON.stringify({ type: 'heartbeat' });
+
+    assert.strictEqual(frame.readUInt32BE(0), Buffer.byteLength(body));
+    assert.strictEqual(frame.subarray(4).toString(), body);
+  });
+
+  it('should decode a complete frame', () => {
+    const codec = new FrameCodec();
+    const messages = codec.push(FrameCodec.encode({ type: 'hello', concurrency: 2 }));
+
+    assert.deepStrictEqual(messages, [{ type: 'hello', concurrency: 2 }]);
+  });
+
+  it('should decode several frames from one chunk', () => {
+    const codec = new FrameCodec();
+    const chunk = Buffer.concat([
+      FrameCodec.encode({ n: 1 }),
+      FrameCodec.encode({ n: 2 }),
+      FrameCodec.encode({ n: 3 })
+    ]);
+
+    assert.deepStrictEqual(codec.push(chunk).map(m => m.n), [1, 2, 3]);
+  });
+
+  it('should buffer frames split across chunks', () => {
+    const codec = new FrameCodec();
+    const frame = FrameCodec.encode({ type: 'progress', progress: 50, note: 'héllo' });
+
+    assert.deepStrictEqual(codec.push(frame.subarray(0, 2)), []);
+    assert.deepStrictEqual(codec.push(frame.subarray(2, 10)), []);
+    assert.deepStrictEqual(codec.push(frame.subarray(10)), [
+      { type: 'progress', progress: 50, note: 'héllo' }
+    ]);
+  });
+
+  it('should keep the start of the next frame', () => {
+    const codec = new FrameCodec();
+    const second = FrameCodec.encode({ n: 2 });
+    const chunk = Buffer.concat([FrameCodec.encode({ n: 1 }), second.subarray(0, 3)]);
+
+    assert.deepStrictEqual(codec.push(chunk), [{ n: 1 }]);
+    assert.deepStrictEqual(codec.push(second.subarray(3)), [{ n: 2 }]);
+  });
+
+  it('should reject frames over the size limit', () => {
+    const codec = new FrameCodec({ maxFrameSize: 10 });
+
+    assert.throws(
+      () => codec.push(FrameCodec.encode({ payload: 'more than ten bytes' })),
+      /exceeds limit/
+    );
+  });
+
+  it('should reject invalid JSON', () => {
+    const codec = new FrameCodec();
+    const header = Buffer.alloc(4);
+    header.writeUInt32BE(3, 0);
+
+    assert.throws(() => codec.push(Buffer.concat([header, Buffer.from('{x}')])), /Invalid frame/);
+  });
+});
+
+console.log('\n=== Frame Codec Tests Complete ===');
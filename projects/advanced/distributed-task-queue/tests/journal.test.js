@@ -0,0 +1,196 @@
+/**
+ * Journal Tests
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Journal = require('../src/journal');
+
+function describe(name, fn) {
+  console.log(`\n${name}`);
+  fn();
+}
+
+function it(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.error(`    ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+// Journal tests use the file system, so they run one after another
+const asyncTests = [];
+
+function itAsync(name, fn) {
+  asyncTests.push({ name, fn });
+}
+
+async function runAsyncTests() {
+  console.log('\nJournal persistence');
+
+  for (const { name, fn } of asyncTests) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-'));
+    try {
+      await fn(dir);
+      console.log(`  ✓ ${name}`);
+    } catch (error) {
+      console.log(`  ✗ ${name}`);
+      console.error(`    ${error.message}`);
+      process.exitCode = 1;
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+}
+
+/**
+ * Replay a journal directory into a list of records
+ */
+async function replayAll(dir) {
+  const records = [];
+  await new Journal({ dir }).replay(record => records.push(record));
+  return records;
+}
+
+/**
+ * Count datasync calls on the open journal file
+ */
+function countSyncs(journal) {
+  const counter = { count: 0 };
+  const datasync = journal.handle.datasync.bind(journal.handle);
+  journal.handle.datasync = () => {
+    counter.count++;
+    return datasync();
+  };
+  return counter;
+}
+
+describe('Journal', () => {
+  it('should reject unknown fsync policies', () => {
+    assert.throws(() => new Journal({ dir: os.tmpdir(), fsync: 'sometimes' }), /Invalid fsync policy: sometimes/);
+  });
+});
+
+itAsync('should refuse appends before it is opened', async (dir) => {
+  await assert.rejects(new Journal({ dir }).append({ id: 1 }), /Journal is not open/);
+});
+
+itAsync('should replay appended records in order', async (dir) => {
+  const journal = new Journal({ dir });
+  await journal.open();
+  await Promise.all([journal.append({ id: 1 }), journal.append({ id: 2 })]);
+  await journal.append({ id: 3 });
+  await journal.close();
+
+  assert.deepStrictEqual(await replayAll(dir), [{ id: 1 }, { id: 2 }, { id: 3 }]);
+
+  const reopened = new Journal({ dir });
+  assert.strictEqual(await reopened.replay(() => {}), 3);
+  assert.strictEqual(reopened.getStats().entries, 3);
+});
+
+itAsync('should skip a torn last line and cut it off before appending', async (dir) => {
+  const journal = new Journal({ dir });
+  await journal.open();
+  await journal.append({ id: 1 });
+  await journal.close();
+  fs.appendFileSync(journal.journalPath, '{"id":2,"torn');
+
+  const reopened = new Journal({ dir });
+  const warnings = [];
+  reopened.on('warning', warning => warnings.push(warning.message));
+
+  const records = [];
+  await reopened.replay(record => records.push(record));
+  await reopened.open();
+  await reopened.append({ id: 3 });
+  await reopened.close();
+
+  assert.deepStrictEqual(records, [{ id: 1 }]);
+  assert.deepStrictEqual(await replayAll(dir), [{ id: 1 }, { id: 3 }]);
+  assert.match(warnings[0], /Skipping corrupt record in journal\.log at line 2/);
+  assert.match(warnings[1], /Truncated torn record \(13 bytes\)/);
+});
+
+itAsync('should keep a last record that only lost its newline', async (dir) => {
+  fs.writeFileSync(path.join(dir, 'journal.log'), '{"id":1}\n{"id":2}');
+
+  const journal = new Journal({ dir });
+  await journal.open();
+  await journal.append({ id: 3 });
+  await journal.close();
+
+  assert.deepStrictEqual(await replayAll(dir), [{ id: 1 }, { id: 2 }, { id: 3 }]);
+});
+
+itAsync('should compact into a snapshot and truncate the journal', async (dir) => {
+  const journal = new Journal({ dir, compactThreshold: 2 });
+  await journal.open();
+  await journal.append({ id: 1, value: 'a' });
+  await journal.append({ id: 1, value: 'b' });
+  assert.ok(journal.needsCompaction());
+
+  assert.strictEqual(await journal.compact(() => [{ id: 1, value: 'b' }]), true);
+  await journal.append({ id: 2, value: 'c' });
+  await journal.close();
+
+  assert.strictEqual(fs.readFileSync(journal.snapshotPath, 'utf8'), '{"id":1,"value":"b"}\n');
+  assert.strictEqual(fs.readFileSync(journal.journalPath, 'utf8'), '{"id":2,"value":"c"}\n');
+  assert.strictEqual(journal.getStats().entries, 1);
+  assert.ok(journal.getStats().lastSnapshotAt);
+  assert.deepStrictEqual(await replayAll(dir), [{ id: 1, value: 'b' }, { id: 2, value: 'c' }]);
+});
+
+itAsync('should sync every write with fsync always', async (dir) => {
+  const journal = new Journal({ dir, fsync: Journal.FSYNC.ALWAYS });
+  await journal.open();
+  const syncs = countSyncs(journal);
+
+  await journal.append({ id: 1 });
+  await journal.append({ id: 2 });
+
+  assert.strictEqual(syncs.count, 2);
+  assert.strictEqual(journal.dirty, false);
+  await journal.close();
+});
+
+itAsync('should sync on a timer with fsync interval', async (dir) => {
+  const journal = new Journal({ dir, fsync: Journal.FSYNC.INTERVAL, syncInterval: 20 });
+  await journal.open();
+  const syncs = countSyncs(journal);
+
+  await journal.append({ id: 1 });
+  assert.strictEqual(syncs.count, 0);
+  assert.strictEqual(journal.dirty, true);
+
+  await new Promise(resolve => setTimeout(resolve, 150));
+  assert.strictEqual(syncs.count, 1);
+  assert.strictEqual(journal.dirty, false);
+  await journal.close();
+  assert.strictEqual(journal.syncTimer, null);
+});
+
+itAsync('should leave flushing to the system with fsync never', async (dir) => {
+  const journal = new Journal({ dir, fsync: Journal.FSYNC.NEVER });
+  await journal.open();
+  const syncs = countSyncs(journal);
+
+  await journal.append({ id: 1 });
+  await journal.sync();
+  assert.strictEqual(syncs.count, 1); // Only on request
+
+  await journal.append({ id: 2 });
+  assert.strictEqual(syncs.count, 1);
+  assert.strictEqual(journal.syncTimer, null);
+  await journal.close();
+});
+
+runAsyncTests().then(() => {
+  console.log('\n=== Journal Tests Complete ===');
+});
@@ -0,0 +1,102 @@
+/**
+ * Metrics Registry Tests
+ */
+
+const assert = require('assert');
+const MetricsRegistry = require('../src/metrics-registry');
+
+function describe(name, fn) {
+  console.log(`\n${name}`);
+  fn();
+}
+
+function it(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.error(`    ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+describe('MetricsRegistry', () => {
+  it('should render counters with HELP and TYPE lines', () => {
+    const registry = new MetricsRegistry();
+    registry.define('jobs_total', 'counter', 'Jobs processed');
+    registry.inc('jobs_total', { type: 'email' });
+    registry.inc('jobs_total', { type: 'email' }, 2);
+    registry.inc('jobs_total', { type: 'report' });
+
+    assert.strictEqual(registry.render(), [
+      '# HELP jobs_total Jobs processed',
+      '# TYPE jobs_total counter',
+      'jobs_total{type="email"} 3',
+      'jobs_total{type="report"} 1',
+      ''
+    ].join('\n'));
+  });
+
+  it('should treat label order as the same series', () => {
+    const registry = new MetricsRegistry();
+    registry.define('jobs_total', 'counter', 'Jobs');
+    registry.inc('jobs_total', { type: 'email', queue: 'a' });
+    registry.inc('jobs_total', { queue: 'a', type: 'email' });
+
+    assert.ok(registry.render().includes('jobs_total{type="email",queue="a"} 2'));
+  });
+
+  it('should reject decreasing counters', () => {
+    const registry = new MetricsRegistry();
+    registry.define('jobs_total', 'counter', 'Jobs');
+
+    assert.throws(() => registry.inc('jobs_total', {}, -1), /only increase/);
+  });
+
+  it('should set gauges and reset them', () => {
+    const registry = new MetricsRegistry();
+    registry.define('depth', 'gauge', 'Queue depth');
+    registry.set('depth', { status: 'pending' }, 5);
+    registry.set('depth', { status: 'pending' }, 2);
+
+    assert.ok(registry.render().includes('depth{status="pending"} 2'));
+
+    registry.reset('depth');
+    assert.ok(!registry.render().includes('depth{'));
+  });
+
+  it('should render cumulative histogram buckets', () => {
+    const registry = new MetricsRegistry();
+    registry.define('wait_seconds', 'histogram', 'Wait time', { buckets: [1, 0.1] });
+    registry.observe('wait_seconds', {}, 0.05);
+    registry.observe('wait_seconds', {}, 0.5);
+    registry.observe('wait_seconds', {}, 2);
+
+    const lines = registry.render().split('\n');
+    assert.ok(lines.includes('wait_seconds_bucket{le="0.1"} 1'));
+    assert.ok(lines.includes('wait_seconds_bucket{le="1"} 2'));
+    assert.ok(lines.includes('wait_seconds_bucket{le="+Inf"} 3'));
+    assert.ok(lines.includes('wait_seconds_sum 2.55'));
+    assert.ok(lines.includes('wait_seconds_count 3'));
+  });
+
+  it('should escape label values', () => {
+    assert.strictEqual(
+      MetricsRegistry.formatLabels({ path: 'a\\b', msg: 'say "hi"\n' }),
+      '{path="a\\\\b",msg="say \\"hi\\"\\n"}'
+    );
+  });
+
+  it('should reject unknown metrics and wrong types', () => {
+    const registry = new MetricsRegistry();
+    registry.define('depth', 'gauge', 'Queue depth');
+
+    assert.throws(() => registry.inc('missing'), /not defined/);
+    assert.throws(() => registry.inc('depth'), /is a gauge/);
+    assert.throws(() => registry.define('depth', 'gauge', 'Again'), /already defined/);
+    assert.throws(() => registry.define('bad-name', 'gauge', 'Bad'), /Invalid metric name/);
+  });
+});
+
+console.log('\n=== Metrics Registry Tests Complete ===');
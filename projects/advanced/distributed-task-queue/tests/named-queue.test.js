@@ -0,0 +1,94 @@
+/**
+ * Named Queue Tests
+ */
+
+const assert = require('assert');
+const NamedQueue = require('../src/named-queue');
+
+function describe(name, fn) {
+  console.log(`\n${name}`);
+  fn();
+}
+
+function it(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.error(`    ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+describe('NamedQueue', () => {
+  it('should create an unlimited queue by default', () => {
+    const queue = new NamedQueue('email');
+
+    assert.strictEqual(queue.concurrency, 0);
+    assert.strictEqual(queue.rateLimit, null);
+    assert.ok(queue.canStart());
+  });
+
+  it('should enforce concurrency limit', () => {
+    const queue = new NamedQueue('email', { concurrency: 2 });
+
+    queue.active = 1;
+    assert.ok(queue.canStart());
+
+    queue.active = 2;
+    assert.ok(!queue.canStart());
+  });
+
+  it('should enforce rate limit and refill tokens', () => {
+    const queue = new NamedQueue('reports', { rateLimit: { tokens: 2, interval: 1000 } });
+    const now = queue.lastRefill;
+
+    queue.consumeToken(now);
+    queue.consumeToken(now);
+    assert.ok(!queue.canStart(now));
+
+    assert.ok(!queue.canStart(now + 400));
+    assert.ok(queue.canStart(now + 500));
+  });
+
+  it('should not start tasks while paused', () => {
+    const queue = new NamedQueue('email');
+
+    queue.pause();
+    assert.ok(!queue.canStart());
+
+    queue.resume();
+    assert.ok(queue.canStart());
+  });
+
+  it('should keep settings not passed to configure', () => {
+    const queue = new NamedQueue('email', { concurrency: 3 });
+    queue.configure({ rateLimit: { tokens: 5, interval: 1000 } });
+
+    assert.strictEqual(queue.concurrency, 3);
+    assert.deepStrictEqual(queue.rateLimit, { tokens: 5, interval: 1000 });
+
+    queue.configure({ rateLimit: null });
+    assert.strictEqual(queue.rateLimit, null);
+  });
+
+  it('should reject invalid names and settings', () => {
+    assert.throws(() => new NamedQueue('bad name'), /Invalid queue name/);
+    assert.throws(() => new NamedQueue('q', { concurrency: -1 }), /non-negative integer/);
+    assert.throws(() => new NamedQueue('q', { rateLimit: { tokens: 0, interval: 1000 } }), /positive tokens/);
+  });
+
+  it('should round-trip through JSON', () => {
+    const queue = new NamedQueue('email', { concurrency: 2, rateLimit: { tokens: 10, interval: 60000 } });
+    queue.pause();
+
+    const restored = NamedQueue.fromJSON(queue.toJSON());
+
+    assert.strictEqual(restored.concurrency, 2);
+    assert.deepStrictEqual(restored.rateLimit, { tokens: 10, interval: 60000 });
+    assert.ok(restored.paused);
+  });
+});
+
+console.log('\n=== Named Queue Tests Complete ===');
@@ -0,0 +1,188 @@
+/**
+ * Queue Manager Tests
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const QueueManager = require('../src/queue-manager');
+const Journal = require('../src/journal');
+const Task = require('../src/task');
+
+// Tests use the file system, so they run one after another
+const asyncTests = [];
+
+function itAsync(name, fn) {
+  asyncTests.push({ name, fn });
+}
+
+async function runAsyncTests() {
+  console.log('\nQueueManager');
+
+  for (const { name, fn } of asyncTests) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'queue-manager-'));
+    try {
+      await fn(dir);
+      console.log(`  ✓ ${name}`);
+    } catch (error) {
+      console.log(`  ✗ ${name}`);
+      console.error(`    ${error.message}`);
+      process.exitCode = 1;
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+}
+
+const INTERRUPTED = 'Task interrupted: the queue stopped while it was processing';
+
+/**
+ * Create and initialize a queue manager, collecting its warnings and stalled tasks
+ */
+async function startManager(dir) {
+  const manager = new QueueManager({ queueDir: dir });
+  manager.warnings = [];
+  manager.stalled = [];
+  manager.on('warning', warning => manager.warnings.push(warning.message));
+  manager.on('task:stalled', ({ task }) => manager.stalled.push(task.id));
+  await manager.initialize();
+  return manager;
+}
+
+/**
+ * Stop a manager without its final snapshot, as if the process had died
+ */
+async function crash(manager) {
+  clearInterval(manager.persistenceTimer);
+  clearInterval(manager.cleanupTimer);
+  clearInterval(manager.resultTimer);
+  await manager.journal.close();
+}
+
+/**
+ * Replay the journal directory, so a test can check every line still parses
+ */
+async function replayAll(dir) {
+  const journal = new Journal({ dir });
+  const warnings = [];
+  journal.on('warning', warning => warnings.push(warning.message));
+  const count = await journal.replay(() => {});
+  return { count, warnings };
+}
+
+itAsync('should recover a processing task from a journal with a torn tail', async (dir) => {
+  const first = await startManager(dir);
+  const running = await first.addTask({ type: 'report', maxAttempts: 3 });
+  const pending = await first.addTask({ type: 'report' });
+  await first.startTask(running.id, 'worker-1');
+  await crash(first);
+
+  // The process died while appending the next record
+  fs.appendFileSync(path.join(dir, 'journal.log'), '{"type":"task","op":"put","data":{"id":"');
+
+  const second = await startManager(dir);
+  const recovered = second.getTask(running.id);
+
+  assert.deepStrictEqual(second.stalled, [running.id]);
+  assert.strictEqual(recovered.status, Task.STATUS.RETRYING);
+  assert.strictEqual(recovered.error.message, INTERRUPTED);
+  assert.strictEqual(recovered.errors.length, 1);
+  assert.strictEqual(second.getTask(pending.id).status, Task.STATUS.PENDING);
+  assert.match(second.warnings[0], /Skipping corrupt record in journal\.log/);
+  assert.match(second.warnings[1], /Truncated torn record \(\d+ bytes\) at the end of journal\.log/);
+  await crash(second);
+
+  // The recovery was appended after the cut, so it is replayed on the next start
+  assert.deepStrictEqual((await replayAll(dir)).warnings, []);
+
+  const third = await startManager(dir);
+  assert.deepStrictEqual(third.warnings, []);
+  assert.deepStrictEqual(third.stalled, []);
+  assert.strictEqual(third.getTask(running.id).status, Task.STATUS.RETRYING);
+  assert.strictEqual(third.getTask(running.id).error.message, INTERRUPTED);
+  assert.strictEqual(third.getTask(pending.id).status, Task.STATUS.PENDING);
+  await third.shutdown();
+});
+
+itAsync('should dead-letter an interrupted task that has no attempts left', async (dir) => {
+  const first = await startManager(dir);
+  const task = await first.addTask({ type: 'report', maxAttempts: 1 });
+  await first.startTask(task.id, 'worker-1');
+  await crash(first);
+
+  const second = await startManager(dir);
+  assert.deepStrictEqual(second.stalled, [task.id]);
+  assert.strictEqual(second.getTask(task.id), undefined);
+  assert.strictEqual(second.getDeadLetter(task.id).reason, INTERRUPTED);
+  await crash(second);
+
+  const third = await startManager(dir);
+  assert.deepStrictEqual(third.stalled, []);
+  assert.strictEqual(third.getTask(task.id), undefined);
+  assert.strictEqual(third.getDeadLetter(task.id).task.status, Task.STATUS.FAILED);
+  await third.shutdown();
+});
+
+/**
+ * Run a task and fail it for good, so it is dead-lettered
+ */
+async function deadLetter(manager, taskId) {
+  await manager.startTask(taskId, 'worker-1');
+  await manager.failTask(taskId, new Error('boom'), { permanent: true });
+  assert.ok(manager.getDeadLetter(taskId));
+}
+
+itAsync('should not requeue a dead-lettered workflow task', async (dir) => {
+  const manager = await startManager(dir);
+
+  try {
+    const workflow = await manager.addWorkflow({ tasks: [{ name: 'extract', type: 'report' }] });
+    const [taskId] = workflow.getTaskIds();
+    await deadLetter(manager, taskId);
+
+    await assert.rejects(
+      manager.requeueDeadLetter(taskId),
+      new RegExp(`Task ${taskId} belongs to workflow ${workflow.id} and cannot be requeued`)
+    );
+    assert.deepStrictEqual(await manager.requeueDeadLetters(), []);
+    assert.ok(manager.getDeadLetter(taskId));
+    assert.strictEqual(manager.getTask(taskId), undefined);
+  } finally {
+    await manager.shutdown();
+  }
+});
+
+itAsync('should block a requeued dead letter until its dependencies complete', async (dir) => {
+  const manager = await startManager(dir);
+  const events = [];
+  manager.on('dead-letter:requeued', task => events.push(`requeued:${task.status}`));
+  manager.on('task:unblocked', task => events.push(`unblocked:${task.status}`));
+
+  try {
+    const parent = await manager.addTask({ type: 'report' });
+    const child = await manager.addTask({ type: 'report', dependsOn: [parent.id] });
+    await manager.startTask(parent.id, 'worker-1');
+    await manager.completeTask(parent.id, 'done');
+    await deadLetter(manager, child.id);
+    events.length = 0;
+
+    const requeued = await manager.requeueDeadLetter(child.id);
+    assert.deepStrictEqual(events, [`requeued:${Task.STATUS.BLOCKED}`, `unblocked:${Task.STATUS.PENDING}`]);
+    assert.strictEqual(requeued.status, Task.STATUS.PENDING);
+
+    // Without its dependency, the requeued task fails instead of running
+    await deadLetter(manager, child.id);
+    await manager.removeTask(parent.id);
+    await manager.requeueDeadLetter(child.id);
+
+    assert.strictEqual(manager.getTask(child.id).status, Task.STATUS.FAILED);
+    assert.strictEqual(manager.getTask(child.id).error.message, `Dependency ${parent.id} failed`);
+  } finally {
+    await manager.shutdown();
+  }
+});
+
+runAsyncTests().then(() => {
+  console.log('\n=== Queue Manager Tests Complete ===');
+});
@@ -0,0 +1,172 @@
+/**
+ * Result Store Tests
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ResultStore = require('../src/result-store');
+const QueueManager = require('../src/queue-manager');
+const Task = require('../src/task');
+
+function describe(name, fn) {
+  console.log(`\n${name}`);
+  fn();
+}
+
+function it(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.error(`    ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+// Result tests use the file system, so they run one after another
+const asyncTests = [];
+
+function itAsync(name, fn) {
+  asyncTests.push({ name, fn });
+}
+
+async function runAsyncTests() {
+  console.log('\nResult storage');
+
+  for (const { name, fn } of asyncTests) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'result-store-'));
+    try {
+      await fn(dir);
+      console.log(`  ✓ ${name}`);
+    } catch (error) {
+      console.log(`  ✗ ${name}`);
+      console.error(`    ${error.message}`);
+      process.exitCode = 1;
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+}
+
+// A result whose JSON is well over the 1KB threshold used below
+const LARGE_RESULT = { rows: Array.from({ length: 200 }, (_, i) => ({ id: i, name: `row-${i}` })) };
+
+/**
+ * Create and initialize a queue manager that stores results over 1KB
+ */
+async function createManager(dir, options = {}) {
+  const manager = new QueueManager({
+    queueDir: dir,
+    resultThreshold: 1024,
+    ...options
+  });
+  await manager.initialize();
+  return manager;
+}
+
+/**
+ * Add a task and complete it with the given result
+ */
+async function completeWith(manager, result, taskData = {}) {
+  const task = await manager.addTask({ type: 'report', ...taskData });
+  await manager.startTask(task.id, 'worker-1');
+  await manager.completeTask(task.id, result);
+  return task;
+}
+
+function readStream(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    stream.on('error', reject);
+  });
+}
+
+describe('ResultStore', () => {
+  it('should only accept task IDs as file names', () => {
+    const store = new ResultStore({ dir: os.tmpdir() });
+
+    assert.strictEqual(store.getPath('task_1-a'), path.join(os.tmpdir(), 'task_1-a.json'));
+    assert.throws(() => store.getPath('../escape'), /Invalid task ID: \.\.\/escape/);
+  });
+});
+
+itAsync('should keep small results inline and store large ones in a file', async (dir) => {
+  const manager = await createManager(dir);
+
+  const small = await completeWith(manager, { ok: true });
+  const large = await completeWith(manager, LARGE_RESULT);
+
+  assert.deepStrictEqual(small.result, { ok: true });
+  assert.strictEqual(small.resultRef, null);
+  assert.strictEqual(large.result, null);
+  assert.strictEqual(large.resultRef.size, Buffer.byteLength(JSON.stringify(LARGE_RESULT)));
+  assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'results')), [`${large.id}.json`]);
+  assert.deepStrictEqual(await manager.getTaskResult(large.id), LARGE_RESULT);
+  await manager.shutdown();
+});
+
+itAsync('should stream a stored result', async (dir) => {
+  const manager = await createManager(dir);
+  const task = await completeWith(manager, LARGE_RESULT);
+
+  const json = await readStream(manager.createResultStream(task.id));
+
+  assert.strictEqual(json, JSON.stringify(LARGE_RESULT));
+  await manager.shutdown();
+});
+
+itAsync('should keep stored results across a restart and drop orphaned files', async (dir) => {
+  const manager = await createManager(dir);
+  const task = await completeWith(manager, LARGE_RESULT);
+  await manager.shutdown();
+
+  fs.writeFileSync(path.join(dir, 'results', 'orphan.json'), '{}');
+  fs.writeFileSync(path.join(dir, 'results', `${task.id}.json.tmp`), '{"partial');
+
+  const restarted = await createManager(dir);
+  const restored = restarted.getTask(task.id);
+
+  assert.strictEqual(restored.status, Task.STATUS.COMPLETED);
+  assert.deepStrictEqual(restored.resultRef, task.resultRef);
+  assert.deepStrictEqual(await restarted.getTaskResult(task.id), LARGE_RESULT);
+  assert.strictEqual(await readStream(restarted.createResultStream(task.id)), JSON.stringify(LARGE_RESULT));
+  assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'results')), [`${task.id}.json`]);
+  await restarted.shutdown();
+});
+
+itAsync('should expire results after their TTL and keep the task', async (dir) => {
+  const manager = await createManager(dir, { resultTTL: 50, resultCheckInterval: 20 });
+  const expired = [];
+  manager.on('task:result-expired', task => expired.push(task.id));
+
+  const large = await completeWith(manager, LARGE_RESULT);
+  const small = await completeWith(manager, { ok: true });
+  const kept = await completeWith(manager, { ok: true }, { resultTTL: 60000 });
+
+  assert.deepStrictEqual(await manager.getTaskResult(large.id), LARGE_RESULT);
+
+  await new Promise(resolve => setTimeout(resolve, 150));
+
+  assert.deepStrictEqual(expired.sort(), [large.id, small.id].sort());
+  assert.strictEqual(manager.getTask(large.id).status, Task.STATUS.COMPLETED);
+  await assert.rejects(manager.getTaskResult(large.id), new RegExp(`Result of task ${large.id} has expired`));
+  await assert.rejects(manager.getTaskResult(small.id), /has expired/);
+  assert.deepStrictEqual(await manager.getTaskResult(kept.id), { ok: true });
+  assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'results')), []);
+  await manager.shutdown();
+
+  // Expiry is persisted, so the result does not come back after a restart
+  const restarted = await createManager(dir);
+  await assert.rejects(restarted.getTaskResult(large.id), /has expired/);
+  assert.deepStrictEqual(await restarted.getTaskResult(kept.id), { ok: true });
+  await restarted.shutdown();
+});
+
+runAsyncTests().then(() => {
+  console.log('\n=== Result Store Tests Complete ===');
+});
@@ -0,0 +1,130 @@
+/**
+ * Retry Policy Tests
+ */
+
+const assert = require('assert');
+const RetryPolicy = require('../src/retry-policy');
+const Task = require('../src/task');
+
+function describe(name, fn) {
+  console.log(`\n${name}`);
+  fn();
+}
+
+function it(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.error(`    ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+class ValidationError extends Error {}
+
+function failedTask(data = {}, attempts = 1) {
+  const task = new Task({ type: 'test', maxAttempts: 10, ...data });
+  task.attempts = attempts;
+  return task;
+}
+
+describe('RetryPolicy', () => {
+  it('should default to the task backoff settings', () => {
+    const policy = new RetryPolicy();
+
+    assert.strictEqual(policy.getDelay(failedTask({ retryDelay: 500 }, 3)), 2000);
+    assert.strictEqual(policy.getDelay(failedTask({ retryDelay: 500, retryBackoff: 'linear' }, 3)), 1500);
+    assert.strictEqual(policy.getDelay(failedTask({ retryDelay: 500, retryBackoff: 'fixed' }, 3)), 500);
+  });
+
+  it('should override the task backoff settings', () => {
+    const policy = new RetryPolicy({ delay: 100, backoff: 'linear' });
+
+    assert.strictEqual(policy.getDelay(failedTask({ retryDelay: 500 }, 4)), 400);
+  });
+
+  it('should cap delays at maxDelay', () => {
+    const policy = new RetryPolicy({ maxDelay: 5000 });
+
+    assert.strictEqual(policy.getDelay(failedTask({}, 3)), 4000);
+    assert.strictEqual(policy.getDelay(failedTask({}, 10)), 5000);
+  });
+
+  it('should pick a full jitter delay up to the capped backoff delay', () => {
+    const policy = new RetryPolicy({ jitter: 'full', maxDelay: 5000 });
+
+    assert.strictEqual(policy.getDelay(failedTask({}, 2), () => 0.5), 1000);
+    assert.strictEqual(policy.getDelay(failedTask({}, 10), () => 0.5), 2500);
+    assert.strictEqual(policy.getDelay(failedTask({}, 10), () => 0), 0);
+  });
+
+  it('should pick a decorrelated jitter delay from the previous delay', () => {
+    const policy = new RetryPolicy({ jitter: 'decorrelated', maxDelay: 10000 });
+    const task = failedTask({ retryDelay: 1000 });
+
+    // First retry: between base and 3 x base
+    assert.strictEqual(policy.getDelay(task, () => 1), 3000);
+
+    task.lastRetryDelay = 3000;
+    assert.strictEqual(policy.getDelay(task, () => 0), 1000);
+    assert.strictEqual(policy.getDelay(task, () => 0.5), 5000);
+
+    task.lastRetryDelay = 9000;
+    assert.strictEqual(policy.getDelay(task, () => 1), 10000);
+  });
+
+  it('should reject unknown backoff and jitter settings', () => {
+    assert.throws(() => new RetryPolicy({ backoff: 'random' }), /Invalid retry backoff: random/);
+    assert.throws(() => new RetryPolicy({ jitter: 'equal' }), /Invalid retry jitter: equal/);
+    assert.throws(() => new RetryPolicy({ retryOn: true }), /retryOn must be a function/);
+  });
+
+  it('should refuse non-retryable error codes', () => {
+    const policy = new RetryPolicy({ nonRetryableCodes: ['EACCES'] });
+    const error = Object.assign(new Error('Permission denied'), { code: 'EACCES' });
+
+    assert.strictEqual(policy.getNonRetryableReason(error), 'Error code EACCES is not retryable');
+    assert.strictEqual(policy.getNonRetryableReason(new Error('Other')), null);
+  });
+
+  it('should refuse non-retryable error classes by class or name', () => {
+    const byClass = new RetryPolicy({ nonRetryableErrors: [ValidationError] });
+    const byName = new RetryPolicy({ nonRetryableErrors: ['TypeError'] });
+
+    assert.strictEqual(byClass.getNonRetryableReason(new ValidationError('Bad input')), 'ValidationError is not retryable');
+    assert.strictEqual(byName.getNonRetryableReason(new TypeError('x is undefined')), 'TypeError is not retryable');
+    assert.strictEqual(byName.getNonRetryableReason(new RangeError('Too big')), null);
+  });
+
+  it('should match error names sent by workers', () => {
+    const policy = new RetryPolicy({ nonRetryableErrors: [ValidationError] });
+    const error = new Error('Bad input');
+    error.name = 'ValidationError';
+
+    assert.ok(policy.getNonRetryableReason(error));
+  });
+
+  it('should refuse errors rejected by retryOn', () => {
+    const policy = new RetryPolicy({ retryOn: (error, task) => task.attempts < 2 && !error.message.includes('fatal') });
+
+    assert.strictEqual(policy.getNonRetryableReason(new Error('fatal: disk full'), failedTask()), 'Rejected by retryOn');
+    assert.strictEqual(policy.getNonRetryableReason(new Error('Busy'), failedTask({}, 2)), 'Rejected by retryOn');
+    assert.strictEqual(policy.getNonRetryableReason(new Error('Busy'), failedTask()), null);
+  });
+
+  it('should refuse the error when retryOn throws', () => {
+    const policy = new RetryPolicy({ retryOn: () => { throw new Error('Broken predicate'); } });
+
+    assert.strictEqual(policy.getNonRetryableReason(new Error('Busy'), failedTask()), 'retryOn threw: Broken predicate');
+  });
+
+  it('should get the class name of errors that do not set a name', () => {
+    assert.strictEqual(RetryPolicy.getErrorName(new ValidationError()), 'ValidationError');
+    assert.strictEqual(RetryPolicy.getErrorName(new TypeError()), 'TypeError');
+    assert.strictEqual(RetryPolicy.getErrorName(new Error()), 'Error');
+  });
+});
+
+console.log('\n=== Retry Policy Tests Complete ===');
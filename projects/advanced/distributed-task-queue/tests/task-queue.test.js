@@ -0,0 +1,215 @@
+/**
+ * Task Queue Tests
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TaskQueue = require('../src/task-queue');
+const Task = require('../src/task');
+
+// Queue tests start worker threads, so they run one after another
+const asyncTests = [];
+
+function itAsync(name, fn) {
+  asyncTests.push({ name, fn });
+}
+
+async function runAsyncTests() {
+  console.log('\nTaskQueue cancellation and shutdown');
+
+  for (const { name, fn } of asyncTests) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'task-queue-'));
+    try {
+      await fn(dir);
+      console.log(`  ✓ ${name}`);
+    } catch (error) {
+      console.log(`  ✗ ${name}`);
+      console.error(`    ${error.message}`);
+      process.exitCode = 1;
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+}
+
+// Waits for the abort signal, then rejects with its reason
+const COOPERATIVE_HANDLER = `module.exports = (payload, { signal }) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => resolve('finished'), 10000);
+  signal.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(new Error(signal.reason));
+  });
+});`;
+
+// Ignores the abort signal and never returns on its own
+const STUBBORN_HANDLER = 'module.exports = () => new Promise(() => {});';
+
+/**
+ * Create and start a queue with one worker running the given handler as type "job"
+ */
+async function createQueue(dir, handlerSource, options = {}) {
+  const handlerPath = path.join(dir, 'job.js');
+  fs.writeFileSync(handlerPath, handlerSource);
+
+  const queue = new TaskQueue({
+    queueDir: path.join(dir, 'queue'),
+    poolSize: 1,
+    processingInterval: 10,
+    taskHandlers: new Map([['job', handlerPath]]),
+    ...options
+  });
+  await queue.initialize();
+  queue.start();
+  return queue;
+}
+
+/**
+ * Resolve with the first event the emitter emits that matches the predicate
+ */
+function waitForEvent(emitter, event, predicate = () => true, timeout = 5000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      emitter.off(event, listener);
+      reject(new Error(`Timed out waiting for ${event}`));
+    }, timeout);
+
+    function listener(data) {
+      if (predicate(data)) {
+        clearTimeout(timer);
+        emitter.off(event, listener);
+        resolve(data);
+      }
+    }
+    emitter.on(event, listener);
+  });
+}
+
+/**
+ * Poll until the condition holds
+ */
+async function waitUntil(condition, timeout = 5000) {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+/**
+ * Add a task and wait until a worker has it
+ */
+async function startTask(queue) {
+  const task = await queue.addTask({ type: 'job', payload: {}, maxAttempts: 1 });
+  await waitUntil(() => queue.workerPool.isRunning(task.id));
+  assert.strictEqual(task.status, Task.STATUS.PROCESSING);
+  return task;
+}
+
+itAsync('should abort a cooperative handler through its AbortSignal', async (dir) => {
+  const queue = await createQueue(dir, COOPERATIVE_HANDLER);
+  const exits = [];
+  queue.workerPool.on('worker:exit', event => exits.push(event));
+
+  try {
+    const task = await startTask(queue);
+    const [workerId] = queue.workerPool.workers.keys();
+
+    const aborted = waitForEvent(queue.workerPool, 'task:aborted');
+    await queue.cancelTask(task.id, { reason: 'No longer needed', gracePeriod: 2000 });
+    assert.strictEqual(task.status, Task.STATUS.CANCELLED);
+
+    const event = await aborted;
+    assert.deepStrictEqual(event, { workerId, taskId: task.id, terminated: false });
+    assert.strictEqual(queue.workerPool.isRunning(task.id), false);
+    assert.deepStrictEqual(Array.from(queue.workerPool.workers.keys()), [workerId]);
+    assert.strictEqual(exits.length, 0);
+
+    // The handler's rejection does not turn the cancelled task into a failure
+    assert.strictEqual(queue.getTask(task.id).status, Task.STATUS.CANCELLED);
+    assert.strictEqual(queue.getTask(task.id).cancelReason, 'No longer needed');
+  } finally {
+    await queue.shutdown({ force: true });
+  }
+});
+
+itAsync('should terminate the worker of a handler that ignores the abort after the grace period', async (dir) => {
+  const queue = await createQueue(dir, STUBBORN_HANDLER);
+  const events = [];
+  queue.workerPool.on('task:aborting', () => events.push('aborting'));
+  queue.workerPool.on('task:aborted', event => events.push(`aborted:${event.terminated}`));
+
+  try {
+    const task = await startTask(queue);
+    const [workerId] = queue.workerPool.workers.keys();
+
+    const exited = waitForEvent(queue.workerPool, 'worker:exit');
+    const cancelledAt = Date.now();
+    await queue.cancelTask(task.id, { gracePeriod: 100 });
+    assert.strictEqual(queue.workerPool.isRunning(task.id), true);
+
+    const exit = await exited;
+    assert.ok(Date.now() - cancelledAt >= 100);
+    assert.strictEqual(exit.workerId, workerId);
+    assert.strictEqual(exit.aborted, true);
+    assert.deepStrictEqual(events, ['aborting', 'aborted:true']);
+    assert.strictEqual(queue.getTask(task.id).status, Task.STATUS.CANCELLED);
+
+    // The pool starts a fresh worker in place of the terminated one
+    const created = await waitForEvent(queue.workerPool, 'worker:created');
+    assert.notStrictEqual(created.workerId, workerId);
+    assert.strictEqual(queue.workerPool.workers.size, 1);
+    assert.strictEqual(queue.workerPool.isRunning(task.id), false);
+  } finally {
+    await queue.shutdown({ force: true });
+  }
+});
+
+itAsync('should only cancel queued tasks without touching the workers', async (dir) => {
+  const queue = await createQueue(dir, STUBBORN_HANDLER);
+  const aborts = [];
+  queue.workerPool.on('task:aborting', event => aborts.push(event));
+
+  try {
+    const running = await startTask(queue);
+    const queued = await queue.addTask({ type: 'job', payload: {} });
+
+    const cancelled = waitForEvent(queue.queueManager, 'task:cancelled');
+    await queue.cancelTask(queued.id);
+
+    assert.deepStrictEqual(await cancelled, { task: queued, wasProcessing: false });
+    assert.strictEqual(queued.status, Task.STATUS.CANCELLED);
+    assert.strictEqual(aborts.length, 0);
+    assert.strictEqual(queue.workerPool.isRunning(running.id), true);
+    await assert.rejects(queue.cancelTask('missing'), /Task missing not found/);
+  } finally {
+    await queue.shutdown({ force: true });
+  }
+});
+
+itAsync('should leave tasks running at a forced shutdown to recovery on the next start', async (dir) => {
+  const queue = await createQueue(dir, STUBBORN_HANDLER);
+  const failures = [];
+  queue.on('task:failed', event => failures.push(event));
+
+  const task = await startTask(queue);
+  await queue.shutdown({ force: true });
+
+  assert.deepStrictEqual(failures, []);
+  assert.strictEqual(task.status, Task.STATUS.PROCESSING);
+
+  const restarted = await createQueue(dir, STUBBORN_HANDLER);
+  try {
+    assert.strictEqual(restarted.getTask(task.id), undefined);
+    assert.match(restarted.getDeadLetters()[0].reason, /Task interrupted: the queue stopped while it was processing/);
+  } finally {
+    await restarted.shutdown({ force: true });
+  }
+});
+
+runAsyncTests().then(() => {
+  console.log('\n=== Task Queue Tests Complete ===');
+});
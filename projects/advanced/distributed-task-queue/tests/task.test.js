@@ -185,6 +185,253 @@ describe('Task', () => {
     const waitingTime = task.getWaitingTime();
     assert.ok(waitingTime >= 10000);
   });
+
+  it('should schedule a task with future runAt', () => {
+    const runAt = Date.now() + 60000;
+    const task = new Task({ type: 'test', runAt: new Date(runAt).toISOString() });
+
+    assert.strictEqual(task.status, Task.STATUS.SCHEDULED);
+    assert.strictEqual(task.runAt, runAt);
+    assert.ok(!task.isDue());
+    assert.ok(task.isDue(runAt));
+  });
+
+  it('should keep task pending when runAt is in the past', () => {
+    const task = new Task({ type: 'test', runAt: Date.now() - 1000 });
+
+    assert.strictEqual(task.status, Task.STATUS.PENDING);
+  });
+
+  it('should reject invalid runAt', () => {
+    assert.throws(() => {
+      new Task({ type: 'test', runAt: 'not a date' });
+    }, /Invalid runAt value/);
+  });
+
+  it('should schedule recurring task from cron expression', () => {
+    const task = new Task({ type: 'test', cron: '*/5 * * * *' });
+
+    assert.strictEqual(task.status, Task.STATUS.SCHEDULED);
+    assert.ok(task.isRecurring());
+    assert.ok(task.runAt > Date.now());
+    assert.strictEqual(new Date(task.runAt).getMinutes() % 5, 0);
+  });
+
+  it('should advance recurring task to next run', () => {
+    const task = new Task({ type: 'test', cron: '0 * * * *' });
+    const now = new Date(2024, 0, 1, 10, 0).getTime();
+
+    task.scheduleNext(now);
+
+    assert.strictEqual(task.lastRunAt, now);
+    assert.strictEqual(task.runAt, new Date(2024, 0, 1, 11, 0).getTime());
+    assert.strictEqual(task.status, Task.STATUS.SCHEDULED);
+  });
+
+  it('should reject invalid cron expression', () => {
+    assert.throws(() => {
+      new Task({ type: 'test', cron: 'every minute' });
+    }, /Invalid cron expression/);
+  });
+
+  it('should round-trip scheduling fields through JSON', () => {
+    const original = new Task({ type: 'test', cron: '@daily' });
+    const restored = Task.fromJSON(original.toJSON());
+
+    assert.strictEqual(restored.status, Task.STATUS.SCHEDULED);
+    assert.strictEqual(restored.cron, '@daily');
+    assert.strictEqual(restored.runAt, original.runAt);
+  });
+
+  it('should block a task with dependencies', () => {
+    const task = new Task({ type: 'test', dependsOn: ['parent-1'] });
+
+    assert.strictEqual(task.status, Task.STATUS.BLOCKED);
+    assert.deepStrictEqual(task.dependsOn, ['parent-1']);
+  });
+
+  it('should unblock to pending or scheduled', () => {
+    const task = new Task({ type: 'test', dependsOn: ['parent-1'] });
+    task.unblock();
+    assert.strictEqual(task.status, Task.STATUS.PENDING);
+
+    const delayed = new Task({ type: 'test', dependsOn: ['parent-1'], runAt: Date.now() + 60000 });
+    delayed.unblock();
+    assert.strictEqual(delayed.status, Task.STATUS.SCHEDULED);
+
+    assert.throws(() => task.unblock(), /is not blocked/);
+  });
+
+  it('should fail permanently without retrying', () => {
+    const task = new Task({ type: 'test', maxAttempts: 3 });
+    task.fail(new Error('Dependency failed'), { permanent: true });
+
+    assert.strictEqual(task.status, Task.STATUS.FAILED);
+    assert.ok(task.completedAt > 0);
+  });
+
+  it('should record the error of every attempt', () => {
+    const task = new Task({ type: 'test', maxAttempts: 2 });
+
+    task.start('worker-1');
+    task.fail(new Error('First'));
+    task.start('worker-2');
+    task.fail(new Error('Second'));
+
+    assert.strictEqual(task.errors.length, 2);
+    assert.strictEqual(task.errors[0].attempt, 1);
+    assert.strictEqual(task.errors[0].workerId, 'worker-1');
+    assert.strictEqual(task.errors[1].message, 'Second');
+    assert.strictEqual(task.error.message, 'Second');
+
+    const restored = Task.fromJSON(task.toJSON());
+    assert.strictEqual(restored.errors.length, 2);
+  });
+
+  it('should fail without retrying on a non-retryable error', () => {
+    const task = new Task({ type: 'test', maxAttempts: 3 });
+    const error = Object.assign(new Error('Permission denied'), { code: 'EACCES' });
+
+    task.start('worker-1');
+    task.fail(error, { nonRetryable: 'Error code EACCES is not retryable' });
+
+    assert.strictEqual(task.status, Task.STATUS.FAILED);
+    assert.strictEqual(task.errors[0].code, 'EACCES');
+    assert.strictEqual(task.errors[0].nonRetryable, 'Error code EACCES is not retryable');
+  });
+
+  it('should schedule a retry and round-trip it through JSON', () => {
+    const task = new Task({ type: 'test' });
+    task.start('worker-1');
+    task.fail(new Error('Boom'));
+    task.scheduleRetry(2500, 1000);
+
+    const restored = Task.fromJSON(task.toJSON());
+    assert.strictEqual(restored.retryAt, 3500);
+    assert.strictEqual(restored.lastRetryDelay, 2500);
+
+    task.requeue();
+    assert.strictEqual(task.retryAt, null);
+  });
+
+  it('should default the tenant and round-trip it through JSON', () => {
+    assert.strictEqual(new Task({ type: 'test' }).tenant, 'default');
+    assert.strictEqual(Task.fromJSON(new Task({ type: 'test', tenant: 'acme' }).toJSON()).tenant, 'acme');
+  });
+
+  it('should requeue a failed task with fresh attempts', () => {
+    const task = new Task({ type: 'test', maxAttempts: 1 });
+    task.start('worker-1');
+    task.fail(new Error('Boom'));
+    task.requeue();
+
+    assert.strictEqual(task.status, Task.STATUS.PENDING);
+    assert.strictEqual(task.attempts, 0);
+    assert.strictEqual(task.error, null);
+    assert.strictEqual(task.completedAt, null);
+    assert.strictEqual(task.errors.length, 1);
+  });
+
+  it('should derive the same unique key regardless of payload key order', () => {
+    const a = new Task({ type: 'email', payload: { to: 'a@example.com', tags: [1, 2] }, unique: true });
+    const b = new Task({ type: 'email', payload: { tags: [1, 2], to: 'a@example.com' }, unique: true });
+    const c = new Task({ type: 'sms', payload: { to: 'a@example.com', tags: [1, 2] }, unique: true });
+
+    assert.strictEqual(a.uniqueKey, b.uniqueKey);
+    assert.notStrictEqual(a.uniqueKey, c.uniqueKey);
+    assert.ok(a.uniqueKey.startsWith('email:'));
+    assert.strictEqual(new Task({ type: 'email' }).uniqueKey, null);
+  });
+
+  it('should round-trip deduplication keys through JSON', () => {
+    const task = new Task({ type: 'email', payload: { to: 'x' }, idempotencyKey: 'order-42', unique: true });
+    const restored = Task.fromJSON(task.toJSON());
+
+    assert.strictEqual(restored.idempotencyKey, 'order-42');
+    assert.strictEqual(restored.uniqueKey, task.uniqueKey);
+    assert.throws(() => new Task({ type: 'email', idempotencyKey: 42 }), /must be a string/);
+  });
+
+  it('should report whether a task is waiting to run', () => {
+    const task = new Task({ type: 'test' });
+    assert.ok(task.isWaiting());
+
+    task.start('worker-1');
+    assert.ok(!task.isWaiting());
+
+    task.fail(new Error('Boom'));
+    assert.strictEqual(task.status, Task.STATUS.RETRYING);
+    assert.ok(task.isWaiting());
+  });
+
+  it('should cancel an unfinished task', () => {
+    const task = new Task({ type: 'test' });
+    task.start('worker-1');
+    task.cancel('No longer needed');
+
+    assert.strictEqual(task.status, Task.STATUS.CANCELLED);
+    assert.strictEqual(task.cancelReason, 'No longer needed');
+    assert.ok(task.completedAt > 0);
+    assert.ok(task.isFinished());
+    assert.strictEqual(Task.fromJSON(task.toJSON()).cancelReason, 'No longer needed');
+  });
+
+  it('should clear the cancel reason on requeue', () => {
+    const task = new Task({ type: 'test' });
+    task.cancel('Stop');
+    task.requeue();
+
+    assert.strictEqual(task.status, Task.STATUS.PENDING);
+    assert.strictEqual(task.cancelReason, null);
+  });
+
+  it('should not cancel a finished task', () => {
+    const task = new Task({ type: 'test' });
+    task.complete({});
+
+    assert.throws(() => task.cancel(), /already completed/);
+  });
+
+  it('should set the result expiry on completion', () => {
+    const task = new Task({ type: 'test', resultTTL: 1000 });
+    task.complete({ ok: true });
+
+    assert.strictEqual(task.resultExpiresAt, task.completedAt + 1000);
+    assert.ok(!task.isResultDue(task.completedAt + 999));
+    assert.ok(task.isResultDue(task.completedAt + 1000));
+
+    const restored = Task.fromJSON(task.toJSON());
+    assert.strictEqual(restored.resultTTL, 1000);
+    assert.strictEqual(restored.resultExpiresAt, task.resultExpiresAt);
+  });
+
+  it('should drop an expired result but keep the task completed', () => {
+    const task = new Task({ type: 'test', resultTTL: 10 });
+    task.complete({ ok: true });
+    task.resultRef = { size: 100000, storedAt: Date.now() };
+    task.expireResult();
+
+    assert.strictEqual(task.result, null);
+    assert.strictEqual(task.resultRef, null);
+    assert.ok(task.resultExpired);
+    assert.ok(!task.isResultDue(Date.now() + 1000));
+    assert.strictEqual(task.status, Task.STATUS.COMPLETED);
+  });
+
+  it('should never expire results without a TTL', () => {
+    const task = new Task({ type: 'test' });
+    task.complete({ ok: true });
+
+    assert.strictEqual(task.resultExpiresAt, null);
+    assert.ok(!task.isResultDue(Date.now() + 365 * 24 * 60 * 60 * 1000));
+  });
+
+  it('should keep a pinned handler version', () => {
+    assert.strictEqual(new Task({ type: 'test' }).handlerVersion, null);
+
+    const task = new Task({ type: 'test', handlerVersion: '2.1.0' });
+    assert.strictEqual(Task.fromJSON(task.toJSON()).handlerVersion, '2.1.0');
+  });
 });
 
 console.log('\n=== Task Tests Complete ===');
@@ -0,0 +1,153 @@
+/**
+ * Tenant and Fair Scheduler Tests
+ */
+
+const assert = require('assert');
+const Tenant = require('../src/tenant');
+const FairScheduler = require('../src/fair-scheduler');
+const Task = require('../src/task');
+
+function describe(name, fn) {
+  console.log(`\n${name}`);
+  fn();
+}
+
+function it(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.error(`    ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+describe('Tenant', () => {
+  it('should default to weight 1 and no quotas', () => {
+    const tenant = new Tenant('acme');
+
+    assert.strictEqual(tenant.weight, 1);
+    assert.strictEqual(tenant.maxPending, 0);
+    assert.strictEqual(tenant.maxConcurrent, 0);
+    assert.ok(tenant.canSubmit(1000));
+    assert.ok(tenant.canStart());
+  });
+
+  it('should reject invalid names and settings', () => {
+    assert.throws(() => new Tenant('a b'), /Invalid tenant name/);
+    assert.throws(() => new Tenant('acme', { weight: 0 }), /weight must be a positive number/);
+    assert.throws(() => new Tenant('acme', { maxPending: -1 }), /maxPending must be a non-negative integer/);
+    assert.throws(() => new Tenant('acme', { maxConcurrent: 1.5 }), /maxConcurrent must be a non-negative integer/);
+  });
+
+  it('should keep settings that are not updated', () => {
+    const tenant = new Tenant('acme', { weight: 3, maxPending: 10 });
+    tenant.configure({ maxConcurrent: 2 });
+
+    assert.strictEqual(tenant.weight, 3);
+    assert.strictEqual(tenant.maxPending, 10);
+    assert.strictEqual(tenant.maxConcurrent, 2);
+  });
+
+  it('should count waiting and processing tasks as they change status', () => {
+    const tenant = new Tenant('acme');
+
+    tenant.track(null, Task.STATUS.PENDING);
+    tenant.track(null, Task.STATUS.SCHEDULED);
+    assert.strictEqual(tenant.pending, 2);
+
+    tenant.track(Task.STATUS.PENDING, Task.STATUS.PROCESSING);
+    assert.strictEqual(tenant.pending, 1);
+    assert.strictEqual(tenant.active, 1);
+
+    tenant.track(Task.STATUS.PROCESSING, Task.STATUS.RETRYING);
+    tenant.track(Task.STATUS.RETRYING, Task.STATUS.RETRYING);
+    assert.strictEqual(tenant.pending, 2);
+    assert.strictEqual(tenant.active, 0);
+
+    tenant.track(Task.STATUS.SCHEDULED, null);
+    tenant.track(Task.STATUS.COMPLETED, null);
+    assert.strictEqual(tenant.pending, 1);
+  });
+
+  it('should enforce pending and concurrency quotas', () => {
+    const tenant = new Tenant('acme', { maxPending: 2, maxConcurrent: 1 });
+
+    tenant.track(null, Task.STATUS.PENDING);
+    assert.ok(tenant.canSubmit());
+    assert.ok(!tenant.canSubmit(2));
+
+    tenant.track(Task.STATUS.PENDING, Task.STATUS.PROCESSING);
+    assert.ok(!tenant.canStart());
+  });
+});
+
+describe('FairScheduler', () => {
+  const tenants = new Map();
+  const tenantOf = (task) => {
+    if (!tenants.has(task.tenant)) {
+      tenants.set(task.tenant, new Tenant(task.tenant, { weight: task.tenant === 'big' ? 3 : 1 }));
+    }
+    return tenants.get(task.tenant);
+  };
+
+  function run(scheduler, tasks, count) {
+    const started = [];
+    const waiting = [...tasks];
+
+    for (let i = 0; i < count; i++) {
+      const task = scheduler.select(waiting, tenantOf);
+      waiting.splice(waiting.indexOf(task), 1);
+      scheduler.charge(tenantOf(task));
+      started.push(task.tenant);
+    }
+
+    return started;
+  }
+
+  it('should alternate between tenants of equal weight', () => {
+    tenants.clear();
+    const tasks = [
+      ...Array.from({ length: 5 }, () => new Task({ type: 't', tenant: 'a' })),
+      new Task({ type: 't', tenant: 'b' }),
+      new Task({ type: 't', tenant: 'b' })
+    ];
+
+    assert.deepStrictEqual(run(new FairScheduler(), tasks, 5), ['a', 'b', 'a', 'b', 'a']);
+  });
+
+  it('should share starts in proportion to weight', () => {
+    tenants.clear();
+    const tasks = [
+      ...Array.from({ length: 10 }, () => new Task({ type: 't', tenant: 'big' })),
+      ...Array.from({ length: 10 }, () => new Task({ type: 't', tenant: 'small' }))
+    ];
+
+    const started = run(new FairScheduler(), tasks, 8);
+
+    assert.strictEqual(started.filter(tenant => tenant === 'big').length, 6);
+    assert.strictEqual(started.filter(tenant => tenant === 'small').length, 2);
+  });
+
+  it('should run the highest priority task of the chosen tenant', () => {
+    tenants.clear();
+    const low = new Task({ type: 't', tenant: 'a', priority: 1 });
+    const high = new Task({ type: 't', tenant: 'a', priority: 5 });
+
+    assert.strictEqual(new FairScheduler().select([low, high], tenantOf), high);
+  });
+
+  it('should not let an idle tenant catch up in a burst', () => {
+    tenants.clear();
+    const scheduler = new FairScheduler();
+    const busy = Array.from({ length: 10 }, () => new Task({ type: 't', tenant: 'a' }));
+
+    run(scheduler, busy, 6);
+
+    const started = run(scheduler, [...busy.slice(6), new Task({ type: 't', tenant: 'b' }), new Task({ type: 't', tenant: 'b' })], 4);
+    assert.deepStrictEqual(started, ['b', 'a', 'b', 'a']);
+  });
+});
+
+console.log('\n=== Tenant Tests Complete ===');
@@ -0,0 +1,358 @@
+/**
+ * Webhook Dispatcher Tests
+ */
+
+const assert = require('assert');
+const http = require('http');
+const WebhookDispatcher = require('../src/webhook-dispatcher');
+const Task = require('../src/task');
+
+function describe(name, fn) {
+  console.log(`\n${name}`);
+  fn();
+}
+
+function it(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.error(`    ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+// Delivery tests talk to a local HTTP stand-in, so they run one after another
+const asyncTests = [];
+
+function itAsync(name, fn) {
+  asyncTests.push({ name, fn });
+}
+
+async function runAsyncTests() {
+  console.log('\nWebhookDispatcher delivery');
+
+  for (const { name, fn } of asyncTests) {
+    try {
+      await fn();
+      console.log(`  ✓ ${name}`);
+    } catch (error) {
+      console.log(`  ✗ ${name}`);
+      console.error(`    ${error.message}`);
+      process.exitCode = 1;
+    }
+  }
+}
+
+// Test receivers listen on loopback, which deliveries only reach when it is allowed
+const LOCAL = ['127.0.0.1'];
+
+/**
+ * Start a receiver that answers with the given status codes in turn (the last one repeats)
+ */
+function startReceiver(statuses) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.writeHead(statuses[Math.min(requests.length - 1, statuses.length - 1)]);
+      res.end();
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}/hook` });
+    });
+  });
+}
+
+/**
+ * Wait until a dispatcher has no attempts running or waiting
+ */
+async function settled(dispatcher) {
+  while (dispatcher.inFlight.size > 0 || dispatcher.retryTimers.size > 0) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+describe('Task webhooks', () => {
+  it('should accept URLs and default to every event', () => {
+    const task = new Task({ type: 'email', webhooks: ['https://example.com/hook'] });
+
+    assert.deepStrictEqual(task.webhooks, [{ url: 'https://example.com/hook', events: Task.WEBHOOK_EVENTS }]);
+    assert.deepStrictEqual(Task.fromJSON(task.toJSON()).webhooks, task.webhooks);
+  });
+
+  it('should reject invalid URLs and events', () => {
+    assert.throws(() => new Task({ type: 'email', webhooks: 'https://example.com' }), /webhooks must be an array/);
+    assert.throws(() => new Task({ type: 'email', webhooks: ['ftp://example.com'] }), /Use http or https/);
+    assert.throws(() => new Task({ type: 'email', webhooks: [{ url: 'nope' }] }), /Invalid webhook URL/);
+    assert.throws(() => new Task({ type: 'email', webhooks: [{ url: 'http://a.test', events: ['started'] }] }), /Invalid webhook event: started/);
+  });
+});
+
+describe('WebhookDispatcher', () => {
+  it('should sign and verify deliveries', () => {
+    const body = '{"event":"completed"}';
+    const signature = `sha256=${WebhookDispatcher.sign('secret', 1000, body)}`;
+
+    assert.ok(WebhookDispatcher.verify('secret', { signature, timestamp: '1000', body }, 2000));
+    assert.ok(!WebhookDispatcher.verify('other', { signature, timestamp: '1000', body }, 2000));
+    assert.ok(!WebhookDispatcher.verify('secret', { signature, timestamp: '1000', body: '{}' }, 2000));
+    assert.ok(!WebhookDispatcher.verify('secret', { signature, timestamp: '1000', body }, 1000 + 10 * 60 * 1000));
+  });
+
+  it('should register type webhooks without exposing secrets', () => {
+    const dispatcher = new WebhookDispatcher({
+      webhooks: { email: [{ url: 'http://a.test/hook', events: ['failed'], secret: 's3cret' }] }
+    });
+
+    const [webhook] = dispatcher.getWebhooks('email');
+    assert.strictEqual(webhook.url, 'http://a.test/hook');
+    assert.strictEqual(webhook.hasSecret, true);
+    assert.strictEqual(webhook.secret, undefined);
+
+    assert.ok(dispatcher.unregister(webhook.id));
+    assert.ok(!dispatcher.unregister(webhook.id));
+    assert.throws(() => dispatcher.register('', { url: 'http://a.test' }), /task type is required/);
+  });
+
+  it('should match task, type and wildcard webhooks by event', () => {
+    const dispatcher = new WebhookDispatcher();
+    dispatcher.register('email', { url: 'http://type.test', events: ['completed'] });
+    dispatcher.register('*', { url: 'http://all.test', events: ['failed'] });
+    dispatcher.register('sms', { url: 'http://sms.test' });
+
+    const task = new Task({ type: 'email', webhooks: [{ url: 'http://task.test', events: ['completed', 'progress'] }] });
+
+    assert.deepStrictEqual(dispatcher.getWebhooksFor(task, 'completed').map(w => w.url), ['http://task.test', 'http://type.test']);
+    assert.deepStrictEqual(dispatcher.getWebhooksFor(task, 'failed').map(w => w.url), ['http://all.test']);
+  });
+
+  it('should only allow webhooks to the allowed hosts', () => {
+    const dispatcher = new WebhookDispatcher({ allowedHosts: ['hooks.example.com', '*.internal.test'] });
+
+    assert.ok(dispatcher.isAllowed('https://hooks.example.com/a'));
+    assert.ok(dispatcher.isAllowed('http://ci.internal.test:8080/a'));
+    assert.ok(!dispatcher.isAllowed('http://internal.test/a'));
+    assert.ok(!dispatcher.isAllowed('http://169.254.169.254/latest/meta-data'));
+    assert.ok(!dispatcher.isAllowed('http://hooks.example.com.evil.test/'));
+    assert.ok(!dispatcher.isAllowed('http://hooks.example.com@127.0.0.1/'));
+    assert.throws(
+      () => dispatcher.register('*', { url: 'http://localhost:6379/' }),
+      /Webhook host is not allowed: localhost/
+    );
+    assert.throws(
+      () => dispatcher.checkWebhooks(['https://hooks.example.com/a', 'http://10.0.0.1/']),
+      /Webhook host is not allowed: 10\.0\.0\.1/
+    );
+  });
+
+  it('should refuse loopback, private and link-local hosts by default', () => {
+    const dispatcher = new WebhookDispatcher();
+
+    for (const url of [
+      'http://127.0.0.1:6379/',
+      'http://localhost/',
+      'http://api.localhost./',
+      'http://0.0.0.0/',
+      'http://10.0.0.1/',
+      'http://172.16.5.4/',
+      'http://192.168.1.1/',
+      'http://169.254.169.254/latest/meta-data',
+      'http://2130706433/',
+      'http://[::1]/',
+      'http://[fd00::1]/',
+      'http://[fe80::1]/',
+      'http://[::ffff:127.0.0.1]/'
+    ]) {
+      assert.ok(!dispatcher.isAllowed(url), url);
+    }
+
+    assert.ok(dispatcher.isAllowed('https://hooks.example.com/a'));
+    assert.ok(dispatcher.isAllowed('http://93.184.216.34/'));
+    assert.ok(dispatcher.isAllowed('http://[2606:4700::1111]/'));
+    assert.throws(
+      () => dispatcher.checkWebhooks(['https://hooks.example.com/a', 'http://169.254.169.254/']),
+      /Webhook host is not allowed: 169\.254\.169\.254/
+    );
+  });
+
+  it('should let allowedHosts name a private host', () => {
+    const dispatcher = new WebhookDispatcher({ allowedHosts: ['localhost', '10.0.0.1'] });
+
+    assert.ok(dispatcher.isAllowed('http://localhost:8080/'));
+    assert.ok(dispatcher.isAllowed('http://10.0.0.1/'));
+    assert.ok(!dispatcher.isAllowed('http://10.0.0.2/'));
+  });
+});
+
+itAsync('should refuse host names that resolve to a private address by default', async () => {
+  const lookup = (options) => new Promise((resolve) => {
+    WebhookDispatcher.lookupPublic('localhost', options, (error, address) => resolve({ error, address }));
+  });
+
+  for (const options of [{}, { all: true }]) {
+    const { error, address } = await lookup(options);
+    assert.strictEqual(address, undefined);
+    assert.strictEqual(error.code, 'WEBHOOK_HOST_NOT_ALLOWED');
+    assert.match(error.message, /Webhook host is not allowed: localhost resolves to (127\.0\.0\.1|::1)/);
+  }
+});
+
+itAsync('should fail default deliveries to a loopback receiver without sending them', async () => {
+  const receiver = await startReceiver([200]);
+  const dispatcher = new WebhookDispatcher();
+  const failures = [];
+  dispatcher.on('webhook:failed', event => failures.push(event.willRetry));
+
+  try {
+    const [delivery] = dispatcher.notify('completed', new Task({ type: 'email', webhooks: [receiver.url] }));
+    await settled(dispatcher);
+
+    assert.strictEqual(receiver.requests.length, 0);
+    assert.strictEqual(delivery.status, WebhookDispatcher.STATUS.FAILED);
+    assert.strictEqual(delivery.error, 'Webhook host is not allowed: 127.0.0.1');
+    assert.deepStrictEqual(failures, [false]);
+  } finally {
+    receiver.server.close();
+  }
+});
+
+itAsync('should deliver a signed event', async () => {
+  const receiver = await startReceiver([200]);
+  const dispatcher = new WebhookDispatcher({ secret: 'secret', allowedHosts: LOCAL });
+
+  try {
+    const task = new Task({ type: 'email', webhooks: [receiver.url] });
+    task.start('worker-1');
+    task.complete({ sent: true });
+
+    const [delivery] = dispatcher.notify('completed', task);
+    await settled(dispatcher);
+
+    const [request] = receiver.requests;
+    const body = JSON.parse(request.body);
+    assert.strictEqual(body.event, 'completed');
+    assert.strictEqual(body.id, delivery.id);
+    assert.deepStrictEqual(body.task.result, { sent: true });
+    assert.strictEqual(request.headers['x-webhook-event'], 'completed');
+    assert.ok(WebhookDispatcher.verify('secret', {
+      signature: request.headers['x-webhook-signature'],
+      timestamp: request.headers['x-webhook-timestamp'],
+      body: request.body
+    }));
+
+    assert.strictEqual(delivery.status, WebhookDispatcher.STATUS.DELIVERED);
+    assert.strictEqual(delivery.responseStatus, 200);
+    assert.strictEqual(delivery.attempts, 1);
+  } finally {
+    receiver.server.close();
+  }
+});
+
+itAsync('should fail deliveries to hosts that are not allowed without sending them', async () => {
+  const receiver = await startReceiver([200]);
+  const dispatcher = new WebhookDispatcher({ allowedHosts: ['hooks.example.com'] });
+  const failures = [];
+  dispatcher.on('webhook:failed', event => failures.push(event.willRetry));
+
+  try {
+    // As for a task restored from the journal, the URL was never checked
+    const task = new Task({ type: 'email', webhooks: [receiver.url] });
+
+    const [delivery] = dispatcher.notify('progress', task);
+    await settled(dispatcher);
+
+    assert.strictEqual(receiver.requests.length, 0);
+    assert.strictEqual(delivery.status, WebhookDispatcher.STATUS.FAILED);
+    assert.strictEqual(delivery.error, 'Webhook host is not allowed: 127.0.0.1');
+    assert.deepStrictEqual(failures, [false]);
+  } finally {
+    receiver.server.close();
+  }
+});
+
+itAsync('should retry failed deliveries with backoff', async () => {
+  const receiver = await startReceiver([500, 503, 204]);
+  const dispatcher = new WebhookDispatcher({ retryDelay: 10, allowedHosts: LOCAL });
+  const failures = [];
+  dispatcher.on('webhook:failed', data => failures.push(data.willRetry));
+
+  try {
+    const task = new Task({ type: 'email', webhooks: [receiver.url] });
+    const [delivery] = dispatcher.notify('progress', task, { progress: 50 });
+    await settled(dispatcher);
+
+    assert.strictEqual(receiver.requests.length, 3);
+    assert.strictEqual(JSON.parse(receiver.requests[2].body).progress, 50);
+    assert.strictEqual(receiver.requests[0].headers['x-webhook-id'], receiver.requests[2].headers['x-webhook-id']);
+    assert.deepStrictEqual(failures, [true, true]);
+    assert.strictEqual(delivery.status, WebhookDispatcher.STATUS.DELIVERED);
+    assert.deepStrictEqual(delivery.history.map(entry => entry.responseStatus), [500, 503, 204]);
+    assert.ok(delivery.history[2].timestamp - delivery.history[1].timestamp >= 20);
+  } finally {
+    receiver.server.close();
+  }
+});
+
+itAsync('should give up after maxAttempts and keep the delivery in the log', async () => {
+  const receiver = await startReceiver([500]);
+  const dispatcher = new WebhookDispatcher({ retryDelay: 5, maxAttempts: 2, allowedHosts: LOCAL });
+
+  try {
+    const task = new Task({ type: 'email', webhooks: [receiver.url] });
+    const [delivery] = dispatcher.notify('failed', task);
+    await settled(dispatcher);
+
+    assert.strictEqual(receiver.requests.length, 2);
+    assert.strictEqual(delivery.status, WebhookDispatcher.STATUS.FAILED);
+    assert.strictEqual(delivery.error, 'Unexpected response status 500');
+    assert.deepStrictEqual(dispatcher.getDeliveries({ taskId: task.id, status: 'failed' }), [delivery]);
+    assert.deepStrictEqual(dispatcher.getDeliveries({ status: 'delivered' }), []);
+  } finally {
+    receiver.server.close();
+  }
+});
+
+itAsync('should record connection errors', async () => {
+  const receiver = await startReceiver([200]);
+  const url = receiver.url;
+  await new Promise(resolve => receiver.server.close(resolve));
+
+  const dispatcher = new WebhookDispatcher({ maxAttempts: 1, allowedHosts: LOCAL });
+  const [delivery] = dispatcher.notify('completed', new Task({ type: 'email', webhooks: [url] }));
+  await settled(dispatcher);
+
+  assert.strictEqual(delivery.status, WebhookDispatcher.STATUS.FAILED);
+  assert.strictEqual(delivery.responseStatus, null);
+  assert.match(delivery.error, /ECONNREFUSED/);
+});
+
+itAsync('should drop the oldest finished deliveries beyond the log size', async () => {
+  const receiver = await startReceiver([200]);
+  const dispatcher = new WebhookDispatcher({ maxLogSize: 2, allowedHosts: LOCAL });
+
+  try {
+    const task = new Task({ type: 'email', webhooks: [receiver.url] });
+    for (let i = 0; i < 3; i++) {
+      dispatcher.notify('progress', task, { progress: i });
+      await settled(dispatcher);
+    }
+
+    const deliveries = dispatcher.getDeliveries();
+    assert.strictEqual(deliveries.length, 2);
+    assert.deepStrictEqual(deliveries.map(delivery => delivery.status), ['delivered', 'delivered']);
+  } finally {
+    receiver.server.close();
+  }
+});
+
+runAsyncTests().then(() => {
+  console.log('\n=== Webhook Dispatcher Tests Complete ===');
+});
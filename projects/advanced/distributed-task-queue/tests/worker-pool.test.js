@@ -0,0 +1,263 @@
+/**
+ * Worker Pool Tests
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WorkerPool = require('../src/worker-pool');
+
+function describe(name, fn) {
+  console.log(`\n${name}`);
+  fn();
+}
+
+function it(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.error(`    ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+// Pool tests start worker threads, so they run one after another
+const asyncTests = [];
+
+function itAsync(name, fn) {
+  asyncTests.push({ name, fn });
+}
+
+async function runAsyncTests() {
+  console.log('\nWorkerPool workers');
+
+  for (const { name, fn } of asyncTests) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'worker-pool-'));
+    try {
+      await fn(dir);
+      console.log(`  ✓ ${name}`);
+    } catch (error) {
+      console.log(`  ✗ ${name}`);
+      console.error(`    ${error.message}`);
+      process.exitCode = 1;
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+}
+
+/**
+ * Write a handler module into the test directory and return its path
+ */
+function writeHandler(dir, name, source) {
+  const handlerPath = path.join(dir, `${name}.js`);
+  fs.writeFileSync(handlerPath, source);
+  return handlerPath;
+}
+
+/**
+ * Create and initialize a pool with an "echo" handler that returns its payload
+ */
+async function createPool(dir, options = {}) {
+  const pool = new WorkerPool({
+    taskHandlers: new Map([['echo', writeHandler(dir, 'echo', 'module.exports = (payload) => payload;')]]),
+    ...options
+  });
+  await pool.initialize();
+  return pool;
+}
+
+/**
+ * Resolve with the next event of the given name
+ */
+function nextEvent(emitter, event, timeout = 5000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), timeout);
+    emitter.once(event, (data) => {
+      clearTimeout(timer);
+      resolve(data);
+    });
+  });
+}
+
+function createTask(type, payload = {}) {
+  return { id: `task-${Math.random().toString(36).slice(2)}`, type, payload, timeout: 2000 };
+}
+
+describe('WorkerPool sizing', () => {
+  it('should start at minPoolSize unless poolSize is given', () => {
+    const pool = new WorkerPool({ minPoolSize: 1, maxPoolSize: 4 });
+
+    assert.strictEqual(pool.poolSize, 1);
+    assert.strictEqual(pool.isAutoscaling(), true);
+  });
+
+  it('should keep poolSize within the bounds', () => {
+    assert.strictEqual(new WorkerPool({ poolSize: 8, minPoolSize: 1, maxPoolSize: 4 }).poolSize, 4);
+    assert.strictEqual(new WorkerPool({ poolSize: 0, minPoolSize: 2, maxPoolSize: 4 }).poolSize, 2);
+    assert.strictEqual(new WorkerPool({ poolSize: 3 }).isAutoscaling(), false);
+  });
+
+  it('should reject a minPoolSize above maxPoolSize', () => {
+    assert.throws(() => new WorkerPool({ minPoolSize: 4, maxPoolSize: 2 }), /minPoolSize cannot be greater than maxPoolSize/);
+  });
+});
+
+itAsync('should not scale a pool with a fixed size', async (dir) => {
+  const pool = await createPool(dir, { poolSize: 1, scaleUpWaitTime: 10 });
+
+  try {
+    assert.strictEqual(await pool.autoscale([1000, 1000, 1000]), 0);
+    assert.strictEqual(pool.workers.size, 1);
+  } finally {
+    await pool.shutdown();
+  }
+});
+
+itAsync('should add workers for tasks waiting past scaleUpWaitTime, up to maxPoolSize', async (dir) => {
+  const pool = await createPool(dir, { minPoolSize: 1, maxPoolSize: 3, scaleUpWaitTime: 1000 });
+  const scaled = [];
+  pool.on('pool:scaled', event => scaled.push(event));
+
+  try {
+    // Tasks that have not waited long enough do not add workers
+    assert.strictEqual(await pool.autoscale([999, 999, 999]), 0);
+    assert.strictEqual(pool.workers.size, 1);
+
+    // The idle worker takes one of the two waiting tasks
+    assert.strictEqual(await pool.autoscale([1000, 2000]), 1);
+    assert.strictEqual(pool.workers.size, 2);
+
+    assert.strictEqual(await pool.autoscale([1000, 1000, 1000, 1000, 1000]), 1);
+    assert.strictEqual(await pool.autoscale([1000, 1000, 1000, 1000, 1000]), 0);
+
+    assert.strictEqual(pool.poolSize, 3);
+    assert.strictEqual(pool.workers.size, 3);
+    assert.deepStrictEqual(scaled.map(({ direction, from, to }) => `${direction}:${from}->${to}`), ['up:1->2', 'up:2->3']);
+    assert.deepStrictEqual(scaled[0].reason, { waitingTasks: 2, maxWaitTime: 2000 });
+  } finally {
+    await pool.shutdown();
+  }
+});
+
+itAsync('should retire workers idle past scaleDownIdleTime, down to minPoolSize', async (dir) => {
+  const pool = await createPool(dir, { poolSize: 3, minPoolSize: 1, maxPoolSize: 3, scaleDownIdleTime: 1000, scaleUpWaitTime: 1000 });
+  const exits = [];
+  pool.on('worker:exit', event => exits.push(event));
+  const startedAt = Date.now();
+
+  try {
+    // Workers idle for less than scaleDownIdleTime are kept
+    assert.strictEqual(await pool.autoscale([], startedAt + 500), 0);
+
+    // Tasks waiting past scaleUpWaitTime keep every worker
+    assert.strictEqual(await pool.autoscale([1000, 1000, 1000], startedAt + 5000), 0);
+    assert.strictEqual(pool.workers.size, 3);
+
+    const scaled = nextEvent(pool, 'pool:scaled');
+    assert.strictEqual(await pool.autoscale([], startedAt + 5000), -2);
+
+    assert.deepStrictEqual(await scaled, { direction: 'down', from: 3, to: 1, reason: { idleWorkers: 3 } });
+    assert.strictEqual(pool.workers.size, 1);
+    assert.strictEqual(await pool.autoscale([], startedAt + 10000), 0);
+
+    // Retired workers are not treated as crashed and restarted
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepStrictEqual(exits, []);
+  } finally {
+    await pool.shutdown();
+  }
+});
+
+itAsync('should fail the task of a crashed worker and start a replacement', async (dir) => {
+  const pool = await createPool(dir, { poolSize: 1 });
+  pool.addHandlerVersion('crash', writeHandler(dir, 'crash', 'module.exports = () => process.exit(3);'), '1');
+  await pool.reloadHandlers();
+  const [workerId] = pool.workers.keys();
+  const failures = [];
+  pool.on('task:failed', event => failures.push(event));
+
+  try {
+    const exited = nextEvent(pool, 'worker:exit');
+    const task = createTask('crash');
+    pool.executeTask(task).catch(() => {});
+
+    assert.deepStrictEqual(await exited, { workerId, code: 3, aborted: false });
+    assert.deepStrictEqual(failures, [{ workerId, taskId: task.id, error: 'Worker exited with code 3' }]);
+
+    const created = await nextEvent(pool, 'worker:created');
+    assert.notStrictEqual(created.workerId, workerId);
+    assert.deepStrictEqual(Array.from(pool.workers.keys()), [created.workerId]);
+    assert.deepStrictEqual(await pool.executeTask(createTask('echo', { n: 1 })), { n: 1 });
+  } finally {
+    await pool.shutdown();
+  }
+});
+
+itAsync('should finish in-flight tasks on the old version while new tasks run the new one', async (dir) => {
+  const pool = await createPool(dir, { poolSize: 1 });
+  pool.addHandlerVersion('job', writeHandler(dir, 'job-v1', `module.exports = (payload, { handlerVersion }) =>
+  new Promise(resolve => setTimeout(() => resolve(\`v1:\${handlerVersion}\`), 200));`), '1');
+  await pool.reloadHandlers();
+  const [workerId] = pool.workers.keys();
+
+  try {
+    const running = pool.executeTask(createTask('job'));
+    const reloaded = nextEvent(pool, 'handlers:reloaded');
+
+    const reload = await pool.registerHandler('job', writeHandler(dir, 'job-v2', "module.exports = () => 'v2';"), '2');
+    assert.deepStrictEqual(reload, { generation: 2, replaced: 0, draining: 1 });
+    assert.strictEqual(pool.getStats().workers[0].status, 'draining');
+
+    // The running task keeps the version it was dispatched with
+    assert.strictEqual(await running, 'v1:1');
+    await reloaded;
+    assert.notStrictEqual(Array.from(pool.workers.keys())[0], workerId);
+
+    assert.strictEqual(await pool.executeTask(createTask('job')), 'v2');
+    assert.strictEqual(await pool.executeTask({ ...createTask('job'), handlerVersion: '1' }), 'v1:1');
+  } finally {
+    await pool.shutdown();
+  }
+});
+
+itAsync('should reject handler modules that do not load and keep the current version', async (dir) => {
+  const pool = await createPool(dir, { poolSize: 1 });
+  const [workerId] = pool.workers.keys();
+  const registered = [];
+  pool.on('handler:registered', event => registered.push(event));
+
+  try {
+    await assert.rejects(
+      pool.registerHandler('echo', writeHandler(dir, 'syntax', 'module.exports = (payload) => {'), '2'),
+      /Handler echo@2 cannot be loaded: Unexpected end of input/
+    );
+    await assert.rejects(
+      pool.registerHandler('echo', writeHandler(dir, 'empty', 'module.exports = { run() {} };'), '2'),
+      /Handler echo@2 cannot be loaded: Handler must export a function or an object with an execute\(\) method/
+    );
+    await assert.rejects(
+      pool.registerHandler('echo', path.join(dir, 'missing.js'), '2'),
+      /Handler echo@2 cannot be loaded: Cannot find module/
+    );
+
+    assert.deepStrictEqual(registered, []);
+    assert.strictEqual(pool.handlerGeneration, 0);
+    assert.deepStrictEqual(pool.getHandlers().map(({ type, current }) => `${type}@${current}`), ['echo@1']);
+    assert.deepStrictEqual(Array.from(pool.workers.keys()), [workerId]);
+    assert.deepStrictEqual(await pool.executeTask(createTask('echo', { n: 2 })), { n: 2 });
+
+    // A good module still goes through
+    await pool.registerHandler('echo', writeHandler(dir, 'echo-v2', 'module.exports = { execute: () => 2 };'), '2');
+    assert.strictEqual(await pool.executeTask(createTask('echo')), 2);
+  } finally {
+    await pool.shutdown();
+  }
+});
+
+runAsyncTests().then(() => {
+  console.log('\n=== Worker Pool Tests Complete ===');
+});
@@ -0,0 +1,117 @@
+/**
+ * Worker Server Tests
+ */
+
+const assert = require('assert');
+const WorkerServer = require('../src/worker-server');
+const RemoteWorker = require('../src/remote-worker');
+
+function describe(name, fn) {
+  console.log(`\n${name}`);
+  fn();
+}
+
+function it(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.error(`    ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+// Server tests open sockets, so they run one after another
+const asyncTests = [];
+
+function itAsync(name, fn) {
+  asyncTests.push({ name, fn });
+}
+
+async function runAsyncTests() {
+  console.log('\nWorkerServer connections');
+
+  for (const { name, fn } of asyncTests) {
+    try {
+      await fn();
+      console.log(`  ✓ ${name}`);
+    } catch (error) {
+      console.log(`  ✗ ${name}`);
+      console.error(`    ${error.message}`);
+      process.exitCode = 1;
+    }
+  }
+}
+
+/**
+ * Start a server on a free loopback port
+ */
+async function startServer(options = {}) {
+  const server = new WorkerServer({ port: 0, ...options });
+  await server.listen();
+  return server;
+}
+
+/**
+ * Connect a worker that does not reconnect, so a rejected worker stays rejected
+ */
+async function connectWorker(server, options = {}) {
+  const worker = new RemoteWorker({ port: server.getAddress().port, reconnect: false, ...options });
+  await worker.connect();
+  return worker;
+}
+
+describe('WorkerServer tokens', () => {
+  it('should only match the same token', () => {
+    assert.strictEqual(WorkerServer.tokensMatch('secret', 'secret'), true);
+    assert.strictEqual(WorkerServer.tokensMatch('secret-but-longer', 'secret'), false);
+    assert.strictEqual(WorkerServer.tokensMatch(undefined, 'secret'), false);
+    assert.strictEqual(WorkerServer.tokensMatch({ toString: () => 'secret' }, 'secret'), false);
+  });
+});
+
+itAsync('should accept workers without a token when none is set', async () => {
+  const server = await startServer();
+
+  try {
+    const worker = await connectWorker(server, { workerId: 'w1' });
+    assert.deepStrictEqual(Array.from(server.workers.keys()), ['w1']);
+    await worker.close();
+  } finally {
+    await server.close();
+  }
+});
+
+itAsync('should reject workers with a missing or wrong token', async () => {
+  const server = await startServer({ authToken: 'secret' });
+  const connected = [];
+  server.on('worker:connected', event => connected.push(event.workerId));
+
+  try {
+    await assert.rejects(connectWorker(server, { workerId: 'anonymous' }), /Invalid worker token/);
+    await assert.rejects(connectWorker(server, { workerId: 'guess', authToken: 'guess' }), /Invalid worker token/);
+
+    assert.deepStrictEqual(connected, []);
+    assert.strictEqual(server.workers.size, 0);
+  } finally {
+    await server.close();
+  }
+});
+
+itAsync('should accept workers that send the token', async () => {
+  const server = await startServer({ authToken: 'secret' });
+
+  try {
+    const worker = await connectWorker(server, { workerId: 'trusted', authToken: 'secret' });
+    assert.strictEqual(worker.connected, true);
+    assert.deepStrictEqual(Array.from(server.workers.keys()), ['trusted']);
+    await worker.close();
+  } finally {
+    await server.close();
+  }
+});
+
+runAsyncTests().then(() => {
+  console.log('\n=== Worker Server Tests Complete ===');
+});
@@ -0,0 +1,98 @@
+/**
+ * Workflow Tests
+ */
+
+const assert = require('assert');
+const Workflow = require('../src/workflow');
+
+function describe(name, fn) {
+  console.log(`\n${name}`);
+  fn();
+}
+
+function it(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.error(`    ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+describe('Workflow', () => {
+  it('should plan tasks in dependency order', () => {
+    const { workflow, tasks } = Workflow.plan({
+      name: 'etl',
+      tasks: [
+        { name: 'load', type: 'db', dependsOn: ['transform'] },
+        { name: 'transform', type: 'map', dependsOn: ['extract'] },
+        { name: 'extract', type: 'http' }
+      ]
+    });
+
+    assert.strictEqual(workflow.name, 'etl');
+    assert.deepStrictEqual(tasks.map(t => t.name), ['extract', 'transform', 'load']);
+    assert.deepStrictEqual(tasks[1].data.dependsOn, [workflow.nodes.extract]);
+    assert.strictEqual(tasks[2].id, workflow.nodes.load);
+  });
+
+  it('should resolve dependencies on existing task IDs', () => {
+    const { tasks } = Workflow.plan(
+      { tasks: [{ name: 'report', type: 'pdf', dependsOn: ['existing-id'] }] },
+      { hasTask: (id) => id === 'existing-id' }
+    );
+
+    assert.deepStrictEqual(tasks[0].data.dependsOn, ['existing-id']);
+  });
+
+  it('should name unnamed tasks by position', () => {
+    const { workflow } = Workflow.plan({ tasks: [{ type: 'a' }, { type: 'b' }] });
+
+    assert.deepStrictEqual(Object.keys(workflow.nodes), ['task-1', 'task-2']);
+  });
+
+  it('should reject unknown dependencies', () => {
+    assert.throws(() => {
+      Workflow.plan({ tasks: [{ name: 'a', type: 'x', dependsOn: ['missing'] }] });
+    }, /Unknown dependency "missing" for task "a"/);
+  });
+
+  it('should reject circular dependencies', () => {
+    assert.throws(() => {
+      Workflow.plan({
+        tasks: [
+          { name: 'a', type: 'x', dependsOn: ['c'] },
+          { name: 'b', type: 'x', dependsOn: ['a'] },
+          { name: 'c', type: 'x', dependsOn: ['b'] }
+        ]
+      });
+    }, /Circular dependency detected: a -> c -> b -> a/);
+  });
+
+  it('should reject invalid definitions', () => {
+    assert.throws(() => Workflow.plan({ tasks: [] }), /at least one task/);
+    assert.throws(() => Workflow.plan({ tasks: [{ name: 'a' }] }), /missing a type/);
+    assert.throws(() => {
+      Workflow.plan({ tasks: [{ name: 'a', type: 'x' }, { name: 'a', type: 'y' }] });
+    }, /Duplicate task name/);
+    assert.throws(() => {
+      Workflow.plan({ tasks: [{ name: 'a', type: 'x', idempotencyKey: 'key-1' }] });
+    }, /cannot be deduplicated/);
+  });
+
+  it('should round-trip through JSON', () => {
+    const { workflow } = Workflow.plan({ name: 'wf', tasks: [{ name: 'a', type: 'x' }] });
+    workflow.fail(new Error('Task "a" failed'));
+
+    const restored = Workflow.fromJSON(workflow.toJSON());
+
+    assert.strictEqual(restored.id, workflow.id);
+    assert.strictEqual(restored.status, Workflow.STATUS.FAILED);
+    assert.deepStrictEqual(restored.nodes, workflow.nodes);
+    assert.ok(restored.isFinished());
+  });
+});
+
+console.log('\n=== Workflow Tests Complete ===');
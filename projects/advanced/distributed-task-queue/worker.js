@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+
+/**
+ * Remote Worker - Standalone Entry Point
+ *
+ * Usage:
+ *   node worker.js --handler email=./examples/handlers/email-handler.js
+ *   node worker.js --port 7070 --concurrency 4 --handler <type>=<path> ...
+ *   node worker.js --socket /tmp/task-queue.sock --handler <type>=<path>
+ *   node worker.js --help
+ */
+
+const path = require('path');
+const RemoteWorker = require('./src/remote-worker');
+
+/**
+ * Display help message
+ */
+function showHelp() {
+  console.log(`
+Remote Worker - Executes tasks leased from a task queue over TCP or a Unix socket
+
+Usage:
+  node worker.js [options] --handler <type>=<path> [--handler ...]
+
+Options:
+  --host <host>            Queue host (default: QUEUE_HOST or 127.0.0.1)
+  --port <port>            Queue worker port (default: QUEUE_PORT or 7070)
+  --socket <path>          Connect over a Unix socket instead of TCP
+  --concurrency <n>        Tasks to run at once (default: 1)
+  --id <worker-id>         Worker ID (default: <hostname>-<pid>)
+  --token <token>          Token the queue requires (default: QUEUE_WORKER_TOKEN;
+                           prefer the variable, arguments are visible to other users)
+  --handler <type>=<path>  Handler module for a task type (repeatable)
+  --help                   Show this help message
+
+Examples:
+  node worker.js --handler email=./examples/handlers/email-handler.js
+  node worker.js --port 7070 --concurrency 4 \\
+    --handler data-analysis=./examples/handlers/data-analysis-handler.js
+  `);
+}
+
+/**
+ * Parse command line arguments
+ */
+function parseArgs(argv) {
+  const options = {
+    host: process.env.QUEUE_HOST || '127.0.0.1',
+    port: parseInt(process.env.QUEUE_PORT) || 7070,
+    authToken: process.env.QUEUE_WORKER_TOKEN || null,
+    taskHandlers: new Map()
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = argv[i + 1];
+
+    switch (arg) {
+      case '--help':
+      case '-h':
+        options.help = true;
+        break;
+      case '--host':
+        options.host = value;
+        i++;
+        break;
+      case '--port':
+        options.port = parseInt(value);
+        i++;
+        break;
+      case '--socket':
+        options.path = value;
+        i++;
+        break;
+      case '--concurrency':
+        options.concurrency = parseInt(value);
+        i++;
+        break;
+      case '--id':
+        options.workerId = value;
+        i++;
+        break;
+      case '--token':
+        options.authToken = value;
+        i++;
+        break;
+      case '--handler': {
+        const [type, handlerPath] = (value || '').split('=');
+        if (!type || !handlerPath) {
+          throw new Error(`Invalid handler "${value}", expected <type>=<path>`);
+        }
+        options.taskHandlers.set(type, path.resolve(handlerPath));
+        i++;
+        break;
+      }
+      default:
+        throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Main application
+ */
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.help) {
+    showHelp();
+    return;
+  }
+
+  if (options.taskHandlers.size === 0) {
+    throw new Error('At least one --handler is required (see --help)');
+  }
+
+  const worker = new RemoteWorker(options);
+  const target = options.path || `${options.host}:${options.port}`;
+
+  worker.on('connected', ({ workerId }) => {
+    console.log(`[${workerId}] Connected to ${target}`);
+  });
+  worker.on('disconnected', () => {
+    console.log(`[${worker.workerId}] Disconnected from ${target}`);
+  });
+  worker.on('connect:failed', ({ error, attempt }) => {
+    console.error(`[${worker.workerId}] Connection attempt ${attempt} failed: ${error.message}`);
+  });
+  worker.on('task:started', (task) => {
+    console.log(`[${worker.workerId}] Started ${task.id} (${task.type})`);
+  });
+  worker.on('task:completed', ({ taskId }) => {
+    console.log(`[${worker.workerId}] Completed ${taskId}`);
+  });
+  worker.on('task:failed', ({ taskId, error }) => {
+    console.error(`[${worker.workerId}] Failed ${taskId}: ${error.message}`);
+  });
+  worker.on('task:revoked', ({ taskId, reason }) => {
+    console.warn(`[${worker.workerId}] Lease on ${taskId} revoked: ${reason}`);
+  });
+  worker.on('error', (error) => {
+    console.error(`[${worker.workerId}] ${error.message}`);
+  });
+  worker.on('closed', () => {
+    process.exit(0);
+  });
+
+  // Finish running tasks before exiting
+  const shutdown = () => {
+    console.log(`[${worker.workerId}] Shutting down...`);
+    worker.close().catch(error => {
+      console.error('Error during shutdown:', error);
+      process.exit(1);
+    });
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  try {
+    await worker.connect();
+  } catch (error) {
+    // Keep retrying in the background until the queue is reachable
+    console.error(`[${worker.workerId}] Could not connect to ${target}: ${error.message}`);
+  }
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('Fatal error:', err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { RemoteWorker };
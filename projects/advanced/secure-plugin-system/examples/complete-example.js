@@ -15,7 +15,12 @@ async function main() {
     dataDir: path.join(__dirname, '../data'),
     autoActivate: true,
     scanPlugins: true,
-    requireSignature: false // Set to true if you have signed plugins
+    requireSignature: false, // Set to true if you have signed plugins
+    onConsent: async (summary) => {
+      // A real host would ask the operator; the example grants and shows what was granted
+      console.log(`${summary.text}\n`);
+      return true;
+    }
   });
 
   // Setup event listeners
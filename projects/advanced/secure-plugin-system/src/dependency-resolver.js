@@ -0,0 +1,276 @@
+/**
+ * Dependency Resolver
+ * Decides which plugins can be loaded, and in which order, from their
+ * dependency ranges, optional dependencies and declared conflicts
+ *
+ * A plugin that cannot be loaded gets a diagnostic:
+ *   { id, version, problems: [{ type, dependency, range, ... }] }
+ * A problem of type 'dependency' nests the diagnostic of the dependency,
+ * so format() can print the whole tree:
+ *
+ *   app@1.0.0 cannot be loaded
+ *   ├─ requires lib@^2.0.0, but 1.4.0 is installed
+ *   └─ requires auth@^1.0.0, which cannot be loaded
+ *      └─ requires tokens@*, which is not installed
+ */
+
+const Semver = require('./semver');
+
+class DependencyResolver {
+  static ERROR_CODE = 'ERR_PLUGIN_DEPENDENCIES';
+
+  /**
+   * @param {Plugin[]} loaded - Plugins that are already loaded
+   * @param {Object} options
+   * @param {Map<string, Error>} options.failed - Plugins that failed to load, by ID
+   */
+  constructor(loaded = [], options = {}) {
+    this.loaded = new Map(loaded.map(plugin => [plugin.id, plugin]));
+    this.failed = options.failed || new Map();
+  }
+
+  /**
+   * Resolve candidate plugins against the loaded ones.
+   * Returns { order, unresolved: [{ plugin, diagnostic }] }, where order
+   * lists the loadable candidates, dependencies first.
+   */
+  resolve(candidates) {
+    const available = new Map(this.loaded);
+    const duplicates = new Map(); // candidate -> diagnostic
+    const pending = [];
+
+    for (const plugin of candidates) {
+      const other = available.get(plugin.id);
+      if (other) {
+        duplicates.set(plugin, {
+          id: plugin.id,
+          version: plugin.version,
+          problems: [{ type: 'duplicate', dependency: plugin.id, found: other.version }]
+        });
+        continue;
+      }
+
+      available.set(plugin.id, plugin);
+      pending.push(plugin);
+    }
+
+    // Dependencies first, then conflicts between the plugins that remain.
+    // Plugins blocked by a conflict take their dependents down with them.
+    let diagnostics = this.evaluate(pending, available, new Map());
+    const blocked = this.findConflicts(pending.filter(plugin => !diagnostics.get(plugin.id)));
+    if (blocked.size > 0) {
+      diagnostics = this.evaluate(pending, available, blocked);
+    }
+
+    const resolved = pending.filter(plugin => !diagnostics.get(plugin.id));
+    const unresolved = candidates
+      .filter(plugin => duplicates.has(plugin) || diagnostics.get(plugin.id))
+      .map(plugin => ({ plugin, diagnostic: duplicates.get(plugin) || diagnostics.get(plugin.id) }));
+
+    return {
+      order: DependencyResolver.sort(resolved),
+      unresolved
+    };
+  }
+
+  /**
+   * Diagnose every pending plugin (null when it can be loaded)
+   */
+  evaluate(pending, available, blocked) {
+    const diagnostics = new Map(); // id -> diagnostic or null
+
+    const visit = (plugin, chain) => {
+      if (this.loaded.get(plugin.id) === plugin) {
+        return null;
+      }
+      if (diagnostics.has(plugin.id)) {
+        return diagnostics.get(plugin.id);
+      }
+
+      const problems = [...(blocked.get(plugin.id) || [])];
+      const edges = [
+        ...Object.entries(plugin.dependencyRanges).map(([id, range]) => ({ id, range, optional: false })),
+        ...Object.entries(plugin.optionalDependencyRanges || {}).map(([id, range]) => ({ id, range, optional: true }))
+      ];
+
+      for (const { id, range, optional } of edges) {
+        const problem = { dependency: id, range, optional };
+        const failure = this.failed.get(id);
+        const provider = available.get(id);
+
+        if (failure) {
+          // An optional dependency that failed to load is left out
+          if (!optional) {
+            problems.push(failure.diagnostic
+              ? { type: 'dependency', ...problem, diagnostic: failure.diagnostic }
+              : { type: 'failed', ...problem, error: failure.message });
+          }
+        } else if (!provider) {
+          if (!optional) {
+            problems.push({ type: 'missing', ...problem });
+          }
+        } else if (!Semver.satisfies(provider.version, range)) {
+          problems.push({ type: 'version', ...problem, found: provider.version });
+        } else if (chain.includes(id)) {
+          problems.push({ type: 'circular', ...problem, cycle: [...chain.slice(chain.indexOf(id)), plugin.id, id] });
+        } else {
+          const diagnostic = visit(provider, [...chain, plugin.id]);
+          if (diagnostic && !optional) {
+            problems.push({ type: 'dependency', ...problem, diagnostic });
+          }
+        }
+      }
+
+      const diagnostic = problems.length > 0
+        ? { id: plugin.id, version: plugin.version, problems }
+        : null;
+      diagnostics.set(plugin.id, diagnostic);
+
+      return diagnostic;
+    };
+
+    for (const plugin of pending) {
+      visit(plugin, []);
+    }
+
+    return diagnostics;
+  }
+
+  /**
+   * Find conflicts among the loadable plugins: a plugin cannot be loaded
+   * if it conflicts with a present plugin, or a loaded plugin conflicts with it
+   */
+  findConflicts(viable) {
+    const present = [...this.loaded.values(), ...viable];
+    const blocked = new Map(); // id -> problems
+
+    for (const plugin of viable) {
+      const problems = [];
+
+      for (const [id, range] of Object.entries(plugin.conflictRanges || {})) {
+        const other = present.find(p => p.id === id && p !== plugin);
+        if (other && Semver.satisfies(other.version, range)) {
+          problems.push({ type: 'conflict', dependency: id, range, found: other.version });
+        }
+      }
+
+      for (const other of this.loaded.values()) {
+        const range = other.conflictRanges?.[plugin.id];
+        if (range && Semver.satisfies(plugin.version, range)) {
+          problems.push({ type: 'conflicted', dependency: other.id, range, found: other.version });
+        }
+      }
+
+      if (problems.length > 0) {
+        blocked.set(plugin.id, problems);
+      }
+    }
+
+    return blocked;
+  }
+
+  /**
+   * Sort plugins so that dependencies (required and optional) come first
+   */
+  static sort(plugins) {
+    const sorted = [];
+    const visited = new Set();
+    const visiting = new Set();
+
+    const visit = (plugin) => {
+      if (visited.has(plugin.id)) {
+        return;
+      }
+
+      if (visiting.has(plugin.id)) {
+        throw new Error(`Circular dependency detected: ${plugin.id}`);
+      }
+
+      visiting.add(plugin.id);
+
+      const dependencies = [...plugin.dependencies, ...(plugin.optionalDependencies || [])];
+      for (const depId of dependencies) {
+        const dep = plugins.find(p => p.id === depId);
+        if (dep) {
+          visit(dep);
+        }
+      }
+
+      visiting.delete(plugin.id);
+      visited.add(plugin.id);
+      sorted.push(plugin);
+    };
+
+    for (const plugin of plugins) {
+      visit(plugin);
+    }
+
+    return sorted;
+  }
+
+  /**
+   * Describe one problem of a diagnostic
+   */
+  static describe(problem, diagnostic) {
+    const requires = `${problem.optional ? 'optionally requires' : 'requires'} ${problem.dependency}@${problem.range}`;
+
+    switch (problem.type) {
+      case 'missing':
+        return `${requires}, which is not installed`;
+
+      case 'version':
+        return `${requires}, but ${problem.found} is installed`;
+
+      case 'failed':
+        return `${requires}, which failed to load: ${problem.error}`;
+
+      case 'dependency':
+        return `${requires}, which cannot be loaded`;
+
+      case 'circular':
+        return `${requires}, which is a circular dependency (${problem.cycle.join(' -> ')})`;
+
+      case 'conflict':
+        return `conflicts with ${problem.dependency}@${problem.found} (declares a conflict with ${problem.dependency}@${problem.range})`;
+
+      case 'conflicted':
+        return `${problem.dependency}@${problem.found} declares a conflict with ${diagnostic.id}@${problem.range}`;
+
+      case 'duplicate':
+        return `another ${problem.dependency}@${problem.found} is already present`;
+    }
+  }
+
+  /**
+   * Format a diagnostic as a tree
+   */
+  static format(diagnostic) {
+    const lines = [`${diagnostic.id}@${diagnostic.version} cannot be loaded`];
+
+    const addProblems = (current, indent) => {
+      current.problems.forEach((problem, index) => {
+        const last = index === current.problems.length - 1;
+        lines.push(`${indent}${last ? '└─ ' : '├─ '}${DependencyResolver.describe(problem, current)}`);
+
+        if (problem.type === 'dependency') {
+          addProblems(problem.diagnostic, indent + (last ? '   ' : '│  '));
+        }
+      });
+    };
+
+    addProblems(diagnostic, '');
+    return lines.join('\n');
+  }
+
+  /**
+   * Create the error thrown for an unresolvable plugin
+   */
+  static createError(diagnostic) {
+    const error = new Error(DependencyResolver.format(diagnostic));
+    error.code = DependencyResolver.ERROR_CODE;
+    error.diagnostic = diagnostic;
+    return error;
+  }
+}
+
+module.exports = DependencyResolver;
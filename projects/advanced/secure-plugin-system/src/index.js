@@ -8,7 +8,13 @@ const Plugin = require('./plugin');
 const PluginLoader = require('./plugin-loader');
 const PluginAPI = require('./plugin-api');
 const Sandbox = require('./sandbox');
+const IsolatedSandbox = require('./isolated-sandbox');
 const Security = require('./security');
+const Permissions = require('./permissions');
+const PluginRegistry = require('./plugin-registry');
+const Semver = require('./semver');
+const DependencyResolver = require('./dependency-resolver');
+const ServiceRegistry = require('./service-registry');
 
 module.exports = {
   PluginManager,
@@ -16,5 +22,11 @@ module.exports = {
   PluginLoader,
   PluginAPI,
   Sandbox,
-  Security
+  IsolatedSandbox,
+  Security,
+  Permissions,
+  PluginRegistry,
+  Semver,
+  DependencyResolver,
+  ServiceRegistry
 };
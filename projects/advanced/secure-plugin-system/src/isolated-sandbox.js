@@ -0,0 +1,522 @@
+/**
+ * Isolated Sandbox
+ * Runs a plugin's sandbox in a worker thread or child process
+ *
+ * The plugin's memory limit becomes the heap limit of the worker (or child
+ * process), so a heap blow-up kills the plugin instead of the host. Calls and
+ * Plugin API requests cross the boundary as messages, and a call that does
+ * not answer within its timeout (e.g. a synchronous infinite loop) gets the
+ * plugin killed.
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { fork } = require('child_process');
+const { EventEmitter } = require('events');
+
+const HOST_SCRIPT = path.join(__dirname, 'sandbox-host.js');
+const MB = 1024 * 1024;
+
+class IsolatedSandbox extends EventEmitter {
+  static MODES = ['worker', 'process'];
+
+  // Plugin API methods an isolated sandbox may request, by permission,
+  // with the action they need and how to find their target in the arguments.
+  // A method with its own check() or run() is handled by it instead.
+  static API_METHODS = {
+    fs: {
+      readFile: { action: 'read', target: args => args[0] },
+      writeFile: { action: 'write', target: args => args[0] },
+      exists: { action: 'read', target: args => args[0] },
+      listFiles: { action: 'read', target: args => args[0] ?? '.' }
+    },
+    network: {
+      fetch: { action: null, target: args => args[0] },
+      request: { action: null, target: args => args[0]?.url }
+    },
+    storage: {
+      get: {},
+      set: {},
+      delete: {},
+      list: {}
+    },
+    events: {
+      emit: { action: 'emit', target: args => args[0] }
+    },
+    services: {
+      register: {
+        check: (plugin, args) => plugin.checkService('provide', args[0]),
+        run: (sandbox, [name, methods]) => sandbox.registerService(name, methods)
+      },
+      unregister: { check: (plugin, args) => plugin.checkService('provide', args[0]) },
+      call: { check: (plugin, args) => plugin.checkService('consume', args[0]) },
+      list: { check: () => {} } // Only lists consumed services
+    }
+  };
+
+  constructor(plugin, api, options = {}) {
+    super();
+
+    this.plugin = plugin;
+    this.api = api;
+    this.mode = options.mode || 'worker';
+    this.killGracePeriod = options.killGracePeriod ?? 1000; // Extra time before a silent plugin is killed
+
+    if (!IsolatedSandbox.MODES.includes(this.mode)) {
+      throw new Error(`Invalid isolation mode: ${this.mode}. Use one of: ${IsolatedSandbox.MODES.join(', ')}`);
+    }
+
+    this.child = null; // Worker or ChildProcess
+    this.exports = null; // Proxies for the plugin's exported functions
+    this.pending = new Map(); // call id -> { resolve, reject, timer }
+    this.subscriptions = new Map(); // event name -> listener on the host event bus
+    this.nextCallId = 1;
+    this.crashed = null; // Error that ended the sandbox
+    this.stopping = false;
+    this.stderr = '';
+
+    this.memoryUsage = 0;
+    this.cpuTime = 0;
+  }
+
+  /**
+   * Start the worker thread or child process
+   */
+  createContext() {
+    const memoryLimitMb = Math.max(1, Math.ceil(this.plugin.resources.memoryLimit / MB));
+
+    if (this.mode === 'worker') {
+      this.child = new Worker(HOST_SCRIPT, {
+        resourceLimits: { maxOldGenerationSizeMb: memoryLimitMb }
+      });
+
+      this.child.on('error', (error) => {
+        if (error.code === 'ERR_WORKER_OUT_OF_MEMORY') {
+          this.crash(this.createMemoryLimitError());
+        } else {
+          this.crash(this.createCrashError(error.message));
+        }
+      });
+      this.child.on('exit', (code) => this.crash(this.createCrashError(`exited with code ${code}`)));
+    } else {
+      this.child = fork(HOST_SCRIPT, [], {
+        execArgv: [`--max-old-space-size=${memoryLimitMb}`],
+        serialization: 'advanced',
+        stdio: ['ignore', 'ignore', 'pipe', 'ipc']
+      });
+
+      // Keep the end of stderr to tell heap exhaustion apart from other crashes
+      this.child.stderr.on('data', (chunk) => {
+        this.stderr = (this.stderr + chunk).slice(-4096);
+      });
+      this.child.on('error', (error) => this.crash(this.createCrashError(error.message)));
+      this.child.on('exit', (code, signal) => {
+        if (/heap limit|heap out of memory/i.test(this.stderr)) {
+          this.crash(this.createMemoryLimitError());
+        } else {
+          this.crash(this.createCrashError(signal ? `killed by ${signal}` : `exited with code ${code}`));
+        }
+      });
+      this.child.stderr.unref();
+      this.child.channel.unref();
+    }
+
+    // An idle plugin does not keep the host alive; pending calls hold timers
+    this.child.on('message', (message) => this.handleMessage(message));
+    this.child.unref();
+
+    this.post({
+      type: 'init',
+      plugin: {
+        id: this.plugin.id,
+        name: this.plugin.name,
+        version: this.plugin.version,
+        main: this.plugin.main,
+        permissions: this.plugin.permissions,
+        provides: this.plugin.provides,
+        consumes: this.plugin.consumes,
+        resourceLimits: {
+          memory: this.plugin.resources.memoryLimit,
+          timeout: this.plugin.resources.timeoutLimit,
+          cpu: this.plugin.resources.cpuLimit
+        }
+      }
+    });
+
+    return this.child;
+  }
+
+  /**
+   * Handle a message from the sandbox
+   */
+  handleMessage(message) {
+    if (this.stopping) return;
+
+    switch (message.type) {
+      case 'result': {
+        const call = this.pending.get(message.id);
+        if (!call) return;
+
+        clearTimeout(call.timer);
+        this.pending.delete(message.id);
+
+        if (message.error) {
+          call.reject(IsolatedSandbox.deserializeError(message.error));
+        } else {
+          call.resolve(message.result);
+        }
+        break;
+      }
+
+      case 'api':
+        this.handleAPIRequest(message);
+        break;
+
+      case 'subscribe':
+        this.subscribe(message.eventName);
+        break;
+
+      case 'unsubscribe':
+        this.unsubscribe(message.eventName);
+        break;
+
+      case 'log':
+        this.emit('log', { level: message.level, args: message.args });
+        break;
+
+      case 'error':
+        this.emit('error', IsolatedSandbox.deserializeError(message.error));
+        break;
+    }
+  }
+
+  /**
+   * Run a Plugin API request from the sandbox. Permissions are checked
+   * again here: the host does not trust the other side of the channel.
+   */
+  async handleAPIRequest({ id, method, args }) {
+    let reply;
+
+    try {
+      const [namespace, name] = method.split('.');
+      const access = Object.hasOwn(IsolatedSandbox.API_METHODS, namespace) &&
+        Object.hasOwn(IsolatedSandbox.API_METHODS[namespace], name) &&
+        IsolatedSandbox.API_METHODS[namespace][name];
+      if (!access) {
+        throw new Error(`Unknown plugin API method: ${method}`);
+      }
+      if (access.check) {
+        access.check(this.plugin, args);
+      } else {
+        this.checkPermission(namespace, access.action, access.target?.(args));
+      }
+
+      const result = access.run
+        ? await access.run(this, args)
+        : await this.api[namespace][name](this.plugin.id, ...args);
+      reply = { type: 'api:result', id, result };
+    } catch (error) {
+      reply = { type: 'api:result', id, error: IsolatedSandbox.serializeError(error) };
+    }
+
+    this.post(reply);
+  }
+
+  /**
+   * Register a service implemented in the sandbox: each method call is
+   * sent to the sandbox, which must answer within the plugin's timeout
+   */
+  registerService(name, methods) {
+    if (!Array.isArray(methods)) {
+      throw new Error(`Service ${name} implementation must be an object of methods`);
+    }
+
+    const timeout = this.plugin.resources.timeoutLimit;
+    const implementation = Object.fromEntries(
+      methods
+        .filter(method => typeof method === 'string')
+        .map(method => [
+          method,
+          (...args) => this.request({ type: 'service', name, method, args, timeout }, timeout + this.killGracePeriod)
+        ])
+    );
+
+    return this.api.services.register(this.plugin.id, name, implementation);
+  }
+
+  /**
+   * Forward an event from the host event bus to the sandbox
+   */
+  subscribe(eventName) {
+    if (this.subscriptions.has(eventName)) return;
+
+    try {
+      this.checkPermission('events', 'on', eventName);
+    } catch (error) {
+      this.emit('error', error);
+      return;
+    }
+
+    const listener = (data) => this.post({ type: 'event', eventName, data });
+    this.api.events.on(this.plugin.id, eventName, listener);
+    this.subscriptions.set(eventName, listener);
+  }
+
+  /**
+   * Stop forwarding an event to the sandbox
+   */
+  unsubscribe(eventName) {
+    const listener = this.subscriptions.get(eventName);
+    if (!listener) return;
+
+    this.api.events.off(this.plugin.id, eventName, listener);
+    this.subscriptions.delete(eventName);
+  }
+
+  /**
+   * Check permission, optionally for an action on a target (scoped permissions)
+   */
+  checkPermission(permission, action, target) {
+    this.plugin.checkPermission(permission, action, target);
+  }
+
+  /**
+   * Send a message to the sandbox (throws if it cannot be cloned)
+   */
+  send(message) {
+    if (this.mode === 'worker') {
+      this.child.postMessage(message);
+    } else {
+      this.child.send(message);
+    }
+  }
+
+  /**
+   * Send a message to a running sandbox, reporting failures as errors
+   */
+  post(message) {
+    if (!this.child || this.crashed || this.stopping) return;
+
+    try {
+      this.send(message);
+    } catch (error) {
+      this.emit('error', new Error(`Failed to send message to plugin ${this.plugin.id}: ${error.message}`));
+    }
+  }
+
+  /**
+   * Send a request and wait for its result. The plugin is killed if it
+   * does not answer in time.
+   */
+  request(message, timeout) {
+    if (this.crashed) {
+      return Promise.reject(new Error(`Plugin ${this.plugin.id} has crashed: ${this.crashed.message}`));
+    }
+    if (!this.child || this.stopping) {
+      return Promise.reject(new Error(`Plugin ${this.plugin.id} sandbox is not running`));
+    }
+
+    const id = this.nextCallId++;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        const error = new Error(`Plugin ${this.plugin.id} did not respond within ${timeout}ms and was killed`);
+        error.code = 'ERR_PLUGIN_TIMEOUT';
+        this.crash(error);
+      }, timeout);
+
+      this.pending.set(id, { resolve, reject, timer });
+
+      try {
+        this.send({ ...message, id });
+      } catch (error) {
+        clearTimeout(timer);
+        this.pending.delete(id);
+        reject(new Error(`Failed to send ${message.type} to plugin ${this.plugin.id}: ${error.message}`));
+      }
+    });
+  }
+
+  /**
+   * Execute plugin code in the sandbox
+   */
+  async execute(code, options = {}) {
+    const timeout = options.timeout || this.plugin.resources.timeoutLimit;
+    const { functions } = await this.request({ type: 'load', code, timeout }, timeout + this.killGracePeriod);
+
+    this.exports = {};
+    for (const functionName of functions) {
+      this.exports[functionName] = (...args) => this.executeFunction(functionName, args);
+    }
+  }
+
+  /**
+   * Get the plugin's exports (functions only, proxied to the sandbox)
+   */
+  getExports() {
+    return this.exports;
+  }
+
+  /**
+   * Execute plugin function
+   */
+  async executeFunction(functionName, args = []) {
+    const startTime = Date.now();
+
+    try {
+      if (!this.exports || !this.exports[functionName]) {
+        throw new Error(`Function ${functionName} not found in plugin ${this.plugin.id}`);
+      }
+
+      const timeout = this.plugin.resources.timeoutLimit;
+      const { value, memoryUsage } = await this.request(
+        { type: 'call', functionName, args },
+        timeout + this.killGracePeriod
+      );
+
+      const executionTime = Date.now() - startTime;
+      this.memoryUsage = memoryUsage;
+      this.cpuTime += executionTime;
+
+      this.emit('execution', {
+        functionName,
+        executionTime,
+        memoryUsed: memoryUsage,
+        success: true
+      });
+
+      return value;
+    } catch (error) {
+      this.emit('execution', {
+        functionName,
+        executionTime: Date.now() - startTime,
+        error: error.message,
+        success: false
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Kill the sandbox and fail its pending calls
+   */
+  crash(error) {
+    if (this.crashed || this.stopping) return;
+
+    this.crashed = error;
+    this.rejectPending(error);
+    this.removeSubscriptions();
+    this.terminate();
+
+    this.emit('crash', error);
+  }
+
+  /**
+   * Create the error for a plugin that ran out of heap
+   */
+  createMemoryLimitError() {
+    const limitMb = Math.ceil(this.plugin.resources.memoryLimit / MB);
+    const error = new Error(`Plugin ${this.plugin.id} exceeded its memory limit (${limitMb}MB) and was killed`);
+    error.code = 'ERR_PLUGIN_MEMORY_LIMIT';
+    return error;
+  }
+
+  /**
+   * Create the error for a sandbox that stopped unexpectedly
+   */
+  createCrashError(reason) {
+    const error = new Error(`Plugin ${this.plugin.id} sandbox crashed: ${reason}`);
+    error.code = 'ERR_PLUGIN_CRASHED';
+    return error;
+  }
+
+  /**
+   * Reject all calls waiting for an answer
+   */
+  rejectPending(error) {
+    for (const call of this.pending.values()) {
+      clearTimeout(call.timer);
+      call.reject(error);
+    }
+    this.pending.clear();
+  }
+
+  /**
+   * Remove event bus listeners registered for the sandbox
+   */
+  removeSubscriptions() {
+    for (const eventName of Array.from(this.subscriptions.keys())) {
+      this.unsubscribe(eventName);
+    }
+  }
+
+  /**
+   * Stop the worker thread or child process
+   */
+  terminate() {
+    if (!this.child) return;
+
+    if (this.mode === 'worker') {
+      this.child.terminate().catch(() => {});
+    } else if (this.child.exitCode === null && this.child.signalCode === null) {
+      this.child.kill('SIGKILL');
+    }
+  }
+
+  /**
+   * Get resource usage
+   */
+  getResourceUsage() {
+    return {
+      isolation: this.mode,
+      crashed: Boolean(this.crashed),
+      memoryUsage: this.memoryUsage,
+      cpuTime: this.cpuTime,
+      memoryLimit: this.plugin.resources.memoryLimit,
+      timeoutLimit: this.plugin.resources.timeoutLimit,
+      memoryPercent: (this.memoryUsage / this.plugin.resources.memoryLimit) * 100,
+      cpuPercent: (this.cpuTime / this.plugin.resources.cpuLimit) * 100
+    };
+  }
+
+  /**
+   * Cleanup sandbox
+   */
+  cleanup() {
+    if (!this.crashed) {
+      this.rejectPending(new Error(`Plugin ${this.plugin.id} sandbox was stopped`));
+      this.removeSubscriptions();
+      this.terminate();
+    }
+
+    this.stopping = true;
+    this.exports = null;
+    this.removeAllListeners();
+  }
+
+  /**
+   * Convert an error into a plain object that survives message passing
+   */
+  static serializeError(error) {
+    return {
+      name: error?.name || 'Error',
+      message: error?.message ?? String(error),
+      code: error?.code,
+      stack: error?.stack
+    };
+  }
+
+  /**
+   * Rebuild an error sent by serializeError
+   */
+  static deserializeError(data) {
+    const error = new Error(data.message);
+    error.name = data.name;
+    if (data.code !== undefined) error.code = data.code;
+    if (data.stack) error.stack = data.stack;
+    return error;
+  }
+}
+
+module.exports = IsolatedSandbox;
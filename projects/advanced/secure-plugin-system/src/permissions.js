@@ -0,0 +1,273 @@
+/**
+ * Permissions
+ * Parses and checks plugin permissions, including scoped ones
+ *
+ * A permission is a resource, optionally narrowed by an action and a scope:
+ *   fs                      any file in the plugin's data directory
+ *   fs:read:data/*          read files under data/
+ *   network:https://api.example.com/*
+ *   events:emit:reports.*   emit events named reports.<anything>
+ * In scopes, `*` matches any sequence of characters, except in the host of
+ * a network scope, where it matches within one DNS label.
+ */
+
+const path = require('path');
+
+class Permissions {
+  // Resources and the actions they can be narrowed to
+  static RESOURCES = {
+    fs: ['read', 'write'],
+    network: [], // Scoped by URL pattern
+    storage: [],
+    events: ['emit', 'on'],
+    crypto: []
+  };
+
+  constructor(permissions = []) {
+    this.grants = permissions.map(permission => Permissions.parse(permission));
+  }
+
+  /**
+   * Parse a permission string into { permission, resource, action, scope }
+   */
+  static parse(permission) {
+    if (typeof permission !== 'string' || !permission) {
+      throw new Error(`Invalid permission: ${permission}`);
+    }
+
+    if (permission === '*') {
+      return { permission, resource: '*', action: null, scope: null };
+    }
+
+    const separator = permission.indexOf(':');
+    const resource = separator === -1 ? permission : permission.slice(0, separator);
+    const rest = separator === -1 ? null : permission.slice(separator + 1);
+
+    if (!Object.hasOwn(Permissions.RESOURCES, resource)) {
+      throw new Error(`Invalid permission: ${permission}`);
+    }
+
+    if (rest === null) {
+      return { permission, resource, action: null, scope: null };
+    }
+
+    if (resource === 'network') {
+      if (!Permissions.parseNetworkScope(rest)) {
+        throw new Error(`Invalid permission: ${permission}. Network scopes must be http(s) URL patterns`);
+      }
+      return { permission, resource, action: null, scope: rest };
+    }
+
+    const actions = Permissions.RESOURCES[resource];
+    if (actions.length === 0) {
+      throw new Error(`Invalid permission: ${permission}. ${resource} cannot be scoped`);
+    }
+
+    const actionSeparator = rest.indexOf(':');
+    const action = actionSeparator === -1 ? rest : rest.slice(0, actionSeparator);
+    const scope = actionSeparator === -1 ? null : rest.slice(actionSeparator + 1);
+
+    if (action !== '*' && !actions.includes(action)) {
+      throw new Error(`Invalid permission: ${permission}. ${resource} actions are: ${actions.join(', ')}, *`);
+    }
+    if (scope === '') {
+      throw new Error(`Invalid permission: ${permission}. Scope is empty`);
+    }
+
+    return { permission, resource, action, scope };
+  }
+
+  /**
+   * Split a network scope into { protocol, host, port, path } patterns
+   * (null if it is not an http(s) URL pattern). The port is null for the
+   * default port; the path includes the query.
+   */
+  static parseNetworkScope(scope) {
+    const match = /^(https?):\/\/([^/?#]+)([^#]*)$/i.exec(scope);
+    if (!match) {
+      return null;
+    }
+
+    const [, protocol, authority, path] = match;
+    const hostMatch = /^([a-z0-9.*-]+)(?::(\d+|\*))?$/i.exec(authority);
+    if (!hostMatch) {
+      return null; // No credentials or IPv6 literals
+    }
+
+    const scheme = protocol.toLowerCase();
+    let port = hostMatch[2] || null;
+    if (port && port !== '*') {
+      port = String(Number(port));
+      if (port === { http: '80', https: '443' }[scheme]) {
+        port = null;
+      }
+    }
+
+    return {
+      protocol: `${scheme}:`,
+      host: hostMatch[1].toLowerCase(),
+      port,
+      path: path || '/'
+    };
+  }
+
+  /**
+   * Validate a list of permissions (throws on the first invalid one)
+   */
+  static validate(permissions) {
+    if (!Array.isArray(permissions)) {
+      throw new Error('Permissions must be an array');
+    }
+
+    new Permissions(permissions);
+    return true;
+  }
+
+  /**
+   * Check if any grant covers the resource (decides which APIs a plugin gets)
+   */
+  has(resource) {
+    return this.grants.some(grant => grant.resource === '*' || grant.resource === resource);
+  }
+
+  /**
+   * Check if an action on a target is allowed. A scoped grant only
+   * covers targets that match its scope.
+   */
+  allows(resource, action = null, target) {
+    const normalized = Permissions.normalizeTarget(resource, target);
+
+    return this.grants.some((grant) => {
+      if (grant.resource === '*') return true;
+      if (grant.resource !== resource) return false;
+      if (action && grant.action && grant.action !== '*' && grant.action !== action) return false;
+      if (!grant.scope) return true;
+
+      return normalized !== null && Permissions.matchScope(resource, grant.scope, normalized);
+    });
+  }
+
+  /**
+   * Normalize a target before matching (null if it cannot be matched)
+   */
+  static normalizeTarget(resource, target) {
+    if (typeof target !== 'string') {
+      return null;
+    }
+
+    if (resource === 'fs') {
+      return path.posix.normalize(target.replace(/\\/g, '/')).replace(/^\.\//, '');
+    }
+
+    if (resource === 'network') {
+      try {
+        return new URL(target).href;
+      } catch {
+        return null;
+      }
+    }
+
+    return target;
+  }
+
+  /**
+   * Match a normalized target against a scope pattern. A file scope
+   * ending in /* also covers the directory itself.
+   */
+  static matchScope(resource, scope, target) {
+    if (resource === 'network') {
+      return Permissions.matchNetworkScope(scope, target);
+    }
+
+    if (Permissions.compilePattern(scope, '.*').test(target)) {
+      return true;
+    }
+
+    return resource === 'fs' && scope.endsWith('/*') && target === scope.slice(0, -2);
+  }
+
+  /**
+   * Match a URL against a network scope part by part, so a wildcard in
+   * the path can never match a different host
+   */
+  static matchNetworkScope(scope, target) {
+    const pattern = Permissions.parseNetworkScope(scope);
+    const url = new URL(target);
+
+    if (url.protocol !== pattern.protocol) {
+      return false;
+    }
+
+    // A host of just * matches any host; elsewhere * stays within one label
+    if (pattern.host !== '*' && !Permissions.compilePattern(pattern.host, '[a-z0-9-]+').test(url.hostname)) {
+      return false;
+    }
+
+    if (pattern.port !== '*' && url.port !== (pattern.port || '')) {
+      return false;
+    }
+
+    return Permissions.compilePattern(pattern.path, '.*').test(url.pathname + url.search);
+  }
+
+  /**
+   * Compile a scope pattern, replacing each * with the given expression
+   */
+  static compilePattern(pattern, wildcard) {
+    return new RegExp(`^${pattern.split('*').map(Permissions.escapeRegExp).join(wildcard)}$`);
+  }
+
+  /**
+   * Escape regular expression characters
+   */
+  static escapeRegExp(text) {
+    return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Describe a grant for the operator
+   */
+  static describe(grant) {
+    const within = grant.scope ? ` matching "${grant.scope}"` : '';
+
+    switch (grant.resource) {
+      case '*':
+        return 'Full access to every plugin API';
+
+      case 'fs': {
+        const verb = { read: 'Read', write: 'Write' }[grant.action] || 'Read and write';
+        return grant.scope
+          ? `${verb} files${within} in its data directory`
+          : `${verb} any file in its data directory`;
+      }
+
+      case 'network':
+        return grant.scope
+          ? `Make HTTP(S) requests to URLs${within}`
+          : 'Make HTTP(S) requests to any allowed domain';
+
+      case 'storage':
+        return 'Read and write its key-value storage';
+
+      case 'events': {
+        const verb = { emit: 'Emit', on: 'Listen to' }[grant.action] || 'Emit and listen to';
+        return grant.scope ? `${verb} events${within}` : `${verb} any event`;
+      }
+
+      case 'crypto':
+        return 'Use crypto utilities';
+    }
+  }
+
+  /**
+   * Describe every grant: [{ permission, description }]
+   */
+  summarize() {
+    return this.grants.map(grant => ({
+      permission: grant.permission,
+      description: Permissions.describe(grant)
+    }));
+  }
+}
+
+module.exports = Permissions;
@@ -8,6 +8,7 @@ const path = require('path');
 const http = require('http');
 const https = require('https');
 const { EventEmitter } = require('events');
+const ServiceRegistry = require('./service-registry');
 
 class PluginAPI {
   constructor(options = {}) {
@@ -16,6 +17,7 @@ class PluginAPI {
     this.pluginDataDir = path.join(this.dataDir, 'plugins');
 
     this.eventBus = new EventEmitter();
+    this.serviceRegistry = new ServiceRegistry({ timeout: options.serviceTimeout });
     this.storage = new Map();
 
     // Network restrictions
@@ -232,6 +234,39 @@ class PluginAPI {
     }
   };
 
+  /**
+   * Services API (provides/consumes are checked by the service registry)
+   */
+  services = {
+    /**
+     * Register the implementation of a provided service
+     */
+    register: async (pluginId, name, implementation) => {
+      return this.serviceRegistry.register(pluginId, name, implementation);
+    },
+
+    /**
+     * Remove a registered service
+     */
+    unregister: async (pluginId, name) => {
+      return this.serviceRegistry.unregister(pluginId, name);
+    },
+
+    /**
+     * Call a method of a consumed service
+     */
+    call: async (pluginId, name, method, args = []) => {
+      return await this.serviceRegistry.call(pluginId, name, method, args);
+    },
+
+    /**
+     * List the consumed services that are available
+     */
+    list: async (pluginId) => {
+      return this.serviceRegistry.list(pluginId);
+    }
+  };
+
   /**
    * Get safe plugin path (prevent directory traversal)
    */
@@ -333,6 +368,9 @@ class PluginAPI {
       },
       events: {
         listeners: this.eventBus.listenerCount()
+      },
+      services: {
+        registered: this.serviceRegistry.services.size
       }
     };
   }
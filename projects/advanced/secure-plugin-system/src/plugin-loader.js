@@ -7,7 +7,10 @@ const fs = require('fs');
 const path = require('path');
 const { EventEmitter } = require('events');
 const Plugin = require('./plugin');
+const Permissions = require('./permissions');
+const DependencyResolver = require('./dependency-resolver');
 const Sandbox = require('./sandbox');
+const IsolatedSandbox = require('./isolated-sandbox');
 
 class PluginLoader extends EventEmitter {
   constructor(pluginsDir, api, options = {}) {
@@ -17,6 +20,12 @@ class PluginLoader extends EventEmitter {
     this.api = api;
     this.options = options;
 
+    // 'vm' runs plugins in the host isolate; 'worker' and 'process' isolate them
+    this.isolation = options.isolation || 'vm';
+    if (this.isolation !== 'vm' && !IsolatedSandbox.MODES.includes(this.isolation)) {
+      throw new Error(`Invalid isolation mode: ${this.isolation}. Use one of: vm, ${IsolatedSandbox.MODES.join(', ')}`);
+    }
+
     this.plugins = new Map();
     this.sandboxes = new Map();
     this.loadedPlugins = new Set();
@@ -78,24 +87,32 @@ class PluginLoader extends EventEmitter {
   }
 
   /**
-   * Load a plugin
+   * Load a plugin (options.failed: plugins that failed to load earlier, by ID)
    */
-  async load(plugin) {
+  async load(plugin, options = {}) {
     if (this.plugins.has(plugin.id)) {
       throw new Error(`Plugin ${plugin.id} is already loaded`);
     }
 
     this.emit('plugin:loading', plugin);
 
+    let sandbox = null;
+
     try {
       // Check dependencies
-      await this.checkDependencies(plugin);
+      await this.checkDependencies(plugin, options.failed);
+
+      // Reject unknown or malformed permissions before running any code
+      Permissions.validate(plugin.permissions);
+
+      // Services it provides can be registered while it loads
+      this.api.serviceRegistry.declare(plugin);
 
       // Load plugin code
       await plugin.load();
 
       // Create sandbox
-      const sandbox = new Sandbox(plugin, this.api);
+      sandbox = this.createSandbox(plugin);
       sandbox.createContext();
 
       // Setup sandbox event forwarding
@@ -105,7 +122,7 @@ class PluginLoader extends EventEmitter {
       await sandbox.execute(plugin.code);
 
       // Get exports
-      const exports = sandbox.context.module.exports;
+      const exports = sandbox.getExports();
       plugin.setExports(exports);
       plugin.setSandbox(sandbox);
 
@@ -126,24 +143,58 @@ class PluginLoader extends EventEmitter {
 
       return plugin;
     } catch (error) {
-      plugin.status = Plugin.STATUS.ERROR;
-      plugin.lastError = {
-        message: error.message,
-        stack: error.stack,
-        timestamp: Date.now()
-      };
+      if (sandbox && this.sandboxes.get(plugin.id) !== sandbox) {
+        sandbox.cleanup();
+      }
 
-      this.emit('plugin:error', {
-        plugin,
-        error
-      });
+      // Services registered before the failure are not callable
+      const stored = this.plugins.get(plugin.id);
+      if (stored === plugin) {
+        this.api.serviceRegistry.unbind(plugin.id, 'failed to load');
+      } else if (!stored) {
+        this.api.serviceRegistry.forget(plugin.id, 'failed to load');
+      }
 
+      this.recordError(plugin, error);
       throw error;
     }
   }
 
   /**
-   * Load all discovered plugins
+   * Mark a plugin as failed and report the error
+   */
+  recordError(plugin, error) {
+    plugin.status = Plugin.STATUS.ERROR;
+    plugin.lastError = {
+      message: error.message,
+      code: error.code,
+      stack: error.stack,
+      timestamp: Date.now()
+    };
+
+    this.emit('plugin:error', {
+      plugin,
+      error
+    });
+  }
+
+  /**
+   * Create the sandbox for a plugin in the configured isolation mode
+   */
+  createSandbox(plugin) {
+    if (this.isolation === 'vm') {
+      return new Sandbox(plugin, this.api);
+    }
+
+    return new IsolatedSandbox(plugin, this.api, {
+      mode: this.isolation,
+      killGracePeriod: this.options.killGracePeriod
+    });
+  }
+
+  /**
+   * Load all discovered plugins. Plugins whose dependencies cannot be
+   * satisfied are reported in results.failed with a diagnostic tree.
    */
   async loadAll() {
     const discovered = await this.discover();
@@ -152,17 +203,27 @@ class PluginLoader extends EventEmitter {
       failed: []
     };
 
-    // Sort by dependencies
-    const sorted = this.sortByDependencies(discovered);
+    const resolution = new DependencyResolver(this.getAllPlugins()).resolve(discovered);
 
-    for (const plugin of sorted) {
+    for (const { plugin, diagnostic } of resolution.unresolved) {
+      const error = DependencyResolver.createError(diagnostic);
+      this.recordError(plugin, error);
+      results.failed.push({ id: plugin.id, error: error.message, diagnostic });
+    }
+
+    // Plugins that fail to load take their dependents down with them
+    const failed = new Map(); // plugin id -> error
+
+    for (const plugin of resolution.order) {
       try {
-        await this.load(plugin);
+        await this.load(plugin, { failed });
         results.loaded.push(plugin.id);
       } catch (error) {
+        failed.set(plugin.id, error);
         results.failed.push({
           id: plugin.id,
-          error: error.message
+          error: error.message,
+          ...(error.diagnostic && { diagnostic: error.diagnostic })
         });
       }
     }
@@ -171,53 +232,23 @@ class PluginLoader extends EventEmitter {
   }
 
   /**
-   * Check plugin dependencies
+   * Check that a plugin's dependencies are loaded in matching versions and
+   * that it does not conflict with a loaded plugin. Throws an error with a
+   * diagnostic tree (error.diagnostic) otherwise.
    */
-  async checkDependencies(plugin) {
-    for (const depId of plugin.dependencies) {
-      if (!this.loadedPlugins.has(depId)) {
-        throw new Error(`Missing dependency: ${depId}`);
-      }
+  async checkDependencies(plugin, failed = new Map()) {
+    const { unresolved } = new DependencyResolver(this.getAllPlugins(), { failed }).resolve([plugin]);
+
+    if (unresolved.length > 0) {
+      throw DependencyResolver.createError(unresolved[0].diagnostic);
     }
   }
 
   /**
-   * Sort plugins by dependencies
+   * Sort plugins by dependencies (required and optional)
    */
   sortByDependencies(plugins) {
-    const sorted = [];
-    const visited = new Set();
-    const visiting = new Set();
-
-    const visit = (plugin) => {
-      if (visited.has(plugin.id)) {
-        return;
-      }
-
-      if (visiting.has(plugin.id)) {
-        throw new Error(`Circular dependency detected: ${plugin.id}`);
-      }
-
-      visiting.add(plugin.id);
-
-      // Visit dependencies first
-      for (const depId of plugin.dependencies) {
-        const dep = plugins.find(p => p.id === depId);
-        if (dep) {
-          visit(dep);
-        }
-      }
-
-      visiting.delete(plugin.id);
-      visited.add(plugin.id);
-      sorted.push(plugin);
-    };
-
-    for (const plugin of plugins) {
-      visit(plugin);
-    }
-
-    return sorted;
+    return DependencyResolver.sort(plugins);
   }
 
   /**
@@ -274,6 +305,17 @@ class PluginLoader extends EventEmitter {
         ...data
       });
     });
+
+    // Isolated sandboxes only: the plugin was killed or died
+    sandbox.on('crash', (error) => {
+      plugin.crash(error);
+      this.api.serviceRegistry.unbind(plugin.id, 'crashed');
+
+      this.emit('plugin:crashed', {
+        plugin,
+        error
+      });
+    });
   }
 
   /**
@@ -326,15 +368,16 @@ class PluginLoader extends EventEmitter {
     }
 
     plugin.disable();
+    this.api.serviceRegistry.unbind(pluginId, 'disabled');
     this.emit('plugin:disabled', plugin);
 
     return plugin;
   }
 
   /**
-   * Unload plugin
+   * Unload plugin (options.force skips the dependents check, e.g. to replace a version)
    */
-  async unload(pluginId) {
+  async unload(pluginId, options = {}) {
     const plugin = this.plugins.get(pluginId);
     if (!plugin) {
       throw new Error(`Plugin ${pluginId} not found`);
@@ -342,14 +385,15 @@ class PluginLoader extends EventEmitter {
 
     // Check if other plugins depend on this one
     for (const [id, p] of this.plugins) {
-      if (p.dependencies.includes(pluginId)) {
+      if (!options.force && p.dependencies.includes(pluginId)) {
         throw new Error(`Cannot unload ${pluginId}: ${id} depends on it`);
       }
     }
 
     // Call destroy hook if available
     const sandbox = this.sandboxes.get(pluginId);
-    if (plugin.exports.destroy && typeof plugin.exports.destroy === 'function') {
+    const crashed = plugin.status === Plugin.STATUS.CRASHED;
+    if (!crashed && plugin.exports.destroy && typeof plugin.exports.destroy === 'function') {
       try {
         await sandbox.executeFunction('destroy');
       } catch (error) {
@@ -357,7 +401,8 @@ class PluginLoader extends EventEmitter {
       }
     }
 
-    // Cleanup sandbox
+    // Unbind its services, then cleanup sandbox
+    this.api.serviceRegistry.forget(pluginId);
     sandbox.cleanup();
 
     // Remove from maps
@@ -439,7 +484,8 @@ class PluginLoader extends EventEmitter {
         loaded: 0,
         active: 0,
         disabled: 0,
-        error: 0
+        error: 0,
+        crashed: 0
       },
       plugins: []
     };
@@ -465,7 +511,10 @@ class PluginLoader extends EventEmitter {
    * Cleanup loader
    */
   async cleanup() {
-    const pluginIds = Array.from(this.plugins.keys());
+    // Unload dependents before the plugins they depend on
+    const pluginIds = this.sortByDependencies(Array.from(this.plugins.values()))
+      .map(plugin => plugin.id)
+      .reverse();
 
     for (const pluginId of pluginIds) {
       try {
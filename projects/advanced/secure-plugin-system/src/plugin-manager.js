@@ -3,10 +3,18 @@
  * Main orchestrator for the plugin system
  */
 
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
 const { EventEmitter } = require('events');
+const Plugin = require('./plugin');
 const PluginLoader = require('./plugin-loader');
 const PluginAPI = require('./plugin-api');
 const Security = require('./security');
+const Permissions = require('./permissions');
+const PluginRegistry = require('./plugin-registry');
+const Semver = require('./semver');
+const DependencyResolver = require('./dependency-resolver');
 
 class PluginManager extends EventEmitter {
   constructor(options = {}) {
@@ -21,7 +29,8 @@ class PluginManager extends EventEmitter {
       allowedDomains: options.allowedDomains,
       blockedDomains: options.blockedDomains,
       maxRequestSize: options.maxRequestSize,
-      requestTimeout: options.requestTimeout
+      requestTimeout: options.requestTimeout,
+      serviceTimeout: options.serviceTimeout
     });
 
     this.security = new Security({
@@ -32,10 +41,20 @@ class PluginManager extends EventEmitter {
 
     this.loader = new PluginLoader(this.pluginsDir, this.api, options);
 
+    // Local registry of signed plugin archives (install/upgrade)
+    this.registry = options.registryDir ? new PluginRegistry(options.registryDir) : null;
+
     // Options
     this.autoActivate = options.autoActivate !== false;
     this.scanPlugins = options.scanPlugins !== false;
 
+    // Operator consent to a plugin's permissions before its first activation.
+    // onConsent(summary) resolves to true to grant; without it, plugins that
+    // request permissions need grantConsent() before they can be activated.
+    this.onConsent = options.onConsent || null;
+    this.consentsPath = path.join(this.api.dataDir, 'consents.json');
+    this.consents = new Map(); // plugin id -> { permissions, grantedAt }
+
     this.initialized = false;
 
     // Setup event forwarding
@@ -55,8 +74,13 @@ class PluginManager extends EventEmitter {
     this.loader.on('plugin:disabled', (plugin) => this.emit('plugin:disabled', plugin));
     this.loader.on('plugin:unloaded', (plugin) => this.emit('plugin:unloaded', plugin));
     this.loader.on('plugin:error', (data) => this.emit('plugin:error', data));
+    this.loader.on('plugin:crashed', (data) => this.emit('plugin:crashed', data));
     this.loader.on('plugin:execution', (data) => this.emit('plugin:execution', data));
     this.loader.on('plugin:log', (data) => this.emit('plugin:log', data));
+
+    // Forward service registry events
+    this.api.serviceRegistry.on('service:registered', (data) => this.emit('service:registered', data));
+    this.api.serviceRegistry.on('service:unbound', (data) => this.emit('service:unbound', data));
   }
 
   /**
@@ -73,6 +97,9 @@ class PluginManager extends EventEmitter {
     // Initialize security
     await this.security.initialize();
 
+    // Load recorded consents
+    await this.loadConsents();
+
     this.initialized = true;
     this.emit('initialized');
   }
@@ -129,7 +156,7 @@ class PluginManager extends EventEmitter {
     if (this.autoActivate) {
       for (const pluginId of results.loaded) {
         try {
-          this.loader.activate(pluginId);
+          await this.activate(pluginId);
         } catch (error) {
           console.error(`Failed to activate plugin ${pluginId}:`, error.message);
         }
@@ -145,13 +172,12 @@ class PluginManager extends EventEmitter {
    * Load single plugin
    */
   async loadPlugin(pluginDir) {
-    const Plugin = require('./plugin');
     const plugin = await Plugin.fromDirectory(pluginDir);
 
-    // Scan for security issues
+    // Scan for security issues (before any plugin code runs)
     if (this.scanPlugins) {
-      await plugin.load();
-      const scanResult = Security.scanPlugin(plugin.code);
+      const code = await fs.promises.readFile(plugin.mainPath, 'utf8');
+      const scanResult = Security.scanPlugin(code);
 
       if (!scanResult.safe) {
         throw new Error(`Plugin failed security scan: ${scanResult.issues[0].message}`);
@@ -169,14 +195,355 @@ class PluginManager extends EventEmitter {
       }
     }
 
-    // Auto-activate
-    if (this.autoActivate) {
-      this.loader.activate(plugin.id);
+    // Auto-activate. A plugin whose permissions were not granted stays loaded
+    // and inactive until grantConsent() and activate() are called for it.
+    if (this.autoActivate && await this.requestConsent(plugin)) {
+      await this.activate(plugin.id);
     }
 
     return plugin;
   }
 
+  /**
+   * Get the registry (throws if none is configured)
+   */
+  requireRegistry() {
+    if (!this.registry) {
+      throw new Error('No plugin registry configured (set the registryDir option)');
+    }
+    return this.registry;
+  }
+
+  /**
+   * Sign a plugin directory (if a private key is loaded) and publish it to the registry
+   */
+  async publish(pluginDir) {
+    const registry = this.requireRegistry();
+
+    if (this.security.privateKey) {
+      await this.security.signPlugin(pluginDir);
+    }
+
+    return await registry.publish(pluginDir);
+  }
+
+  /**
+   * Install a plugin and its missing dependencies from the registry.
+   * Everything installed is rolled back if any plugin fails to load or activate.
+   * Plugins still waiting for consent to their permissions are listed in
+   * awaitingConsent and left inactive.
+   */
+  async install(pluginId, versionRange = '*') {
+    const registry = this.requireRegistry();
+
+    const existing = this.loader.getPlugin(pluginId);
+    if (existing) {
+      throw new Error(`Plugin ${pluginId} is already installed (${existing.version}). Use upgrade() instead`);
+    }
+
+    const plan = await this.planInstall(pluginId, versionRange);
+    this.checkPlan(plan, pluginId);
+    await this.checkInstallTargets(plan);
+    const archives = await this.fetchVerified(registry, plan);
+
+    const installed = [];
+    try {
+      for (const entry of plan.values()) {
+        const pluginDir = path.join(this.pluginsDir, entry.id);
+        installed.push(entry.id);
+        await PluginRegistry.unpack(archives.get(entry.id), pluginDir);
+        await this.loadPlugin(pluginDir);
+      }
+    } catch (error) {
+      await this.rollbackInstalled(installed);
+      this.emit('plugin:rollback', { pluginId, versionRange, removed: installed, error });
+      throw new Error(`Failed to install ${pluginId}: ${error.message} (installation rolled back)`, { cause: error });
+    }
+
+    const result = {
+      id: pluginId,
+      version: plan.get(pluginId).version,
+      installed: Array.from(plan.values()).map(entry => ({ id: entry.id, version: entry.version })),
+      awaitingConsent: installed.filter(id => !this.hasConsent(this.loader.getPlugin(id)))
+    };
+    this.emit('plugin:installed', result);
+
+    return result;
+  }
+
+  /**
+   * Upgrade an installed plugin to the highest registry version in a range.
+   * The previous version is restored if the new one fails to load or activate,
+   * including when its permissions were not granted.
+   */
+  async upgrade(pluginId, versionRange = '*') {
+    const registry = this.requireRegistry();
+
+    const current = this.loader.getPlugin(pluginId);
+    if (!current) {
+      throw new Error(`Plugin ${pluginId} not found`);
+    }
+
+    const entry = await registry.resolve(pluginId, versionRange);
+    if (Semver.compare(entry.version, current.version) <= 0) {
+      return { id: pluginId, version: current.version, previousVersion: current.version, upgraded: false, installed: [] };
+    }
+
+    // Plugins that depend on this one must accept the new version
+    for (const plugin of this.loader.getAllPlugins()) {
+      const range = plugin.dependencyRanges[pluginId];
+      if (range && !Semver.satisfies(entry.version, range)) {
+        throw new Error(`Cannot upgrade ${pluginId} to ${entry.version}: ${plugin.id} requires ${pluginId}@${range}`);
+      }
+    }
+
+    // Dependencies the new version needs that are not installed yet
+    const plan = new Map();
+    for (const [depId, range] of Object.entries(entry.dependencies || {})) {
+      await this.planInstall(depId, range, plan, [pluginId]);
+    }
+
+    this.checkPlan(new Map([...plan, [pluginId, entry]]), pluginId);
+    await this.checkInstallTargets(plan);
+    const archives = await this.fetchVerified(registry, new Map([...plan, [pluginId, entry]]));
+
+    const pluginDir = current.pluginDir;
+    const wasActive = current.status === Plugin.STATUS.ACTIVE;
+    const backup = await PluginRegistry.pack(pluginDir);
+    const installed = [];
+    let replaced = false;
+
+    try {
+      for (const dependency of plan.values()) {
+        installed.push(dependency.id);
+        await PluginRegistry.unpack(archives.get(dependency.id), path.join(this.pluginsDir, dependency.id));
+        await this.loadPlugin(path.join(this.pluginsDir, dependency.id));
+      }
+
+      replaced = true;
+      await this.loader.unload(pluginId, { force: true });
+      await fs.promises.rm(pluginDir, { recursive: true, force: true });
+      await PluginRegistry.unpack(archives.get(pluginId), pluginDir);
+      const upgraded = await this.loadPlugin(pluginDir);
+
+      if (this.autoActivate && upgraded.status !== Plugin.STATUS.ACTIVE) {
+        throw this.consentError(pluginId);
+      }
+    } catch (error) {
+      if (replaced) {
+        await this.restorePlugin(pluginId, pluginDir, backup, wasActive);
+      }
+      await this.rollbackInstalled(installed);
+      this.emit('plugin:rollback', { pluginId, versionRange, removed: installed, restored: replaced ? current.version : null, error });
+      throw new Error(`Failed to upgrade ${pluginId} to ${entry.version}: ${error.message} (upgrade rolled back)`, { cause: error });
+    }
+
+    const result = {
+      id: pluginId,
+      version: entry.version,
+      previousVersion: current.version,
+      upgraded: true,
+      installed: Array.from(plan.values()).map(dependency => ({ id: dependency.id, version: dependency.version }))
+    };
+    this.emit('plugin:upgraded', result);
+
+    return result;
+  }
+
+  /**
+   * Unload an installed plugin and remove it from the plugins directory
+   */
+  async uninstall(pluginId) {
+    const plugin = this.loader.getPlugin(pluginId);
+    if (!plugin) {
+      throw new Error(`Plugin ${pluginId} not found`);
+    }
+
+    if (path.dirname(path.resolve(plugin.pluginDir)) !== path.resolve(this.pluginsDir)) {
+      throw new Error(`Plugin ${pluginId} is not installed in ${this.pluginsDir}`);
+    }
+
+    // Refuses while other plugins depend on it
+    await this.loader.unload(pluginId);
+    await fs.promises.rm(plugin.pluginDir, { recursive: true, force: true });
+
+    if (this.consents.delete(pluginId)) {
+      await this.persistConsents();
+    }
+
+    this.emit('plugin:uninstalled', { id: pluginId, version: plugin.version });
+
+    return plugin;
+  }
+
+  /**
+   * Work out the registry versions to install for a plugin and its dependencies,
+   * dependencies first. Installed plugins that satisfy a range are reused.
+   */
+  async planInstall(pluginId, versionRange, plan = new Map(), chain = []) {
+    const requiredBy = chain.length > 0 ? chain[chain.length - 1] : null;
+
+    if (chain.includes(pluginId)) {
+      throw new Error(`Circular dependency: ${[...chain, pluginId].join(' -> ')}`);
+    }
+
+    const installed = this.loader.getPlugin(pluginId);
+    if (installed) {
+      if (!Semver.satisfies(installed.version, versionRange)) {
+        throw new Error(`${requiredBy} requires ${pluginId}@${versionRange}, but ${installed.version} is installed`);
+      }
+      return plan;
+    }
+
+    const planned = plan.get(pluginId);
+    if (planned) {
+      if (!Semver.satisfies(planned.version, versionRange)) {
+        throw new Error(`${requiredBy} requires ${pluginId}@${versionRange}, which conflicts with ${planned.version}`);
+      }
+      return plan;
+    }
+
+    let entry;
+    try {
+      entry = await this.registry.resolve(pluginId, versionRange);
+    } catch (error) {
+      throw new Error(requiredBy ? `${error.message} (required by ${requiredBy})` : error.message);
+    }
+
+    for (const [depId, range] of Object.entries(entry.dependencies || {})) {
+      await this.planInstall(depId, range, plan, [...chain, pluginId]);
+    }
+    plan.set(pluginId, entry);
+
+    return plan;
+  }
+
+  /**
+   * Check planned registry entries against the loaded plugins (optional
+   * dependency ranges and conflicts). A loaded version of pluginId is
+   * left out, as the plan replaces it.
+   */
+  checkPlan(plan, pluginId) {
+    const loaded = this.loader.getAllPlugins().filter(plugin => plugin.id !== pluginId);
+    const candidates = Array.from(plan.values()).map(entry =>
+      new Plugin(entry, { pluginDir: path.join(this.pluginsDir, entry.id) })
+    );
+
+    const { unresolved } = new DependencyResolver(loaded).resolve(candidates);
+    if (unresolved.length > 0) {
+      const root = unresolved.find(({ plugin }) => plugin.id === pluginId) || unresolved[0];
+      throw DependencyResolver.createError(root.diagnostic);
+    }
+  }
+
+  /**
+   * Make sure planned plugins would not overwrite existing directories
+   */
+  async checkInstallTargets(plan) {
+    for (const entry of plan.values()) {
+      const pluginDir = path.join(this.pluginsDir, entry.id);
+      if (await this.pathExists(pluginDir)) {
+        throw new Error(`Cannot install ${entry.id}: ${pluginDir} already exists`);
+      }
+    }
+  }
+
+  /**
+   * Fetch archives and check each one before anything is installed:
+   * manifest matches the index, signature verifies, code passes the scan.
+   */
+  async fetchVerified(registry, entries) {
+    // Fail closed: an install must not skip the signature check it requires
+    if (this.security.requireSignature && !this.security.publicKey) {
+      throw new Error('Cannot verify plugin signatures: requireSignature is set but no public key is loaded');
+    }
+
+    const archives = new Map();
+
+    for (const entry of entries.values()) {
+      const archive = await registry.fetch(entry.id, entry.version);
+      const stagingDir = path.join(this.api.dataDir, 'staging', `${entry.id}-${entry.version}-${crypto.randomUUID()}`);
+
+      try {
+        await PluginRegistry.unpack(archive, stagingDir);
+
+        const plugin = await Plugin.fromDirectory(stagingDir);
+        if (plugin.id !== entry.id || plugin.version !== entry.version) {
+          throw new Error(`Archive of ${entry.id}@${entry.version} contains ${plugin.id}@${plugin.version}`);
+        }
+        await plugin.load();
+
+        if (!(await this.security.verifyPlugin(plugin))) {
+          throw new Error(`Signature verification failed for ${entry.id}@${entry.version}`);
+        }
+
+        if (this.scanPlugins) {
+          const scanResult = Security.scanPlugin(plugin.code);
+          if (!scanResult.safe) {
+            throw new Error(`Plugin ${entry.id}@${entry.version} failed security scan: ${scanResult.issues[0].message}`);
+          }
+        }
+      } finally {
+        await fs.promises.rm(stagingDir, { recursive: true, force: true });
+      }
+
+      archives.set(entry.id, archive);
+    }
+
+    return archives;
+  }
+
+  /**
+   * Unload and remove plugins installed by a failed install or upgrade
+   */
+  async rollbackInstalled(pluginIds) {
+    for (const pluginId of [...pluginIds].reverse()) {
+      try {
+        if (this.loader.getPlugin(pluginId)) {
+          await this.loader.unload(pluginId, { force: true });
+        }
+        await fs.promises.rm(path.join(this.pluginsDir, pluginId), { recursive: true, force: true });
+      } catch (error) {
+        console.error(`Failed to roll back plugin ${pluginId}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Put back the previous version of a plugin after a failed upgrade
+   */
+  async restorePlugin(pluginId, pluginDir, backup, wasActive) {
+    try {
+      if (this.loader.getPlugin(pluginId)) {
+        await this.loader.unload(pluginId, { force: true });
+      }
+      await fs.promises.rm(pluginDir, { recursive: true, force: true });
+      await PluginRegistry.unpack(backup, pluginDir);
+      await this.loadPlugin(pluginDir);
+
+      const restored = this.loader.getPlugin(pluginId);
+      if (wasActive) {
+        await this.activate(pluginId);
+      } else if (restored.status === Plugin.STATUS.ACTIVE) {
+        this.loader.disable(pluginId);
+      }
+    } catch (error) {
+      console.error(`Failed to restore plugin ${pluginId}:`, error.message);
+    }
+  }
+
+  /**
+   * Check if a path exists
+   */
+  async pathExists(filePath) {
+    try {
+      await fs.promises.access(filePath);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
   /**
    * Get plugin by ID
    */
@@ -216,12 +583,157 @@ class PluginManager extends EventEmitter {
   }
 
   /**
-   * Activate plugin
+   * Activate plugin (asks for consent to its permissions the first time)
    */
-  activate(pluginId) {
+  async activate(pluginId) {
+    const plugin = this.loader.getPlugin(pluginId);
+    if (!plugin) {
+      throw new Error(`Plugin ${pluginId} not found`);
+    }
+
+    if (!(await this.requestConsent(plugin))) {
+      throw this.consentError(pluginId);
+    }
+
     return this.loader.activate(pluginId);
   }
 
+  /**
+   * Error for a plugin that cannot be activated without consent
+   */
+  consentError(pluginId) {
+    const hint = this.onConsent ? '' : ' (call grantConsent() or set the onConsent option)';
+    return new Error(`Permissions of plugin ${pluginId} were not granted${hint}`);
+  }
+
+  /**
+   * Get the consent summary of a plugin's permissions
+   */
+  getConsentSummary(pluginId) {
+    const plugin = this.loader.getPlugin(pluginId);
+    if (!plugin) {
+      throw new Error(`Plugin ${pluginId} not found`);
+    }
+
+    const permissions = new Permissions(plugin.permissions).summarize();
+    const lines = permissions.length > 0
+      ? permissions.map(({ permission, description }) => `  - ${permission}: ${description}`)
+      : ['  (no permissions)'];
+
+    return {
+      pluginId: plugin.id,
+      name: plugin.name,
+      version: plugin.version,
+      author: plugin.author,
+      permissions,
+      granted: this.hasConsent(plugin),
+      text: [`${plugin.name} (${plugin.id}) v${plugin.version} by ${plugin.author} requests:`, ...lines].join('\n')
+    };
+  }
+
+  /**
+   * Check if the operator granted the plugin's current permissions.
+   * Changed permissions need consent again.
+   */
+  hasConsent(plugin) {
+    if (plugin.permissions.length === 0) {
+      return true;
+    }
+
+    const consent = this.consents.get(plugin.id);
+    if (!consent) {
+      return false;
+    }
+
+    const granted = new Set(consent.permissions);
+    return consent.permissions.length === new Set(plugin.permissions).size &&
+      plugin.permissions.every(permission => granted.has(permission));
+  }
+
+  /**
+   * Show the consent summary and record the operator's decision.
+   * Consent is never granted on the operator's behalf.
+   */
+  async requestConsent(plugin) {
+    if (this.hasConsent(plugin)) {
+      return true;
+    }
+
+    const summary = this.getConsentSummary(plugin.id);
+    this.emit('plugin:consent', summary);
+
+    const granted = this.onConsent ? await this.onConsent(summary) : false;
+    if (!granted) {
+      this.emit('plugin:consent-denied', summary);
+      return false;
+    }
+
+    await this.grantConsent(plugin.id);
+    return true;
+  }
+
+  /**
+   * Record consent to a plugin's current permissions
+   */
+  async grantConsent(pluginId) {
+    const plugin = this.loader.getPlugin(pluginId);
+    if (!plugin) {
+      throw new Error(`Plugin ${pluginId} not found`);
+    }
+
+    this.consents.set(pluginId, {
+      permissions: Array.from(new Set(plugin.permissions)),
+      grantedAt: Date.now()
+    });
+    await this.persistConsents();
+
+    this.emit('plugin:consent-granted', this.getConsentSummary(pluginId));
+  }
+
+  /**
+   * Withdraw consent. An active plugin is disabled.
+   */
+  async revokeConsent(pluginId) {
+    const revoked = this.consents.delete(pluginId);
+    if (revoked) {
+      await this.persistConsents();
+    }
+
+    const plugin = this.loader.getPlugin(pluginId);
+    if (plugin && plugin.status === Plugin.STATUS.ACTIVE && !this.hasConsent(plugin)) {
+      this.loader.disable(pluginId);
+    }
+
+    return revoked;
+  }
+
+  /**
+   * Load recorded consents from disk
+   */
+  async loadConsents() {
+    try {
+      const data = await fs.promises.readFile(this.consentsPath, 'utf8');
+      this.consents = new Map(Object.entries(JSON.parse(data)));
+    } catch (error) {
+      // Consents file doesn't exist yet
+      if (error.code !== 'ENOENT') {
+        console.error('Failed to load consents:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Persist consents to disk
+   */
+  async persistConsents() {
+    await fs.promises.mkdir(path.dirname(this.consentsPath), { recursive: true });
+    await fs.promises.writeFile(
+      this.consentsPath,
+      JSON.stringify(Object.fromEntries(this.consents), null, 2),
+      'utf8'
+    );
+  }
+
   /**
    * Disable plugin
    */
@@ -279,6 +791,13 @@ class PluginManager extends EventEmitter {
     };
   }
 
+  /**
+   * List registered services: [{ name, version, provider, methods }]
+   */
+  listServices() {
+    return this.api.serviceRegistry.getAll();
+  }
+
   /**
    * Get plugin info
    */
@@ -0,0 +1,242 @@
+/**
+ * Plugin Registry
+ * Local registry of versioned, signed plugin archives
+ *
+ * Layout:
+ *   <registryDir>/index.json                      { plugins: { id: { versions: { version: entry } } } }
+ *   <registryDir>/<id>/<id>-<version>.plugin.gz  archive
+ *
+ * An archive is a gzipped JSON document holding every file of the plugin
+ * directory, including its plugin.sig. The index records each archive's
+ * SHA-256, so a corrupted or swapped archive is rejected when fetched.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const Plugin = require('./plugin');
+const Semver = require('./semver');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+class PluginRegistry {
+  static ARCHIVE_FORMAT = 1;
+
+  constructor(registryDir) {
+    if (!registryDir) {
+      throw new Error('Registry directory is required');
+    }
+
+    this.registryDir = registryDir;
+    this.indexPath = path.join(registryDir, 'index.json');
+  }
+
+  /**
+   * Read the registry index
+   */
+  async readIndex() {
+    try {
+      const data = await fs.promises.readFile(this.indexPath, 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { plugins: {} };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Write the registry index (atomically)
+   */
+  async writeIndex(index) {
+    await fs.promises.mkdir(this.registryDir, { recursive: true });
+
+    const tempPath = `${this.indexPath}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(index, null, 2), 'utf8');
+    await fs.promises.rename(tempPath, this.indexPath);
+  }
+
+  /**
+   * Publish a plugin directory as a new version. Sign it first
+   * (Security.signPlugin) so installs can verify it.
+   */
+  async publish(pluginDir) {
+    const plugin = await Plugin.fromDirectory(pluginDir);
+    Plugin.validateManifest({
+      id: plugin.id,
+      name: plugin.name,
+      version: plugin.version,
+      main: plugin.main
+    });
+
+    const index = await this.readIndex();
+    const versions = index.plugins[plugin.id]?.versions || {};
+    if (versions[plugin.version]) {
+      throw new Error(`Plugin ${plugin.id}@${plugin.version} is already published`);
+    }
+
+    const archive = await PluginRegistry.pack(pluginDir);
+    const file = path.posix.join(plugin.id, `${plugin.id}-${plugin.version}.plugin.gz`);
+
+    await fs.promises.mkdir(path.join(this.registryDir, plugin.id), { recursive: true });
+    await fs.promises.writeFile(path.join(this.registryDir, file), archive);
+
+    const entry = {
+      file,
+      sha256: crypto.createHash('sha256').update(archive).digest('hex'),
+      size: archive.length,
+      signed: Boolean(plugin.signature),
+      name: plugin.name,
+      description: plugin.description,
+      dependencies: plugin.dependencyRanges,
+      optionalDependencies: plugin.optionalDependencyRanges,
+      conflicts: plugin.conflictRanges,
+      permissions: plugin.permissions,
+      publishedAt: Date.now()
+    };
+
+    index.plugins[plugin.id] = { versions: { ...versions, [plugin.version]: entry } };
+    await this.writeIndex(index);
+
+    return { id: plugin.id, version: plugin.version, ...entry };
+  }
+
+  /**
+   * Get the published versions of a plugin, lowest first
+   */
+  async getVersions(pluginId) {
+    const index = await this.readIndex();
+    return Semver.sort(Object.keys(index.plugins[pluginId]?.versions || {}));
+  }
+
+  /**
+   * Get the index entry of a plugin version (null if not published)
+   */
+  async getEntry(pluginId, version) {
+    const index = await this.readIndex();
+    const entry = index.plugins[pluginId]?.versions[version];
+    return entry ? { id: pluginId, version, ...entry } : null;
+  }
+
+  /**
+   * Find the highest published version that satisfies a range
+   */
+  async resolve(pluginId, range = '*') {
+    const versions = await this.getVersions(pluginId);
+    if (versions.length === 0) {
+      throw new Error(`Plugin ${pluginId} is not in the registry`);
+    }
+
+    const version = Semver.maxSatisfying(versions, range);
+    if (!version) {
+      throw new Error(`No version of ${pluginId} satisfies ${range} (published: ${versions.join(', ')})`);
+    }
+
+    return await this.getEntry(pluginId, version);
+  }
+
+  /**
+   * Read a version's archive, checking it against the index
+   */
+  async fetch(pluginId, version) {
+    const entry = await this.getEntry(pluginId, version);
+    if (!entry) {
+      throw new Error(`Plugin ${pluginId}@${version} is not in the registry`);
+    }
+
+    const archive = await fs.promises.readFile(path.join(this.registryDir, entry.file));
+    const sha256 = crypto.createHash('sha256').update(archive).digest('hex');
+    if (sha256 !== entry.sha256) {
+      throw new Error(`Archive of ${pluginId}@${version} failed the integrity check`);
+    }
+
+    return archive;
+  }
+
+  /**
+   * List published plugins
+   */
+  async list() {
+    const index = await this.readIndex();
+
+    return Object.keys(index.plugins).sort().map((id) => {
+      const versions = Semver.sort(Object.keys(index.plugins[id].versions));
+      return { id, versions, latest: versions[versions.length - 1] };
+    });
+  }
+
+  /**
+   * Pack every file of a plugin directory into an archive
+   */
+  static async pack(pluginDir) {
+    const files = {};
+
+    for (const file of await PluginRegistry.listFiles(pluginDir)) {
+      const data = await fs.promises.readFile(path.join(pluginDir, ...file.split('/')));
+      files[file] = data.toString('base64');
+    }
+
+    return await gzip(JSON.stringify({ format: PluginRegistry.ARCHIVE_FORMAT, files }));
+  }
+
+  /**
+   * Extract an archive into a directory. Returns the extracted file names.
+   */
+  static async unpack(archive, targetDir) {
+    let contents;
+    try {
+      contents = JSON.parse(await gunzip(archive));
+    } catch (error) {
+      throw new Error(`Invalid plugin archive: ${error.message}`);
+    }
+
+    if (contents.format !== PluginRegistry.ARCHIVE_FORMAT || !contents.files || typeof contents.files !== 'object') {
+      throw new Error('Invalid plugin archive: unsupported format');
+    }
+
+    const root = path.resolve(targetDir);
+    const entries = Object.entries(contents.files);
+
+    // Check every path before writing anything
+    for (const [file] of entries) {
+      const target = path.resolve(root, ...file.split('/'));
+      if (path.isAbsolute(file) || file.split('/').includes('..') || !target.startsWith(root + path.sep)) {
+        throw new Error(`Invalid plugin archive: unsafe path ${file}`);
+      }
+    }
+
+    for (const [file, data] of entries) {
+      const target = path.resolve(root, ...file.split('/'));
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.writeFile(target, Buffer.from(data, 'base64'));
+    }
+
+    return entries.map(([file]) => file);
+  }
+
+  /**
+   * List the regular files of a directory recursively (as posix paths)
+   */
+  static async listFiles(dir, prefix = '') {
+    const files = [];
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      const name = prefix ? `${prefix}/${entry.name}` : entry.name;
+
+      if (entry.isDirectory()) {
+        files.push(...await PluginRegistry.listFiles(path.join(dir, entry.name), name));
+      } else if (entry.isFile()) {
+        files.push(name);
+      }
+    }
+
+    return files;
+  }
+}
+
+module.exports = PluginRegistry;
@@ -6,6 +6,8 @@
 const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const Permissions = require('./permissions');
+const Semver = require('./semver');
 
 class Plugin {
   static STATUS = {
@@ -14,7 +16,8 @@ class Plugin {
     LOADED: 'loaded',
     ACTIVE: 'active',
     DISABLED: 'disabled',
-    ERROR: 'error'
+    ERROR: 'error',
+    CRASHED: 'crashed' // Isolated sandbox died or was killed (reload to recover)
   };
 
   constructor(manifest, options = {}) {
@@ -26,7 +29,22 @@ class Plugin {
     this.author = manifest.author || 'Unknown';
     this.main = manifest.main || 'index.js';
     this.permissions = manifest.permissions || [];
-    this.dependencies = manifest.dependencies || [];
+
+    // Dependencies: an array of plugin IDs (any version) or { id: versionRange }
+    this.dependencyRanges = Plugin.normalizeDependencies(manifest.dependencies);
+    this.dependencies = Object.keys(this.dependencyRanges);
+
+    // Loaded first when present, and must then match their range
+    this.optionalDependencyRanges = Plugin.normalizeDependencies(manifest.optionalDependencies, 'Optional dependencies');
+    this.optionalDependencies = Object.keys(this.optionalDependencyRanges);
+
+    // Plugins (and versions) that cannot be loaded alongside this one
+    this.conflictRanges = Plugin.normalizeDependencies(manifest.conflicts, 'Conflicts');
+    this.conflicts = Object.keys(this.conflictRanges);
+
+    // Services: provides { name: serviceVersion }, consumes { name: versionRange }
+    this.provides = Plugin.normalizeServices(manifest.provides, this.version);
+    this.consumes = Plugin.normalizeDependencies(manifest.consumes, 'Consumes');
 
     // Plugin paths
     this.pluginDir = options.pluginDir;
@@ -114,6 +132,18 @@ class Plugin {
     this.status = Plugin.STATUS.DISABLED;
   }
 
+  /**
+   * Mark plugin as crashed (its isolated sandbox exited or was killed)
+   */
+  crash(error) {
+    this.status = Plugin.STATUS.CRASHED;
+    this.lastError = {
+      message: error.message,
+      code: error.code,
+      timestamp: Date.now()
+    };
+  }
+
   /**
    * Set plugin exports (from sandbox execution)
    */
@@ -158,10 +188,43 @@ class Plugin {
   }
 
   /**
-   * Check if plugin has permission
+   * Check if plugin has any permission for a resource (e.g. 'fs' for 'fs:read:data/*')
    */
   hasPermission(permission) {
-    return this.permissions.includes(permission) || this.permissions.includes('*');
+    return new Permissions(this.permissions).has(permission);
+  }
+
+  /**
+   * Check if plugin may perform an action on a target (e.g. 'fs', 'read', 'data/a.txt')
+   */
+  isAllowed(resource, action, target) {
+    return new Permissions(this.permissions).allows(resource, action, target);
+  }
+
+  /**
+   * Throw unless plugin has a permission (for an action on a target, if given)
+   */
+  checkPermission(permission, action = null, target) {
+    const allowed = action || target !== undefined
+      ? this.isAllowed(permission, action, target)
+      : this.hasPermission(permission);
+
+    if (!allowed) {
+      const requested = [permission, action].filter(Boolean).join(':');
+      const on = target !== undefined ? ` (${target})` : '';
+      throw new Error(`Plugin ${this.id} does not have permission: ${requested}${on}`);
+    }
+  }
+
+  /**
+   * Throw unless plugin declares a service it provides ('provide') or consumes ('consume')
+   */
+  checkService(role, name) {
+    const field = role === 'provide' ? 'provides' : 'consumes';
+
+    if (!Object.hasOwn(this[field], name)) {
+      throw new Error(`Plugin ${this.id} does not declare service ${name} in ${field}`);
+    }
   }
 
   /**
@@ -187,7 +250,11 @@ class Plugin {
       author: this.author,
       status: this.status,
       permissions: this.permissions,
-      dependencies: this.dependencies,
+      dependencies: this.dependencyRanges,
+      optionalDependencies: this.optionalDependencyRanges,
+      conflicts: this.conflictRanges,
+      provides: this.provides,
+      consumes: this.consumes,
       verified: this.verified,
       loadedAt: this.loadedAt,
       activatedAt: this.activatedAt,
@@ -222,6 +289,52 @@ class Plugin {
     return new Plugin(manifest, { pluginDir, signature });
   }
 
+  /**
+   * Normalize a dependencies (or conflicts) field to { id: versionRange }
+   */
+  static normalizeDependencies(dependencies = [], field = 'Dependencies') {
+    if (Array.isArray(dependencies)) {
+      return Object.fromEntries(dependencies.map(id => [id, '*']));
+    }
+
+    if (!dependencies || typeof dependencies !== 'object') {
+      throw new Error(`${field} must be an array of plugin IDs or an object of version ranges`);
+    }
+
+    for (const [id, range] of Object.entries(dependencies)) {
+      if (!Semver.validRange(range)) {
+        throw new Error(`Invalid version range for ${id} in ${field.toLowerCase()}: ${range}`);
+      }
+    }
+
+    return { ...dependencies };
+  }
+
+  /**
+   * Normalize a provides field to { name: serviceVersion }. An array of
+   * names provides each service at the plugin's own version.
+   */
+  static normalizeServices(provides = [], version) {
+    const services = Array.isArray(provides)
+      ? Object.fromEntries(provides.map(name => [name, version]))
+      : provides;
+
+    if (!services || typeof services !== 'object') {
+      throw new Error('Provides must be an array of service names or an object of service versions');
+    }
+
+    for (const [name, serviceVersion] of Object.entries(services)) {
+      if (!/^[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(name)) {
+        throw new Error(`Invalid service name: ${name}. Use lowercase alphanumeric, hyphens and dots`);
+      }
+      if (!Semver.valid(serviceVersion)) {
+        throw new Error(`Invalid version for service ${name}: ${serviceVersion}`);
+      }
+    }
+
+    return { ...services };
+  }
+
   /**
    * Validate manifest schema
    */
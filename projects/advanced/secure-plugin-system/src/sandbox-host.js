@@ -0,0 +1,233 @@
+/**
+ * Sandbox Host
+ * Entry point of an isolated sandbox (worker thread or child process)
+ *
+ * Runs the plugin in a regular Sandbox and forwards its Plugin API
+ * requests, logs and errors to the host as messages.
+ */
+
+const { parentPort } = require('worker_threads');
+const Plugin = require('./plugin');
+const Sandbox = require('./sandbox');
+const IsolatedSandbox = require('./isolated-sandbox');
+
+const hostCalls = new Map(); // call id -> { resolve, reject }
+const eventHandlers = new Map(); // event name -> Set of plugin handlers
+const services = new Map(); // service name -> implementation registered by the plugin
+let nextCallId = 1;
+let sandbox = null;
+
+/**
+ * Send a message to the host
+ */
+function send(message) {
+  if (parentPort) {
+    parentPort.postMessage(message);
+  } else {
+    process.send(message);
+  }
+}
+
+/**
+ * Report an error that is not the answer to a call
+ */
+function reportError(error) {
+  send({ type: 'error', error: IsolatedSandbox.serializeError(error) });
+}
+
+/**
+ * Call a Plugin API method on the host
+ */
+function callHost(method, args) {
+  return new Promise((resolve, reject) => {
+    const id = nextCallId++;
+    hostCalls.set(id, { resolve, reject });
+
+    try {
+      send({ type: 'api', id, method, args });
+    } catch (error) {
+      hostCalls.delete(id);
+      reject(new Error(`Plugin API arguments could not be sent: ${error.message}`));
+    }
+  });
+}
+
+/**
+ * Create the Plugin API stand-in handed to the Sandbox
+ */
+function createAPIProxy() {
+  const api = {};
+
+  for (const [namespace, methods] of Object.entries(IsolatedSandbox.API_METHODS)) {
+    api[namespace] = {};
+    for (const method of Object.keys(methods)) {
+      api[namespace][method] = (pluginId, ...args) => callHost(`${namespace}.${method}`, args);
+    }
+  }
+
+  // Emitting does not wait for the host, like the in-process events API
+  api.events.emit = (pluginId, eventName, data) => {
+    callHost('events.emit', [eventName, data]).catch(reportError);
+  };
+
+  api.events.on = (pluginId, eventName, handler) => {
+    if (!eventHandlers.has(eventName)) {
+      eventHandlers.set(eventName, new Set());
+      send({ type: 'subscribe', eventName });
+    }
+    eventHandlers.get(eventName).add(handler);
+  };
+
+  // Implementations stay in the sandbox; the host only gets their method names
+  api.services.register = async (pluginId, name, implementation) => {
+    if (!implementation || typeof implementation !== 'object') {
+      throw new Error(`Service ${name} implementation must be an object of methods`);
+    }
+
+    const methods = Object.keys(implementation).filter(key => typeof implementation[key] === 'function');
+    services.set(name, implementation);
+
+    try {
+      return await callHost('services.register', [name, methods]);
+    } catch (error) {
+      if (services.get(name) === implementation) {
+        services.delete(name);
+      }
+      throw error;
+    }
+  };
+
+  api.services.unregister = async (pluginId, name) => {
+    const removed = await callHost('services.unregister', [name]);
+    services.delete(name);
+    return removed;
+  };
+
+  api.events.off = (pluginId, eventName, handler) => {
+    const handlers = eventHandlers.get(eventName);
+    if (!handlers) return;
+
+    handlers.delete(handler);
+    if (handlers.size === 0) {
+      eventHandlers.delete(eventName);
+      send({ type: 'unsubscribe', eventName });
+    }
+  };
+
+  return api;
+}
+
+/**
+ * Send a log entry, falling back to strings for values that cannot be cloned
+ */
+function sendLog(level, args) {
+  try {
+    send({ type: 'log', level, args });
+  } catch {
+    send({ type: 'log', level, args: args.map(arg => String(arg)) });
+  }
+}
+
+/**
+ * Answer a call from the host
+ */
+async function answer(id, run) {
+  let result;
+
+  try {
+    result = await run();
+  } catch (error) {
+    send({ type: 'result', id, error: IsolatedSandbox.serializeError(error) });
+    return;
+  }
+
+  try {
+    send({ type: 'result', id, result });
+  } catch (error) {
+    send({
+      type: 'result',
+      id,
+      error: IsolatedSandbox.serializeError(new Error(`Plugin result could not be sent: ${error.message}`))
+    });
+  }
+}
+
+/**
+ * Handle a message from the host
+ */
+function handleMessage(message) {
+  switch (message.type) {
+    case 'init': {
+      const plugin = new Plugin(message.plugin, { pluginDir: '.' });
+
+      sandbox = new Sandbox(plugin, createAPIProxy());
+      sandbox.on('log', ({ level, args }) => sendLog(level, args));
+      sandbox.on('error', reportError);
+      sandbox.createContext();
+      break;
+    }
+
+    case 'load':
+      answer(message.id, async () => {
+        await sandbox.execute(message.code, { timeout: message.timeout });
+
+        const exports = sandbox.getExports();
+        const functions = Object.keys(exports).filter(name => typeof exports[name] === 'function');
+        return { functions };
+      });
+      break;
+
+    case 'call':
+      answer(message.id, async () => {
+        const value = await sandbox.executeFunction(message.functionName, message.args);
+        return { value, memoryUsage: process.memoryUsage().heapUsed };
+      });
+      break;
+
+    case 'service':
+      answer(message.id, async () => {
+        const implementation = services.get(message.name);
+        if (!implementation || typeof implementation[message.method] !== 'function') {
+          throw new Error(`Service ${message.name} has no method ${message.method}`);
+        }
+
+        return await sandbox.executeWithTimeout(
+          () => implementation[message.method](...message.args),
+          message.timeout
+        );
+      });
+      break;
+
+    case 'api:result': {
+      const call = hostCalls.get(message.id);
+      if (!call) return;
+
+      hostCalls.delete(message.id);
+      if (message.error) {
+        call.reject(IsolatedSandbox.deserializeError(message.error));
+      } else {
+        call.resolve(message.result);
+      }
+      break;
+    }
+
+    case 'event':
+      for (const handler of eventHandlers.get(message.eventName) || []) {
+        try {
+          handler(message.data);
+        } catch (error) {
+          reportError(error);
+        }
+      }
+      break;
+  }
+}
+
+if (parentPort) {
+  parentPort.on('message', handleMessage);
+} else {
+  process.on('message', handleMessage);
+
+  // Exit with the host
+  process.on('disconnect', () => process.exit(0));
+}
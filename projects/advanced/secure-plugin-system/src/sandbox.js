@@ -145,6 +145,11 @@ class Sandbox extends EventEmitter {
       pluginAPI.events = this.createEventsAPI();
     }
 
+    // Services (if declared in provides or consumes)
+    if (Object.keys(this.plugin.provides).length > 0 || Object.keys(this.plugin.consumes).length > 0) {
+      pluginAPI.services = this.createServicesAPI();
+    }
+
     // Crypto utilities (always available)
     pluginAPI.crypto = this.createCryptoAPI();
 
@@ -160,19 +165,19 @@ class Sandbox extends EventEmitter {
   createFileSystemAPI() {
     return {
       readFile: async (filePath) => {
-        this.checkPermission('fs');
+        this.checkPermission('fs', 'read', filePath);
         return await this.api.fs.readFile(this.plugin.id, filePath);
       },
       writeFile: async (filePath, data) => {
-        this.checkPermission('fs');
+        this.checkPermission('fs', 'write', filePath);
         return await this.api.fs.writeFile(this.plugin.id, filePath, data);
       },
       exists: async (filePath) => {
-        this.checkPermission('fs');
+        this.checkPermission('fs', 'read', filePath);
         return await this.api.fs.exists(this.plugin.id, filePath);
       },
-      listFiles: async (dirPath) => {
-        this.checkPermission('fs');
+      listFiles: async (dirPath = '.') => {
+        this.checkPermission('fs', 'read', dirPath);
         return await this.api.fs.listFiles(this.plugin.id, dirPath);
       }
     };
@@ -184,11 +189,11 @@ class Sandbox extends EventEmitter {
   createNetworkAPI() {
     return {
       fetch: async (url, options) => {
-        this.checkPermission('network');
+        this.checkPermission('network', null, url);
         return await this.api.network.fetch(this.plugin.id, url, options);
       },
       request: async (options) => {
-        this.checkPermission('network');
+        this.checkPermission('network', null, options?.url);
         return await this.api.network.request(this.plugin.id, options);
       }
     };
@@ -224,11 +229,11 @@ class Sandbox extends EventEmitter {
   createEventsAPI() {
     return {
       emit: (eventName, data) => {
-        this.checkPermission('events');
+        this.checkPermission('events', 'emit', eventName);
         this.api.events.emit(this.plugin.id, eventName, data);
       },
       on: (eventName, handler) => {
-        this.checkPermission('events');
+        this.checkPermission('events', 'on', eventName);
         this.api.events.on(this.plugin.id, eventName, handler);
       },
       off: (eventName, handler) => {
@@ -238,6 +243,29 @@ class Sandbox extends EventEmitter {
     };
   }
 
+  /**
+   * Create services API
+   */
+  createServicesAPI() {
+    return {
+      register: async (name, implementation) => {
+        this.plugin.checkService('provide', name);
+        return await this.api.services.register(this.plugin.id, name, implementation);
+      },
+      unregister: async (name) => {
+        this.plugin.checkService('provide', name);
+        return await this.api.services.unregister(this.plugin.id, name);
+      },
+      call: async (name, method, ...args) => {
+        this.plugin.checkService('consume', name);
+        return await this.api.services.call(this.plugin.id, name, method, args);
+      },
+      list: async () => {
+        return await this.api.services.list(this.plugin.id);
+      }
+    };
+  }
+
   /**
    * Create crypto API
    */
@@ -279,12 +307,10 @@ class Sandbox extends EventEmitter {
   }
 
   /**
-   * Check permission
+   * Check permission, optionally for an action on a target (scoped permissions)
    */
-  checkPermission(permission) {
-    if (!this.plugin.hasPermission(permission)) {
-      throw new Error(`Plugin ${this.plugin.id} does not have permission: ${permission}`);
-    }
+  checkPermission(permission, action, target) {
+    this.plugin.checkPermission(permission, action, target);
   }
 
   /**
@@ -315,6 +341,13 @@ class Sandbox extends EventEmitter {
     }
   }
 
+  /**
+   * Get the plugin's exports
+   */
+  getExports() {
+    return this.context.module.exports;
+  }
+
   /**
    * Execute plugin function
    */
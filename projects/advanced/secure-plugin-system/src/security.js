@@ -6,6 +6,8 @@
 const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const Permissions = require('./permissions');
+const PluginRegistry = require('./plugin-registry');
 
 class Security {
   constructor(options = {}) {
@@ -74,21 +76,8 @@ class Security {
       throw new Error('Private key not loaded');
     }
 
-    // Read plugin.json
-    const manifestPath = path.join(pluginDir, 'plugin.json');
-    const manifestData = await fs.promises.readFile(manifestPath, 'utf8');
-    const manifest = JSON.parse(manifestData);
-
-    // Read main file
-    const mainPath = path.join(pluginDir, manifest.main);
-    const mainCode = await fs.promises.readFile(mainPath, 'utf8');
-
     // Create signature payload
-    const payload = JSON.stringify({
-      manifest: manifestData,
-      code: mainCode,
-      timestamp: Date.now()
-    });
+    const payload = await Security.createSignaturePayload(pluginDir);
 
     // Sign
     const signature = crypto.sign('sha256', Buffer.from(payload), {
@@ -120,30 +109,16 @@ class Security {
     }
 
     try {
-      // Read plugin.json
-      const manifestPath = path.join(plugin.pluginDir, 'plugin.json');
-      const manifestData = await fs.promises.readFile(manifestPath, 'utf8');
-
-      // Read main file
-      const mainCode = plugin.code;
-
-      // Recreate payload (without timestamp for verification)
-      const payload = JSON.stringify({
-        manifest: manifestData,
-        code: mainCode
+      // Recreate the signed payload, with the main code that was loaded
+      const mainFile = path.relative(plugin.pluginDir, plugin.mainPath).split(path.sep).join('/');
+      const payload = await Security.createSignaturePayload(plugin.pluginDir, {
+        [mainFile]: plugin.code
       });
-
-      // Parse signature from stored data
-      // The signature file contains timestamp, we need to verify against the code
       const signatureBuffer = Buffer.from(plugin.signature, 'base64');
 
-      // Create hash of code for verification
-      const codeHash = crypto.createHash('sha256').update(mainCode).digest();
-
-      // For simplicity, verify the code hash matches
       const verified = crypto.verify(
         'sha256',
-        codeHash,
+        Buffer.from(payload),
         {
           key: this.publicKey,
           padding: crypto.constants.RSA_PKCS1_PSS_PADDING
@@ -161,6 +136,27 @@ class Security {
     }
   }
 
+  /**
+   * Create the payload covered by a plugin signature: the SHA-256 of every
+   * file in the plugin directory except plugin.sig, sorted by path.
+   * loaded maps paths to contents already read, which are hashed instead.
+   */
+  static async createSignaturePayload(pluginDir, loaded = {}) {
+    const files = (await PluginRegistry.listFiles(pluginDir))
+      .filter(file => file !== 'plugin.sig')
+      .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+
+    const digests = [];
+    for (const file of files) {
+      const data = Object.hasOwn(loaded, file)
+        ? Buffer.from(loaded[file], 'utf8')
+        : await fs.promises.readFile(path.join(pluginDir, ...file.split('/')));
+      digests.push([file, crypto.createHash('sha256').update(data).digest('hex')]);
+    }
+
+    return JSON.stringify({ files: digests });
+  }
+
   /**
    * Calculate file hash
    */
@@ -280,23 +276,10 @@ class Security {
   }
 
   /**
-   * Check plugin permissions
+   * Check plugin permissions (plain or scoped, e.g. "fs:read:data/*")
    */
   static validatePermissions(permissions) {
-    const allowedPermissions = [
-      'fs',
-      'network',
-      'storage',
-      'events',
-      'crypto',
-      '*' // All permissions
-    ];
-
-    for (const permission of permissions) {
-      if (!allowedPermissions.includes(permission)) {
-        throw new Error(`Invalid permission: ${permission}`);
-      }
-    }
+    Permissions.validate(permissions);
 
     // Warn about dangerous permissions
     if (permissions.includes('*')) {
@@ -330,7 +313,8 @@ class Security {
       Security.validatePermissions(plugin.permissions);
       report.checks.permissions = {
         passed: true,
-        permissions: plugin.permissions
+        permissions: plugin.permissions,
+        summary: new Permissions(plugin.permissions).summarize()
       };
     } catch (error) {
       report.checks.permissions = {
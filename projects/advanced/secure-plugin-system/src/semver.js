@@ -0,0 +1,194 @@
+/**
+ * Semver
+ * Version parsing and range matching for plugin versions (major.minor.patch)
+ *
+ * Supported ranges: *, 1.2.3, =1.2.3, >1.2.3, >=1.2.3, <1.2.3, <=1.2.3,
+ * ^1.2.3, ~1.2.3, partial versions (1, 1.2, 1.x, 1.2.x), hyphen ranges
+ * (1.0.0 - 2.0.0), space-separated comparators (all must match) and
+ * alternatives separated by ||.
+ */
+
+class Semver {
+  /**
+   * Parse a version into { major, minor, patch }
+   */
+  static parse(version) {
+    const match = typeof version === 'string' && version.trim().match(/^v?(\d+)\.(\d+)\.(\d+)$/);
+    if (!match) {
+      throw new Error(`Invalid version: ${version}. Expected: major.minor.patch`);
+    }
+
+    return {
+      major: Number(match[1]),
+      minor: Number(match[2]),
+      patch: Number(match[3])
+    };
+  }
+
+  /**
+   * Check if a string is a valid version
+   */
+  static valid(version) {
+    try {
+      Semver.parse(version);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Compare two versions (-1, 0 or 1)
+   */
+  static compare(a, b) {
+    const va = Semver.parse(a);
+    const vb = Semver.parse(b);
+
+    for (const part of ['major', 'minor', 'patch']) {
+      if (va[part] !== vb[part]) {
+        return va[part] < vb[part] ? -1 : 1;
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * Parse a range into alternatives, each a list of { operator, version } comparators
+   */
+  static parseRange(range) {
+    if (typeof range !== 'string') {
+      throw new Error(`Invalid version range: ${range}`);
+    }
+
+    return range.split('||').map((alternative) => {
+      const text = alternative.trim();
+
+      // Hyphen range: 1.2.3 - 2.3.4
+      const hyphen = text.match(/^(\S+)\s+-\s+(\S+)$/);
+      if (hyphen) {
+        return [
+          ...Semver.expandPartial('>=', hyphen[1], range),
+          ...Semver.expandPartial('<=', hyphen[2], range)
+        ];
+      }
+
+      // Allow "> 1.2.3" as well as ">1.2.3"
+      const tokens = text.replace(/(<=|>=|<|>|=|\^|~)\s+/g, '$1').split(/\s+/).filter(Boolean);
+      if (tokens.length === 0) {
+        return [];
+      }
+
+      return tokens.flatMap((token) => {
+        const match = token.match(/^(<=|>=|<|>|=|\^|~)?(.+)$/);
+        return Semver.expandPartial(match[1] || '', match[2], range);
+      });
+    });
+  }
+
+  /**
+   * Turn one operator and (possibly partial) version into plain comparators
+   */
+  static expandPartial(operator, version, range) {
+    const match = version.match(/^v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?$/);
+    if (!match) {
+      throw new Error(`Invalid version range: ${range}`);
+    }
+
+    const parts = match.slice(1, 4).map(part => (part === undefined || /^[xX*]$/.test(part) ? null : Number(part)));
+    const [major, minor, patch] = parts;
+
+    // A wildcard in the middle makes the rest wildcards too (1.x.3 = 1.x)
+    const known = parts.indexOf(null) === -1 ? 3 : parts.indexOf(null);
+    const at = (ma, mi, pa) => `${ma}.${mi}.${pa}`;
+
+    if (known === 0) {
+      return ['', '=', '>=', '<=', '^', '~'].includes(operator) ? [] : [{ operator: '<', version: '0.0.0' }];
+    }
+
+    const lower = at(major, known > 1 ? minor : 0, known > 2 ? patch : 0);
+    const nextPartial = known === 1 ? at(major + 1, 0, 0) : known === 2 ? at(major, minor + 1, 0) : null;
+
+    switch (operator) {
+      case '^': {
+        let upper;
+        if (major > 0 || known === 1) upper = at(major + 1, 0, 0);
+        else if (minor > 0 || known === 2) upper = at(0, minor + 1, 0);
+        else upper = at(0, 0, patch + 1);
+        return [{ operator: '>=', version: lower }, { operator: '<', version: upper }];
+      }
+
+      case '~': {
+        const upper = known === 1 ? at(major + 1, 0, 0) : at(major, minor + 1, 0);
+        return [{ operator: '>=', version: lower }, { operator: '<', version: upper }];
+      }
+
+      case '':
+      case '=':
+        return nextPartial
+          ? [{ operator: '>=', version: lower }, { operator: '<', version: nextPartial }]
+          : [{ operator: '=', version: lower }];
+
+      case '>':
+        return [{ operator: nextPartial ? '>=' : '>', version: nextPartial || lower }];
+
+      case '>=':
+        return [{ operator: '>=', version: lower }];
+
+      case '<':
+        return [{ operator: '<', version: lower }];
+
+      case '<=':
+        return [{ operator: nextPartial ? '<' : '<=', version: nextPartial || lower }];
+    }
+  }
+
+  /**
+   * Check if a string is a valid range
+   */
+  static validRange(range) {
+    try {
+      Semver.parseRange(range);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Check if a version satisfies a range
+   */
+  static satisfies(version, range) {
+    return Semver.parseRange(range).some(comparators =>
+      comparators.every(({ operator, version: bound }) => {
+        const order = Semver.compare(version, bound);
+        switch (operator) {
+          case '=': return order === 0;
+          case '>': return order > 0;
+          case '>=': return order >= 0;
+          case '<': return order < 0;
+          case '<=': return order <= 0;
+        }
+        return false;
+      })
+    );
+  }
+
+  /**
+   * Get the highest version that satisfies a range (null if none)
+   */
+  static maxSatisfying(versions, range) {
+    return versions
+      .filter(version => Semver.satisfies(version, range))
+      .sort(Semver.compare)
+      .pop() || null;
+  }
+
+  /**
+   * Sort versions in ascending order
+   */
+  static sort(versions) {
+    return [...versions].sort(Semver.compare);
+  }
+}
+
+module.exports = Semver;
@@ -0,0 +1,253 @@
+/**
+ * Service Registry
+ * Lets plugins provide services to, and call services of, other plugins
+ *
+ * A plugin declares the services it provides and consumes in plugin.json:
+ *   "provides": { "geo": "1.2.0" }      service name -> service version
+ *   "consumes": { "geo": "^1.0.0" }     service name -> version range
+ * It registers an implementation (an object of methods) while it loads, and
+ * the service can be called once the plugin is active. Declarations are
+ * checked here, on the host, whatever sandbox the plugins run in.
+ */
+
+const { EventEmitter } = require('events');
+const Plugin = require('./plugin');
+const Semver = require('./semver');
+
+class ServiceRegistry extends EventEmitter {
+  constructor(options = {}) {
+    super();
+
+    this.timeout = options.timeout || 5000; // Per call
+
+    this.plugins = new Map(); // plugin id -> Plugin (declarations)
+    this.services = new Map(); // service name -> { name, version, provider, methods, implementation }
+    this.calls = new Map(); // provider id -> Set of in-flight calls
+  }
+
+  /**
+   * Record a plugin's provides/consumes declarations (before its code runs)
+   */
+  declare(plugin) {
+    this.plugins.set(plugin.id, plugin);
+  }
+
+  /**
+   * Unbind a plugin's services and drop its declarations (unload)
+   */
+  forget(pluginId, reason = 'unloaded') {
+    this.unbind(pluginId, reason);
+    this.plugins.delete(pluginId);
+  }
+
+  /**
+   * Get the declaring plugin (throws if it was never declared)
+   */
+  getPlugin(pluginId) {
+    const plugin = this.plugins.get(pluginId);
+    if (!plugin) {
+      throw new Error(`Plugin ${pluginId} is not loaded`);
+    }
+    return plugin;
+  }
+
+  /**
+   * Register the implementation of a service the plugin provides
+   */
+  register(pluginId, name, implementation) {
+    const plugin = this.getPlugin(pluginId);
+    plugin.checkService('provide', name);
+
+    if (!implementation || typeof implementation !== 'object') {
+      throw new Error(`Service ${name} implementation must be an object of methods`);
+    }
+
+    const existing = this.services.get(name);
+    if (existing && existing.provider !== pluginId) {
+      throw new Error(`Service ${name} is already provided by ${existing.provider}`);
+    }
+
+    const methods = Object.keys(implementation).filter(key => typeof implementation[key] === 'function');
+    if (methods.length === 0) {
+      throw new Error(`Service ${name} implementation has no methods`);
+    }
+
+    const service = {
+      name,
+      version: plugin.provides[name],
+      provider: pluginId,
+      methods,
+      implementation
+    };
+    this.services.set(name, service);
+
+    this.emit('service:registered', ServiceRegistry.describe(service));
+
+    return ServiceRegistry.describe(service);
+  }
+
+  /**
+   * Remove a service the plugin registered
+   */
+  unregister(pluginId, name) {
+    const service = this.services.get(name);
+    if (!service || service.provider !== pluginId) {
+      return false;
+    }
+
+    this.services.delete(name);
+    this.emit('service:unbound', { ...ServiceRegistry.describe(service), reason: 'unregistered' });
+
+    return true;
+  }
+
+  /**
+   * Remove every service of a provider and fail the calls still waiting on it
+   */
+  unbind(pluginId, reason) {
+    for (const service of Array.from(this.services.values())) {
+      if (service.provider === pluginId) {
+        this.services.delete(service.name);
+        this.emit('service:unbound', { ...ServiceRegistry.describe(service), reason });
+      }
+    }
+
+    for (const call of this.calls.get(pluginId) || []) {
+      call.reject(ServiceRegistry.createError(
+        'ERR_SERVICE_UNBOUND',
+        `Service ${call.name} was unbound while ${call.name}.${call.method} was running (provider ${reason})`
+      ));
+    }
+    this.calls.delete(pluginId);
+  }
+
+  /**
+   * Call a method of a service the plugin consumes. Arguments, the result
+   * and errors are copied, so plugins never share objects.
+   */
+  async call(pluginId, name, method, args = []) {
+    const plugin = this.getPlugin(pluginId);
+    plugin.checkService('consume', name);
+
+    const service = this.services.get(name);
+    if (!service) {
+      throw ServiceRegistry.createError('ERR_SERVICE_UNAVAILABLE', `Service ${name} is not available`);
+    }
+
+    const provider = this.plugins.get(service.provider);
+    if (provider.status !== Plugin.STATUS.ACTIVE) {
+      throw ServiceRegistry.createError(
+        'ERR_SERVICE_UNAVAILABLE',
+        `Service ${name} is not available (provider ${provider.id} is ${provider.status})`
+      );
+    }
+
+    const range = plugin.consumes[name];
+    if (!Semver.satisfies(service.version, range)) {
+      throw ServiceRegistry.createError(
+        'ERR_SERVICE_VERSION',
+        `Plugin ${pluginId} requires service ${name}@${range}, but ${provider.id} provides ${service.version}`
+      );
+    }
+
+    if (!service.methods.includes(method)) {
+      throw new Error(`Service ${name} has no method ${method}`);
+    }
+
+    const input = ServiceRegistry.copy(args, `Arguments of ${name}.${method}`);
+
+    let result;
+    try {
+      result = await this.track(service, method, () => service.implementation[method](...input));
+    } catch (error) {
+      throw ServiceRegistry.createError(error?.code, error?.message ?? String(error));
+    }
+
+    return ServiceRegistry.copy(result, `Result of ${name}.${method}`);
+  }
+
+  /**
+   * Run a call with a timeout, so unbind() can fail it early
+   */
+  track(service, method, fn) {
+    return new Promise((resolve, reject) => {
+      const calls = this.calls.get(service.provider) || new Set();
+      this.calls.set(service.provider, calls);
+
+      const call = { name: service.name, method, reject: null };
+      const settle = (callback) => (value) => {
+        clearTimeout(timer);
+        calls.delete(call);
+        callback(value);
+      };
+      call.reject = settle(reject);
+
+      const timer = setTimeout(() => {
+        call.reject(ServiceRegistry.createError(
+          'ERR_SERVICE_TIMEOUT',
+          `Service ${service.name}.${method} did not respond within ${this.timeout}ms`
+        ));
+      }, this.timeout);
+
+      calls.add(call);
+
+      try {
+        Promise.resolve(fn()).then(settle(resolve), call.reject);
+      } catch (error) {
+        call.reject(error);
+      }
+    });
+  }
+
+  /**
+   * List the services a plugin consumes that are currently registered
+   */
+  list(pluginId) {
+    const plugin = this.getPlugin(pluginId);
+
+    return Object.keys(plugin.consumes)
+      .filter(name => this.services.has(name))
+      .map(name => ServiceRegistry.describe(this.services.get(name)));
+  }
+
+  /**
+   * List every registered service
+   */
+  getAll() {
+    return Array.from(this.services.values()).map(service => ServiceRegistry.describe(service));
+  }
+
+  /**
+   * Describe a service without its implementation
+   */
+  static describe(service) {
+    return {
+      name: service.name,
+      version: service.version,
+      provider: service.provider,
+      methods: [...service.methods]
+    };
+  }
+
+  /**
+   * Copy a value that crosses from one plugin to another
+   */
+  static copy(value, description) {
+    try {
+      return structuredClone(value);
+    } catch (error) {
+      throw new Error(`${description} cannot be copied: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create an error with a code
+   */
+  static createError(code, message) {
+    const error = new Error(message);
+    if (code !== undefined) error.code = code;
+    return error;
+  }
+}
+
+module.exports = ServiceRegistry;
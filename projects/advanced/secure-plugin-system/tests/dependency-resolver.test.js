@@ -0,0 +1,153 @@
+/**
+ * Dependency Resolver Tests
+ */
+
+const assert = require('assert');
+const DependencyResolver = require('../src/dependency-resolver');
+const helpers = require('./helpers');
+
+const { describe, it } = helpers;
+
+function createPlugin(id, version, manifest = {}) {
+  return helpers.createPlugin({ id, version, ...manifest });
+}
+
+function ids(plugins) {
+  return plugins.map(plugin => plugin.id);
+}
+
+describe('Plugin dependency fields', () => {
+  it('should normalize dependencies, optional dependencies and conflicts', () => {
+    const plugin = createPlugin('app', '1.0.0', {
+      dependencies: ['lib'],
+      optionalDependencies: { cache: '^1.0.0' },
+      conflicts: { legacy: '<2.0.0' }
+    });
+
+    assert.deepStrictEqual(plugin.dependencyRanges, { lib: '*' });
+    assert.deepStrictEqual(plugin.optionalDependencies, ['cache']);
+    assert.deepStrictEqual(plugin.conflictRanges, { legacy: '<2.0.0' });
+  });
+
+  it('should reject invalid ranges', () => {
+    assert.throws(
+      () => createPlugin('app', '1.0.0', { conflicts: { legacy: 'old' } }),
+      /Invalid version range for legacy in conflicts: old/
+    );
+  });
+});
+
+describe('DependencyResolver', () => {
+  it('should order plugins so dependencies load first', () => {
+    const { order, unresolved } = new DependencyResolver().resolve([
+      createPlugin('app', '1.0.0', { dependencies: { lib: '^1.0.0' }, optionalDependencies: ['cache'] }),
+      createPlugin('cache', '1.0.0'),
+      createPlugin('lib', '1.2.0')
+    ]);
+
+    assert.deepStrictEqual(ids(order), ['lib', 'cache', 'app']);
+    assert.strictEqual(unresolved.length, 0);
+  });
+
+  it('should report missing dependencies and version mismatches', () => {
+    const { order, unresolved } = new DependencyResolver().resolve([
+      createPlugin('app', '1.0.0', { dependencies: { lib: '^2.0.0', auth: '*' } }),
+      createPlugin('lib', '1.4.0')
+    ]);
+
+    assert.deepStrictEqual(ids(order), ['lib']);
+    assert.deepStrictEqual(unresolved[0].diagnostic.problems.map(problem => problem.type), ['version', 'missing']);
+    assert.strictEqual(DependencyResolver.format(unresolved[0].diagnostic), [
+      'app@1.0.0 cannot be loaded',
+      '├─ requires lib@^2.0.0, but 1.4.0 is installed',
+      '└─ requires auth@*, which is not installed'
+    ].join('\n'));
+  });
+
+  it('should nest the diagnostics of dependencies that cannot be loaded', () => {
+    const { order, unresolved } = new DependencyResolver().resolve([
+      createPlugin('app', '1.0.0', { dependencies: ['auth'] }),
+      createPlugin('auth', '1.0.0', { dependencies: ['tokens'] })
+    ]);
+
+    assert.strictEqual(order.length, 0);
+    assert.strictEqual(DependencyResolver.format(unresolved[0].diagnostic), [
+      'app@1.0.0 cannot be loaded',
+      '└─ requires auth@*, which cannot be loaded',
+      '   └─ requires tokens@*, which is not installed'
+    ].join('\n'));
+  });
+
+  it('should report circular dependencies instead of throwing', () => {
+    const { order, unresolved } = new DependencyResolver().resolve([
+      createPlugin('a', '1.0.0', { dependencies: ['b'] }),
+      createPlugin('b', '1.0.0', { dependencies: ['a'] }),
+      createPlugin('c', '1.0.0')
+    ]);
+
+    assert.deepStrictEqual(ids(order), ['c']);
+    assert.deepStrictEqual(ids(unresolved.map(entry => entry.plugin)), ['a', 'b']);
+    assert.match(DependencyResolver.format(unresolved[0].diagnostic), /circular dependency \(a -> b -> a\)/);
+  });
+
+  it('should ignore missing optional dependencies but check their versions', () => {
+    const resolver = new DependencyResolver([createPlugin('cache', '0.9.0')]);
+
+    const { unresolved } = resolver.resolve([
+      createPlugin('app', '1.0.0', { optionalDependencies: { cache: '^1.0.0', metrics: '*' } })
+    ]);
+
+    assert.strictEqual(unresolved.length, 1);
+    assert.deepStrictEqual(unresolved[0].diagnostic.problems, [
+      { type: 'version', dependency: 'cache', range: '^1.0.0', optional: true, found: '0.9.0' }
+    ]);
+  });
+
+  it('should block plugins that conflict, and their dependents', () => {
+    const { order, unresolved } = new DependencyResolver().resolve([
+      createPlugin('legacy', '0.9.0'),
+      createPlugin('modern', '2.0.0', { conflicts: { legacy: '<1.0.0' } }),
+      createPlugin('tool', '1.0.0', { dependencies: ['modern'] })
+    ]);
+
+    assert.deepStrictEqual(ids(order), ['legacy']);
+    assert.strictEqual(DependencyResolver.format(unresolved[1].diagnostic), [
+      'tool@1.0.0 cannot be loaded',
+      '└─ requires modern@*, which cannot be loaded',
+      '   └─ conflicts with legacy@0.9.0 (declares a conflict with legacy@<1.0.0)'
+    ].join('\n'));
+  });
+
+  it('should honor conflicts declared by loaded plugins', () => {
+    const resolver = new DependencyResolver([createPlugin('modern', '2.0.0', { conflicts: { legacy: '*' } })]);
+
+    const { unresolved } = resolver.resolve([createPlugin('legacy', '0.9.0')]);
+
+    assert.strictEqual(
+      DependencyResolver.format(unresolved[0].diagnostic).split('\n')[1],
+      '└─ modern@2.0.0 declares a conflict with legacy@*'
+    );
+  });
+
+  it('should report dependencies that failed to load', () => {
+    const failed = new Map([['lib', new Error('boom in init')]]);
+    const resolver = new DependencyResolver([], { failed });
+
+    const { unresolved } = resolver.resolve([createPlugin('app', '1.0.0', { dependencies: ['lib'] })]);
+    const error = DependencyResolver.createError(unresolved[0].diagnostic);
+
+    assert.strictEqual(error.code, 'ERR_PLUGIN_DEPENDENCIES');
+    assert.match(error.message, /requires lib@\*, which failed to load: boom in init/);
+  });
+
+  it('should report plugins with the ID of a loaded plugin', () => {
+    const resolver = new DependencyResolver([createPlugin('lib', '1.0.0')]);
+
+    const { order, unresolved } = resolver.resolve([createPlugin('lib', '2.0.0')]);
+
+    assert.strictEqual(order.length, 0);
+    assert.match(DependencyResolver.format(unresolved[0].diagnostic), /another lib@1\.0\.0 is already present/);
+  });
+});
+
+console.log('\n=== Dependency Resolver Tests Complete ===');
@@ -0,0 +1,113 @@
+/**
+ * Test Helpers
+ * The describe/it harness and plugin fixtures shared by the test files
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Plugin = require('../src/plugin');
+
+function describe(name, fn) {
+  console.log(`\n${name}`);
+  fn();
+}
+
+function it(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    console.log(`  ✗ ${name}`);
+    console.error(`    ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Collect asynchronous tests to run one after another under a title.
+ * With tmpPrefix, each test gets a fresh temporary directory (passed to
+ * beforeEach and the test) that is removed afterwards.
+ */
+function createAsyncSuite(title, options = {}) {
+  const { tmpPrefix = null, beforeEach = null } = options;
+  const tests = [];
+
+  function itAsync(name, fn) {
+    tests.push({ name, fn });
+  }
+
+  async function runAsyncTests() {
+    console.log(`\n${title}`);
+
+    for (const { name, fn } of tests) {
+      const dir = tmpPrefix ? fs.mkdtempSync(path.join(os.tmpdir(), tmpPrefix)) : undefined;
+      try {
+        if (beforeEach) {
+          await beforeEach(dir);
+        }
+        await fn(dir);
+        console.log(`  ✓ ${name}`);
+      } catch (error) {
+        console.log(`  ✗ ${name}`);
+        console.error(`    ${error.message}`);
+        process.exitCode = 1;
+      } finally {
+        if (dir) {
+          fs.rmSync(dir, { recursive: true, force: true });
+        }
+      }
+    }
+  }
+
+  return { itAsync, runAsyncTests };
+}
+
+/**
+ * Create a Plugin from a manifest; name, version and main have defaults
+ */
+function createPlugin(manifest = {}, status = null) {
+  const id = manifest.id || 'test';
+  const plugin = new Plugin({
+    id,
+    name: id,
+    version: '1.0.0',
+    main: 'index.js',
+    ...manifest
+  }, {
+    pluginDir: `/tmp/${id}`
+  });
+  if (status) {
+    plugin.status = status;
+  }
+  return plugin;
+}
+
+/**
+ * Write a plugin directory under root/src with its plugin.json and the given
+ * files (relative path -> contents). Returns the directory.
+ */
+function writePluginDir(root, manifest, files = { 'index.js': 'module.exports = { init() {} };' }) {
+  const pluginDir = path.join(root, 'src', `${manifest.id}-${manifest.version}`);
+  fs.mkdirSync(pluginDir, { recursive: true });
+  fs.writeFileSync(path.join(pluginDir, 'plugin.json'), JSON.stringify({
+    name: manifest.id,
+    main: 'index.js',
+    ...manifest
+  }));
+
+  for (const [file, contents] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(pluginDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(pluginDir, file), contents);
+  }
+
+  return pluginDir;
+}
+
+module.exports = {
+  describe,
+  it,
+  createAsyncSuite,
+  createPlugin,
+  writePluginDir
+};
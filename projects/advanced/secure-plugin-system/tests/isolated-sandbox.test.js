@@ -0,0 +1,192 @@
+/**
+ * Isolated Sandbox Tests
+ */
+
+const assert = require('assert');
+const Plugin = require('../src/plugin');
+const IsolatedSandbox = require('../src/isolated-sandbox');
+const PluginAPI = require('../src/plugin-api');
+const { describe, it, createAsyncSuite, createPlugin } = require('./helpers');
+
+// Sandbox tests start workers and child processes, so they run one after another
+const { itAsync, runAsyncTests } = createAsyncSuite('IsolatedSandbox execution');
+
+/**
+ * Start a sandbox and load plugin code into it
+ */
+async function startSandbox(code, options = {}) {
+  const { manifest, api = {}, ...sandboxOptions } = options;
+  const sandbox = new IsolatedSandbox(createPlugin(manifest), api, sandboxOptions);
+
+  sandbox.createContext();
+  await sandbox.execute(code);
+
+  return sandbox;
+}
+
+describe('IsolatedSandbox', () => {
+  it('should reject unknown isolation modes', () => {
+    assert.throws(() => new IsolatedSandbox(createPlugin(), {}, { mode: 'vm' }), /Invalid isolation mode: vm/);
+  });
+
+  it('should round-trip errors with their code', () => {
+    const error = new TypeError('bad input');
+    error.code = 'E_INPUT';
+
+    const copy = IsolatedSandbox.deserializeError(IsolatedSandbox.serializeError(error));
+
+    assert.strictEqual(copy.message, 'bad input');
+    assert.strictEqual(copy.name, 'TypeError');
+    assert.strictEqual(copy.code, 'E_INPUT');
+  });
+
+  it('should mark the plugin as crashed', () => {
+    const plugin = createPlugin();
+    const error = new Error('killed');
+    error.code = 'ERR_PLUGIN_TIMEOUT';
+
+    plugin.status = Plugin.STATUS.ACTIVE;
+    plugin.setExports({ execute: () => {} });
+    plugin.crash(error);
+
+    assert.strictEqual(plugin.status, Plugin.STATUS.CRASHED);
+    assert.strictEqual(plugin.lastError.code, 'ERR_PLUGIN_TIMEOUT');
+    assert.ok(!plugin.isCallable());
+  });
+});
+
+for (const mode of IsolatedSandbox.MODES) {
+  itAsync(`should run exported functions (${mode})`, async () => {
+    const sandbox = await startSandbox(`
+      module.exports = {
+        execute: (a, b) => ({ sum: a + b, plugin: __plugin__.id }),
+        version: '1'
+      };
+    `, { mode });
+
+    try {
+      assert.deepStrictEqual(Object.keys(sandbox.getExports()), ['execute']);
+      assert.deepStrictEqual(await sandbox.executeFunction('execute', [2, 3]), { sum: 5, plugin: 'test' });
+      assert.ok(sandbox.getResourceUsage().memoryUsage > 0);
+    } finally {
+      sandbox.cleanup();
+    }
+  });
+}
+
+itAsync('should pass plugin errors and logs back to the host', async () => {
+  const sandbox = await startSandbox(`
+    module.exports = {
+      execute() {
+        console.warn('about to fail', { step: 1 });
+        const error = new RangeError('out of range');
+        error.code = 'E_RANGE';
+        throw error;
+      }
+    };
+  `);
+  const logs = [];
+  sandbox.on('log', entry => logs.push(entry));
+
+  try {
+    await assert.rejects(sandbox.executeFunction('execute'), (error) => {
+      return error.name === 'RangeError' && error.code === 'E_RANGE';
+    });
+    assert.deepStrictEqual(logs, [{ level: 'warn', args: ['about to fail', { step: 1 }] }]);
+    assert.ok(!sandbox.crashed);
+  } finally {
+    sandbox.cleanup();
+  }
+});
+
+itAsync('should proxy Plugin API calls and check permissions on the host', async () => {
+  const calls = [];
+  const api = {
+    storage: {
+      get: async (pluginId, key) => {
+        calls.push([pluginId, key]);
+        return { key };
+      }
+    }
+  };
+  const sandbox = await startSandbox(`
+    module.exports = {
+      execute: () => __api__.storage.get('greeting')
+    };
+  `, { api, manifest: { permissions: ['storage'] } });
+
+  try {
+    assert.deepStrictEqual(await sandbox.executeFunction('execute'), { key: 'greeting' });
+    assert.deepStrictEqual(calls, [['test', 'greeting']]);
+
+    // A request the plugin has no permission for is refused by the host
+    sandbox.plugin.permissions = [];
+    await assert.rejects(sandbox.executeFunction('execute'), /does not have permission: storage/);
+  } finally {
+    sandbox.cleanup();
+  }
+});
+
+for (const mode of IsolatedSandbox.MODES) {
+  itAsync(`should provide services implemented in the sandbox (${mode})`, async () => {
+    const api = new PluginAPI({ dataDir: '/tmp/isolated-sandbox-test' });
+    const consumer = createPlugin({ id: 'app', consumes: ['geo'] });
+    api.serviceRegistry.declare(consumer);
+
+    const sandbox = new IsolatedSandbox(createPlugin({ provides: ['geo'] }), api, { mode });
+    api.serviceRegistry.declare(sandbox.plugin);
+    sandbox.createContext();
+
+    try {
+      await sandbox.execute(`
+        module.exports = {
+          init: () => __api__.services.register('geo', { lookup: city => ({ city, from: __plugin__.id }) }),
+          undeclared: () => __api__.services.register('maps', { show() {} })
+        };
+      `);
+      await sandbox.executeFunction('init');
+      sandbox.plugin.status = Plugin.STATUS.ACTIVE;
+
+      assert.deepStrictEqual(await api.services.call('app', 'geo', 'lookup', ['Oslo']), { city: 'Oslo', from: 'test' });
+      await assert.rejects(sandbox.executeFunction('undeclared'), /does not declare service maps in provides/);
+    } finally {
+      sandbox.cleanup();
+    }
+  });
+}
+
+itAsync('should kill a plugin that stops responding', async () => {
+  const sandbox = await startSandbox(`
+    module.exports = { execute() { while (true) {} } };
+  `, { manifest: { resourceLimits: { timeout: 100 } }, killGracePeriod: 50 });
+  const crashes = [];
+  sandbox.on('crash', error => crashes.push(error.code));
+
+  await assert.rejects(sandbox.executeFunction('execute'), /did not respond within 150ms and was killed/);
+  assert.deepStrictEqual(crashes, ['ERR_PLUGIN_TIMEOUT']);
+  await assert.rejects(sandbox.executeFunction('execute'), /has crashed/);
+  sandbox.cleanup();
+});
+
+for (const mode of IsolatedSandbox.MODES) {
+  itAsync(`should kill a plugin that exceeds its memory limit (${mode})`, async () => {
+    const sandbox = await startSandbox(`
+      module.exports = {
+        execute() {
+          const chunks = [];
+          while (true) chunks.push(new Array(1000).fill(chunks.length));
+        }
+      };
+    `, { mode, manifest: { resourceLimits: { memory: 16 * 1024 * 1024, timeout: 10000 } } });
+
+    await assert.rejects(sandbox.executeFunction('execute'), (error) => {
+      return error.code === 'ERR_PLUGIN_MEMORY_LIMIT' && /exceeded its memory limit \(16MB\)/.test(error.message);
+    });
+    assert.strictEqual(sandbox.getResourceUsage().crashed, true);
+    sandbox.cleanup();
+  });
+}
+
+runAsyncTests().then(() => {
+  console.log('\n=== Isolated Sandbox Tests Complete ===');
+});
@@ -0,0 +1,134 @@
+/**
+ * Permissions Tests
+ */
+
+const assert = require('assert');
+const Permissions = require('../src/permissions');
+const Plugin = require('../src/plugin');
+const { describe, it } = require('./helpers');
+
+describe('Permissions', () => {
+  it('should parse plain and scoped permissions', () => {
+    assert.deepStrictEqual(Permissions.parse('storage'), {
+      permission: 'storage', resource: 'storage', action: null, scope: null
+    });
+    assert.deepStrictEqual(Permissions.parse('fs:read:data/*'), {
+      permission: 'fs:read:data/*', resource: 'fs', action: 'read', scope: 'data/*'
+    });
+    assert.deepStrictEqual(Permissions.parse('network:https://api.example.com/*'), {
+      permission: 'network:https://api.example.com/*', resource: 'network', action: null, scope: 'https://api.example.com/*'
+    });
+    assert.deepStrictEqual(Permissions.parse('events:emit'), {
+      permission: 'events:emit', resource: 'events', action: 'emit', scope: null
+    });
+  });
+
+  it('should reject invalid permissions', () => {
+    assert.throws(() => Permissions.validate(['shell']), /Invalid permission: shell/);
+    assert.throws(() => Permissions.validate(['fs:delete:data/*']), /fs actions are: read, write/);
+    assert.throws(() => Permissions.validate(['fs:read:']), /Scope is empty/);
+    assert.throws(() => Permissions.validate(['network:ftp://example.com/*']), /http\(s\) URL patterns/);
+    assert.throws(() => Permissions.validate(['network:https://user@example.com/*']), /http\(s\) URL patterns/);
+    assert.throws(() => Permissions.validate(['network:https:///path']), /http\(s\) URL patterns/);
+    assert.throws(() => Permissions.validate(['storage:read']), /storage cannot be scoped/);
+    assert.throws(() => Permissions.validate('fs'), /must be an array/);
+    assert.ok(Permissions.validate(['fs', 'events:*:jobs.*', '*']));
+  });
+
+  it('should limit file access to the action and scope', () => {
+    const permissions = new Permissions(['fs:read:data/*', 'fs:write:out/*.json']);
+
+    assert.ok(permissions.has('fs'));
+    assert.ok(permissions.allows('fs', 'read', 'data/a/b.txt'));
+    assert.ok(permissions.allows('fs', 'read', './data/a.txt'));
+    assert.ok(permissions.allows('fs', 'read', 'data'));
+    assert.ok(!permissions.allows('fs', 'write', 'data/a.txt'));
+    assert.ok(!permissions.allows('fs', 'read', 'data/../secret.txt'));
+    assert.ok(!permissions.allows('fs', 'read', 'database.txt'));
+    assert.ok(permissions.allows('fs', 'write', 'out/report.json'));
+    assert.ok(!permissions.allows('fs', 'write', 'out/report.txt'));
+  });
+
+  it('should match network scopes against normalized URLs', () => {
+    const permissions = new Permissions(['network:https://api.example.com/*']);
+
+    assert.ok(permissions.allows('network', null, 'https://api.example.com/v1/users?page=2'));
+    assert.ok(permissions.allows('network', null, 'HTTPS://API.EXAMPLE.COM/v1'));
+    assert.ok(!permissions.allows('network', null, 'http://api.example.com/v1'));
+    assert.ok(!permissions.allows('network', null, 'https://api.example.com.evil.test/'));
+    assert.ok(!permissions.allows('network', null, 'https://api.example.com@evil.test/'));
+    assert.ok(!permissions.allows('network', null, 'not a url'));
+  });
+
+  it('should keep network wildcards within the host or path', () => {
+    const permissions = new Permissions(['network:https://*.example.com/*']);
+
+    assert.ok(permissions.allows('network', null, 'https://api.example.com/v1'));
+    assert.ok(!permissions.allows('network', null, 'https://evil.com/.example.com/x'));
+    assert.ok(!permissions.allows('network', null, 'https://evil.com/?.example.com/'));
+    assert.ok(!permissions.allows('network', null, 'https://evil.com#.example.com/'));
+    assert.ok(!permissions.allows('network', null, 'https://evil.com@api.example.com.evil.test/'));
+    assert.ok(!permissions.allows('network', null, 'https://api.evil.com/.example.com'));
+    assert.ok(!permissions.allows('network', null, 'https://a.b.example.com/'));
+    assert.ok(!permissions.allows('network', null, 'https://api.example.com:8443/'));
+  });
+
+  it('should match network ports and wildcard hosts', () => {
+    assert.ok(new Permissions(['network:https://api.example.com:443/*']).allows('network', null, 'https://api.example.com/'));
+    assert.ok(new Permissions(['network:http://localhost:*/*']).allows('network', null, 'http://localhost:3000/x'));
+    assert.ok(!new Permissions(['network:http://localhost:3000/*']).allows('network', null, 'http://localhost:3001/x'));
+    assert.ok(new Permissions(['network:https://*/status']).allows('network', null, 'https://a.b.test/status'));
+    assert.ok(!new Permissions(['network:https://*/status']).allows('network', null, 'https://a.b.test/status/x'));
+  });
+
+  it('should limit events by action and name', () => {
+    const permissions = new Permissions(['events:emit:reports.*', 'events:on']);
+
+    assert.ok(permissions.allows('events', 'emit', 'reports.daily'));
+    assert.ok(!permissions.allows('events', 'emit', 'billing.paid'));
+    assert.ok(permissions.allows('events', 'on', 'billing.paid'));
+  });
+
+  it('should treat plain and wildcard permissions as unscoped', () => {
+    assert.ok(new Permissions(['fs']).allows('fs', 'write', 'anything.txt'));
+    assert.ok(new Permissions(['*']).allows('network', null, 'https://example.com/'));
+    assert.ok(!new Permissions(['storage']).allows('fs', 'read', 'a.txt'));
+  });
+
+  it('should describe permissions for consent', () => {
+    const summary = new Permissions(['fs:read:data/*', 'network', 'events:emit:reports.*']).summarize();
+
+    assert.deepStrictEqual(summary.map(entry => entry.description), [
+      'Read files matching "data/*" in its data directory',
+      'Make HTTP(S) requests to any allowed domain',
+      'Emit events matching "reports.*"'
+    ]);
+  });
+});
+
+describe('Plugin scoped permissions', () => {
+  const plugin = new Plugin({
+    id: 'test',
+    name: 'Test',
+    version: '1.0.0',
+    main: 'index.js',
+    permissions: ['fs:read:data/*']
+  }, {
+    pluginDir: '/tmp/test'
+  });
+
+  it('should report the resource as available', () => {
+    assert.ok(plugin.hasPermission('fs'));
+    assert.ok(!plugin.hasPermission('network'));
+  });
+
+  it('should name the denied action and target', () => {
+    assert.doesNotThrow(() => plugin.checkPermission('fs', 'read', 'data/a.txt'));
+    assert.throws(
+      () => plugin.checkPermission('fs', 'write', 'data/a.txt'),
+      /Plugin test does not have permission: fs:write \(data\/a\.txt\)/
+    );
+  });
+});
+
+console.log('\n=== Permissions Tests Complete ===');
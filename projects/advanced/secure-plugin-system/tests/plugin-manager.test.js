@@ -0,0 +1,247 @@
+/**
+ * Plugin Manager Tests
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const PluginManager = require('../src/plugin-manager');
+const Plugin = require('../src/plugin');
+const Security = require('../src/security');
+const { createAsyncSuite, writePluginDir } = require('./helpers');
+
+// One key pair for every test; generating one takes a while
+const keyPair = Security.generateKeyPair();
+
+// Manager tests use the file system, so they run one after another
+const { itAsync, runAsyncTests } = createAsyncSuite('PluginManager registry', {
+  tmpPrefix: 'plugin-manager-',
+  beforeEach: async (dir) => {
+    const keys = await keyPair;
+    fs.mkdirSync(path.join(dir, 'keys'));
+    fs.writeFileSync(path.join(dir, 'keys', 'public.pem'), keys.publicKey);
+    fs.writeFileSync(path.join(dir, 'keys', 'private.pem'), keys.privateKey);
+  }
+});
+
+/**
+ * Create and initialize a manager. Signing keys are used unless overridden.
+ */
+async function createManager(dir, options = {}) {
+  const manager = new PluginManager({
+    pluginsDir: path.join(dir, 'plugins'),
+    dataDir: path.join(dir, 'data'),
+    registryDir: path.join(dir, 'registry'),
+    publicKeyPath: path.join(dir, 'keys', 'public.pem'),
+    privateKeyPath: path.join(dir, 'keys', 'private.pem'),
+    onConsent: () => true,
+    ...options
+  });
+  fs.mkdirSync(manager.pluginsDir, { recursive: true });
+  await manager.initialize();
+  return manager;
+}
+
+/**
+ * Write a plugin directory whose execute() returns the given value
+ */
+function createPluginDir(root, manifest, { result = manifest.version, init = '' } = {}) {
+  return writePluginDir(root, manifest, {
+    'index.js': `module.exports = {
+  init() { ${init} },
+  execute() { return ${JSON.stringify(result)}; }
+};`
+  });
+}
+
+function installedDirs(manager) {
+  return fs.readdirSync(manager.pluginsDir).sort();
+}
+
+itAsync('should refuse to install without a public key when signatures are required', async (dir) => {
+  const manager = await createManager(dir, { publicKeyPath: path.join(dir, 'keys', 'missing.pem') });
+  await manager.publish(createPluginDir(dir, { id: 'app', version: '1.0.0' }));
+
+  await assert.rejects(manager.install('app'), /requireSignature is set but no public key is loaded/);
+  assert.deepStrictEqual(installedDirs(manager), []);
+  await manager.shutdown();
+});
+
+itAsync('should refuse unsigned archives', async (dir) => {
+  const publisher = await createManager(dir, { privateKeyPath: undefined });
+  await publisher.publish(createPluginDir(dir, { id: 'app', version: '1.0.0' }));
+
+  const manager = await createManager(dir);
+  await assert.rejects(manager.install('app'), /Plugin app has no signature/);
+  assert.deepStrictEqual(installedDirs(manager), []);
+  await manager.shutdown();
+});
+
+itAsync('should refuse archives with any file changed after signing', async (dir) => {
+  const manager = await createManager(dir);
+  const pluginDir = createPluginDir(dir, { id: 'app', version: '1.0.0' });
+  fs.writeFileSync(path.join(pluginDir, 'helper.js'), 'module.exports = 1;');
+  await manager.signPlugin(pluginDir);
+  fs.writeFileSync(path.join(pluginDir, 'helper.js'), 'module.exports = 2;');
+
+  const publisher = await createManager(dir, { privateKeyPath: undefined });
+  await publisher.publish(pluginDir);
+
+  await assert.rejects(manager.install('app'), /Signature verification failed for app@1\.0\.0/);
+  assert.deepStrictEqual(installedDirs(manager), []);
+  await manager.shutdown();
+});
+
+itAsync('should install a verified plugin with its dependencies', async (dir) => {
+  const manager = await createManager(dir);
+  await manager.publish(createPluginDir(dir, { id: 'lib', version: '1.2.0' }));
+  await manager.publish(createPluginDir(dir, { id: 'app', version: '1.0.0', dependencies: { lib: '^1.0.0' } }));
+
+  const result = await manager.install('app', '^1.0.0');
+
+  assert.deepStrictEqual(result.installed, [{ id: 'lib', version: '1.2.0' }, { id: 'app', version: '1.0.0' }]);
+  assert.deepStrictEqual(installedDirs(manager), ['app', 'lib']);
+  assert.strictEqual(manager.getPlugin('app').verified, true);
+  assert.strictEqual(await manager.execute('app'), '1.0.0');
+  await manager.shutdown();
+});
+
+itAsync('should install plugins that wait for consent under the default consent settings', async (dir) => {
+  // No onConsent override: the manager's own default
+  const manager = await createManager(dir, { onConsent: undefined });
+  const installed = [];
+  manager.on('plugin:installed', result => installed.push(result.id));
+  await manager.publish(createPluginDir(dir, { id: 'lib', version: '1.0.0', permissions: ['storage'] }));
+  await manager.publish(createPluginDir(dir, { id: 'app', version: '1.0.0', dependencies: ['lib'] }));
+
+  const result = await manager.install('app');
+
+  assert.deepStrictEqual(installed, ['app']);
+  assert.deepStrictEqual(result.awaitingConsent, ['lib']);
+  assert.deepStrictEqual(installedDirs(manager), ['app', 'lib']);
+  assert.strictEqual(manager.getPlugin('lib').status, Plugin.STATUS.LOADED);
+  assert.strictEqual(manager.getPlugin('app').status, Plugin.STATUS.ACTIVE);
+  assert.strictEqual(manager.getConsentSummary('lib').granted, false);
+  await assert.rejects(manager.activate('lib'), /Permissions of plugin lib were not granted \(call grantConsent\(\)/);
+
+  await manager.grantConsent('lib');
+  await manager.activate('lib');
+  assert.strictEqual(manager.getPlugin('lib').status, Plugin.STATUS.ACTIVE);
+  assert.strictEqual(await manager.execute('lib'), '1.0.0');
+  await manager.shutdown();
+});
+
+itAsync('should roll back every plugin of a failed install', async (dir) => {
+  const manager = await createManager(dir);
+  const rollbacks = [];
+  manager.on('plugin:rollback', event => rollbacks.push(event.removed));
+  await manager.publish(createPluginDir(dir, { id: 'lib', version: '1.0.0' }));
+  await manager.publish(createPluginDir(dir, { id: 'app', version: '1.0.0', dependencies: ['lib'] }, {
+    init: "throw new Error('broken init');"
+  }));
+
+  await assert.rejects(manager.install('app'), /Failed to install app: .*broken init.*\(installation rolled back\)/);
+
+  assert.deepStrictEqual(rollbacks, [['lib', 'app']]);
+  assert.deepStrictEqual(installedDirs(manager), []);
+  assert.strictEqual(manager.getPlugin('lib'), undefined);
+  await manager.shutdown();
+});
+
+itAsync('should upgrade, and restore the previous version when the new one fails', async (dir) => {
+  const manager = await createManager(dir);
+  await manager.publish(createPluginDir(dir, { id: 'app', version: '1.0.0' }));
+  await manager.publish(createPluginDir(dir, { id: 'app', version: '1.1.0' }));
+  await manager.publish(createPluginDir(dir, { id: 'app', version: '2.0.0' }, {
+    init: "throw new Error('broken init');"
+  }));
+  await manager.install('app', '1.0.0');
+
+  const upgraded = await manager.upgrade('app', '^1.0.0');
+  assert.strictEqual(upgraded.previousVersion, '1.0.0');
+  assert.strictEqual(await manager.execute('app'), '1.1.0');
+
+  await assert.rejects(manager.upgrade('app', '^2.0.0'), /Failed to upgrade app to 2\.0\.0: .*\(upgrade rolled back\)/);
+  assert.strictEqual(manager.getPlugin('app').version, '1.1.0');
+  assert.strictEqual(await manager.execute('app'), '1.1.0');
+  await manager.shutdown();
+});
+
+itAsync('should uninstall plugins nothing depends on', async (dir) => {
+  const manager = await createManager(dir);
+  await manager.publish(createPluginDir(dir, { id: 'lib', version: '1.0.0', permissions: ['storage'] }));
+  await manager.publish(createPluginDir(dir, { id: 'app', version: '1.0.0', dependencies: ['lib'] }));
+  await manager.install('app');
+  assert.ok(manager.consents.has('lib'));
+
+  await assert.rejects(manager.uninstall('lib'), /app depends on it/);
+
+  await manager.uninstall('app');
+  await manager.uninstall('lib');
+
+  assert.deepStrictEqual(installedDirs(manager), []);
+  assert.strictEqual(manager.consents.has('lib'), false);
+  await assert.rejects(manager.uninstall('lib'), /Plugin lib not found/);
+  await manager.shutdown();
+});
+
+itAsync('should not activate plugins with permissions until consent is granted', async (dir) => {
+  const manager = await createManager(dir, { onConsent: undefined, autoActivate: false, requireSignature: false });
+  await manager.loadPlugin(createPluginDir(dir, { id: 'app', version: '1.0.0', permissions: ['storage'] }));
+
+  await assert.rejects(manager.activate('app'), /Permissions of plugin app were not granted \(call grantConsent\(\)/);
+  assert.strictEqual(manager.getPlugin('app').status, Plugin.STATUS.LOADED);
+  assert.ok(!fs.existsSync(manager.consentsPath));
+
+  await manager.grantConsent('app');
+  await manager.activate('app');
+
+  assert.strictEqual(manager.getPlugin('app').status, Plugin.STATUS.ACTIVE);
+  assert.deepStrictEqual(Object.keys(JSON.parse(fs.readFileSync(manager.consentsPath, 'utf8'))), ['app']);
+  await manager.shutdown();
+});
+
+itAsync('should not record consent the operator denied', async (dir) => {
+  const manager = await createManager(dir, { onConsent: async () => false, autoActivate: false, requireSignature: false });
+  await manager.loadPlugin(createPluginDir(dir, { id: 'app', version: '1.0.0', permissions: ['storage'] }));
+
+  await assert.rejects(manager.activate('app'), /Permissions of plugin app were not granted$/);
+  assert.strictEqual(manager.consents.has('app'), false);
+  await manager.shutdown();
+});
+
+itAsync('should leave a loaded plugin inactive without consent under the default options', async (dir) => {
+  const manager = await createManager(dir, { onConsent: undefined, requireSignature: false });
+  const denied = [];
+  manager.on('plugin:consent-denied', summary => denied.push(summary.pluginId));
+
+  const plugin = await manager.loadPlugin(createPluginDir(dir, { id: 'app', version: '1.0.0', permissions: ['storage'] }));
+
+  assert.strictEqual(plugin.status, Plugin.STATUS.LOADED);
+  assert.deepStrictEqual(denied, ['app']);
+  assert.strictEqual(manager.consents.has('app'), false);
+
+  await manager.grantConsent('app');
+  await manager.activate('app');
+  assert.strictEqual(manager.getPlugin('app').status, Plugin.STATUS.ACTIVE);
+  await manager.shutdown();
+});
+
+itAsync('should keep the running version when an upgrade needs permissions not granted yet', async (dir) => {
+  const manager = await createManager(dir, { onConsent: undefined });
+  await manager.publish(createPluginDir(dir, { id: 'app', version: '1.0.0' }));
+  await manager.publish(createPluginDir(dir, { id: 'app', version: '1.1.0', permissions: ['storage'] }));
+  await manager.install('app', '1.0.0');
+
+  await assert.rejects(
+    manager.upgrade('app'),
+    /Failed to upgrade app to 1\.1\.0: Permissions of plugin app were not granted .*\(upgrade rolled back\)/
+  );
+  assert.strictEqual(manager.getPlugin('app').version, '1.0.0');
+  assert.strictEqual(manager.getPlugin('app').status, Plugin.STATUS.ACTIVE);
+  await manager.shutdown();
+});
+
+runAsyncTests().then(() => {
+  console.log('\n=== Plugin Manager Tests Complete ===');
+});
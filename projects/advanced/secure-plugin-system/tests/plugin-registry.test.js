@@ -0,0 +1,96 @@
+/**
+ * Plugin Registry Tests
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const PluginRegistry = require('../src/plugin-registry');
+const { createAsyncSuite, writePluginDir } = require('./helpers');
+
+// Registry tests use the file system, so they run one after another
+const { itAsync, runAsyncTests } = createAsyncSuite('PluginRegistry', { tmpPrefix: 'plugin-registry-' });
+
+/**
+ * Write a plugin directory with a nested file
+ */
+function createPluginDir(root, manifest) {
+  return writePluginDir(root, manifest, {
+    'index.js': 'module.exports = { init() {} };',
+    'lib/util.js': 'module.exports = 1;'
+  });
+}
+
+itAsync('should pack and unpack nested plugin files', async (dir) => {
+  const pluginDir = createPluginDir(dir, { id: 'alpha', name: 'Alpha', version: '1.0.0' });
+  const target = path.join(dir, 'out');
+
+  const files = await PluginRegistry.unpack(await PluginRegistry.pack(pluginDir), target);
+
+  assert.deepStrictEqual(files, ['index.js', 'lib/util.js', 'plugin.json']);
+  assert.strictEqual(fs.readFileSync(path.join(target, 'lib', 'util.js'), 'utf8'), 'module.exports = 1;');
+});
+
+itAsync('should reject archives with unsafe paths before writing', async (dir) => {
+  const archive = zlib.gzipSync(JSON.stringify({
+    format: PluginRegistry.ARCHIVE_FORMAT,
+    files: {
+      'index.js': Buffer.from('ok').toString('base64'),
+      '../escape.js': Buffer.from('bad').toString('base64')
+    }
+  }));
+  const target = path.join(dir, 'out');
+
+  await assert.rejects(PluginRegistry.unpack(archive, target), /unsafe path \.\.\/escape\.js/);
+  assert.ok(!fs.existsSync(path.join(target, 'index.js')));
+  assert.ok(!fs.existsSync(path.join(dir, 'escape.js')));
+});
+
+itAsync('should reject data that is not an archive', async (dir) => {
+  await assert.rejects(PluginRegistry.unpack(Buffer.from('nope'), dir), /Invalid plugin archive/);
+});
+
+itAsync('should publish versions once and list them', async (dir) => {
+  const registry = new PluginRegistry(path.join(dir, 'registry'));
+  await registry.publish(createPluginDir(dir, { id: 'alpha', name: 'Alpha', version: '1.0.0' }));
+  const entry = await registry.publish(createPluginDir(dir, {
+    id: 'alpha', name: 'Alpha', version: '1.2.0', dependencies: { beta: '^2.0.0' }
+  }));
+
+  assert.strictEqual(entry.file, 'alpha/alpha-1.2.0.plugin.gz');
+  assert.deepStrictEqual(entry.dependencies, { beta: '^2.0.0' });
+  assert.strictEqual(entry.signed, false);
+
+  await assert.rejects(
+    registry.publish(createPluginDir(dir, { id: 'alpha', name: 'Alpha', version: '1.0.0' })),
+    /alpha@1\.0\.0 is already published/
+  );
+  assert.deepStrictEqual(await registry.list(), [{ id: 'alpha', versions: ['1.0.0', '1.2.0'], latest: '1.2.0' }]);
+});
+
+itAsync('should resolve the highest version in a range', async (dir) => {
+  const registry = new PluginRegistry(path.join(dir, 'registry'));
+  for (const version of ['1.0.0', '1.4.0', '2.0.0']) {
+    await registry.publish(createPluginDir(dir, { id: 'alpha', name: 'Alpha', version }));
+  }
+
+  assert.strictEqual((await registry.resolve('alpha', '^1.0.0')).version, '1.4.0');
+  assert.strictEqual((await registry.resolve('alpha')).version, '2.0.0');
+  await assert.rejects(registry.resolve('alpha', '^3.0.0'), /No version of alpha satisfies \^3\.0\.0 \(published: 1\.0\.0, 1\.4\.0, 2\.0\.0\)/);
+  await assert.rejects(registry.resolve('missing'), /Plugin missing is not in the registry/);
+});
+
+itAsync('should reject archives that fail the integrity check', async (dir) => {
+  const registry = new PluginRegistry(path.join(dir, 'registry'));
+  const entry = await registry.publish(createPluginDir(dir, { id: 'alpha', name: 'Alpha', version: '1.0.0' }));
+
+  assert.ok(Buffer.isBuffer(await registry.fetch('alpha', '1.0.0')));
+
+  fs.appendFileSync(path.join(dir, 'registry', entry.file), 'tampered');
+  await assert.rejects(registry.fetch('alpha', '1.0.0'), /alpha@1\.0\.0 failed the integrity check/);
+});
+
+runAsyncTests().then(() => {
+  console.log('\n=== Plugin Registry Tests Complete ===');
+});
@@ -5,22 +5,7 @@
 const assert = require('assert');
 const path = require('path');
 const Plugin = require('../src/plugin');
-
-function describe(name, fn) {
-  console.log(`\n${name}`);
-  fn();
-}
-
-function it(name, fn) {
-  try {
-    fn();
-    console.log(`  ✓ ${name}`);
-  } catch (error) {
-    console.log(`  ✗ ${name}`);
-    console.error(`    ${error.message}`);
-    process.exitCode = 1;
-  }
-}
+const { describe, it } = require('./helpers');
 
 describe('Plugin', () => {
   it('should create a plugin with valid manifest', () => {
@@ -0,0 +1,55 @@
+/**
+ * Semver Tests
+ */
+
+const assert = require('assert');
+const Semver = require('../src/semver');
+const { describe, it } = require('./helpers');
+
+describe('Semver', () => {
+  it('should parse and compare versions', () => {
+    assert.deepStrictEqual(Semver.parse('1.2.3'), { major: 1, minor: 2, patch: 3 });
+    assert.strictEqual(Semver.compare('1.10.0', '1.9.9'), 1);
+    assert.strictEqual(Semver.compare('1.0.0', '1.0.0'), 0);
+    assert.strictEqual(Semver.compare('0.9.0', '1.0.0'), -1);
+    assert.throws(() => Semver.parse('1.2'), /Invalid version: 1.2/);
+  });
+
+  it('should match caret and tilde ranges', () => {
+    assert.ok(Semver.satisfies('1.9.0', '^1.2.3'));
+    assert.ok(!Semver.satisfies('2.0.0', '^1.2.3'));
+    assert.ok(!Semver.satisfies('1.2.2', '^1.2.3'));
+    assert.ok(Semver.satisfies('0.2.9', '^0.2.3'));
+    assert.ok(!Semver.satisfies('0.3.0', '^0.2.3'));
+    assert.ok(Semver.satisfies('1.2.9', '~1.2.3'));
+    assert.ok(!Semver.satisfies('1.3.0', '~1.2.3'));
+  });
+
+  it('should match comparators, partials, hyphen ranges and alternatives', () => {
+    assert.ok(Semver.satisfies('1.5.0', '>=1.2.0 <2.0.0'));
+    assert.ok(!Semver.satisfies('2.0.0', '>=1.2.0 <2.0.0'));
+    assert.ok(Semver.satisfies('1.4.7', '1.x'));
+    assert.ok(Semver.satisfies('1.4.7', '1.4'));
+    assert.ok(!Semver.satisfies('1.5.0', '1.4'));
+    assert.ok(Semver.satisfies('2.3.4', '1.0.0 - 2.3.4'));
+    assert.ok(Semver.satisfies('3.0.0', '^1.0.0 || ^3.0.0'));
+    assert.ok(!Semver.satisfies('2.0.0', '^1.0.0 || ^3.0.0'));
+    assert.ok(Semver.satisfies('9.9.9', '*'));
+  });
+
+  it('should reject invalid ranges', () => {
+    assert.ok(!Semver.validRange('^one'));
+    assert.ok(!Semver.validRange('>=1.2.3.4'));
+    assert.ok(Semver.validRange('>= 1.2.3'));
+  });
+
+  it('should pick the highest satisfying version', () => {
+    const versions = ['1.0.0', '1.2.0', '2.0.0', '1.10.0'];
+
+    assert.strictEqual(Semver.maxSatisfying(versions, '^1.0.0'), '1.10.0');
+    assert.strictEqual(Semver.maxSatisfying(versions, '>2.0.0'), null);
+    assert.deepStrictEqual(Semver.sort(versions), ['1.0.0', '1.2.0', '1.10.0', '2.0.0']);
+  });
+});
+
+console.log('\n=== Semver Tests Complete ===');
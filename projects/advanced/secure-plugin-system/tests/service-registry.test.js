@@ -0,0 +1,148 @@
+/**
+ * Service Registry Tests
+ */
+
+const assert = require('assert');
+const ServiceRegistry = require('../src/service-registry');
+const Plugin = require('../src/plugin');
+const helpers = require('./helpers');
+
+const { describe, it } = helpers;
+
+// Service calls are asynchronous, so they run one after another
+const { itAsync, runAsyncTests } = helpers.createAsyncSuite('ServiceRegistry calls');
+
+function createPlugin(id, manifest = {}, status = Plugin.STATUS.ACTIVE) {
+  return helpers.createPlugin({ id, ...manifest }, status);
+}
+
+/**
+ * Create a registry with a geo provider and an app consumer
+ */
+function createRegistry(options = {}) {
+  const registry = new ServiceRegistry({ timeout: options.timeout || 200 });
+  const provider = createPlugin('geo', { provides: { geo: '1.2.0' } }, options.providerStatus);
+  const consumer = createPlugin('app', { consumes: { geo: options.range || '^1.0.0' } });
+
+  registry.declare(provider);
+  registry.declare(consumer);
+  registry.register('geo', 'geo', {
+    lookup: city => ({ city, found: true }),
+    slow: () => new Promise(resolve => setTimeout(resolve, 1000)),
+    fail: () => { throw Object.assign(new Error('no such city'), { code: 'E_CITY' }); },
+    name: 'not a method'
+  });
+
+  return { registry, provider, consumer };
+}
+
+describe('Plugin service declarations', () => {
+  it('should normalize provides and consumes', () => {
+    const plugin = createPlugin('geo', { provides: ['geo', 'geo.admin'], consumes: ['maps'] });
+
+    assert.deepStrictEqual(plugin.provides, { geo: '1.0.0', 'geo.admin': '1.0.0' });
+    assert.deepStrictEqual(plugin.consumes, { maps: '*' });
+  });
+
+  it('should reject invalid service names and versions', () => {
+    assert.throws(() => createPlugin('geo', { provides: ['Geo Service'] }), /Invalid service name: Geo Service/);
+    assert.throws(() => createPlugin('geo', { provides: { geo: '1.x' } }), /Invalid version for service geo: 1\.x/);
+  });
+
+  it('should name undeclared services', () => {
+    const plugin = createPlugin('app', { consumes: ['geo'] });
+
+    assert.doesNotThrow(() => plugin.checkService('consume', 'geo'));
+    assert.throws(() => plugin.checkService('provide', 'geo'), /Plugin app does not declare service geo in provides/);
+  });
+});
+
+describe('ServiceRegistry', () => {
+  it('should register the methods of a declared service', () => {
+    const { registry } = createRegistry();
+
+    assert.deepStrictEqual(registry.getAll(), [
+      { name: 'geo', version: '1.2.0', provider: 'geo', methods: ['lookup', 'slow', 'fail'] }
+    ]);
+    assert.deepStrictEqual(registry.list('app').map(service => service.name), ['geo']);
+  });
+
+  it('should only register services the plugin provides', () => {
+    const { registry } = createRegistry();
+    const other = createPlugin('other', { provides: ['geo'] });
+    registry.declare(other);
+
+    assert.throws(() => registry.register('app', 'geo', { lookup() {} }), /does not declare service geo in provides/);
+    assert.throws(() => registry.register('other', 'geo', { lookup() {} }), /Service geo is already provided by geo/);
+    assert.throws(() => registry.register('unknown', 'geo', { lookup() {} }), /Plugin unknown is not loaded/);
+  });
+
+  it('should unbind every service of a provider', () => {
+    const { registry } = createRegistry();
+    const events = [];
+    registry.on('service:unbound', event => events.push(`${event.name}:${event.reason}`));
+
+    registry.unbind('geo', 'disabled');
+
+    assert.deepStrictEqual(registry.getAll(), []);
+    assert.deepStrictEqual(events, ['geo:disabled']);
+  });
+});
+
+itAsync('should call methods and copy arguments and results', async () => {
+  const { registry } = createRegistry();
+  const input = 'Paris';
+
+  const result = await registry.call('app', 'geo', 'lookup', [input]);
+
+  assert.deepStrictEqual(result, { city: 'Paris', found: true });
+  await assert.rejects(registry.call('app', 'geo', 'lookup', [() => {}]), /Arguments of geo\.lookup cannot be copied/);
+});
+
+itAsync('should pass errors from the provider with their code', async () => {
+  const { registry } = createRegistry();
+
+  await assert.rejects(registry.call('app', 'geo', 'fail'), error => error.code === 'E_CITY' && error.message === 'no such city');
+  await assert.rejects(registry.call('app', 'geo', 'name'), /Service geo has no method name/);
+});
+
+itAsync('should check consumes and the service version', async () => {
+  const { registry } = createRegistry({ range: '^2.0.0' });
+  registry.declare(createPlugin('rogue'));
+
+  await assert.rejects(registry.call('rogue', 'geo', 'lookup', ['x']), /Plugin rogue does not declare service geo in consumes/);
+  await assert.rejects(registry.call('app', 'geo', 'lookup', ['x']), (error) => {
+    return error.code === 'ERR_SERVICE_VERSION' &&
+      error.message === 'Plugin app requires service geo@^2.0.0, but geo provides 1.2.0';
+  });
+});
+
+itAsync('should refuse calls while the provider is not active', async () => {
+  const { registry } = createRegistry({ providerStatus: Plugin.STATUS.LOADED });
+
+  await assert.rejects(registry.call('app', 'geo', 'lookup', ['x']), (error) => {
+    return error.code === 'ERR_SERVICE_UNAVAILABLE' && /provider geo is loaded/.test(error.message);
+  });
+});
+
+itAsync('should time out slow calls', async () => {
+  const { registry } = createRegistry({ timeout: 50 });
+
+  await assert.rejects(registry.call('app', 'geo', 'slow'), error => error.code === 'ERR_SERVICE_TIMEOUT');
+});
+
+itAsync('should fail calls in flight when the provider is unbound', async () => {
+  const { registry } = createRegistry({ timeout: 2000 });
+
+  const call = registry.call('app', 'geo', 'slow');
+  registry.forget('geo', 'unloaded');
+
+  await assert.rejects(call, (error) => {
+    return error.code === 'ERR_SERVICE_UNBOUND' && /provider unloaded/.test(error.message);
+  });
+  await assert.rejects(registry.call('app', 'geo', 'lookup', ['x']), error => error.code === 'ERR_SERVICE_UNAVAILABLE');
+});
+
+runAsyncTests().then(() => {
+  console.log('\n=== Service Registry Tests Complete ===');
+});